@@ -0,0 +1,2 @@
+-- Add decided_by column to games table (regulation, golden_goal or penalties)
+ALTER TABLE public.games ADD COLUMN IF NOT EXISTS decided_by VARCHAR(20) DEFAULT 'regulation';
@@ -0,0 +1,2 @@
+-- Add rules column to games table (match rules the game was played under, see shared/match-rules.js)
+ALTER TABLE public.games ADD COLUMN IF NOT EXISTS rules JSONB;
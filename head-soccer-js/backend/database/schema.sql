@@ -25,6 +25,8 @@ CREATE TABLE public.games (
     winner_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
     status VARCHAR(20) NOT NULL DEFAULT 'in_progress', -- in_progress, completed, abandoned
     game_mode VARCHAR(20) DEFAULT 'ranked', -- ranked, casual, tournament
+    decided_by VARCHAR(20) DEFAULT 'regulation', -- regulation, golden_goal, penalties
+    rules JSONB, -- Match rules: score/time limits, tie-breakers, ball physics, powers
     duration_seconds INTEGER,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     completed_at TIMESTAMPTZ,
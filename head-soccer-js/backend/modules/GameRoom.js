@@ -5,6 +5,9 @@
 
 const { v4: uuidv4 } = require('uuid');
 const Player = require('./Player');
+const TieBreakers = require('../shared/tie-breakers');
+const MatchRules = require('../shared/match-rules');
+const PhysicsCore = require('../shared/physics-core');
 
 class GameRoom {
   /**
@@ -21,8 +24,21 @@ class GameRoom {
     // Room configuration
     this.maxPlayers = options.maxPlayers || 2;
     this.gameMode = options.gameMode || 'casual';  // casual, ranked, tournament
-    this.timeLimit = options.timeLimit || 300;     // Game duration in seconds (5 min default)
-    this.scoreLimit = options.scoreLimit || 5;     // First to X goals wins
+    
+    // Match rules: limits, tie-breakers, ball physics and powers (see shared/match-rules.js)
+    // Top-level timeLimit / scoreLimit / tieBreakers options take precedence over options.rules
+    const baseRules = MatchRules.create({ tieBreakers: TieBreakers.forMode(this.gameMode), ...options.rules });
+    this.rules = MatchRules.create({
+      timeLimit: options.timeLimit,
+      scoreLimit: options.scoreLimit,
+      tieBreakers: options.tieBreakers,
+      overtimeLimit: options.overtimeLimit,
+      penaltyRounds: options.penaltyRounds
+    }, baseRules);
+    
+    // Seed for every random draw in the match (kick angles, AI, sounds) - both
+    // clients and the server seed their generators from it (see PhysicsCore.RNG_STREAMS)
+    this.seed = options.seed !== undefined ? options.seed >>> 0 : PhysicsCore.createSeed();
     
     // Player management
     this.players = new Map();               // Map of player ID -> Player object
@@ -39,6 +55,9 @@ class GameRoom {
     this.isPaused = false;                  // Pause state
     this.pauseStartTime = null;             // When current pause started
     this.totalPauseTime = 0;                // Total pause duration
+    this.stoppageStartTime = null;          // When the clock stopped for a goal (see stopClock)
+    this.totalStoppageTime = 0;             // Total goal stoppage duration
+    this.kickoffTime = null;                // Server time (ms) play (re)starts at (see scheduleKickoff)
     
     // Score management
     this.score = {
@@ -48,6 +67,10 @@ class GameRoom {
     this.goals = [];                        // Array of goal events
     this.winner = null;                     // Winner player ID
     this.winReason = null;                  // How game was won
+    this.phase = 'regulation';              // regulation, golden_goal, penalties
+    this.phaseStartTime = 0;                // Game time when the current phase began
+    this.shootout = null;                   // Penalty shootout state (see shared/tie-breakers.js)
+    this.decidedBy = null;                  // Phase the result was settled in
     
     // Game events and statistics
     this.events = [];                       // Game event log
@@ -58,6 +81,15 @@ class GameRoom {
     };
   }
 
+  /**
+   * Match rule shortcuts - the rules object is the single source of truth
+   */
+  get timeLimit() { return this.rules.timeLimit; }          // Game duration in seconds
+  get scoreLimit() { return this.rules.scoreLimit; }        // First to X goals wins, 0 = time only
+  get tieBreakers() { return this.rules.tieBreakers; }      // How a level match is settled, in order
+  get overtimeLimit() { return this.rules.overtimeLimit; }  // Golden-goal overtime in seconds
+  get penaltyRounds() { return this.rules.penaltyRounds; }  // Kicks each before sudden death
+
   /**
    * Player Management Methods
    */
@@ -247,11 +279,7 @@ class GameRoom {
       }
       
       // Initialize game state
-      this.status = 'PLAYING';
-      this.gameStartTime = new Date();
-      this.currentGameTime = 0;
-      this.totalPauseTime = 0;
-      this.isPaused = false;
+      this.startClock();
       
       // Update player statuses
       for (const player of this.players.values()) {
@@ -263,8 +291,7 @@ class GameRoom {
       this.addEvent('GAME_STARTED', {
         playerCount: this.players.size,
         gameMode: this.gameMode,
-        timeLimit: this.timeLimit,
-        scoreLimit: this.scoreLimit
+        rules: { ...this.rules }
       });
       
       this.updateActivity();
@@ -279,6 +306,156 @@ class GameRoom {
     }
   }
   
+  /**
+   * Start the match clock from zero in regulation time. startGame calls this;
+   * online matches whose players ready up elsewhere start it directly once
+   * both have joined gameplay (GameplayEvents.startMatchClock)
+   * @param {number} [now] - Server time in ms
+   * @returns {boolean} False if the match is already running or over
+   */
+  startClock(now = Date.now()) {
+    if (['PLAYING', 'PAUSED', 'FINISHED'].includes(this.status)) {
+      return false;
+    }
+    
+    this.status = 'PLAYING';
+    this.gameStartTime = new Date(now);
+    this.currentGameTime = 0;
+    this.totalPauseTime = 0;
+    this.isPaused = false;
+    this.pauseStartTime = null;
+    this.stoppageStartTime = null;
+    this.totalStoppageTime = 0;
+    this.kickoffTime = null;
+    this.phase = 'regulation';
+    this.phaseStartTime = 0;
+    this.shootout = null;
+    this.decidedBy = null;
+    return true;
+  }
+  
+  /**
+   * Stop the clock while a goal is celebrated (the goal cooldown) - play time
+   * does not run, but unlike pauseGame the match stays PLAYING
+   * @param {number} [now] - Server time in ms
+   * @returns {boolean} False if not playing or already stopped
+   */
+  stopClock(now = Date.now()) {
+    if (this.status !== 'PLAYING' || this.stoppageStartTime) {
+      return false;
+    }
+    
+    this.stoppageStartTime = new Date(now);
+    return true;
+  }
+  
+  /**
+   * Restart the clock after a goal stoppage
+   * @param {number} [now] - Server time in ms
+   * @returns {boolean} False if the clock was not stopped
+   */
+  restartClock(now = Date.now()) {
+    if (!this.stoppageStartTime) {
+      return false;
+    }
+    
+    this.totalStoppageTime += now - this.stoppageStartTime.getTime();
+    this.stoppageStartTime = null;
+    return true;
+  }
+  
+  /**
+   * Hold play for a kickoff countdown: the clock stops (like a goal stoppage)
+   * until kickoff at an absolute server time, so both players start together
+   * @param {number} kickoffTime - Server time in ms play starts at
+   * @param {number} [now] - Server time in ms
+   * @returns {boolean} False if not playing
+   */
+  scheduleKickoff(kickoffTime, now = Date.now()) {
+    if (this.status !== 'PLAYING') {
+      return false;
+    }
+    
+    this.stopClock(now);
+    this.kickoffTime = kickoffTime;
+    return true;
+  }
+  
+  /**
+   * Kick off: the clock runs again from the scheduled kickoff time
+   * @param {number} kickoffTime - Kickoff being started (a later one replaces it)
+   * @returns {boolean} False if that kickoff is no longer scheduled
+   */
+  kickOff(kickoffTime) {
+    if (!this.kickoffTime || this.kickoffTime !== kickoffTime) {
+      return false;
+    }
+    
+    this.kickoffTime = null;
+    this.restartClock(kickoffTime);
+    return true;
+  }
+  
+  /**
+   * Is play still held for a scheduled kickoff - no input counts before it
+   * @param {number} [now] - Server time in ms
+   */
+  isBeforeKickoff(now = Date.now()) {
+    return this.kickoffTime !== null && now < this.kickoffTime;
+  }
+  
+  /**
+   * Seconds of play so far: wall time since kickoff minus pauses and goal stoppages
+   * @param {number} [now] - Server time in ms
+   * @returns {number} Played time in seconds
+   */
+  getPlayedTime(now = Date.now()) {
+    if (!this.gameStartTime) return 0;
+    
+    const end = this.gameEndTime ? this.gameEndTime.getTime() : now;
+    const pausing = this.pauseStartTime ? end - this.pauseStartTime.getTime() : 0;
+    const stopped = this.stoppageStartTime ? end - this.stoppageStartTime.getTime() : 0;
+    const played = end - this.gameStartTime.getTime() - this.totalPauseTime - pausing - this.totalStoppageTime - stopped;
+    
+    return Math.max(0, played / 1000);
+  }
+  
+  /**
+   * Advance the match clock to server time. Goes through updateGameTime, so
+   * full time and the end of overtime start a tie-breaker or end the match
+   * @param {number} [now] - Server time in ms
+   * @returns {object} Clock snapshot after the update (see getClockSnapshot)
+   */
+  tickClock(now = Date.now()) {
+    this.updateGameTime(this.getPlayedTime(now));
+    return this.getClockSnapshot(now);
+  }
+  
+  /**
+   * What clients need to draw the clock: the time left in the current phase
+   * at serverTime, and whether it is running down from there
+   * @param {number} [now] - Server time in ms
+   * @returns {object} { phase, gameTime, timeRemaining, running, status, kickoffTime, serverTime }
+   */
+  getClockSnapshot(now = Date.now()) {
+    let timeRemaining = null; // Untimed: penalties, or no time limit
+    if (this.phase === 'regulation' && this.timeLimit > 0) {
+      timeRemaining = Math.max(0, this.timeLimit - this.currentGameTime);
+    } else if (this.phase === 'golden_goal' && this.overtimeLimit > 0) {
+      timeRemaining = Math.max(0, this.overtimeLimit - (this.currentGameTime - this.phaseStartTime));
+    }
+    
+    return {
+      phase: this.phase,
+      gameTime: this.currentGameTime,
+      timeRemaining,
+      running: this.status === 'PLAYING' && !this.isPaused && !this.stoppageStartTime && timeRemaining !== null,
+      status: this.status,
+      kickoffTime: this.kickoffTime,
+      serverTime: now
+    };
+  }
+  
   /**
    * Pause the game
    * @param {string} reason - Reason for pause
@@ -289,6 +466,9 @@ class GameRoom {
       return false;
     }
     
+    // A pause takes over from a goal stoppage so the two are never counted twice
+    this.restartClock();
+    
     this.isPaused = true;
     this.pauseStartTime = new Date();
     this.status = 'PAUSED';
@@ -339,12 +519,79 @@ class GameRoom {
       this.currentGameTime = currentTime;
       this.updateActivity();
       
-      // Check for time limit
-      if (this.timeLimit > 0 && this.currentGameTime >= this.timeLimit) {
-        this.endGame('time_limit');
+      // Full time (or the end of overtime) either decides the match or starts a tie-breaker
+      const winCheck = this.checkWinCondition();
+      if (winCheck.hasWinner) {
+        this.endGame(winCheck.reason, winCheck.winner);
+      } else if (winCheck.tieBreaker) {
+        this.startTieBreaker(winCheck.tieBreaker);
       }
     }
   }
+  
+  /**
+   * Move a level match into its next tie-breaker
+   * @param {string} phase - 'golden_goal' or 'penalties'
+   */
+  startTieBreaker(phase) {
+    this.phase = phase;
+    this.phaseStartTime = this.currentGameTime;
+    
+    if (phase === 'penalties') {
+      this.shootout = TieBreakers.createShootout({ rounds: this.penaltyRounds });
+    }
+    
+    this.addEvent('TIE_BREAKER_STARTED', {
+      phase: phase,
+      score: { ...this.score },
+      gameTime: this.currentGameTime
+    });
+    
+    console.log(`Level at ${this.score.left}-${this.score.right} in room ${this.id}, going to ${TieBreakers.LABELS[phase]}`);
+  }
+  
+  /**
+   * Record a penalty kick during a shootout
+   * @param {string} shooterId - ID of the player taking the kick
+   * @param {boolean} scored - Did the kick go in
+   * @param {string} [side] - Side of the shooter, for a room without Player objects
+   * @returns {object} { success: boolean, reason: string, gameEnded: boolean, shootout: object }
+   */
+  recordPenalty(shooterId, scored, side = null) {
+    if (this.status !== 'PLAYING' || this.phase !== 'penalties') {
+      return { success: false, reason: 'No penalty shootout in progress', gameEnded: false };
+    }
+    
+    // Rooms that only relay a match (challenges) have no Player objects, so
+    // the side has to be given
+    const shooterSide = TieBreakers.getShooter(this.shootout);
+    const position = this.players.has(shooterId)
+      ? ['left', 'right'].find(key => this.playerPositions[key] === shooterId)
+      : side;
+    if (position !== shooterSide) {
+      return { success: false, reason: 'Not this player\'s kick', gameEnded: false };
+    }
+    
+    const result = TieBreakers.recordKick(this.shootout, scored);
+    
+    this.addEvent('PENALTY_TAKEN', {
+      playerId: shooterId,
+      position: shooterSide,
+      scored: !!scored,
+      shootoutScore: result.score,
+      round: result.round
+    });
+    
+    this.updateActivity();
+    
+    const winCheck = this.checkWinCondition();
+    if (winCheck.hasWinner) {
+      this.endGame(winCheck.reason, winCheck.winner);
+      return { success: true, reason: 'Shootout decided', gameEnded: true, shootout: result };
+    }
+    
+    return { success: true, reason: 'Penalty recorded', gameEnded: false, shootout: result };
+  }
 
   /**
    * Scoring and Goal Management
@@ -352,9 +599,12 @@ class GameRoom {
   
   /**
    * Add a goal to the game
-   * @param {string} scoringPlayerId - ID of player who scored
+   * @param {string} scoringPlayerId - ID of player who scored (the last to touch the ball)
    * @param {object} goalData - Additional goal information
-   * @returns {object} { success: boolean, reason: string, gameEnded: boolean }
+   * @param {string} [goalData.side] - Side credited with the goal ('left' or 'right'); defaults
+   *   to the scorer's position, and differs from it for an own goal
+   * @param {string} [goalData.assistId] - ID of the teammate who touched the ball before the scorer
+   * @returns {object} { success: boolean, reason: string, gameEnded: boolean, goal?: object }
    */
   addGoal(scoringPlayerId, goalData = {}) {
     try {
@@ -362,16 +612,25 @@ class GameRoom {
         return { success: false, reason: 'Game not in progress', gameEnded: false };
       }
       
+      if (this.phase === 'penalties') {
+        return { success: false, reason: 'Penalty shootout in progress', gameEnded: false };
+      }
+      
+      // Rooms that only relay a match (challenges) have no Player objects, so
+      // the side has to be given
       const scoringPlayer = this.players.get(scoringPlayerId);
-      if (!scoringPlayer) {
+      if (!scoringPlayer && !goalData.side) {
         return { success: false, reason: 'Invalid player', gameEnded: false };
       }
       
-      const position = scoringPlayer.position;
-      if (!position) {
+      const position = goalData.side || scoringPlayer.position;
+      if (position !== 'left' && position !== 'right') {
         return { success: false, reason: 'Player has no position', gameEnded: false };
       }
       
+      const ownGoal = !!scoringPlayer && !!scoringPlayer.position && scoringPlayer.position !== position;
+      const playerName = scoringPlayer ? scoringPlayer.username : (goalData.playerName || null);
+      
       // Update score
       this.score[position]++;
       
@@ -379,45 +638,51 @@ class GameRoom {
       const goal = {
         id: uuidv4(),
         playerId: scoringPlayerId,
-        playerName: scoringPlayer.username,
+        playerName,
         position: position,
+        assistId: null,
+        ownGoal,
         gameTime: this.currentGameTime,
         timestamp: new Date(),
         ...goalData
       };
+      delete goal.side;
       
       this.goals.push(goal);
       
-      // Update player stats
-      scoringPlayer.updateSessionStats({ goalsScored: 1 });
-      
-      const opponent = this.getOpponent(scoringPlayerId);
-      if (opponent) {
-        opponent.updateSessionStats({ goalsConceded: 1 });
+      // Update player stats - an own goal counts against the scorer
+      const concedingPlayer = this.getPlayerByPosition(position === 'left' ? 'right' : 'left');
+      if (scoringPlayer && !ownGoal) {
+        scoringPlayer.updateSessionStats({ goalsScored: 1 });
+      }
+      if (concedingPlayer) {
+        concedingPlayer.updateSessionStats({ goalsConceded: 1 });
       }
       
       // Log goal event
       this.addEvent('GOAL_SCORED', {
         goalId: goal.id,
         playerId: scoringPlayerId,
-        playerName: scoringPlayer.username,
+        playerName,
         position: position,
+        assistId: goal.assistId,
+        ownGoal: goal.ownGoal,
         newScore: { ...this.score },
         gameTime: this.currentGameTime
       });
       
-      console.log(`GOAL! ${scoringPlayer.username} scored in room ${this.id}. Score: ${this.score.left}-${this.score.right}`);
+      console.log(`GOAL! ${playerName || scoringPlayerId} scored${goal.ownGoal ? ' an own goal' : ''} in room ${this.id}. Score: ${this.score.left}-${this.score.right}`);
       
       // Check win condition
       const winCheck = this.checkWinCondition();
       if (winCheck.hasWinner) {
-        this.endGame('score_limit', winCheck.winner);
-        return { success: true, reason: 'Goal scored, game ended', gameEnded: true };
+        this.endGame(winCheck.reason, winCheck.winner);
+        return { success: true, reason: 'Goal scored, game ended', gameEnded: true, goal };
       }
       
       this.updateActivity();
       
-      return { success: true, reason: 'Goal scored successfully', gameEnded: false };
+      return { success: true, reason: 'Goal scored successfully', gameEnded: false, goal };
       
     } catch (error) {
       console.error(`Failed to add goal in room ${this.id}:`, error.message);
@@ -427,9 +692,38 @@ class GameRoom {
   
   /**
    * Check win condition
-   * @returns {object} { hasWinner: boolean, winner: string|null, reason: string }
+   * @returns {object} { hasWinner: boolean, winner: string|null, reason: string, tieBreaker?: string }
    */
   checkWinCondition() {
+    // Shootout kicks decide it, not the match score
+    if (this.phase === 'penalties') {
+      const shootout = TieBreakers.getShootoutResult(this.shootout);
+      if (shootout.decided) {
+        return {
+          hasWinner: true,
+          winner: this.playerPositions[shootout.winner],
+          reason: 'penalties'
+        };
+      }
+      return { hasWinner: false, winner: null, reason: 'ongoing' };
+    }
+    
+    // Golden goal: the first goal of overtime wins
+    if (this.phase === 'golden_goal') {
+      const leader = TieBreakers.getLeader(this.score);
+      if (leader) {
+        return {
+          hasWinner: true,
+          winner: this.playerPositions[leader],
+          reason: 'golden_goal'
+        };
+      }
+      if (this.currentGameTime - this.phaseStartTime >= this.overtimeLimit) {
+        return this.getTieResult();
+      }
+      return { hasWinner: false, winner: null, reason: 'ongoing' };
+    }
+    
     // Score limit win
     if (this.scoreLimit > 0) {
       if (this.score.left >= this.scoreLimit) {
@@ -463,17 +757,26 @@ class GameRoom {
           reason: 'time_limit' 
         };
       } else {
-        return { 
-          hasWinner: true, 
-          winner: null, 
-          reason: 'draw' 
-        };
+        return this.getTieResult();
       }
     }
     
     return { hasWinner: false, winner: null, reason: 'ongoing' };
   }
   
+  /**
+   * Result for a match still level when its current phase runs out:
+   * the next tie-breaker if one is configured, otherwise a draw
+   * @returns {object} Same shape as checkWinCondition
+   */
+  getTieResult() {
+    const tieBreaker = TieBreakers.nextPhase(this.tieBreakers, this.phase);
+    if (tieBreaker) {
+      return { hasWinner: false, winner: null, reason: 'tie_breaker', tieBreaker };
+    }
+    return { hasWinner: true, winner: null, reason: 'draw' };
+  }
+  
   /**
    * End the game
    * @param {string} reason - Reason for game end
@@ -488,6 +791,7 @@ class GameRoom {
     this.gameEndTime = new Date();
     this.winner = winnerId;
     this.winReason = reason;
+    this.decidedBy = this.phase;
     
     // Update player stats
     for (const player of this.players.values()) {
@@ -510,6 +814,8 @@ class GameRoom {
       reason: reason,
       winner: winnerId,
       finalScore: { ...this.score },
+      decidedBy: this.decidedBy,
+      shootoutScore: this.shootout ? TieBreakers.getShootoutScore(this.shootout) : null,
       gameDuration: this.getGameDuration(),
       totalGoals: this.goals.length
     });
@@ -587,6 +893,12 @@ class GameRoom {
       scoreLimit: this.scoreLimit,
       winner: this.winner,
       winReason: this.winReason,
+      tieBreakers: this.tieBreakers,
+      rules: this.rules,
+      seed: this.seed,
+      phase: this.phase,
+      decidedBy: this.decidedBy,
+      shootoutScore: this.shootout ? TieBreakers.getShootoutScore(this.shootout) : null,
       createdAt: this.createdAt,
       gameStartTime: this.gameStartTime,
       gameEndTime: this.gameEndTime,
@@ -612,6 +924,9 @@ class GameRoom {
       currentGameTime: this.currentGameTime,
       timeLimit: this.timeLimit,
       scoreLimit: this.scoreLimit,
+      rules: this.rules,
+      phase: this.phase,
+      shootoutScore: this.shootout ? TieBreakers.getShootoutScore(this.shootout) : null,
       isPaused: this.isPaused
     };
   }
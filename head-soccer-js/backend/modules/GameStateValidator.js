@@ -3,14 +3,23 @@
  * Validates player inputs, game state consistency, and prevents cheating
  */
 
+const PhysicsCore = require('../shared/physics-core');
+const PHYSICS_CONSTANTS = require('../shared/physics-constants');
+
+// Contacts a movement can report (PhysicsCore.collidePlayers result types)
+const PLAYER_CONTACT_TYPES = ['push', 'head_landing'];
+
 class GameStateValidator {
   constructor(options = {}) {
     // Validation thresholds
     this.maxPlayerSpeed = options.maxPlayerSpeed || 500;           // pixels per second
     this.maxBallSpeed = options.maxBallSpeed || 800;              // pixels per second
+    this.maxBallSpin = options.maxBallSpin || PHYSICS_CONSTANTS.BALL.SPIN_MAX; // spin units (+ = clockwise)
     this.maxGoalDistance = options.maxGoalDistance || 50;         // max distance from goal line
     this.maxInputRate = options.maxInputRate || 60;              // inputs per second
     this.maxTimeDrift = options.maxTimeDrift || 1000;            // milliseconds
+    this.maxContactGap = options.maxContactGap || 10;            // px between players still counted as touching
+    this.maxContactDisplacement = options.maxContactDisplacement || PHYSICS_CONSTANTS.PLAYER.WIDTH; // extra px a push or head landing may move a player
     
     // Game boundaries
     this.fieldBounds = {
@@ -19,15 +28,20 @@ class GameStateValidator {
       margin: options.fieldMargin || 20
     };
     
-    // Goal positions
+    // Goal geometry - same PhysicsCore field the simulation uses (options.field
+    // takes field options, e.g. MatchRules.toFieldOptions(rules) for a stadium)
+    this.field = PhysicsCore.createField(options.field);
     this.goals = {
-      left: { x: 0, y: 200, width: 20, height: 120 },
-      right: { x: 780, y: 200, width: 20, height: 120 }
+      left: this.field.leftGoal,
+      right: this.field.rightGoal
     };
     
     // Player input tracking for rate limiting
     this.playerInputs = new Map();  // playerId -> input history
     
+    // Clock offsets from ClockSync (client clock minus server clock)
+    this.clockOffsets = new Map();  // playerId -> offset in ms
+    
     // Game state history for consistency checks
     this.stateHistory = [];
     this.maxHistorySize = 100;
@@ -40,7 +54,8 @@ class GameStateValidator {
   /**
    * Validate player movement input
    * @param {string} playerId - Player ID
-   * @param {object} movement - Movement data
+   * @param {object} movement - Movement data; movement.contact ({ type, opponentPosition,
+   *   headScale, opponentHeadScale }) reports a push or head landing (PhysicsCore.collidePlayers)
    * @param {object} previousState - Previous player state
    * @returns {object} { valid: boolean, reason: string, correctedPosition: object }
    */
@@ -73,12 +88,24 @@ class GameStateValidator {
         };
       }
       
+      // Pushes and head landings move a player further than they can run,
+      // as long as the opponent really was right there
+      const contactCheck = this.validatePlayerContact(movement);
+      if (!contactCheck.valid) {
+        return {
+          valid: false,
+          reason: contactCheck.reason,
+          correctedPosition: previousState?.position || movement.position
+        };
+      }
+      
       // Check movement speed
       if (previousState && previousState.position) {
         const speedCheck = this.validateMovementSpeed(
           previousState.position, 
           movement.position, 
-          movement.timestamp - previousState.timestamp
+          movement.timestamp - previousState.timestamp,
+          contactCheck.allowance
         );
         if (!speedCheck.valid) {
           return {
@@ -90,7 +117,7 @@ class GameStateValidator {
       }
       
       // Check timestamp validity
-      const timeCheck = this.validateTimestamp(movement.timestamp, now);
+      const timeCheck = this.validateTimestamp(movement.timestamp, now, this.clockOffsets.get(playerId));
       if (!timeCheck.valid) {
         return {
           valid: false,
@@ -184,6 +211,27 @@ class GameStateValidator {
         }
       }
       
+      // Validate spin (optional - missing spin means none)
+      if (ballState.spin !== undefined) {
+        if (typeof ballState.spin !== 'number' || !Number.isFinite(ballState.spin)) {
+          return {
+            valid: false,
+            reason: 'Invalid ball spin',
+            correctedState: { ...ballState, spin: 0 }
+          };
+        }
+        if (Math.abs(ballState.spin) > this.maxBallSpin) {
+          return {
+            valid: false,
+            reason: 'Ball spin exceeds maximum',
+            correctedState: {
+              ...ballState,
+              spin: Math.sign(ballState.spin) * this.maxBallSpin
+            }
+          };
+        }
+      }
+      
       return {
         valid: true,
         reason: 'Ball physics validated',
@@ -206,14 +254,18 @@ class GameStateValidator {
 
   /**
    * Validate goal scoring
+   * Ball positions are PhysicsCore ball boxes (top-left x/y); goalData.field is
+   * the match's PhysicsCore field, defaulting to this.field
    * @param {object} goalData - Goal attempt data
    * @param {object} gameState - Current game state
    * @returns {object} { valid: boolean, reason: string, goalInfo: object }
    */
   validateGoal(goalData, gameState) {
     try {
+      const field = goalData.field || this.field;
+      
       // Check if ball crossed goal line
-      const goalLineCheck = this.validateGoalLine(goalData.ballPosition, goalData.previousBallPosition);
+      const goalLineCheck = this.validateGoalLine(goalData.ballPosition, goalData.previousBallPosition, field);
       if (!goalLineCheck.valid) {
         return {
           valid: false,
@@ -222,8 +274,8 @@ class GameStateValidator {
         };
       }
       
-      // Check goal bounds (ball must be within goal posts)
-      const goalBoundsCheck = this.validateGoalBounds(goalData.ballPosition, goalLineCheck.side);
+      // Check goal bounds (ball must be under the crossbar)
+      const goalBoundsCheck = this.validateGoalBounds(goalData.ballPosition, goalLineCheck.side, field);
       if (!goalBoundsCheck.valid) {
         return {
           valid: false,
@@ -451,15 +503,66 @@ class GameStateValidator {
     return { valid: true, reason: 'position within bounds' };
   }
 
-  validateMovementSpeed(previousPos, currentPos, timeDelta) {
+  /**
+   * Check a reported player contact against PhysicsCore player bodies
+   * @param {object} movement - Movement data with optional contact
+   * @returns {object} { valid, reason, allowance } - allowance is the extra
+   *   distance the movement speed check accepts
+   */
+  validatePlayerContact(movement) {
+    const contact = movement.contact;
+    if (!contact) {
+      return { valid: true, reason: 'no player contact', allowance: 0 };
+    }
+    
+    if (!PLAYER_CONTACT_TYPES.includes(contact.type)) {
+      return { valid: false, reason: `unknown player contact ${contact.type}`, allowance: 0 };
+    }
+    
+    const opponentPosition = contact.opponentPosition;
+    if (!opponentPosition || typeof opponentPosition.x !== 'number' || typeof opponentPosition.y !== 'number') {
+      return { valid: false, reason: 'player contact without opponent position', allowance: 0 };
+    }
+    
+    const player = this.createPlayerBody(movement.position, contact.headScale);
+    const opponent = this.createPlayerBody(opponentPosition, contact.opponentHeadScale);
+    const gap = this.maxContactGap;
+    const reach = {
+      x: player.x - gap,
+      y: player.y - gap,
+      width: player.width + gap * 2,
+      height: player.height + gap * 2
+    };
+    const touching = contact.type === 'head_landing'
+      ? PHYSICS_CONSTANTS.UTILS.isCollide(reach, PhysicsCore.getHeadRect(opponent))
+      : PHYSICS_CONSTANTS.UTILS.isCollide(reach, opponent);
+    
+    if (!touching) {
+      return { valid: false, reason: `${contact.type} reported away from the opponent`, allowance: 0 };
+    }
+    
+    return { valid: true, reason: 'player contact valid', allowance: this.maxContactDisplacement };
+  }
+
+  // PhysicsCore player body at a reported position
+  createPlayerBody(position, headScale) {
+    const body = PhysicsCore.createPlayer(this.field, 'left');
+    body.x = position.x;
+    body.y = position.y;
+    PhysicsCore.setHeadScale(body, headScale);
+    return body;
+  }
+
+  validateMovementSpeed(previousPos, currentPos, timeDelta, allowance = 0) {
     if (timeDelta <= 0) {
       return { valid: false, reason: 'invalid time delta' };
     }
     
-    const distance = Math.sqrt(
+    // allowance - extra distance from a validated player contact
+    const distance = Math.max(0, Math.sqrt(
       (currentPos.x - previousPos.x) ** 2 + 
       (currentPos.y - previousPos.y) ** 2
-    );
+    ) - allowance);
     
     const speed = distance / (timeDelta / 1000); // pixels per second
     
@@ -495,8 +598,9 @@ class GameStateValidator {
     return { valid: true, reason: 'ball speed valid' };
   }
 
-  validateTimestamp(timestamp, currentTime) {
-    const timeDrift = Math.abs(timestamp - currentTime);
+  validateTimestamp(timestamp, currentTime, clockOffset = 0) {
+    // Client timestamps are on the client's clock, compare them on the server's
+    const timeDrift = Math.abs(timestamp - clockOffset - currentTime);
     
     if (timeDrift > this.maxTimeDrift) {
       return { 
@@ -577,30 +681,50 @@ class GameStateValidator {
    * Helper Methods - Goal Validation
    */
 
-  validateGoalLine(ballPos, previousBallPos) {
-    if (!previousBallPos || !previousBallPos.x || !ballPos || !ballPos.x) {
+  /**
+   * Ball box for a reported position (PhysicsCore ball size)
+   */
+  getBallBox(position) {
+    const size = PHYSICS_CONSTANTS.BALL.RADIUS * 2;
+    return { x: position.x, y: position.y, width: size, height: size };
+  }
+
+  /**
+   * Did the ball's leading edge cross a goal line (the goal mouth) this update
+   * @param {object} ballPos - Ball position now
+   * @param {object} previousBallPos - Ball position on the previous update
+   * @param {object} [field] - PhysicsCore field (this.field)
+   */
+  validateGoalLine(ballPos, previousBallPos, field = this.field) {
+    if (!previousBallPos || !Number.isFinite(previousBallPos.x) || !ballPos || !Number.isFinite(ballPos.x)) {
       return { valid: false, reason: 'invalid ball position data' };
     }
     
+    const ball = this.getBallBox(ballPos);
+    const previous = this.getBallBox(previousBallPos);
+    const leftLine = field.leftGoal.x + field.leftGoal.width;
+    const rightLine = field.rightGoal.x;
+    
     // Check left goal
-    if ((previousBallPos.x > this.goals.left.x + this.goals.left.width && 
-         ballPos.x <= this.goals.left.x + this.goals.left.width)) {
+    if (previous.x >= leftLine && ball.x < leftLine) {
       return { valid: true, side: 'left' };
     }
     
     // Check right goal
-    if ((previousBallPos.x < this.goals.right.x && 
-         ballPos.x >= this.goals.right.x)) {
+    if (previous.x + previous.width <= rightLine && ball.x + ball.width > rightLine) {
       return { valid: true, side: 'right' };
     }
     
     return { valid: false, reason: 'ball did not cross goal line' };
   }
 
-  validateGoalBounds(ballPos, side) {
-    const goal = this.goals[side];
+  /**
+   * Is the ball inside the goal mouth, under the crossbar (PhysicsCore.isBallInGoal)
+   */
+  validateGoalBounds(ballPos, side, field = this.field) {
+    const goal = side === 'left' ? field.leftGoal : field.rightGoal;
     
-    if (ballPos.y < goal.y || ballPos.y > goal.y + goal.height) {
+    if (!PhysicsCore.isBallInGoal(this.getBallBox(ballPos), goal)) {
       return { valid: false, reason: 'ball outside goal post bounds' };
     }
     
@@ -608,15 +732,25 @@ class GameStateValidator {
   }
 
   validateScoringPlayer(playerId, goalSide, gameState) {
-    if (!gameState.players || !gameState.players[playerId]) {
+    if (!this.findPlayer(gameState, playerId)) {
       return { valid: false, reason: 'invalid scoring player' };
     }
     
     return { valid: true, reason: 'scoring player validated' };
   }
 
+  // Game state players may be keyed by ID or be a list of { id, position }
+  findPlayer(gameState, playerId) {
+    const players = gameState && gameState.players;
+    if (!players) return null;
+    if (Array.isArray(players)) {
+      return players.find(player => player.id === playerId) || null;
+    }
+    return players[playerId] || null;
+  }
+
   checkOwnGoal(playerId, goalSide, gameState) {
-    const player = gameState.players[playerId];
+    const player = this.findPlayer(gameState, playerId);
     if (!player) {
       return { isOwnGoal: false, actualScorer: playerId };
     }
@@ -731,8 +865,18 @@ class GameStateValidator {
    * Utility Methods
    */
 
+  setClockOffset(playerId, offset) {
+    this.clockOffsets.set(playerId, offset);
+  }
+
+  clearPlayer(playerId) {
+    this.playerInputs.delete(playerId);
+    this.clockOffsets.delete(playerId);
+  }
+
   reset() {
     this.playerInputs.clear();
+    this.clockOffsets.clear();
     this.stateHistory = [];
   }
 
@@ -6,6 +6,8 @@
 const { v4: uuidv4 } = require('uuid');
 const GameRoom = require('./GameRoom');
 const Player = require('./Player');
+const MatchRules = require('../shared/match-rules');
+const Stadiums = require('../shared/stadiums');
 
 class Matchmaker {
   constructor(options = {}) {
@@ -359,8 +361,7 @@ class Matchmaker {
       const roomId = `room_${uuidv4()}`;
       const room = new GameRoom(roomId, {
         gameMode: player1.gameMode,
-        timeLimit: this.getTimeLimitForMode(player1.gameMode),
-        scoreLimit: this.getScoreLimitForMode(player1.gameMode),
+        rules: this.getRulesForMode(player1.gameMode),
         metadata: {
           matchmaker: true,
           averageElo: Math.round((player1.eloRating + player2.eloRating) / 2),
@@ -589,32 +590,35 @@ class Matchmaker {
     return 1.0;  // Normal wait
   }
 
+  /**
+   * Get match rules for game mode (see shared/match-rules.js)
+   * Ranked matches rotate through the ranked stadiums (see shared/stadiums.js)
+   * @param {string} gameMode - Game mode
+   * @returns {object} Rules object for a new room
+   */
+  getRulesForMode(gameMode) {
+    const overrides = gameMode === 'ranked'
+      ? { stadium: Stadiums.forRotation(this.stats.totalMatches) }
+      : {};
+    return MatchRules.forMode(gameMode, overrides);
+  }
+
   /**
    * Get time limit for game mode
    * @param {string} gameMode - Game mode
    * @returns {number} Time limit in seconds
    */
   getTimeLimitForMode(gameMode) {
-    const timeLimits = {
-      'casual': 300,      // 5 minutes
-      'ranked': 600,      // 10 minutes
-      'tournament': 900   // 15 minutes
-    };
-    return timeLimits[gameMode] || 300;
+    return this.getRulesForMode(gameMode).timeLimit;
   }
 
   /**
    * Get score limit for game mode
    * @param {string} gameMode - Game mode
-   * @returns {number} Score limit
+   * @returns {number} Score limit (0 = no score limit, time only)
    */
   getScoreLimitForMode(gameMode) {
-    const scoreLimits = {
-      'casual': 3,        // First to 3
-      'ranked': 5,        // First to 5
-      'tournament': 0     // No score limit, time only
-    };
-    return scoreLimits.hasOwnProperty(gameMode) ? scoreLimits[gameMode] : 3;
+    return this.getRulesForMode(gameMode).scoreLimit;
   }
 
   /**
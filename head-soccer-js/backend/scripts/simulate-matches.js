@@ -0,0 +1,136 @@
+/**
+ * Run headless AI-vs-AI matches and print a balance report
+ *
+ * Usage: node scripts/simulate-matches.js [options]
+ *   --matches 2000             Number of matches (default 1000)
+ *   --seed 42                  Base seed, same seed = same report
+ *   --difficulty legend        AI profile for both bots (rookie, pro, legend)
+ *   --left pro --right rookie  AI profile per side
+ *   --time 120                 Seconds per match (default: single-player match rules)
+ *   --score 5                  Goals to win, 0 = time only (default: single-player match rules)
+ *   --physics heavy            Ball physics preset (standard, floaty, heavy, bouncy)
+ *   --stadium skybridge        Stadium layout (classic, nebula, skybridge, asteroid)
+ *   --heads Nuwan,Dad          Only draw these heads
+ *   --cleats 1,8               Only draw these cleats
+ *   --power Dad.Duration=3     Override a head's power timing (repeatable)
+ *   --hitbox Mihir=1.2         Scale a head's hitbox width (repeatable)
+ *   --json                     Print the raw report as JSON
+ */
+
+const MatchSimulator = require('../simulation/matchSimulator');
+const MatchRules = require('../shared/match-rules');
+
+function parseArgs(argv) {
+  const args = { powerOverrides: {}, hitboxScale: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+
+    switch (flag) {
+      case '--matches': args.matches = parseInt(value, 10); i++; break;
+      case '--seed': args.seed = parseInt(value, 10); i++; break;
+      case '--difficulty': args.leftDifficulty = args.rightDifficulty = value; i++; break;
+      case '--left': args.leftDifficulty = value; i++; break;
+      case '--right': args.rightDifficulty = value; i++; break;
+      case '--time': args.timeLimit = parseFloat(value); i++; break;
+      case '--score': args.scoreLimit = parseInt(value, 10); i++; break;
+      case '--physics': args.rules = { ...args.rules, physics: value }; i++; break;
+      case '--stadium': args.rules = { ...args.rules, stadium: value }; i++; break;
+      case '--heads': args.heads = value.split(','); i++; break;
+      case '--cleats': args.cleats = value.split(',').map(Number); i++; break;
+      case '--power': {
+        // Head.Key=value, e.g. Nuwan.Wait=8
+        const [target, amount] = value.split('=');
+        const [head, key] = target.split('.');
+        args.powerOverrides[head] = { ...args.powerOverrides[head], [key]: parseFloat(amount) };
+        i++;
+        break;
+      }
+      case '--hitbox': {
+        const [head, scale] = value.split('=');
+        args.hitboxScale[head] = parseFloat(scale);
+        i++;
+        break;
+      }
+      case '--json': args.json = true; break;
+      default:
+        throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  return args;
+}
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+function printTable(title, records) {
+  console.log(`\n${title}`);
+  console.table(Object.fromEntries(
+    Object.entries(records)
+      .sort((a, b) => b[1].winRate - a[1].winRate)
+      .map(([key, r]) => [key, {
+        matches: r.matches,
+        'win %': percent(r.winRate),
+        'draw %': percent(r.draws / r.matches),
+        'goals for': r.avgGoalsFor.toFixed(2),
+        'goals against': r.avgGoalsAgainst.toFixed(2),
+        'powers/match': r.avgPowerUses.toFixed(1)
+      }])
+  ));
+}
+
+function printReport(report, elapsedMs) {
+  console.log('\n📊 Simulation Results');
+  console.log(`Matches:            ${report.matches} (${(elapsedMs / 1000).toFixed(1)}s)`);
+  console.log(`Average goals:      ${report.avgGoals.toFixed(2)}`);
+  console.log(`Average duration:   ${report.avgDurationSeconds.toFixed(1)}s`);
+  console.log(`Ended on score:     ${percent(report.scoreLimitRate)}`);
+  console.log(`Draws:              ${percent(report.drawRate)}`);
+  console.log(`Stuck ball:         ${report.stuck.incidents} incidents, ` +
+    `${percent(report.stuck.matchesAffectedRate)} of matches, ` +
+    `${report.stuck.avgSecondsPerMatch.toFixed(1)}s stuck per match`);
+  console.log(`Woodwork:           ${report.woodwork.crossbar} crossbar, ${report.woodwork.post} post ` +
+    `(${report.woodwork.avgPerMatch.toFixed(2)} per match)`);
+  console.log(`Kicks:              ${report.kicks.shot} shots, ${report.kicks.lob} lobs, ${report.kicks.volley} volleys`);
+  console.log(`Head contact:       ${report.contacts.headers} headers, ${report.contacts.headLandings} landings on a head`);
+
+  printTable('⚖️  By side', report.bySide);
+  printTable('🧑 By character', report.byHead);
+  printTable('👟 By character / cleat', report.byCombo);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const matches = args.matches || 1000;
+  const simulator = new MatchSimulator(args);
+  const startTime = Date.now();
+
+  if (!args.json) {
+    console.log(`🤖 Simulating ${matches} AI-vs-AI matches (seed ${simulator.options.seed})...`);
+    console.log(`   Rules: ${MatchRules.describe(simulator.rules)}`);
+  }
+
+  const report = simulator.runBatch(matches, (done, total) => {
+    if (!args.json && done % Math.max(1, Math.floor(total / 10)) === 0) {
+      console.log(`   ${done}/${total}`);
+    }
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, Date.now() - startTime);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('❌ Simulation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs };
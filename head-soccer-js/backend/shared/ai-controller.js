@@ -0,0 +1,388 @@
+/**
+ * AI Controller - The VS AI bot, shared by GameScene and the headless simulator
+ * Decisions are made from a "view" of the match seen from the left side;
+ * createView mirrors the field so the same bot can also play on the right.
+ *
+ * Browser: load before game-scene.js -> window.AIController
+ * Node:    const AIController = require('./ai-controller');
+ */
+
+(function (root, factory) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const AIController = factory();
+
+    if (isNode) {
+        module.exports = AIController;
+    } else {
+        root.AIController = AIController;
+    }
+})(typeof window !== 'undefined' ? window : this, function () {
+
+    const MOVEMENT_THRESHOLD = 10; // Minimum distance to target before moving
+
+    /**
+     * Create a bot with the default (Pro) behaviour
+     * @param {object} [profile] - Entry from CONFIG.AI_PROFILES
+     */
+    function createAI(profile) {
+        const ai = {
+            // Difficulty (profile values are filled in by applyProfile)
+            difficulty: 'pro',
+            profileName: 'Pro',
+
+            // Reaction parameters
+            reactionTime: 200, // ms delay for more realistic reactions
+            lastReactionTime: 0,
+
+            // Behavior parameters
+            aggressiveness: 0.7, // How likely to go for ball vs defensive play
+            kickTiming: 0.8, // How good at timing kicks (0-1)
+            predictionFrames: 10, // How many frames ahead the ball is read
+            attackRange: 150, // Ball distance that switches to attacking
+            jumpChance: 0.4, // Chance to jump for a high ball
+            jumpReach: 20, // Ball must be this far above the player to jump
+            powerChance: 0.6, // Chance to fire a ready power when it fits
+            targetJitter: 50, // Random positioning error
+
+            // Current AI decisions
+            targetX: 200,
+            shouldJump: false,
+            shouldKick: false,
+            shouldLob: false,
+            shouldBlock: false,
+            shouldUsePower: false,
+
+            // AI states
+            state: 'defending', // 'defending', 'attacking', 'chasing'
+            lastStateChange: 0,
+
+            // Performance tracking
+            ballDistance: Infinity,
+            lastBallX: 0,
+            ballVelocityPrediction: { x: 0, y: 0 }
+        };
+
+        if (profile) {
+            applyProfile(ai, profile);
+        }
+        return ai;
+    }
+
+    // Copy a profile from CONFIG.AI_PROFILES onto the live AI state
+    function applyProfile(ai, profile) {
+        ai.reactionTime = profile.REACTION_TIME;
+        ai.aggressiveness = profile.AGGRESSIVENESS;
+        ai.kickTiming = profile.KICK_TIMING;
+        ai.predictionFrames = profile.PREDICTION_FRAMES;
+        ai.attackRange = profile.ATTACK_RANGE;
+        ai.jumpChance = profile.JUMP_CHANCE;
+        ai.jumpReach = profile.JUMP_REACH;
+        ai.powerChance = profile.POWER_CHANCE;
+        ai.targetJitter = profile.TARGET_JITTER;
+        ai.profileName = profile.NAME;
+    }
+
+    /**
+     * Adaptive difficulty: winning by maxMargin eases off to Rookie,
+     * losing by it goes all out as Legend, Pro in between
+     * @param {object} profiles - CONFIG.AI_PROFILES
+     * @param {number} margin - AI goals minus opponent goals
+     * @param {number} maxMargin - CONFIG.AI_ADAPTIVE_MARGIN
+     */
+    function blendProfiles(profiles, margin, maxMargin) {
+        const blend = Math.max(-1, Math.min(1, -margin / maxMargin));
+        const target = blend < 0 ? profiles.rookie : profiles.legend;
+        const t = Math.abs(blend);
+        const mix = (key) => profiles.pro[key] + (target[key] - profiles.pro[key]) * t;
+
+        return {
+            NAME: `Adaptive (${t < 0.5 ? profiles.pro.NAME : target.NAME})`,
+            REACTION_TIME: mix('REACTION_TIME'),
+            AGGRESSIVENESS: mix('AGGRESSIVENESS'),
+            KICK_TIMING: mix('KICK_TIMING'),
+            PREDICTION_FRAMES: Math.round(mix('PREDICTION_FRAMES')),
+            ATTACK_RANGE: mix('ATTACK_RANGE'),
+            JUMP_CHANCE: mix('JUMP_CHANCE'),
+            JUMP_REACH: mix('JUMP_REACH'),
+            POWER_CHANCE: mix('POWER_CHANCE'),
+            TARGET_JITTER: mix('TARGET_JITTER')
+        };
+    }
+
+    // ===== VIEW =====
+
+    /**
+     * Snapshot of the match as the bot sees it (always attacking to the right)
+     * @param {object} options - { self, opponent, ball, width, height, side, power }
+     *   power is the bot's power state ({ name, charge, waitFrames }) or null
+     */
+    function createView(options) {
+        const { self, opponent, ball, width, height, side, power } = options;
+        const mirrored = side === 'right';
+        const flipX = (x, objectWidth) => (mirrored ? width - x - objectWidth : x);
+
+        return {
+            width,
+            height,
+            mirrored,
+            self: {
+                x: flipX(self.x, self.width),
+                y: self.y,
+                width: self.width,
+                height: self.height,
+                onGround: self.onGround
+            },
+            opponent: {
+                x: flipX(opponent.x, opponent.width),
+                y: opponent.y,
+                width: opponent.width,
+                height: opponent.height
+            },
+            ball: {
+                x: flipX(ball.x, ball.radius * 2),
+                y: ball.y,
+                radius: ball.radius,
+                velocity: { x: mirrored ? -ball.velocity.x : ball.velocity.x, y: ball.velocity.y }
+            },
+            power: power ? { name: power.name, ready: power.charge >= power.waitFrames } : null
+        };
+    }
+
+    /**
+     * Turn the bot's current decisions into controller input
+     * @returns {object} { moveLeft, moveRight, jump, kick, lob, block, power }
+     */
+    function getInput(ai, view) {
+        const playerCenterX = view.self.x + view.self.width / 2;
+        const towardsOwnGoal = ai.targetX < playerCenterX - MOVEMENT_THRESHOLD;
+        const towardsOpponentGoal = ai.targetX > playerCenterX + MOVEMENT_THRESHOLD;
+
+        return {
+            moveLeft: view.mirrored ? towardsOpponentGoal : towardsOwnGoal,
+            moveRight: view.mirrored ? towardsOwnGoal : towardsOpponentGoal,
+            jump: ai.shouldJump,
+            kick: ai.shouldKick,
+            lob: ai.shouldLob,
+            block: ai.shouldBlock,
+            power: ai.shouldUsePower
+        };
+    }
+
+    // ===== DECISIONS =====
+
+    /**
+     * Re-evaluate the bot once its reaction delay has passed
+     * @param {object} ai - Bot from createAI
+     * @param {object} view - View from createView
+     * @param {number} currentTime - ms clock (scene time or simulated time)
+     * @param {function} [random] - Random source in [0, 1) (Math.random by default)
+     */
+    function think(ai, view, currentTime, random = Math.random) {
+        // Update AI reaction timing
+        if (currentTime - ai.lastReactionTime < ai.reactionTime) {
+            return; // Still in reaction delay
+        }
+
+        const { ball, self } = view;
+
+        // Calculate ball distance and position
+        const ballCenterX = ball.x + ball.radius;
+        const ballCenterY = ball.y + ball.radius;
+        const playerCenterX = self.x + self.width / 2;
+        const playerCenterY = self.y + self.height / 2;
+
+        ai.ballDistance = Math.sqrt(
+            Math.pow(ballCenterX - playerCenterX, 2) +
+            Math.pow(ballCenterY - playerCenterY, 2)
+        );
+
+        // Predict ball movement
+        const ballNextX = ballCenterX + ball.velocity.x * ai.predictionFrames;
+        const ballNextY = ballCenterY + ball.velocity.y * ai.predictionFrames;
+
+        // Determine AI state based on ball position and game situation
+        updateState(ai, view, ballCenterX, ballCenterY);
+
+        // Make movement decisions based on state
+        makeDecisions(ai, view, ballCenterX, ballCenterY, ballNextX, ballNextY, playerCenterX, playerCenterY, random);
+
+        // Update reaction timing
+        ai.lastReactionTime = currentTime;
+    }
+
+    function updateState(ai, view, ballX, ballY) {
+        const centerX = view.width / 2;
+
+        // Determine if ball is on AI's side or moving toward AI
+        const ballOnAISide = ballX < centerX;
+        const ballMovingTowardAI = view.ball.velocity.x < 0;
+        const ballCloseToAI = ai.ballDistance < ai.attackRange;
+
+        // State machine for AI behavior
+        if (ballCloseToAI && (ballOnAISide || ballMovingTowardAI)) {
+            ai.state = 'attacking';
+        } else if (ballOnAISide && ballY > view.height * 0.6) {
+            ai.state = 'defending';
+        } else if (ballMovingTowardAI || (ballX < centerX + (ai.aggressiveness - 0.5) * 500)) {
+            ai.state = 'chasing';
+        } else {
+            ai.state = 'defending';
+        }
+    }
+
+    function makeDecisions(ai, view, ballX, ballY, ballNextX, ballNextY, playerX, playerY, random) {
+        // Reset decisions
+        ai.shouldJump = false;
+        ai.shouldKick = false;
+        ai.shouldLob = false;
+        ai.shouldBlock = false;
+
+        switch (ai.state) {
+            case 'attacking':
+                makeAttackingDecisions(ai, view, ballX, ballY, ballNextX, playerX, playerY, random);
+                break;
+            case 'defending':
+                makeDefendingDecisions(ai, view, ballX, ballY, ballNextX, playerX, random);
+                break;
+            case 'chasing':
+                makeChasingDecisions(ai, view, ballX, ballY, ballNextX, playerX, playerY, random);
+                break;
+        }
+
+        // Decide whether to fire the character power
+        ai.shouldUsePower = makePowerDecision(ai, view, ballX, ballY, playerX, random);
+
+        // Add some randomness to make AI less predictable
+        if (random() < 0.1) {
+            ai.targetX += (random() - 0.5) * ai.targetJitter;
+        }
+
+        // Constrain target to valid field area
+        ai.targetX = Math.max(50, Math.min(view.width / 2 - 50, ai.targetX));
+    }
+
+    function makeAttackingDecisions(ai, view, ballX, ballY, ballNextX, playerX, playerY, random) {
+        // Aggressive behavior - go for the ball and try to score
+        if (ai.ballDistance < 80) {
+            // Close to ball - try to kick toward goal
+            ai.targetX = ballX;
+
+            // Check if should kick - chip it over an opponent standing right in front
+            if (ai.ballDistance < 60 && random() < ai.kickTiming) {
+                const opponentAhead = view.opponent.x - playerX;
+                ai.shouldKick = true;
+                ai.shouldLob = opponentAhead > 0 && opponentAhead < 200;
+            }
+
+            // Jump if ball is above player
+            if (ballY < playerY - ai.jumpReach && view.self.onGround) {
+                ai.shouldJump = true;
+            }
+        } else {
+            // Move toward predicted ball position
+            ai.targetX = ballNextX;
+        }
+
+        // If ball is high and coming down, position underneath
+        if (view.ball.velocity.y > 5 && ballY < view.height * 0.7) {
+            ai.targetX = ballNextX;
+            if (Math.abs(playerX - ballNextX) < 30 && view.self.onGround) {
+                ai.shouldJump = true;
+            }
+        }
+    }
+
+    function makeDefendingDecisions(ai, view, ballX, ballY, ballNextX, playerX, random) {
+        // Defensive behavior - stay near goal and intercept
+        const goalX = 80; // Left goal position
+        const defensiveX = goalX + 100; // Position in front of goal
+
+        // Read where an incoming ball will be (prediction depth depends on difficulty)
+        const readX = view.ball.velocity.x < 0 ? Math.min(ballX, ballNextX) : ballX;
+
+        // Stay between ball and goal
+        if (readX > playerX) {
+            ai.targetX = Math.min(defensiveX, readX - 50);
+        } else {
+            ai.targetX = defensiveX;
+        }
+
+        // Jump if ball is coming toward goal area and is high
+        if (readX < view.width * 0.3 && ballY < view.height * 0.6 && view.self.onGround) {
+            ai.shouldJump = random() < ai.jumpChance * 0.75;
+        }
+
+        // Kick if ball is very close to goal
+        if (ai.ballDistance < 70 && ballX < view.width * 0.25) {
+            ai.shouldKick = random() < ai.kickTiming;
+        }
+
+        // Brace against an opponent bringing the ball in, rather than being shoved aside
+        const opponentGap = view.opponent.x - (view.self.x + view.self.width);
+        if (!ai.shouldKick && !ai.shouldJump && opponentGap >= 0 && opponentGap < 30 && ballX > playerX) {
+            ai.shouldBlock = random() < ai.kickTiming;
+        }
+    }
+
+    function makeChasingDecisions(ai, view, ballX, ballY, ballNextX, playerX, playerY, random) {
+        // Chasing behavior - move toward ball with moderate aggression
+        const velocity = view.ball.velocity;
+
+        // Predict where ball will be and move there
+        if (Math.abs(velocity.x) > 2) {
+            ai.targetX = ballNextX;
+        } else {
+            ai.targetX = ballX;
+        }
+
+        // Jump if ball is above and player is close
+        if (ai.ballDistance < 100 && ballY < playerY - ai.jumpReach * 0.75 && view.self.onGround) {
+            ai.shouldJump = random() < ai.jumpChance;
+        }
+
+        // Kick if close enough and ball is moving away or stationary
+        if (ai.ballDistance < 70) {
+            const ballMovingAway = (ballX > playerX && velocity.x > 0) ||
+                                 (ballX < playerX && velocity.x < 0);
+            if (!ballMovingAway || Math.abs(velocity.x) < 3) {
+                ai.shouldKick = random() < ai.kickTiming * 0.75;
+            }
+        }
+    }
+
+    function makePowerDecision(ai, view, ballX, ballY, playerX, random) {
+        if (!view.power || !view.power.ready) return false;
+
+        // Weaker profiles often miss the moment
+        if (random() >= ai.powerChance) return false;
+
+        switch (view.power.name) {
+            case 'Dash':
+                // Burst forward when attacking a ball that's ahead of us
+                return ai.state === 'attacking' && ballX > playerX && ai.ballDistance < 250;
+            case 'Back':
+                // Recover to goal when the ball is heading past us toward our goal
+                return ballX < view.width * 0.3 && view.ball.velocity.x < 0 && playerX > ballX + 100;
+            case 'Freeze Player': {
+                // Freeze the opponent when they're about to play the ball
+                const opponentX = view.opponent.x + view.opponent.width / 2;
+                const opponentY = view.opponent.y + view.opponent.height / 2;
+                const opponentDistance = Math.sqrt(
+                    Math.pow(ballX - opponentX, 2) + Math.pow(ballY - opponentY, 2)
+                );
+                return opponentDistance < 120 && ballX < view.width * 0.6;
+            }
+            default:
+                return false;
+        }
+    }
+
+    return Object.freeze({
+        createAI,
+        applyProfile,
+        blendProfiles,
+        createView,
+        getInput,
+        think
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * Ball Authority - Which client simulates the ball in a multiplayer match
+ * One side owns the ball at a time: its client steps the ball and sends it, the
+ * other client follows. Ownership moves on contact (or to the nearer player for
+ * a loose ball) under a sequence number, so the server can tell a claim made on
+ * the current owner from a late one and settle two claims for the same ball.
+ * Shared by GameScene and the server (GameplayEvents) so both apply the same
+ * rules. Sides are 'left' and 'right'.
+ *
+ * Browser: load before game-scene.js -> window.BallAuthority
+ * Node:    const BallAuthority = require('./ball-authority');
+ */
+
+(function (root, factory) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const BallAuthority = factory();
+
+    if (isNode) {
+        module.exports = BallAuthority;
+    } else {
+        root.BallAuthority = BallAuthority;
+    }
+})(typeof window !== 'undefined' ? window : this, function () {
+
+    const DEFAULTS = {
+        handoffMargin: 60,      // px nearer the other player must be to take a loose ball
+        touchHold: 400,         // ms the last player to touch the ball keeps it regardless
+        staleAfter: 750,        // ms without ball updates before the owner is failed over
+        maxOwnerLatency: 250    // ms round trip above which the owner gives the ball up
+    };
+
+    // Reasons a client can claim the ball for (the server also hands it over
+    // for 'kickoff' and 'failover')
+    const CLAIMS = ['contact', 'proximity'];
+
+    function otherSide(side) {
+        return side === 'left' ? 'right' : 'left';
+    }
+
+    /**
+     * Authority at the start of a match - the kicking-off side owns the ball
+     * @param {string} [owner] - 'left' or 'right'
+     * @param {number} [now] - Time in ms
+     */
+    function create(owner = 'left', now = 0) {
+        return {
+            owner,
+            sequence: 0,       // Bumped on every change of owner
+            reason: 'kickoff',
+            since: now,
+            lastUpdate: now,   // Last ball update from the owner
+            lastTouch: null    // { side, at } - last contact reported
+        };
+    }
+
+    // Move the ball to a side under the next sequence number
+    function transfer(state, side, reason, now) {
+        state.owner = side;
+        state.sequence++;
+        state.reason = reason;
+        state.since = now;
+        state.lastUpdate = now;
+        if (reason === 'contact') {
+            state.lastTouch = { side, at: now };
+        }
+        return state;
+    }
+
+    /**
+     * Settle a claim for the ball. Claims name the sequence they were made on,
+     * so of two claims for the same ball the first to arrive wins and the other
+     * is stale. Contact beats proximity for touchHold after the touch.
+     * @param {object} state - Authority from create
+     * @param {string} side - Side claiming
+     * @param {number} sequence - Sequence the claimant saw
+     * @param {string} reason - 'contact' or 'proximity'
+     * @param {number} now - Time in ms
+     * @returns {{accepted: boolean, changed: boolean, reason: string}}
+     */
+    function claim(state, side, sequence, reason, now) {
+        if (side !== 'left' && side !== 'right') {
+            return { accepted: false, changed: false, reason: 'unknown side' };
+        }
+        if (!CLAIMS.includes(reason)) {
+            return { accepted: false, changed: false, reason: 'unknown reason' };
+        }
+
+        // The owner touching its own ball only renews the hold
+        if (side === state.owner) {
+            if (reason === 'contact') {
+                state.lastTouch = { side, at: now };
+            }
+            return { accepted: true, changed: false, reason: 'already owner' };
+        }
+
+        if (sequence !== state.sequence) {
+            return { accepted: false, changed: false, reason: 'stale sequence' };
+        }
+
+        const held = state.lastTouch && state.lastTouch.side === state.owner &&
+            now - state.lastTouch.at < DEFAULTS.touchHold;
+        if (reason === 'proximity' && held) {
+            return { accepted: false, changed: false, reason: 'owner touched it' };
+        }
+
+        transfer(state, side, reason, now);
+        return { accepted: true, changed: true, reason };
+    }
+
+    /**
+     * Is a ball update from the current owner, sent on the current sequence
+     * (records it for failover)
+     */
+    function acceptUpdate(state, side, sequence, now) {
+        if (side !== state.owner || sequence !== state.sequence) return false;
+        state.lastUpdate = now;
+        return true;
+    }
+
+    /**
+     * Side that should claim a loose ball by proximity, or null. The ball goes to
+     * the other player only when they are clearly nearer (handoffMargin) and the
+     * owner hasn't just touched it.
+     * @param {object} state - Authority from create
+     * @param {object} ball - Ball body { x, y, radius }
+     * @param {object} players - { left, right } player bodies { x, y, width, height }
+     * @param {number} now - Time in ms
+     */
+    function getProximityClaim(state, ball, players, now) {
+        if (!ball || !players.left || !players.right) return null;
+        if (state.lastTouch && now - state.lastTouch.at < DEFAULTS.touchHold) return null;
+
+        const challenger = otherSide(state.owner);
+        const ownerDistance = getDistance(ball, players[state.owner]);
+        const challengerDistance = getDistance(ball, players[challenger]);
+
+        return challengerDistance + DEFAULTS.handoffMargin < ownerDistance ? challenger : null;
+    }
+
+    // Ball centre to player centre
+    function getDistance(ball, player) {
+        const radius = ball.radius || 0;
+        const dx = ball.x + radius - (player.x + (player.width || 0) / 2);
+        const dy = ball.y + radius - (player.y + (player.height || 0) / 2);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Why the owner should lose the ball to the other side, or null: no update
+     * for staleAfter, or a round trip above maxOwnerLatency
+     * @param {number} [ownerLatency] - Owner's round trip in ms
+     * @param {number} [otherLatency] - Other side's round trip in ms
+     */
+    function getFailoverReason(state, now, ownerLatency = 0, otherLatency = 0) {
+        if (now - state.lastUpdate > DEFAULTS.staleAfter) return 'stale';
+        if (ownerLatency > DEFAULTS.maxOwnerLatency && otherLatency < ownerLatency) return 'lag';
+        return null;
+    }
+
+    function failover(state, now) {
+        return transfer(state, otherSide(state.owner), 'failover', now);
+    }
+
+    // Kickoff - the ball starts with a side and nobody has touched it
+    function reset(state, side, now) {
+        transfer(state, side, 'kickoff', now);
+        state.lastTouch = null;
+        return state;
+    }
+
+    return Object.freeze({
+        DEFAULTS,
+        CLAIMS,
+        otherSide,
+        create,
+        claim,
+        acceptUpdate,
+        getProximityClaim,
+        getDistance,
+        getFailoverReason,
+        failover,
+        reset
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Match Rules - One rules object per match: score and time limits, tie-breakers,
+ * ball physics, powers and stadium. Chosen when a game is created (per game mode, with
+ * optional overrides), owned by GameRoom on the server and sent to clients on
+ * gameplay_joined, so both sides play the same match. Single-player games use
+ * the 'single' mode.
+ *
+ * Browser: load after physics-constants.js, tie-breakers.js and stadiums.js -> window.MatchRules
+ * Node:    const MatchRules = require('./match-rules');
+ */
+
+(function (root, factory) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const constants = isNode ? require('./physics-constants') : root.PHYSICS_CONSTANTS;
+    const tieBreakers = isNode ? require('./tie-breakers') : root.TieBreakers;
+    const stadiums = isNode ? require('./stadiums') : root.Stadiums;
+    const MatchRules = factory(constants, tieBreakers, stadiums);
+
+    if (isNode) {
+        module.exports = MatchRules;
+    } else {
+        root.MatchRules = MatchRules;
+    }
+})(typeof window !== 'undefined' ? window : this, function (PHYSICS, TieBreakers, Stadiums) {
+
+    // Ball physics presets - gravity and bounce per tick, kick strength as a multiplier
+    const PHYSICS_PRESETS = {
+        standard: { ballGravity: PHYSICS.BALL.GRAVITY, ballBounce: PHYSICS.BALL.BOUNCE, kickStrength: 1 },
+        floaty: { ballGravity: 0.3, ballBounce: 0.95, kickStrength: 0.85 },
+        heavy: { ballGravity: 0.8, ballBounce: 0.7, kickStrength: 1.2 },
+        bouncy: { ballGravity: 0.5, ballBounce: 1, kickStrength: 1 }
+    };
+
+    const PHYSICS_LABELS = {
+        standard: 'Standard',
+        floaty: 'Floaty',
+        heavy: 'Heavy Ball',
+        bouncy: 'Super Bouncy',
+        custom: 'Custom'
+    };
+
+    const DEFAULTS = Object.freeze({
+        scoreLimit: 5,   // First to X goals wins, 0 = time only
+        timeLimit: 300,  // Seconds of regulation time
+        tieBreakers: [], // See shared/tie-breakers.js
+        overtimeLimit: TieBreakers.DEFAULTS.overtimeSeconds,
+        penaltyRounds: TieBreakers.DEFAULTS.penaltyRounds,
+        physics: 'standard',
+        ...PHYSICS_PRESETS.standard,
+        powersEnabled: true,
+        stadium: Stadiums.DEFAULT_STADIUM // See shared/stadiums.js
+    });
+
+    // Per-mode rules on top of DEFAULTS; unknown modes play casual
+    const MODE_RULES = {
+        casual: { scoreLimit: 3, timeLimit: 300 },
+        ranked: { scoreLimit: 5, timeLimit: 600, tieBreakers: TieBreakers.forMode('ranked') },
+        tournament: { scoreLimit: 0, timeLimit: 900, tieBreakers: TieBreakers.forMode('tournament') },
+        single: { scoreLimit: 7, timeLimit: 120, tieBreakers: ['golden_goal', 'penalties'] }
+    };
+
+    // Allowed range for each numeric rule; values outside are clamped
+    const LIMITS = {
+        scoreLimit: { min: 0, max: 20, integer: true },
+        timeLimit: { min: 10, max: 1800, integer: true },
+        overtimeLimit: { min: 10, max: 600, integer: true },
+        penaltyRounds: { min: 1, max: 10, integer: true },
+        ballGravity: { min: 0.1, max: 1.5 },
+        ballBounce: { min: 0, max: 1 },
+        kickStrength: { min: 0.5, max: 2 }
+    };
+
+    function clamp(value, limit) {
+        const bounded = Math.max(limit.min, Math.min(limit.max, value));
+        return limit.integer ? Math.round(bounded) : bounded;
+    }
+
+    // Preset whose values match the rules, or 'custom'
+    function getPhysicsPreset(rules) {
+        const name = Object.keys(PHYSICS_PRESETS).find(key => {
+            const preset = PHYSICS_PRESETS[key];
+            return preset.ballGravity === rules.ballGravity &&
+                   preset.ballBounce === rules.ballBounce &&
+                   preset.kickStrength === rules.kickStrength;
+        });
+        return name || 'custom';
+    }
+
+    /**
+     * Build a complete, validated rules object. Undefined or invalid overrides
+     * keep the base value; a physics preset name sets all three ball values and
+     * explicit ballGravity / ballBounce / kickStrength are applied on top.
+     * @param {object} [overrides] - Any rule fields, e.g. { scoreLimit: 3, physics: 'heavy' }
+     * @param {object} [base] - Rules to start from (DEFAULTS)
+     * @returns {object} New rules object
+     */
+    function create(overrides = {}, base = DEFAULTS) {
+        const rules = { ...base, tieBreakers: TieBreakers.normalize(base.tieBreakers) };
+        overrides = overrides || {};
+
+        if (PHYSICS_PRESETS[overrides.physics]) {
+            Object.assign(rules, PHYSICS_PRESETS[overrides.physics]);
+        }
+
+        Object.keys(LIMITS).forEach(key => {
+            const value = Number(overrides[key]);
+            if (overrides[key] !== undefined && overrides[key] !== null && Number.isFinite(value)) {
+                rules[key] = clamp(value, LIMITS[key]);
+            }
+        });
+
+        if (Array.isArray(overrides.tieBreakers)) {
+            rules.tieBreakers = TieBreakers.normalize(overrides.tieBreakers);
+        }
+        if (typeof overrides.powersEnabled === 'boolean') {
+            rules.powersEnabled = overrides.powersEnabled;
+        }
+        if (Stadiums.has(overrides.stadium)) {
+            rules.stadium = overrides.stadium;
+        }
+
+        rules.physics = getPhysicsPreset(rules);
+        return rules;
+    }
+
+    /**
+     * Rules for a game mode ('casual', 'ranked', 'tournament', 'single')
+     * @param {string} gameMode - Game mode
+     * @param {object} [overrides] - Custom rules for this match
+     */
+    function forMode(gameMode, overrides = {}) {
+        const modeRules = MODE_RULES[gameMode] || MODE_RULES.casual;
+        return create(overrides, create(modeRules));
+    }
+
+    // Field options for PhysicsCore.createField / createWorld: stadium layout and ball physics
+    function toFieldOptions(rules) {
+        return {
+            ...Stadiums.toFieldOptions(Stadiums.get(rules.stadium)),
+            ballGravity: rules.ballGravity,
+            ballBounce: rules.ballBounce,
+            kickStrength: rules.kickStrength
+        };
+    }
+
+    // Short summary for menus and banners, e.g. "First to 3 · 5:00 · Heavy Ball · Sky Bridge"
+    function describe(rules) {
+        const minutes = Math.floor(rules.timeLimit / 60);
+        const seconds = (rules.timeLimit % 60).toString().padStart(2, '0');
+        const parts = [
+            rules.scoreLimit > 0 ? `First to ${rules.scoreLimit}` : 'No score limit',
+            `${minutes}:${seconds}`,
+            PHYSICS_LABELS[rules.physics] || PHYSICS_LABELS.custom,
+            Stadiums.get(rules.stadium).name
+        ];
+        if (!rules.powersEnabled) parts.push('No powers');
+        return parts.join(' · ');
+    }
+
+    return Object.freeze({
+        DEFAULTS,
+        MODE_RULES,
+        PHYSICS_PRESETS,
+        PHYSICS_LABELS,
+        LIMITS,
+        create,
+        forMode,
+        getPhysicsPreset,
+        toFieldOptions,
+        describe
+    });
+});
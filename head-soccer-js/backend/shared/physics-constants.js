@@ -0,0 +1,169 @@
+/**
+ * Physics constants replicating the JavaScript src/ implementation
+ * Exact values from Ball.js, Character.js, and Game.js
+ *
+ * Shared by the browser (<script> -> physicsRoot.PHYSICS_CONSTANTS) and the
+ * Node server (require), so it must not depend on DOM globals.
+ */
+
+const physicsRoot = typeof window !== 'undefined' ? window : {};
+
+physicsRoot.PHYSICS_CONSTANTS = {
+    // Core physics - JavaScript implementation
+    GRAVITY: 0.5, // From Ball.js and Character.js - frame-based gravity
+    FPS: 60, // Target FPS
+    
+    // Field dimensions
+    FIELD: {
+        WIDTH: 1600,
+        HEIGHT: 900,
+        BOTTOM_GAP: 20, // From JavaScript implementation
+        GOAL_WIDTH: 75,
+        GOAL_HEIGHT: 250,
+        PLAYER_START_X_RATIO: 0.25,
+        PLAYER_START_Y: 750,
+        BALL_START_X_RATIO: 0.5,
+        BALL_START_Y: 400
+    },
+    
+    // Ball physics - JavaScript implementation values
+    BALL: {
+        RADIUS: 25, // From Ball.js
+        GRAVITY: 0.5, // From Ball.js - frame-based gravity
+        BOUNCE: 0.95, // Very high bounce coefficient for dramatic bounces
+        FRICTION_AIR: 0, // No air resistance in original implementation
+        INITIAL_VEL_X: 0, // Start stationary
+        INITIAL_VEL_Y: 0,
+        
+        // Spin - positive is clockwise on screen (topspin for a ball moving right)
+        SPIN_MAX: 10, // Same range as the ball_update event schema
+        SPIN_FROM_CONTACT: 0.25, // Spin per unit of off-center impulse at a touch
+        SPIN_FROM_PLAYER: 0.3, // Spin per unit of player speed across the ball
+        SPIN_DECAY: 0.99, // Spin kept per tick
+        MAGNUS: 0.0015, // Curve per tick per unit of spin and speed, in flight only
+        SPIN_GRIP: 0.25, // Horizontal speed gained per unit of spin on a ground bounce
+        SPIN_BOUNCE_KEEP: 0.5, // Spin kept after a ground bounce
+        SPIN_ROTATION: 4 // Extra sprite rotation in degrees per tick per unit of spin
+    },
+    
+    // Player physics - JavaScript implementation values
+    PLAYER: {
+        WIDTH: 50, // Character width
+        HEIGHT: 80, // Character height
+        GRAVITY: 0.5, // From Character.js
+        MOVE_SPEED: 5, // From Character.js - horizontal movement (FIXED from 8)
+        JUMP_HEIGHT: 15, // From Character.js - jump velocity (FIXED from 16)
+        GROUND_THRESHOLD: 5, // Distance from ground to allow jumping
+        FRICTION: 0.85, // Ground friction
+        HEAD_SIZE: 80 // Head sprite and hitbox size before CONFIG.HEAD_SCALE
+    },
+    
+    // Kick physics - hold kick to charge, release to swing (see PhysicsCore.stepPlayer)
+    KICK: {
+        FORCE_MIN: 18, // Tapped kick
+        FORCE_MAX: 28, // Fully charged kick
+        COOLDOWN: 10, // Frames (reduced from 30 for better responsiveness)
+        CHARGE_TICKS: 45, // Holding kick this long gives full power
+        SWING_TICKS: 10, // A released kick stays live this long (same as the cleat swing)
+        ANGLE_MIN: 10, // Launch angle range in degrees above the ground
+        ANGLE_MAX: 80,
+        ANGLE_JITTER: 3, // Random launch error in degrees either way
+        SHOT_ANGLE: 50, // Tapped shot...
+        POWER_SHOT_ANGLE: 25, // ...flattening out as the charge grows
+        LOB_ANGLE: 70,
+        LOB_FORCE: 0.7, // Lobs trade pace for height
+        VOLLEY_ANGLE: 15,
+        VOLLEY_BONUS: 1.25, // Extra force for striking the ball in the air
+        VOLLEY_HEIGHT: 40, // Ball must be this far off the ground to volley
+        NETWORK_REACH: 40 // Kicks received over the network launch the ball only this close to the kicker
+    },
+    
+    // Character powers - frame-based tuning, with each head's power and timing
+    // (CONFIG.POWERS adds the bar colors)
+    POWERS: {
+        DASH_SPEED: 18, // Horizontal speed while dashing
+        DASH_FRAMES: 14, // How long the dash overrides movement
+        BACK_GOAL_OFFSET: 20, // Distance in front of own goal after "Back"
+        EFFECT_SIZE: 110, // Display size of power effect sprites
+        // Wait (recharge) and Duration in seconds, by the CONFIG.CHARACTER_HEADS name
+        // the server gets from character selection and join_gameplay
+        HEADS: {
+            'Nuwan': { Name: 'Dash', Wait: 10, Duration: false },
+            'Mihir': { Name: 'Back', Wait: 22, Duration: false },
+            'Dad': { Name: 'Freeze Player', Wait: 14, Duration: 5 }
+        }
+    },
+    
+    // Goal detection
+    GOAL: {
+        LEFT_X: 75, // goal_width
+        RIGHT_X: 1525, // width - goal_width
+        Y_THRESHOLD: 650, // height - goal_height
+        WOODWORK_MIN_SPEED: 2 // Slower crossbar/post contacts (ball resting on the bar) are not reported
+    },
+    
+    // Collision detection
+    COLLISION: {
+        BALL_CHARACTER_THRESHOLD: 5, // Minimum distance for collision
+        BOUNCE_MULTIPLIER: 1.1, // Velocity enhancement on bounce
+        HEADER_FORCE: 7, // Ball speed off the head
+        HEADER_MIN_SHARE: 0.7, // A header always goes at least this share of its speed up and forward
+        HEADER_JUMP_BONUS: 0.5 // Share of a jumping player's upward speed added to a header
+    }
+};
+
+// Utility functions for physics calculations
+physicsRoot.PHYSICS_CONSTANTS.UTILS = {
+    // No random helper here on purpose: gameplay randomness must come from the
+    // match's seeded generator (PhysicsCore.randomRange) so every client agrees
+    
+    // AABB collision detection (from JavaScript utility.js)
+    isCollide: (objectA, objectB) => {
+        return objectA.x + objectA.width >= objectB.x &&
+               objectA.x <= objectB.x + objectB.width &&
+               objectA.y + objectA.height >= objectB.y &&
+               objectA.y <= objectB.y + objectB.height;
+    },
+    
+    // Collision side detection
+    collidedSide: (target, obstacle) => {
+        const delta = {
+            x: target.x + target.width / 2 - (obstacle.x + obstacle.width / 2),
+            y: target.y + target.height / 2 - (obstacle.y + obstacle.height / 2)
+        };
+        
+        const minDistance = {
+            x: target.width / 2 + obstacle.width / 2,
+            y: target.height / 2 + obstacle.height / 2
+        };
+        
+        const depth = {
+            x: delta.x > 0 ? minDistance.x - delta.x : -minDistance.x - delta.x,
+            y: delta.y > 0 ? minDistance.y - delta.y : -minDistance.y - delta.y
+        };
+        
+        if (Math.abs(depth.x) < Math.abs(depth.y)) {
+            return delta.x > 0 ? "left" : "right";
+        } else {
+            return delta.y > 0 ? "top" : "bottom";
+        }
+    }
+};
+
+// Freeze constants to prevent modification
+Object.freeze(physicsRoot.PHYSICS_CONSTANTS.FIELD);
+Object.freeze(physicsRoot.PHYSICS_CONSTANTS.BALL);
+Object.freeze(physicsRoot.PHYSICS_CONSTANTS.PLAYER);
+Object.freeze(physicsRoot.PHYSICS_CONSTANTS.KICK);
+Object.values(physicsRoot.PHYSICS_CONSTANTS.POWERS.HEADS).forEach(Object.freeze);
+Object.freeze(physicsRoot.PHYSICS_CONSTANTS.POWERS.HEADS);
+Object.freeze(physicsRoot.PHYSICS_CONSTANTS.POWERS);
+Object.freeze(physicsRoot.PHYSICS_CONSTANTS.GOAL);
+Object.freeze(physicsRoot.PHYSICS_CONSTANTS.COLLISION);
+Object.freeze(physicsRoot.PHYSICS_CONSTANTS.UTILS);
+Object.freeze(physicsRoot.PHYSICS_CONSTANTS);
+
+// Node: export for the server and headless tools
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = physicsRoot.PHYSICS_CONSTANTS;
+}
@@ -0,0 +1,992 @@
+/**
+ * Physics Core - Deterministic fixed-timestep physics shared by client and server
+ * Player movement, jumping, kicks, headers, player contact, ball spin and bounce, woodwork and goal detection in one place,
+ * so the same input sequence produces the same result in the browser and in Node.
+ *
+ * Browser: load after physics-constants.js -> window.PhysicsCore
+ * Node:    const PhysicsCore = require('./physics-core');
+ */
+
+(function (root, factory) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const constants = isNode ? require('./physics-constants') : root.PHYSICS_CONSTANTS;
+    const PhysicsCore = factory(constants);
+
+    if (isNode) {
+        module.exports = PhysicsCore;
+    } else {
+        root.PhysicsCore = PhysicsCore;
+    }
+})(typeof window !== 'undefined' ? window : this, function (PHYSICS) {
+
+    // Fixed timestep - all values in PHYSICS_CONSTANTS are per tick
+    const TICK_RATE = PHYSICS.FPS;
+    const TICK_MS = 1000 / TICK_RATE;
+    const MAX_TICKS_PER_FRAME = 5; // Drop time instead of spiralling on slow frames
+
+    // Playground layout used by GameScene
+    const DEFAULT_BOTTOM_GAP = 40;
+    const DEFAULT_GOAL_WIDTH = 80;
+    const DEFAULT_GOAL_HEIGHT = 180;
+    const DEFAULT_CROSSBAR_THICKNESS = 10;
+    const GOAL_COOLDOWN_TICKS = 120; // 2 seconds before another goal can count
+    const COLLISION_GAP_TICKS = 3; // Ignore repeat ball contacts within this many ticks
+
+    // Seed salts for the independent random streams of a match (see createStreamRng)
+    const RNG_STREAMS = Object.freeze({
+        PHYSICS: 0,          // Kick angles, contested ball contacts - the world's own rng
+        AI: 0x5f3759df,      // Bot decisions and jitter
+        EFFECTS: 0x2545f491  // Goal and cheer sounds and other presentation
+    });
+
+    const EMPTY_INPUT = Object.freeze({ moveLeft: false, moveRight: false, jump: false, kick: false, lob: false, block: false });
+
+    // ===== DETERMINISTIC RANDOM =====
+
+    /**
+     * Create a seeded random generator state (mulberry32)
+     * @param {number} seed - 32-bit seed
+     * @returns {object} { state }
+     */
+    function createRng(seed) {
+        return { state: (seed || 1) >>> 0 };
+    }
+
+    function nextRandom(rng) {
+        rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+        let t = rng.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    function randomRange(rng, min, max) {
+        return nextRandom(rng) * (max - min) + min;
+    }
+
+    /**
+     * Generator for one kind of gameplay randomness, derived from the match seed.
+     * Each stream has its own sequence, so an AI decision or a goal sound never
+     * shifts the physics draws two clients have to agree on.
+     * @param {number} seed - Match seed
+     * @param {number} stream - One of RNG_STREAMS
+     * @returns {object} { state }
+     */
+    function createStreamRng(seed, stream) {
+        return createRng((seed ^ stream) >>> 0);
+    }
+
+    // Function returning the next value in [0, 1), for code that takes a Math.random-style source
+    function createRandomSource(rng) {
+        return () => nextRandom(rng);
+    }
+
+    // Fresh 32-bit match seed - only for picking a seed, never for gameplay itself
+    function createSeed() {
+        return (Math.floor(Math.random() * 0xFFFFFFFF) + 1) >>> 0;
+    }
+
+    // ===== FIELD AND BODIES =====
+
+    /**
+     * Describe the playing field
+     * @param {object} options - { width, height, bottomGap, goalWidth, goalHeight }
+     *   plus the stadium layout { crossbarThickness, obstacles } and ball physics
+     *   from the match rules { ballGravity, ballBounce, kickStrength }
+     * @returns {object} Field with ground lines, goal areas, obstacles and ball physics
+     */
+    function createField(options = {}) {
+        const width = options.width || PHYSICS.FIELD.WIDTH;
+        const height = options.height || PHYSICS.FIELD.HEIGHT;
+        const bottomGap = options.bottomGap !== undefined ? options.bottomGap : DEFAULT_BOTTOM_GAP;
+        const goalWidth = options.goalWidth || DEFAULT_GOAL_WIDTH;
+        const goalHeight = options.goalHeight || DEFAULT_GOAL_HEIGHT;
+        const crossbarThickness = options.crossbarThickness || DEFAULT_CROSSBAR_THICKNESS;
+        const groundY = height - bottomGap;
+        const goalY = groundY - goalHeight;
+        const crossbarY = goalY - crossbarThickness;
+
+        return {
+            width,
+            height,
+            bottomGap,
+            ballGravity: options.ballGravity !== undefined ? options.ballGravity : PHYSICS.BALL.GRAVITY,
+            ballBounce: options.ballBounce !== undefined ? options.ballBounce : PHYSICS.BALL.BOUNCE,
+            kickStrength: options.kickStrength !== undefined ? options.kickStrength : 1,
+            groundY, // Where the ball bounces
+            playerGroundY: groundY - PHYSICS.PLAYER.HEIGHT, // player.y when standing
+            leftGoal: {
+                x: 0,
+                y: goalY,
+                width: goalWidth,
+                height: goalHeight,
+                crossbar: { x: 0, y: crossbarY, width: goalWidth, height: crossbarThickness },
+                frame: { x: 0, y: crossbarY, width: goalWidth, height: groundY - crossbarY },
+                team: 'player2' // Player 2 scores in the left goal
+            },
+            rightGoal: {
+                x: width - goalWidth,
+                y: goalY,
+                width: goalWidth,
+                height: goalHeight,
+                crossbar: { x: width - goalWidth, y: crossbarY, width: goalWidth, height: crossbarThickness },
+                frame: { x: width - goalWidth, y: crossbarY, width: goalWidth, height: groundY - crossbarY },
+                team: 'player1' // Player 1 scores in the right goal
+            },
+            // Static platforms and blocks from the stadium, solid for ball and players
+            obstacles: (options.obstacles || []).map(obstacle => ({
+                x: obstacle.x,
+                y: obstacle.y,
+                width: obstacle.width,
+                height: obstacle.height
+            }))
+        };
+    }
+
+    function createPlayer(field, side) {
+        const player = {
+            x: 0,
+            y: field.playerGroundY,
+            width: PHYSICS.PLAYER.WIDTH,
+            height: PHYSICS.PLAYER.HEIGHT,
+            velocity: { x: 0, y: 0 },
+            onGround: false,
+            onPlatform: false,
+            kickCooldown: 0,
+            isKicking: false,
+            kickCharge: 0, // Ticks the kick has been held
+            kickTimer: 0, // Ticks left in a released swing
+            kickPower: 0, // 0-1, charge of the current kick
+            kickLob: false, // Lob modifier held while charging
+            isBlocking: false, // Planted in the blocking stance (see collidePlayers)
+            headScale: [1, 1], // CONFIG.HEAD_SCALE of the character (see setHeadScale)
+            dashTimer: 0,
+            dashDirection: 0,
+            lastCollisionTick: -100
+        };
+        resetPlayer(player, field, side);
+        return player;
+    }
+
+    function createBall(field) {
+        const ball = {
+            x: 0,
+            y: 0,
+            width: PHYSICS.BALL.RADIUS * 2,
+            height: PHYSICS.BALL.RADIUS * 2,
+            radius: PHYSICS.BALL.RADIUS,
+            velocity: { x: 0, y: 0 },
+            angle: 0,
+            spin: 0, // See PHYSICS_CONSTANTS.BALL.SPIN_*
+            lastTouch: null // Side of the last player to touch the ball
+        };
+        resetBall(ball, field);
+        return ball;
+    }
+
+    function resetPlayer(player, field, side) {
+        const startX = field.width * 0.2;
+        player.x = side === 'left' ? startX : field.width - startX - player.width;
+        player.y = field.playerGroundY;
+        player.velocity = { x: 0, y: 0 };
+        player.onGround = false;
+        player.onPlatform = false;
+        player.kickCooldown = 0;
+        player.isKicking = false;
+        player.isBlocking = false;
+        resetKick(player);
+        player.dashTimer = 0;
+        player.lastCollisionTick = -100;
+    }
+
+    function resetKick(player) {
+        player.kickCharge = 0;
+        player.kickTimer = 0;
+        player.kickPower = 0;
+        player.kickLob = false;
+    }
+
+    function resetBall(ball, field) {
+        ball.x = field.width * 0.5 - ball.radius;
+        ball.y = field.height * 0.3 - ball.radius;
+        ball.velocity = { x: 0, y: 0 };
+        ball.angle = 0;
+        ball.spin = 0;
+        ball.lastTouch = null;
+    }
+
+    // ===== STEP FUNCTIONS =====
+
+    /**
+     * Advance one player by one tick
+     * @param {object} player - Player body
+     * @param {object} input - { moveLeft, moveRight, jump, kick, lob, block }
+     * @param {object} field - Field from createField
+     */
+    function stepPlayer(player, input, field) {
+        input = input || EMPTY_INPUT;
+
+        // Kick state for collision handling
+        updateKick(player, input);
+
+        // Gravity
+        player.velocity.y += PHYSICS.PLAYER.GRAVITY;
+
+        // Horizontal movement - dash power overrides input
+        if (player.dashTimer > 0) {
+            player.velocity.x = player.dashDirection * PHYSICS.POWERS.DASH_SPEED;
+            player.dashTimer--;
+        } else if (input.moveLeft) {
+            player.velocity.x = -PHYSICS.PLAYER.MOVE_SPEED;
+        } else if (input.moveRight) {
+            player.velocity.x = PHYSICS.PLAYER.MOVE_SPEED;
+        } else {
+            player.velocity.x *= PHYSICS.PLAYER.FRICTION;
+        }
+
+        // Jump only from the ground or the top of a platform
+        player.onGround = player.y >= field.playerGroundY - PHYSICS.PLAYER.GROUND_THRESHOLD || !!player.onPlatform;
+        if (input.jump && player.onGround) {
+            player.velocity.y = -PHYSICS.PLAYER.JUMP_HEIGHT;
+            player.onGround = false;
+        }
+
+        // Blocking stance - feet planted, can't be pushed (see collidePlayers)
+        player.isBlocking = !!input.block && !input.kick && !input.jump && player.onGround && player.dashTimer === 0;
+        if (player.isBlocking) {
+            player.velocity.x = 0;
+        }
+
+        player.x += player.velocity.x;
+        player.y += player.velocity.y;
+
+        constrainPlayer(player, field);
+
+        if (player.kickCooldown > 0) {
+            player.kickCooldown--;
+        }
+    }
+
+    /**
+     * Hold kick to charge, release to swing. The ball is kicked when it touches
+     * the player while the kick is charging or swinging, with the power charged
+     * so far - a tap is a normal kick, a long hold a power shot.
+     * @param {object} player - Player body
+     * @param {object} input - { kick, lob }
+     */
+    function updateKick(player, input) {
+        if (input.kick) {
+            player.kickCharge = Math.min(player.kickCharge + 1, PHYSICS.KICK.CHARGE_TICKS);
+            player.kickPower = player.kickCharge / PHYSICS.KICK.CHARGE_TICKS;
+            player.kickLob = !!input.lob;
+            player.kickTimer = 0;
+        } else if (player.kickCharge > 0) {
+            // Released - swing with the power charged so far
+            player.kickCharge = 0;
+            player.kickTimer = PHYSICS.KICK.SWING_TICKS;
+        } else if (player.kickTimer > 0) {
+            player.kickTimer--;
+        }
+
+        player.isKicking = player.kickCharge > 0 || player.kickTimer > 0;
+    }
+
+    function constrainPlayer(player, field) {
+        // Side walls
+        if (player.x < 0) {
+            player.x = 0;
+            player.velocity.x = 0;
+        } else if (player.x + player.width > field.width) {
+            player.x = field.width - player.width;
+            player.velocity.x = 0;
+        }
+
+        // Snap to ground when within 10px and falling, or when below it
+        const groundY = field.playerGroundY;
+        if ((Math.abs(player.y - groundY) < 10 && player.velocity.y > 0) || player.y > groundY) {
+            player.y = groundY;
+            player.velocity.y = 0;
+            player.onGround = true;
+        }
+
+        // Goal frames and stadium obstacles - land on top, bump the underside,
+        // stop at the sides (players can stand on the crossbar but not in the goal)
+        player.onPlatform = false;
+        const solids = [field.leftGoal.frame, field.rightGoal.frame, ...(field.obstacles || [])];
+        solids.forEach(obstacle => {
+            const face = resolveObstacle(player, obstacle);
+            if (face === 'top') {
+                player.velocity.y = 0;
+                player.onGround = true;
+                player.onPlatform = true;
+            } else if (face === 'bottom') {
+                player.velocity.y = Math.max(0, player.velocity.y);
+            } else if (face) {
+                player.velocity.x = 0;
+            }
+        });
+    }
+
+    /**
+     * Advance the ball by one tick
+     * @param {object} ball - Ball body
+     * @param {object} field - Field from createField
+     * @returns {object|null} Woodwork hit this tick (see constrainBall)
+     */
+    function stepBall(ball, field) {
+        ball.velocity.y += field.ballGravity;
+        applySpin(ball, field);
+
+        ball.x += ball.velocity.x;
+        ball.y += ball.velocity.y;
+
+        // Rolling rotation plus spin, in degrees
+        ball.angle = (ball.angle || 0) + (ball.velocity.x / ball.radius) * 180 / Math.PI +
+            (ball.spin || 0) * PHYSICS.BALL.SPIN_ROTATION;
+
+        return constrainBall(ball, field);
+    }
+
+    /**
+     * Magnus curve while the ball is in flight, then spin decay. The push is
+     * perpendicular to the velocity, so it bends the path without changing speed:
+     * topspin dips a ball, backspin floats it.
+     * @param {object} ball - Ball body
+     * @param {object} field - Field from createField
+     */
+    function applySpin(ball, field) {
+        if (!ball.spin) return;
+
+        if (ball.y + ball.height < field.groundY) {
+            const curve = PHYSICS.BALL.MAGNUS * ball.spin;
+            const velocityX = ball.velocity.x;
+            ball.velocity.x -= curve * ball.velocity.y;
+            ball.velocity.y += curve * velocityX;
+        }
+
+        ball.spin *= PHYSICS.BALL.SPIN_DECAY;
+        if (Math.abs(ball.spin) < 0.01) ball.spin = 0;
+    }
+
+    function clampSpin(spin) {
+        const max = PHYSICS.BALL.SPIN_MAX;
+        return Math.max(-max, Math.min(max, spin));
+    }
+
+    /**
+     * Keep the ball on the field: ground, walls, woodwork and stadium obstacles
+     * @param {object} ball - Ball body
+     * @param {object} field - Field from createField
+     * @returns {object|null} { part: 'crossbar'|'post', side, speed, lastTouch } when the
+     *   ball hits the woodwork hard enough to report, otherwise null
+     */
+    function constrainBall(ball, field) {
+        // Ground bounce - spin grips the ground: topspin kicks on, backspin checks up
+        if (ball.y + ball.height > field.groundY) {
+            ball.y = field.groundY - ball.height;
+            ball.velocity.y *= -field.ballBounce;
+            if (ball.spin) {
+                ball.velocity.x += ball.spin * PHYSICS.BALL.SPIN_GRIP;
+                ball.spin *= PHYSICS.BALL.SPIN_BOUNCE_KEEP;
+            }
+        }
+
+        // Wall bounce
+        if (ball.x < 0 || ball.x + ball.width > field.width) {
+            ball.x = ball.x < 0 ? 0 : field.width - ball.width;
+            ball.velocity.x *= -field.ballBounce;
+        }
+
+        // Woodwork - top or underside of the crossbar, or the post at its front end
+        let woodwork = null;
+        [['left', field.leftGoal], ['right', field.rightGoal]].forEach(([side, goal]) => {
+            const face = resolveObstacle(ball, goal.crossbar);
+            if (!face) return;
+
+            const part = face === 'top' || face === 'bottom' ? 'crossbar' : 'post';
+            const axis = part === 'crossbar' ? 'y' : 'x';
+            const speed = Math.abs(ball.velocity[axis]);
+            ball.velocity[axis] *= -field.ballBounce;
+
+            if (speed >= PHYSICS.GOAL.WOODWORK_MIN_SPEED) {
+                woodwork = { part, side, speed, lastTouch: ball.lastTouch || null };
+            }
+        });
+
+        // Stadium obstacles
+        (field.obstacles || []).forEach(obstacle => {
+            const face = resolveObstacle(ball, obstacle);
+            if (face === 'top' || face === 'bottom') {
+                ball.velocity.y *= -field.ballBounce;
+            } else if (face) {
+                ball.velocity.x *= -field.ballBounce;
+            }
+        });
+
+        return woodwork;
+    }
+
+    /**
+     * Push a body out of a static rectangle through the face it came in by,
+     * judged from where it was last tick (position minus velocity)
+     * @param {object} body - { x, y, width, height, velocity }
+     * @param {object} rect - { x, y, width, height }
+     * @returns {string|null} 'top', 'bottom', 'left', 'right' or null if apart
+     */
+    function resolveObstacle(body, rect) {
+        if (body.x >= rect.x + rect.width || body.x + body.width <= rect.x ||
+            body.y >= rect.y + rect.height || body.y + body.height <= rect.y) {
+            return null;
+        }
+
+        const prevX = body.x - body.velocity.x;
+        const prevY = body.y - body.velocity.y;
+        let face = null;
+
+        if (prevY + body.height <= rect.y) face = 'top';
+        else if (prevY >= rect.y + rect.height) face = 'bottom';
+        else if (prevX + body.width <= rect.x) face = 'left';
+        else if (prevX >= rect.x + rect.width) face = 'right';
+        else {
+            // Already inside (e.g. spawned or pushed in) - take the shortest way out
+            const depths = {
+                top: body.y + body.height - rect.y,
+                bottom: rect.y + rect.height - body.y,
+                left: body.x + body.width - rect.x,
+                right: rect.x + rect.width - body.x
+            };
+            face = Object.keys(depths).reduce((best, key) => depths[key] < depths[best] ? key : best);
+        }
+
+        if (face === 'top') body.y = rect.y - body.height;
+        else if (face === 'bottom') body.y = rect.y + rect.height;
+        else if (face === 'left') body.x = rect.x - body.width;
+        else body.x = rect.x + rect.width;
+
+        return face;
+    }
+
+    /**
+     * Resolve ball contact with a player (kick, header, momentum hit or passive push).
+     * Besides the body, a ball can touch the top half of the head hitbox (getHeadRect).
+     * @param {object} ball - Ball body
+     * @param {object} player - Player body
+     * @param {string} side - 'left' or 'right'
+     * @param {number} tick - Current tick (for repeat-contact filtering)
+     * @param {object} rng - Random state from createRng
+     * @param {object} [field] - Field from createField (kick strength)
+     * @returns {object|null} { type, force, spin, reason } or null if no contact;
+     *   kicks also carry { kick, power, direction } (see kickBall)
+     */
+    function collideBallWithPlayer(ball, player, side, tick, rng, field) {
+        const head = getHeadRect(player);
+        const onHead = isBallOnHead(ball, head);
+        if (!onHead && !PHYSICS.UTILS.isCollide(ball, player)) return null;
+
+        if (tick - player.lastCollisionTick < COLLISION_GAP_TICKS) {
+            return { type: 'ignored', reason: 'repeat_contact' };
+        }
+        if (player.kickCooldown > 0) {
+            return { type: 'ignored', reason: 'cooldown' };
+        }
+
+        player.lastCollisionTick = tick;
+        ball.lastTouch = side;
+
+        const velocityBefore = { x: ball.velocity.x, y: ball.velocity.y };
+
+        // Direction always away from the player
+        const directionX = ball.x - player.x;
+        const directionY = ball.y - player.y;
+        const magnitude = Math.sqrt(directionX * directionX + directionY * directionY) || 1;
+        const normalizedX = directionX / magnitude;
+        const normalizedY = directionY / magnitude;
+
+        const playerSpeedX = Math.abs(player.velocity.x);
+        const playerSpeedY = Math.abs(player.velocity.y);
+        const isJumping = player.velocity.y < -2;
+        const isMovingFast = playerSpeedX > 3;
+
+        let result;
+        if (player.isKicking) {
+            // Charged shot, lob or volley - the kick is used up on contact
+            const type = getKickType(ball, player, field);
+            const angle = getKickAngle(type, player.kickPower) +
+                randomRange(rng, -PHYSICS.KICK.ANGLE_JITTER, PHYSICS.KICK.ANGLE_JITTER);
+            result = kickBall(ball, player, side, {
+                type,
+                power: player.kickPower,
+                direction: side === 'left' ? angle : 180 - angle
+            }, field);
+            resetKick(player);
+            player.isKicking = false;
+        } else if (onHead) {
+            // Header - off the top half of the head, away from its centre but
+            // always up and forward so the ball doesn't sit bouncing on the head
+            const headX = ball.x + ball.radius - (head.x + head.width / 2);
+            const headY = ball.y + ball.radius - (head.y + head.height / 2);
+            const distance = Math.sqrt(headX * headX + headY * headY) || 1;
+            const force = PHYSICS.COLLISION.HEADER_FORCE +
+                Math.max(0, -player.velocity.y) * PHYSICS.COLLISION.HEADER_JUMP_BONUS;
+            const minimum = force * PHYSICS.COLLISION.HEADER_MIN_SHARE;
+            const forward = side === 'left' ? 1 : -1;
+            ball.velocity.x = forward * Math.max(Math.abs(headX / distance) * force, minimum) + player.velocity.x * 0.5;
+            ball.velocity.y = Math.min((headY / distance) * force, -minimum);
+            result = { type: 'header', force };
+        } else if (isJumping || isMovingFast) {
+            // Momentum hit - transfer player velocity
+            const force = Math.max(7, Math.min(playerSpeedX + playerSpeedY, 15));
+            ball.velocity.x = normalizedX * force + player.velocity.x * 0.7;
+            ball.velocity.y = isJumping
+                ? Math.min(normalizedY * force + player.velocity.y * 0.6, -8)
+                : Math.min(ball.velocity.y, -4);
+            result = { type: 'momentum', force };
+        } else {
+            // Passive push - ball rolls forward
+            const force = 7;
+            ball.velocity.x = normalizedX * force;
+            ball.velocity.y = Math.min(ball.velocity.y, -2);
+            result = { type: 'push', force };
+        }
+
+        // Ball always travels toward the opponent's goal
+        ball.velocity.x = side === 'left' ? Math.abs(ball.velocity.x) : -Math.abs(ball.velocity.x);
+
+        ball.spin = getContactSpin(ball, player, velocityBefore);
+        result.spin = ball.spin;
+
+        player.kickCooldown = PHYSICS.KICK.COOLDOWN;
+        return result;
+    }
+
+    // Ball touching the top half of a head hitbox
+    function isBallOnHead(ball, head) {
+        return PHYSICS.UTILS.isCollide(ball, head) && ball.y + ball.radius < head.y + head.height / 2;
+    }
+
+    /**
+     * Whether the ball touches a player's body or the top of their head
+     * @param {object} ball - Ball body
+     * @param {object} player - Player body
+     */
+    function isBallTouchingPlayer(ball, player) {
+        return PHYSICS.UTILS.isCollide(ball, player) || isBallOnHead(ball, getHeadRect(player));
+    }
+
+    /**
+     * Order to resolve ball contacts in. The later touch decides where the ball
+     * goes, so the player nearer the ball goes last; a dead heat for a ball both
+     * players touch (e.g. both jumping for it at kickoff) is settled by the rng
+     * so neither side always wins it.
+     * @param {object} ball - Ball body
+     * @param {object} players - { player1, player2 } bodies
+     * @param {object} rng - Random state from createRng
+     * @returns {string[]} Player keys, first to resolve first
+     */
+    function getContactOrder(ball, players, rng) {
+        const distance = (player) => Math.hypot(
+            ball.x + ball.radius - (player.x + player.width / 2),
+            ball.y + ball.radius - (player.y + player.height / 2)
+        );
+        const distance1 = distance(players.player1);
+        const distance2 = distance(players.player2);
+
+        let player2Last = distance2 < distance1;
+        if (distance1 === distance2 &&
+            isBallTouchingPlayer(ball, players.player1) && isBallTouchingPlayer(ball, players.player2)) {
+            player2Last = nextRandom(rng) < 0.5;
+        }
+        return player2Last ? ['player1', 'player2'] : ['player2', 'player1'];
+    }
+
+    /**
+     * Kind of kick for a contact: the lob modifier wins, otherwise a ball
+     * struck clear of the ground is a volley
+     * @param {object} ball - Ball body
+     * @param {object} player - Player body (kickLob)
+     * @param {object} [field] - Field from createField (ground line)
+     * @returns {string} 'shot', 'lob' or 'volley'
+     */
+    function getKickType(ball, player, field) {
+        if (player.kickLob) return 'lob';
+
+        const groundY = field ? field.groundY : PHYSICS.FIELD.HEIGHT - DEFAULT_BOTTOM_GAP;
+        return ball.y + ball.height < groundY - PHYSICS.KICK.VOLLEY_HEIGHT ? 'volley' : 'shot';
+    }
+
+    /**
+     * Launch angle in degrees above the ground
+     * @param {string} type - 'shot', 'lob' or 'volley'
+     * @param {number} power - Charge 0-1 (shots get flatter as they get harder)
+     */
+    function getKickAngle(type, power) {
+        const kick = PHYSICS.KICK;
+        if (type === 'lob') return kick.LOB_ANGLE;
+        if (type === 'volley') return kick.VOLLEY_ANGLE;
+        return kick.SHOT_ANGLE + (kick.POWER_SHOT_ANGLE - kick.SHOT_ANGLE) * power;
+    }
+
+    /**
+     * Kick force for a charge
+     * @param {string} type - 'shot', 'lob' or 'volley'
+     * @param {number} power - Charge 0-1
+     * @param {object} [field] - Field from createField (kick strength)
+     */
+    function getKickForce(type, power, field) {
+        const kick = PHYSICS.KICK;
+        let force = kick.FORCE_MIN + (kick.FORCE_MAX - kick.FORCE_MIN) * power;
+        if (type === 'lob') force *= kick.LOB_FORCE;
+        if (type === 'volley') force *= kick.VOLLEY_BONUS;
+        return force * (field ? field.kickStrength : 1);
+    }
+
+    /**
+     * Launch the ball. Also used for kicks received over the network, which
+     * carry the kicker's power and direction (the player_action event fields).
+     * @param {object} ball - Ball body
+     * @param {object} player - Kicking player body (its movement carries into the ball)
+     * @param {string} side - 'left' or 'right'
+     * @param {object} kick - { type, power, direction } with power 0-1 and
+     *   direction in degrees counterclockwise from the +x axis (90 = straight up)
+     * @param {object} [field] - Field from createField (kick strength)
+     * @returns {object} { type: 'kick', kick, power, force, direction }
+     */
+    function kickBall(ball, player, side, kick, field) {
+        const power = Math.max(0, Math.min(1, kick.power || 0));
+        const limit = side === 'left'
+            ? [PHYSICS.KICK.ANGLE_MIN, PHYSICS.KICK.ANGLE_MAX]
+            : [180 - PHYSICS.KICK.ANGLE_MAX, 180 - PHYSICS.KICK.ANGLE_MIN];
+        const aim = Number.isFinite(kick.direction)
+            ? kick.direction
+            : (side === 'left' ? getKickAngle(kick.type, power) : 180 - getKickAngle(kick.type, power));
+        const direction = Math.max(limit[0], Math.min(limit[1], aim));
+        const radians = direction * Math.PI / 180;
+        const force = getKickForce(kick.type, power, field);
+
+        ball.velocity.x = Math.cos(radians) * force + player.velocity.x * 0.5;
+        ball.velocity.y = -Math.sin(radians) * force + player.velocity.y * 0.3;
+
+        return { type: 'kick', kick: kick.type, power, force, direction };
+    }
+
+    /**
+     * Whether the ball is close enough to a player for a kick reported over
+     * the network (positions differ slightly between simulations)
+     * @param {object} ball - Ball body
+     * @param {object} player - Kicking player body
+     */
+    function isBallInKickReach(ball, player) {
+        const reach = PHYSICS.KICK.NETWORK_REACH;
+        return PHYSICS.UTILS.isCollide(ball, {
+            x: player.x - reach,
+            y: player.y - reach,
+            width: player.width + reach * 2,
+            height: player.height + reach * 2
+        });
+    }
+
+    /**
+     * Spin from a touch: the off-center part of the impulse and of the player's
+     * own movement, taken at the contact point (2D cross product r x F, where a
+     * positive result is clockwise on screen)
+     * @param {object} ball - Ball body, velocity already changed by the touch
+     * @param {object} player - Player body
+     * @param {object} velocityBefore - Ball velocity before the touch
+     * @returns {number} New ball spin
+     */
+    function getContactSpin(ball, player, velocityBefore) {
+        const ballCenterX = ball.x + ball.width / 2;
+        const ballCenterY = ball.y + ball.height / 2;
+        const contactX = player.x + player.width / 2 - ballCenterX;
+        const contactY = player.y + player.height / 2 - ballCenterY;
+        const distance = Math.sqrt(contactX * contactX + contactY * contactY) || 1;
+        const rx = contactX / distance;
+        const ry = contactY / distance;
+
+        const impulseX = ball.velocity.x - velocityBefore.x;
+        const impulseY = ball.velocity.y - velocityBefore.y;
+        const fromContact = (rx * impulseY - ry * impulseX) * PHYSICS.BALL.SPIN_FROM_CONTACT;
+        const fromPlayer = (rx * player.velocity.y - ry * player.velocity.x) * PHYSICS.BALL.SPIN_FROM_PLAYER;
+
+        return clampSpin(fromContact + fromPlayer);
+    }
+
+    // ===== PLAYER CONTACT =====
+
+    /**
+     * Give a player their character's head size
+     * @param {object} player - Player body
+     * @param {number[]} [scale] - [width, height] multipliers from CONFIG.HEAD_SCALE
+     */
+    function setHeadScale(player, scale) {
+        player.headScale = Array.isArray(scale) && scale.length === 2 ? [scale[0], scale[1]] : [1, 1];
+    }
+
+    /**
+     * Head hitbox, centred where GameScene draws the head sprite
+     * @param {object} player - Player body
+     * @returns {object} { x, y, width, height }
+     */
+    function getHeadRect(player) {
+        const scale = player.headScale || [1, 1];
+        const width = PHYSICS.PLAYER.HEAD_SIZE * scale[0];
+        const height = PHYSICS.PLAYER.HEAD_SIZE * scale[1];
+        return {
+            x: player.x + player.width / 2 - width / 2,
+            y: player.y + player.height / 4 - height / 2,
+            width,
+            height
+        };
+    }
+
+    /**
+     * Resolve contact between the two players once both have moved. A player
+     * coming down onto the other's head stands on it; otherwise overlapping
+     * bodies are pushed apart sideways and move on at a shared speed, so
+     * running into a player shoves them along. A blocking player holds their
+     * ground and stops whoever runs into them.
+     * @param {object} first - Player body
+     * @param {object} second - Player body
+     * @param {object} field - Field from createField
+     * @param {object} [fixed] - Body that must not be moved (a remote player placed from the network)
+     * @returns {object|null} { type: 'head_landing', player } with the body now on top,
+     *   { type: 'push', depth, blocked } for a shove, or null if the players are apart
+     */
+    function collidePlayers(first, second, field, fixed) {
+        if (first !== fixed && landOnHead(first, second)) {
+            return { type: 'head_landing', player: first };
+        }
+        if (second !== fixed && landOnHead(second, first)) {
+            return { type: 'head_landing', player: second };
+        }
+
+        if (first.x >= second.x + second.width || first.x + first.width <= second.x ||
+            first.y >= second.y + second.height || first.y + first.height <= second.y) {
+            return null;
+        }
+
+        const [left, right] = first.x + first.width / 2 <= second.x + second.width / 2
+            ? [first, second]
+            : [second, first];
+        const depth = left.x + left.width - right.x;
+
+        // Share of the separation each body takes - blockers and fixed bodies take none
+        let weights = [left, right].map(body => (body === fixed || body.isBlocking ? 0 : 1));
+        if (weights[0] + weights[1] === 0) {
+            weights = [left, right].map(body => (body === fixed ? 0 : 1));
+        }
+        const total = weights[0] + weights[1];
+
+        left.x -= depth * weights[0] / total;
+        right.x += depth * weights[1] / total;
+
+        // Closing in - both move on at the speed of the harder-to-move body
+        if (left.velocity.x > right.velocity.x) {
+            const speed = (left.velocity.x * weights[1] + right.velocity.x * weights[0]) / total;
+            if (left !== fixed) left.velocity.x = speed;
+            if (right !== fixed) right.velocity.x = speed;
+        }
+
+        // A player shoved into a side wall pushes back on the other
+        if (left.x < 0) {
+            if (right !== fixed) right.x -= left.x;
+            left.x = 0;
+        }
+        if (right.x + right.width > field.width) {
+            if (left !== fixed) left.x -= right.x + right.width - field.width;
+            right.x = field.width - right.width;
+        }
+
+        return { type: 'push', depth, blocked: left.isBlocking || right.isBlocking };
+    }
+
+    // Stand top on bottom's head if top came down onto it this tick
+    function landOnHead(top, bottom) {
+        if (top.velocity.y < 0) return false;
+
+        const head = getHeadRect(bottom);
+        if (top.x >= head.x + head.width || top.x + top.width <= head.x) return false;
+
+        // Feet were above the head last tick (both may have moved) and are level with or below it now
+        const feet = top.y + top.height;
+        const previousFeet = feet - top.velocity.y;
+        const previousHeadY = head.y - bottom.velocity.y;
+        if (previousFeet > previousHeadY || feet < head.y) return false;
+
+        top.y = head.y - top.height;
+        top.velocity.y = 0;
+        top.onGround = true;
+        top.onPlatform = true; // Can jump off again (see stepPlayer)
+        return true;
+    }
+
+    /**
+     * Whether the ball is in a goal: past the goal line and under the crossbar.
+     * GameStateValidator checks server-side goals with the same rule.
+     * @param {object} ball - Ball body { x, y, width, height }
+     * @param {object} goal - field.leftGoal or field.rightGoal
+     */
+    function isBallInGoal(ball, goal) {
+        return ball.x < goal.x + goal.width &&
+               ball.x + ball.width > goal.x &&
+               ball.y >= goal.y &&
+               ball.y < goal.y + goal.height;
+    }
+
+    /**
+     * Check whether the ball is inside a goal area
+     * @param {object} ball - Ball body
+     * @param {object} field - Field from createField
+     * @returns {string|null} Scoring player ('player1'/'player2') or null
+     */
+    function detectGoal(ball, field) {
+        if (isBallInGoal(ball, field.leftGoal)) return field.leftGoal.team;
+        if (isBallInGoal(ball, field.rightGoal)) return field.rightGoal.team;
+        return null;
+    }
+
+    // ===== WORLD (server / headless) =====
+
+    /**
+     * Create a self-contained world for server or headless simulation
+     * @param {object} options - Field options (see createField) plus { seed }
+     * @returns {object} World state
+     */
+    function createWorld(options = {}) {
+        const field = createField(options);
+        return {
+            tick: 0,
+            field,
+            players: {
+                player1: createPlayer(field, 'left'),
+                player2: createPlayer(field, 'right')
+            },
+            ball: createBall(field),
+            rng: createRng(options.seed),
+            goalCooldown: 0
+        };
+    }
+
+    /**
+     * Advance the world one fixed tick - same order as GameScene.update
+     * @param {object} world - World from createWorld
+     * @param {object} inputs - { player1: input, player2: input }
+     * @returns {Array} Events raised this tick ({ type: 'player_contact' | 'touch' | 'woodwork' | 'goal', ... })
+     */
+    function step(world, inputs = {}) {
+        const events = [];
+        const { players, ball, field } = world;
+
+        stepPlayer(players.player1, inputs.player1, field);
+        stepPlayer(players.player2, inputs.player2, field);
+        const contact = collidePlayers(players.player1, players.player2, field);
+        if (contact && contact.type === 'head_landing') {
+            const playerKey = contact.player === players.player1 ? 'player1' : 'player2';
+            events.push({ type: 'player_contact', contact: 'head_landing', playerKey, tick: world.tick });
+        } else if (contact) {
+            events.push({ type: 'player_contact', contact: 'push', blocked: contact.blocked, tick: world.tick });
+        }
+        const woodwork = stepBall(ball, field);
+        if (woodwork) {
+            events.push({ type: 'woodwork', tick: world.tick, ...woodwork });
+        }
+
+        getContactOrder(ball, players, world.rng).forEach(playerKey => {
+            const side = playerKey === 'player1' ? 'left' : 'right';
+            const contact = collideBallWithPlayer(ball, players[playerKey], side, world.tick, world.rng, field);
+            if (contact && contact.type !== 'ignored') {
+                events.push({ type: 'touch', playerKey, tick: world.tick, ...contact });
+            }
+        });
+
+        if (world.goalCooldown > 0) {
+            world.goalCooldown--;
+        } else {
+            const scorer = detectGoal(ball, field);
+            if (scorer) {
+                events.push({ type: 'goal', scorer, tick: world.tick });
+                world.goalCooldown = GOAL_COOLDOWN_TICKS;
+            }
+        }
+
+        world.tick++;
+        return events;
+    }
+
+    function resetWorldPositions(world) {
+        resetPlayer(world.players.player1, world.field, 'left');
+        resetPlayer(world.players.player2, world.field, 'right');
+        resetBall(world.ball, world.field);
+        world.goalCooldown = 0;
+    }
+
+    // ===== FIXED TIMESTEP CLOCK =====
+
+    function createClock() {
+        return { accumulator: 0 };
+    }
+
+    /**
+     * Convert elapsed frame time into a whole number of fixed ticks
+     * @param {object} clock - Clock from createClock
+     * @param {number} deltaMs - Milliseconds since last frame
+     * @returns {number} Ticks to run this frame
+     */
+    function consumeTicks(clock, deltaMs) {
+        clock.accumulator += deltaMs;
+        let ticks = Math.floor(clock.accumulator / TICK_MS);
+
+        if (ticks > MAX_TICKS_PER_FRAME) {
+            ticks = MAX_TICKS_PER_FRAME;
+            clock.accumulator = 0;
+        } else {
+            clock.accumulator -= ticks * TICK_MS;
+        }
+
+        return ticks;
+    }
+
+    return Object.freeze({
+        TICK_RATE,
+        TICK_MS,
+        GOAL_COOLDOWN_TICKS,
+        EMPTY_INPUT,
+        RNG_STREAMS,
+        createRng,
+        nextRandom,
+        randomRange,
+        createStreamRng,
+        createRandomSource,
+        createSeed,
+        createField,
+        createPlayer,
+        createBall,
+        resetPlayer,
+        resetBall,
+        stepPlayer,
+        constrainPlayer,
+        stepBall,
+        constrainBall,
+        applySpin,
+        clampSpin,
+        resolveObstacle,
+        collideBallWithPlayer,
+        isBallTouchingPlayer,
+        getContactOrder,
+        setHeadScale,
+        getHeadRect,
+        collidePlayers,
+        getKickType,
+        getKickAngle,
+        getKickForce,
+        kickBall,
+        isBallInKickReach,
+        isBallInGoal,
+        detectGoal,
+        createWorld,
+        step,
+        resetWorldPositions,
+        createClock,
+        consumeTicks
+    });
+});
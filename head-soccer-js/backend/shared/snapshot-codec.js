@@ -0,0 +1,275 @@
+/**
+ * Snapshot Codec - Compact binary game state snapshots
+ * The server sends the match state (score, ball, both players) as quantized
+ * integers in a small binary frame, and only the values that changed since the
+ * last snapshot the client acknowledged (its baseline). The client keeps the
+ * frames it acknowledged to rebuild the full state from a delta.
+ * Shared by the multiplayer page and the server (GameplayEvents) so both read
+ * the same layout. Players are keyed by side ('left', 'right').
+ *
+ * Frame layout (big endian):
+ *   u8  flags (1 = delta)
+ *   u32 sequence
+ *   u32 baseline sequence (delta frames only)
+ *   u32 tick
+ *   f64 timestamp (server time)
+ *   u32 mask of the fields that follow, in FIELDS order
+ *
+ * Browser: load before the page script -> window.SnapshotCodec
+ * Node:    const SnapshotCodec = require('./snapshot-codec');
+ */
+
+(function (root, factory) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const SnapshotCodec = factory();
+
+    if (isNode) {
+        module.exports = SnapshotCodec;
+    } else {
+        root.SnapshotCodec = SnapshotCodec;
+    }
+})(typeof window !== 'undefined' ? window : this, function () {
+
+    const VERSION_FLAGS = { DELTA: 1 };
+    const HEADER_SIZE = 1 + 4 + 4 + 8 + 4;
+
+    // Precision kept on the wire
+    const SCALES = {
+        position: 8,     // 1/8 px
+        velocity: 100,   // 0.01 px per tick
+        spin: 1000
+    };
+
+    const STATUSES = ['waiting', 'ready', 'countdown', 'playing', 'paused', 'finished'];
+    const DIRECTIONS = ['idle', 'left', 'right', 'up', 'down'];
+
+    const TYPES = {
+        u8: { size: 1, min: 0, max: 255, read: 'getUint8', write: 'setUint8' },
+        i16: { size: 2, min: -32768, max: 32767, read: 'getInt16', write: 'setInt16' },
+        u32: { size: 4, min: 0, max: 4294967295, read: 'getUint32', write: 'setUint32' }
+    };
+
+    function playerFields(side) {
+        return [
+            { name: `${side}.x`, type: 'i16', scale: SCALES.position },
+            { name: `${side}.y`, type: 'i16', scale: SCALES.position },
+            { name: `${side}.vx`, type: 'i16', scale: SCALES.velocity },
+            { name: `${side}.vy`, type: 'i16', scale: SCALES.velocity },
+            { name: `${side}.direction`, type: 'u8', values: DIRECTIONS },
+            { name: `${side}.ground`, type: 'u8', scale: 1 }  // 1 when on the ground
+        ];
+    }
+
+    // Every value in a snapshot, in wire order (at most 32 - one mask bit each)
+    const FIELDS = [
+        { name: 'score.left', type: 'u8', scale: 1 },
+        { name: 'score.right', type: 'u8', scale: 1 },
+        { name: 'status', type: 'u8', values: STATUSES },
+        { name: 'time', type: 'u32', scale: 1 },  // ms since the match started
+        { name: 'ball.x', type: 'i16', scale: SCALES.position },
+        { name: 'ball.y', type: 'i16', scale: SCALES.position },
+        { name: 'ball.vx', type: 'i16', scale: SCALES.velocity },
+        { name: 'ball.vy', type: 'i16', scale: SCALES.velocity },
+        { name: 'ball.spin', type: 'i16', scale: SCALES.spin },
+        { name: 'ball.sequence', type: 'u32', scale: 1 },  // Ball authority sequence it was simulated under
+        ...playerFields('left'),
+        ...playerFields('right')
+    ];
+
+    function clamp(value, type) {
+        return Math.max(TYPES[type].min, Math.min(TYPES[type].max, value));
+    }
+
+    function quantizeField(field, value) {
+        if (field.values) {
+            return Math.max(0, field.values.indexOf(value));
+        }
+        return clamp(Math.round((value || 0) * field.scale), field.type);
+    }
+
+    function dequantizeField(field, value) {
+        return field.values ? field.values[value] || field.values[0] : value / field.scale;
+    }
+
+    // Flat values in FIELDS order from a snapshot state
+    function flatten(state) {
+        const players = state.players || {};
+        const source = {
+            'score.left': state.score ? state.score.left : 0,
+            'score.right': state.score ? state.score.right : 0,
+            status: state.status,
+            time: state.time
+        };
+        const ball = state.ball || {};
+        Object.assign(source, {
+            'ball.x': ball.position && ball.position.x,
+            'ball.y': ball.position && ball.position.y,
+            'ball.vx': ball.velocity && ball.velocity.x,
+            'ball.vy': ball.velocity && ball.velocity.y,
+            'ball.spin': ball.spin,
+            'ball.sequence': ball.sequence
+        });
+        ['left', 'right'].forEach(side => {
+            const player = players[side] || {};
+            Object.assign(source, {
+                [`${side}.x`]: player.position && player.position.x,
+                [`${side}.y`]: player.position && player.position.y,
+                [`${side}.vx`]: player.velocity && player.velocity.x,
+                [`${side}.vy`]: player.velocity && player.velocity.y,
+                [`${side}.direction`]: player.direction,
+                [`${side}.ground`]: player.onGround ? 1 : 0
+            });
+        });
+        return FIELDS.map(field => quantizeField(field, source[field.name]));
+    }
+
+    /**
+     * Quantize a snapshot into a frame (what gets encoded, and kept as a baseline)
+     * @param {object} state - { score: { left, right }, status, time, ball: { position,
+     *   velocity, spin, sequence }, players: { left, right } with { position, velocity,
+     *   direction, onGround } }
+     * @param {number} sequence - Snapshot number, increasing per match
+     * @param {number} tick - Server physics tick
+     * @param {number} timestamp - Server time in ms
+     */
+    function createFrame(state, sequence, tick, timestamp) {
+        return { sequence, tick, timestamp, values: flatten(state) };
+    }
+
+    /**
+     * Snapshot state from a frame, at the precision that went over the wire
+     */
+    function toState(frame) {
+        const value = name => {
+            const index = FIELDS.findIndex(field => field.name === name);
+            return dequantizeField(FIELDS[index], frame.values[index]);
+        };
+        const player = side => ({
+            position: { x: value(`${side}.x`), y: value(`${side}.y`) },
+            velocity: { x: value(`${side}.vx`), y: value(`${side}.vy`) },
+            direction: value(`${side}.direction`),
+            onGround: value(`${side}.ground`) === 1
+        });
+
+        return {
+            sequence: frame.sequence,
+            tick: frame.tick,
+            timestamp: frame.timestamp,
+            score: { left: value('score.left'), right: value('score.right') },
+            status: value('status'),
+            time: value('time'),
+            ball: {
+                position: { x: value('ball.x'), y: value('ball.y') },
+                velocity: { x: value('ball.vx'), y: value('ball.vy') },
+                spin: value('ball.spin'),
+                sequence: value('ball.sequence')
+            },
+            players: { left: player('left'), right: player('right') }
+        };
+    }
+
+    /**
+     * Binary frame, with only the values that differ from the baseline when one
+     * is given (the last frame the receiver acknowledged)
+     * @param {object} frame - From createFrame
+     * @param {object} [baseline] - Earlier frame the receiver has
+     * @returns {ArrayBuffer}
+     */
+    function encode(frame, baseline = null) {
+        let mask = 0;
+        let size = HEADER_SIZE + (baseline ? 4 : 0);
+        FIELDS.forEach((field, index) => {
+            if (!baseline || baseline.values[index] !== frame.values[index]) {
+                mask |= 1 << index;
+                size += TYPES[field.type].size;
+            }
+        });
+
+        const buffer = new ArrayBuffer(size);
+        const view = new DataView(buffer);
+        let offset = 0;
+
+        view.setUint8(offset, baseline ? VERSION_FLAGS.DELTA : 0);
+        offset += 1;
+        view.setUint32(offset, frame.sequence);
+        offset += 4;
+        if (baseline) {
+            view.setUint32(offset, baseline.sequence);
+            offset += 4;
+        }
+        view.setUint32(offset, frame.tick);
+        offset += 4;
+        view.setFloat64(offset, frame.timestamp);
+        offset += 8;
+        view.setUint32(offset, mask >>> 0);
+        offset += 4;
+
+        FIELDS.forEach((field, index) => {
+            if (!(mask & (1 << index))) return;
+            view[TYPES[field.type].write](offset, frame.values[index]);
+            offset += TYPES[field.type].size;
+        });
+
+        return buffer;
+    }
+
+    /**
+     * Frame from binary data. A delta needs its baseline: getBaseline(sequence)
+     * returns the frame the receiver kept, and without it the delta can't be
+     * read (null).
+     * @param {ArrayBuffer|Uint8Array} data - Frame as received (Node gets a Buffer)
+     * @param {function} [getBaseline] - sequence -> frame or undefined
+     * @returns {object|null} Frame (see createFrame)
+     */
+    function decode(data, getBaseline = () => null) {
+        const view = ArrayBuffer.isView(data)
+            ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+            : new DataView(data);
+        if (view.byteLength < HEADER_SIZE) return null;
+
+        let offset = 0;
+        const flags = view.getUint8(offset);
+        offset += 1;
+        const sequence = view.getUint32(offset);
+        offset += 4;
+
+        let baseline = null;
+        if (flags & VERSION_FLAGS.DELTA) {
+            baseline = getBaseline(view.getUint32(offset));
+            offset += 4;
+            if (!baseline) return null;
+        }
+
+        const tick = view.getUint32(offset);
+        offset += 4;
+        const timestamp = view.getFloat64(offset);
+        offset += 8;
+        const mask = view.getUint32(offset);
+        offset += 4;
+
+        const values = [];
+        for (let index = 0; index < FIELDS.length; index++) {
+            const type = TYPES[FIELDS[index].type];
+            if (mask & (1 << index)) {
+                if (offset + type.size > view.byteLength) return null;
+                values.push(view[type.read](offset));
+                offset += type.size;
+            } else {
+                values.push(baseline ? baseline.values[index] : 0);
+            }
+        }
+
+        return { sequence, tick, timestamp, values };
+    }
+
+    return Object.freeze({
+        SCALES,
+        STATUSES,
+        DIRECTIONS,
+        FIELDS,
+        createFrame,
+        toState,
+        encode,
+        decode
+    });
+});
@@ -0,0 +1,208 @@
+/**
+ * Stadiums - Data-driven field layouts: field width, goal size, crossbar,
+ * static obstacles/platforms and background art. A stadium is picked per match
+ * through the match rules (rules.stadium), so the browser and the server build
+ * the same PhysicsCore field from it. Field height and the ground line are the
+ * same everywhere; stadiums are at most as wide as the fixed 1600px canvas.
+ *
+ * Browser: load after physics-constants.js -> window.Stadiums
+ * Node:    const Stadiums = require('./stadiums');
+ */
+
+(function (root, factory) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const constants = isNode ? require('./physics-constants') : root.PHYSICS_CONSTANTS;
+    const Stadiums = factory(constants);
+
+    if (isNode) {
+        module.exports = Stadiums;
+    } else {
+        root.Stadiums = Stadiums;
+    }
+})(typeof window !== 'undefined' ? window : this, function (PHYSICS) {
+
+    const DEFAULT_STADIUM = 'classic';
+
+    // Allowed ranges for stadium data; values outside are clamped
+    const LIMITS = {
+        width: { min: 1000, max: PHYSICS.FIELD.WIDTH },
+        goalWidth: { min: 40, max: 150 },
+        goalHeight: { min: 100, max: 300 },
+        crossbarThickness: { min: 4, max: 30 }
+    };
+
+    // Background art - colors are 0xRRGGBB, image is an optional asset path
+    const DEFAULT_BACKGROUND = {
+        sky: [0x000011, 0x001133],    // Top and bottom of the sky gradient
+        ground: [0x2a2a4a, 0x1a1a3a], // Top and bottom of the ground strip
+        line: 0x66ccff,               // Ground edge glow
+        accent: 0x00ffff,             // Center line, circles and crossbars
+        obstacle: 0x445588,           // Platform fill
+        stars: 200,
+        image: null
+    };
+
+    /**
+     * Built-in stadiums. Obstacles are solid rectangles in field coordinates
+     * (ground line at y = 860); keep them clear of the kickoff spots.
+     */
+    const STADIUMS = {
+        classic: {
+            name: 'Space Arena',
+            description: 'The original pitch',
+            width: 1600,
+            goal: { width: 80, height: 180, crossbarThickness: 10 },
+            obstacles: [],
+            background: {}
+        },
+        nebula: {
+            name: 'Nebula Court',
+            description: 'Tight pitch, small goals',
+            width: 1300,
+            goal: { width: 70, height: 150, crossbarThickness: 10 },
+            obstacles: [],
+            background: {
+                sky: [0x12001f, 0x3a0a4a],
+                ground: [0x4a2a5a, 0x2a1a3a],
+                line: 0xff77ff,
+                accent: 0xff44cc
+            }
+        },
+        skybridge: {
+            name: 'Sky Bridge',
+            description: 'Big goals and two platforms to jump on',
+            width: 1600,
+            goal: { width: 90, height: 200, crossbarThickness: 12 },
+            obstacles: [
+                { x: 380, y: 660, width: 160, height: 16 },
+                { x: 1060, y: 660, width: 160, height: 16 }
+            ],
+            background: {
+                sky: [0x001a2a, 0x004466],
+                ground: [0x2a4a5a, 0x1a3a4a],
+                line: 0x88ffee,
+                accent: 0x44ffcc,
+                obstacle: 0x337788,
+                stars: 120
+            }
+        },
+        asteroid: {
+            name: 'Asteroid Field',
+            description: 'Rocks in midfield deflect the ball',
+            width: 1500,
+            goal: { width: 80, height: 170, crossbarThickness: 10 },
+            obstacles: [
+                { x: 520, y: 800, width: 40, height: 60 },
+                { x: 940, y: 800, width: 40, height: 60 }
+            ],
+            background: {
+                sky: [0x110800, 0x332211],
+                ground: [0x4a3a2a, 0x2a1a0a],
+                line: 0xffaa55,
+                accent: 0xff8844,
+                obstacle: 0x776655,
+                stars: 260
+            }
+        }
+    };
+
+    // Ranked matches cycle through these
+    const RANKED_ROTATION = ['classic', 'skybridge', 'asteroid'];
+
+    function clamp(value, limit, fallback) {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return fallback;
+        return Math.max(limit.min, Math.min(limit.max, number));
+    }
+
+    /**
+     * Validate stadium data: clamp sizes, drop obstacles outside the field,
+     * fill in background defaults
+     * @param {string} id - Stadium ID
+     * @param {object} definition - { name, width, goal, obstacles, background }
+     * @returns {object} Frozen stadium
+     */
+    function normalize(id, definition) {
+        const classic = STADIUMS[DEFAULT_STADIUM];
+        const goal = definition.goal || {};
+        const width = clamp(definition.width, LIMITS.width, classic.width);
+
+        const obstacles = (definition.obstacles || [])
+            .filter(obstacle => obstacle.width > 0 && obstacle.height > 0 &&
+                obstacle.x >= 0 && obstacle.x + obstacle.width <= width &&
+                obstacle.y >= 0 && obstacle.y + obstacle.height <= PHYSICS.FIELD.HEIGHT)
+            .map(obstacle => Object.freeze({
+                x: obstacle.x,
+                y: obstacle.y,
+                width: obstacle.width,
+                height: obstacle.height
+            }));
+
+        return Object.freeze({
+            id,
+            name: definition.name || id,
+            description: definition.description || '',
+            width,
+            goal: Object.freeze({
+                width: clamp(goal.width, LIMITS.goalWidth, classic.goal.width),
+                height: clamp(goal.height, LIMITS.goalHeight, classic.goal.height),
+                crossbarThickness: clamp(goal.crossbarThickness, LIMITS.crossbarThickness, classic.goal.crossbarThickness)
+            }),
+            obstacles: Object.freeze(obstacles),
+            background: Object.freeze({ ...DEFAULT_BACKGROUND, ...definition.background })
+        });
+    }
+
+    const REGISTRY = {};
+    Object.keys(STADIUMS).forEach(id => {
+        REGISTRY[id] = normalize(id, STADIUMS[id]);
+    });
+
+    function has(id) {
+        return Object.prototype.hasOwnProperty.call(REGISTRY, id);
+    }
+
+    // Stadium by ID, falling back to the default for unknown IDs
+    function get(id) {
+        return has(id) ? REGISTRY[id] : REGISTRY[DEFAULT_STADIUM];
+    }
+
+    // All stadiums in menu order
+    function list() {
+        return Object.keys(REGISTRY).map(id => REGISTRY[id]);
+    }
+
+    /**
+     * Stadium for the nth ranked match
+     * @param {number} index - Match counter
+     * @returns {string} Stadium ID
+     */
+    function forRotation(index) {
+        const count = RANKED_ROTATION.length;
+        return RANKED_ROTATION[((Math.floor(index) || 0) % count + count) % count];
+    }
+
+    // Field options for PhysicsCore.createField / createWorld
+    function toFieldOptions(stadium) {
+        return {
+            width: stadium.width,
+            goalWidth: stadium.goal.width,
+            goalHeight: stadium.goal.height,
+            crossbarThickness: stadium.goal.crossbarThickness,
+            obstacles: stadium.obstacles
+        };
+    }
+
+    return Object.freeze({
+        DEFAULT_STADIUM,
+        LIMITS,
+        DEFAULT_BACKGROUND,
+        RANKED_ROTATION,
+        normalize,
+        has,
+        get,
+        list,
+        forRotation,
+        toFieldOptions
+    });
+});
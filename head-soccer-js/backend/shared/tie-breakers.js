@@ -0,0 +1,172 @@
+/**
+ * Tie Breakers - Golden-goal overtime and penalty shootouts for level matches
+ * A match that is level at full time moves through the configured tie-breakers
+ * in order ('golden_goal', then 'penalties'); with none left it ends in a draw.
+ * Shared by GameScene and the server (GameRoom, GameEndEvents) so a level match
+ * is settled by the same rules everywhere. Sides are 'left' and 'right'.
+ *
+ * Browser: load before game-scene.js -> window.TieBreakers
+ * Node:    const TieBreakers = require('./tie-breakers');
+ */
+
+(function (root, factory) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const TieBreakers = factory();
+
+    if (isNode) {
+        module.exports = TieBreakers;
+    } else {
+        root.TieBreakers = TieBreakers;
+    }
+})(typeof window !== 'undefined' ? window : this, function () {
+
+    const PHASES = ['golden_goal', 'penalties'];
+
+    // Modes that need a winner settle draws; casual games can end level
+    const MODE_TIE_BREAKERS = {
+        casual: [],
+        ranked: ['golden_goal', 'penalties'],
+        tournament: ['golden_goal', 'penalties']
+    };
+
+    const DEFAULTS = {
+        overtimeSeconds: 60, // Golden-goal overtime length
+        penaltyRounds: 5     // Kicks each before sudden death
+    };
+
+    const LABELS = {
+        regulation: 'Regulation',
+        golden_goal: 'Golden Goal',
+        penalties: 'Penalties'
+    };
+
+    /**
+     * Known tie-breakers from a list, without duplicates, in the order given
+     * @param {string[]} tieBreakers - e.g. ['golden_goal', 'penalties']
+     */
+    function normalize(tieBreakers) {
+        if (!Array.isArray(tieBreakers)) return [];
+        return tieBreakers.filter((phase, index) =>
+            PHASES.includes(phase) && tieBreakers.indexOf(phase) === index);
+    }
+
+    function forMode(gameMode) {
+        return (MODE_TIE_BREAKERS[gameMode] || []).slice();
+    }
+
+    /**
+     * Tie-breaker that follows a phase, or null when the match can end level
+     * @param {string[]} tieBreakers - Configured tie-breakers
+     * @param {string} phase - 'regulation' or a tie-breaker
+     */
+    function nextPhase(tieBreakers, phase) {
+        const list = normalize(tieBreakers);
+        const index = phase === 'regulation' ? -1 : list.indexOf(phase);
+        if (phase !== 'regulation' && index === -1) return null;
+        return list[index + 1] || null;
+    }
+
+    // Side ahead on a { left, right } score, or null when level
+    function getLeader(score) {
+        if (score.left > score.right) return 'left';
+        if (score.right > score.left) return 'right';
+        return null;
+    }
+
+    function otherSide(side) {
+        return side === 'left' ? 'right' : 'left';
+    }
+
+    // ===== PENALTY SHOOTOUT =====
+
+    /**
+     * Create a shootout. Sides take turns to shoot while the other keeps goal.
+     * @param {object} [options] - { rounds, firstShooter }
+     */
+    function createShootout(options = {}) {
+        return {
+            rounds: options.rounds || DEFAULTS.penaltyRounds,
+            firstShooter: options.firstShooter || 'left',
+            kicks: { left: [], right: [] } // true = scored, false = missed
+        };
+    }
+
+    // Side taking the next kick: whoever has taken fewer, first shooter on a level count
+    function getShooter(shootout) {
+        const { left, right } = shootout.kicks;
+        if (left.length === right.length) return shootout.firstShooter;
+        return left.length < right.length ? 'left' : 'right';
+    }
+
+    function getKeeper(shootout) {
+        return otherSide(getShooter(shootout));
+    }
+
+    function getShootoutScore(shootout) {
+        return {
+            left: shootout.kicks.left.filter(Boolean).length,
+            right: shootout.kicks.right.filter(Boolean).length
+        };
+    }
+
+    /**
+     * Decide the shootout if it can be decided yet. Inside the regulation rounds
+     * it ends as soon as one side can't be caught; after them it is sudden death,
+     * decided when both sides have kicked and the scores differ.
+     * @returns {{decided: boolean, winner: string|null, score: object, round: number}}
+     */
+    function getShootoutResult(shootout) {
+        const score = getShootoutScore(shootout);
+        const taken = {
+            left: shootout.kicks.left.length,
+            right: shootout.kicks.right.length
+        };
+        const rounds = shootout.rounds;
+        let winner = null;
+
+        if (taken.left <= rounds && taken.right <= rounds) {
+            if (score.left > score.right + (rounds - taken.right)) winner = 'left';
+            if (score.right > score.left + (rounds - taken.left)) winner = 'right';
+        }
+        if (!winner && taken.left === taken.right && taken.left >= rounds) {
+            winner = getLeader(score);
+        }
+
+        return {
+            decided: winner !== null,
+            winner,
+            score,
+            round: Math.max(taken.left, taken.right)
+        };
+    }
+
+    /**
+     * Record the next kick for the side whose turn it is
+     * @param {object} shootout - From createShootout
+     * @param {boolean} scored - Did the kick go in
+     * @returns {object} getShootoutResult after the kick, plus the shooter
+     */
+    function recordKick(shootout, scored) {
+        const shooter = getShooter(shootout);
+        shootout.kicks[shooter].push(!!scored);
+        return { ...getShootoutResult(shootout), shooter };
+    }
+
+    return Object.freeze({
+        PHASES,
+        MODE_TIE_BREAKERS,
+        DEFAULTS,
+        LABELS,
+        normalize,
+        forMode,
+        nextPhase,
+        getLeader,
+        otherSide,
+        createShootout,
+        getShooter,
+        getKeeper,
+        getShootoutScore,
+        getShootoutResult,
+        recordKick
+    });
+});
@@ -0,0 +1,380 @@
+/**
+ * Match Simulator - Headless AI-vs-AI matches for balance testing
+ * Runs the shared physics core and the shared AI controller without Phaser,
+ * with the same tick order and power rules as GameScene, and aggregates
+ * win rates per character/cleat, goals, durations, kick types, headers and stuck-ball incidents.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const PhysicsCore = require('../shared/physics-core');
+const AIController = require('../shared/ai-controller');
+const PHYSICS = require('../shared/physics-constants');
+const MatchRules = require('../shared/match-rules');
+
+// Frontend config (AI profiles, head scales) - not deployed with the backend
+const CONFIG_PATH = path.join(__dirname, '../../js/config.js');
+
+// Ball counts as stuck after this long almost still next to a side wall
+const CORNER_ZONE = 100; // px from either side wall
+const STUCK_SPEED = 1.5; // px per tick
+const STUCK_TICKS = 180; // 3 seconds
+
+/**
+ * Load window.CONFIG from js/config.js in a sandbox
+ * @returns {object} CONFIG
+ */
+function loadGameConfig(configPath = CONFIG_PATH) {
+  const sandbox = { window: {}, console };
+  vm.runInNewContext(fs.readFileSync(configPath, 'utf8'), sandbox, { filename: configPath });
+  return sandbox.window.CONFIG;
+}
+
+class MatchSimulator {
+  /**
+   * @param {object} options
+   * @param {object} [options.config] - Game CONFIG (loaded from js/config.js by default)
+   * @param {number} [options.seed] - Base seed; match i uses seed + i
+   * @param {string} [options.leftDifficulty] - AI profile key for the left bot
+   * @param {string} [options.rightDifficulty] - AI profile key for the right bot
+   * @param {object} [options.rules] - Match rules on top of the single-player rules (shared/match-rules.js)
+   * @param {number} [options.timeLimit] - Seconds per match
+   * @param {number} [options.scoreLimit] - Goals to win (0 = time only)
+   * @param {string[]} [options.heads] - Heads to draw from
+   * @param {number[]} [options.cleats] - Cleats to draw from
+   * @param {object} [options.powerOverrides] - { Head: { Wait, Duration } } on top of PHYSICS.POWERS.HEADS
+   * @param {object} [options.hitboxScale] - { Head: widthMultiplier } what-if for head sizes
+   */
+  constructor(options = {}) {
+    this.config = options.config || loadGameConfig();
+    this.rules = MatchRules.create(
+      { timeLimit: options.timeLimit, scoreLimit: options.scoreLimit },
+      MatchRules.forMode('single', options.rules)
+    );
+
+    this.options = {
+      seed: options.seed !== undefined ? options.seed : 1,
+      leftDifficulty: options.leftDifficulty || 'pro',
+      rightDifficulty: options.rightDifficulty || 'pro',
+      timeLimit: this.rules.timeLimit,
+      scoreLimit: this.rules.scoreLimit,
+      heads: options.heads || this.config.CHARACTER_HEADS,
+      cleats: options.cleats || this.config.CLEAT_TYPES,
+      hitboxScale: options.hitboxScale || {}
+    };
+
+    // Merge power overrides without touching the shared powers
+    this.powers = {};
+    Object.keys(PHYSICS.POWERS.HEADS).forEach(head => {
+      this.powers[head] = { ...PHYSICS.POWERS.HEADS[head], ...((options.powerOverrides || {})[head] || {}) };
+    });
+  }
+
+  /**
+   * Play one match to the score or time limit
+   * @param {object} setup - { player1: { head, cleat }, player2: { head, cleat }, seed }
+   * @returns {object} Match result
+   */
+  runMatch(setup) {
+    const world = PhysicsCore.createWorld({ seed: setup.seed, ...MatchRules.toFieldOptions(this.rules) });
+    const random = PhysicsCore.createRandomSource(PhysicsCore.createStreamRng(setup.seed, PhysicsCore.RNG_STREAMS.AI));
+    const maxTicks = Math.round(this.options.timeLimit * PhysicsCore.TICK_RATE);
+
+    const sides = {
+      player1: this.createSide(world, setup.player1, 'left', this.options.leftDifficulty),
+      player2: this.createSide(world, setup.player2, 'right', this.options.rightDifficulty)
+    };
+
+    const score = { player1: 0, player2: 0 };
+    const stuck = { incidents: 0, ticks: 0, run: 0 };
+    const powerUses = { player1: 0, player2: 0 };
+    const woodwork = { crossbar: 0, post: 0 };
+    const kicks = { shot: 0, lob: 0, volley: 0 };
+    const contacts = { headers: 0, headLandings: 0 };
+    let endReason = 'time_limit';
+
+    while (world.tick < maxTicks) {
+      const now = world.tick * PhysicsCore.TICK_MS;
+      const inputs = {};
+
+      ['player1', 'player2'].forEach(playerKey => {
+        const side = sides[playerKey];
+        const opponentKey = playerKey === 'player1' ? 'player2' : 'player1';
+        const player = world.players[playerKey];
+
+        // Charge power bar and tick freeze (GameScene.updatePowers)
+        if (side.power.charge < side.power.waitFrames) side.power.charge++;
+        if (side.power.frozenTimer > 0) side.power.frozenTimer--;
+
+        const view = AIController.createView({
+          self: player,
+          opponent: world.players[opponentKey],
+          ball: world.ball,
+          width: world.field.width,
+          height: world.field.height,
+          side: side.side,
+          power: side.power
+        });
+        AIController.think(side.ai, view, now, random);
+        let input = AIController.getInput(side.ai, view);
+
+        // Frozen players can't act until the freeze wears off
+        if (side.power.frozenTimer > 0) {
+          input = PhysicsCore.EMPTY_INPUT;
+          player.velocity.x = 0;
+        }
+
+        if (input.power && this.rules.powersEnabled && side.power.charge >= side.power.waitFrames) {
+          this.activatePower(world, sides, playerKey);
+          side.ai.shouldUsePower = false;
+          powerUses[playerKey]++;
+        }
+
+        inputs[playerKey] = input;
+      });
+
+      const events = PhysicsCore.step(world, inputs);
+      this.trackStuckBall(world, stuck);
+      events.filter(event => event.type === 'woodwork').forEach(event => woodwork[event.part]++);
+      events.filter(event => event.type === 'kick').forEach(event => kicks[event.kick]++);
+      contacts.headers += events.filter(event => event.type === 'header').length;
+      contacts.headLandings += events.filter(event => event.contact === 'head_landing').length;
+
+      const goal = events.find(event => event.type === 'goal');
+      if (goal) {
+        score[goal.scorer]++;
+
+        // Same as single player GameScene: reset straight away, then cooldown
+        PhysicsCore.resetWorldPositions(world);
+        world.goalCooldown = PhysicsCore.GOAL_COOLDOWN_TICKS;
+        stuck.run = 0;
+
+        if (this.options.scoreLimit > 0 && score[goal.scorer] >= this.options.scoreLimit) {
+          endReason = 'score_limit';
+          break;
+        }
+      }
+    }
+
+    let winner = 'tie';
+    if (score.player1 > score.player2) winner = 'player1';
+    if (score.player2 > score.player1) winner = 'player2';
+
+    return {
+      setup,
+      score,
+      winner,
+      endReason,
+      ticks: world.tick,
+      durationSeconds: world.tick / PhysicsCore.TICK_RATE,
+      stuckIncidents: stuck.incidents,
+      stuckTicks: stuck.ticks,
+      powerUses,
+      woodwork,
+      kicks,
+      contacts
+    };
+  }
+
+  createSide(world, info, side, difficulty) {
+    const powerConfig = this.powers[info.head];
+    const profile = this.config.AI_PROFILES[difficulty] || this.config.AI_PROFILES.pro;
+    const ai = AIController.createAI(profile);
+    ai.difficulty = difficulty;
+
+    // Head hitbox from CONFIG.HEAD_SCALE, plus an optional wider/narrower body for this head
+    const player = world.players[side === 'left' ? 'player1' : 'player2'];
+    PhysicsCore.setHeadScale(player, (this.config.HEAD_SCALE || {})[info.head]);
+    const scale = this.options.hitboxScale[info.head];
+    if (scale) {
+      player.width = PHYSICS.PLAYER.WIDTH * scale;
+      PhysicsCore.resetPlayer(player, world.field, side);
+    }
+
+    return {
+      side,
+      ai,
+      power: {
+        name: powerConfig.Name,
+        waitFrames: powerConfig.Wait * PhysicsCore.TICK_RATE,
+        durationFrames: powerConfig.Duration ? powerConfig.Duration * PhysicsCore.TICK_RATE : 0,
+        charge: 0,
+        frozenTimer: 0
+      }
+    };
+  }
+
+  // Body effects of GameScene.activatePower (no sprites)
+  activatePower(world, sides, playerKey) {
+    const state = sides[playerKey].power;
+    const side = sides[playerKey].side;
+    const opponentKey = playerKey === 'player1' ? 'player2' : 'player1';
+    const player = world.players[playerKey];
+
+    state.charge = 0;
+
+    switch (state.name) {
+      case 'Dash':
+        player.dashDirection = side === 'left' ? 1 : -1;
+        player.dashTimer = PHYSICS.POWERS.DASH_FRAMES;
+        break;
+
+      case 'Back': {
+        const goal = side === 'left' ? world.field.leftGoal : world.field.rightGoal;
+        const offset = PHYSICS.POWERS.BACK_GOAL_OFFSET;
+        player.x = side === 'left' ? goal.x + goal.width + offset : goal.x - offset - player.width;
+        player.y = world.field.playerGroundY;
+        player.velocity = { x: 0, y: 0 };
+        player.dashTimer = 0;
+        break;
+      }
+
+      case 'Freeze Player':
+        sides[opponentKey].power.frozenTimer = state.durationFrames;
+        world.players[opponentKey].dashTimer = 0;
+        break;
+    }
+  }
+
+  trackStuckBall(world, stuck) {
+    const ball = world.ball;
+    const centerX = ball.x + ball.radius;
+    const speed = Math.abs(ball.velocity.x) + Math.abs(ball.velocity.y);
+    const nearWall = centerX < CORNER_ZONE || centerX > world.field.width - CORNER_ZONE;
+
+    if (nearWall && speed < STUCK_SPEED) {
+      stuck.run++;
+      if (stuck.run === STUCK_TICKS) {
+        stuck.incidents++;
+        stuck.ticks += STUCK_TICKS;
+      } else if (stuck.run > STUCK_TICKS) {
+        stuck.ticks++;
+      }
+    } else {
+      stuck.run = 0;
+    }
+  }
+
+  /**
+   * Play many matches with random character/cleat draws
+   * @param {number} count - Number of matches
+   * @param {function} [onProgress] - Called with (completed, count)
+   * @returns {object} Aggregated report
+   */
+  runBatch(count, onProgress) {
+    const drawRng = PhysicsCore.createRng(this.options.seed);
+    const pick = (list) => list[Math.floor(PhysicsCore.nextRandom(drawRng) * list.length)];
+    const results = [];
+
+    for (let i = 0; i < count; i++) {
+      results.push(this.runMatch({
+        player1: { head: pick(this.options.heads), cleat: pick(this.options.cleats) },
+        player2: { head: pick(this.options.heads), cleat: pick(this.options.cleats) },
+        seed: (this.options.seed + i) >>> 0
+      }));
+
+      if (onProgress) onProgress(i + 1, count);
+    }
+
+    return MatchSimulator.summarize(results);
+  }
+
+  /**
+   * Aggregate match results into a balance report
+   * @param {object[]} results - From runMatch
+   */
+  static summarize(results) {
+    const newRecord = () => ({ matches: 0, wins: 0, losses: 0, draws: 0, goalsFor: 0, goalsAgainst: 0, powerUses: 0 });
+    const byCombo = {};
+    const byHead = {};
+    const bySide = { left: newRecord(), right: newRecord() };
+
+    let totalGoals = 0;
+    let totalSeconds = 0;
+    let stuckIncidents = 0;
+    let stuckTicks = 0;
+    let matchesWithStuck = 0;
+    let scoreLimitEnds = 0;
+    const woodwork = { crossbar: 0, post: 0 };
+    const kicks = { shot: 0, lob: 0, volley: 0 };
+    const contacts = { headers: 0, headLandings: 0 };
+
+    const addTo = (record, goalsFor, goalsAgainst, outcome, powerUses) => {
+      record.matches++;
+      record[outcome]++;
+      record.goalsFor += goalsFor;
+      record.goalsAgainst += goalsAgainst;
+      record.powerUses += powerUses;
+    };
+
+    results.forEach(result => {
+      totalGoals += result.score.player1 + result.score.player2;
+      totalSeconds += result.durationSeconds;
+      stuckIncidents += result.stuckIncidents;
+      stuckTicks += result.stuckTicks;
+      if (result.stuckIncidents > 0) matchesWithStuck++;
+      if (result.endReason === 'score_limit') scoreLimitEnds++;
+      woodwork.crossbar += result.woodwork.crossbar;
+      woodwork.post += result.woodwork.post;
+      Object.keys(kicks).forEach(type => { kicks[type] += result.kicks[type]; });
+      contacts.headers += result.contacts.headers;
+      contacts.headLandings += result.contacts.headLandings;
+
+      [['player1', 'player2', 'left'], ['player2', 'player1', 'right']].forEach(([playerKey, opponentKey, side]) => {
+        const info = result.setup[playerKey];
+        const comboKey = `${info.head} / Cleat ${info.cleat}`;
+        let outcome = 'draws';
+        if (result.winner === playerKey) outcome = 'wins';
+        if (result.winner === opponentKey) outcome = 'losses';
+
+        const goalsFor = result.score[playerKey];
+        const goalsAgainst = result.score[opponentKey];
+        const powerUses = result.powerUses[playerKey];
+
+        byCombo[comboKey] = byCombo[comboKey] || newRecord();
+        byHead[info.head] = byHead[info.head] || newRecord();
+        addTo(byCombo[comboKey], goalsFor, goalsAgainst, outcome, powerUses);
+        addTo(byHead[info.head], goalsFor, goalsAgainst, outcome, powerUses);
+        addTo(bySide[side], goalsFor, goalsAgainst, outcome, powerUses);
+      });
+    });
+
+    const finish = (record) => ({
+      ...record,
+      winRate: record.matches ? record.wins / record.matches : 0,
+      avgGoalsFor: record.matches ? record.goalsFor / record.matches : 0,
+      avgGoalsAgainst: record.matches ? record.goalsAgainst / record.matches : 0,
+      avgPowerUses: record.matches ? record.powerUses / record.matches : 0
+    });
+    const finishAll = (records) => Object.fromEntries(
+      Object.entries(records).map(([key, record]) => [key, finish(record)])
+    );
+
+    const matches = results.length;
+    return {
+      matches,
+      avgGoals: matches ? totalGoals / matches : 0,
+      avgDurationSeconds: matches ? totalSeconds / matches : 0,
+      scoreLimitRate: matches ? scoreLimitEnds / matches : 0,
+      drawRate: matches ? results.filter(r => r.winner === 'tie').length / matches : 0,
+      stuck: {
+        incidents: stuckIncidents,
+        matchesAffectedRate: matches ? matchesWithStuck / matches : 0,
+        avgSecondsPerMatch: matches ? stuckTicks / PhysicsCore.TICK_RATE / matches : 0
+      },
+      woodwork: {
+        ...woodwork,
+        avgPerMatch: matches ? (woodwork.crossbar + woodwork.post) / matches : 0
+      },
+      kicks,
+      contacts,
+      bySide: finishAll(bySide),
+      byHead: finishAll(byHead),
+      byCombo: finishAll(byCombo)
+    };
+  }
+}
+
+module.exports = MatchSimulator;
+module.exports.loadGameConfig = loadGameConfig;
@@ -0,0 +1,395 @@
+/**
+ * Unit tests for the shared BallAuthority rules and how GameplayEvents arbitrates them
+ */
+
+const BallAuthority = require('../shared/ball-authority');
+const GameplayEvents = require('../websocket/gameplayEvents');
+const GameRoom = require('../modules/GameRoom');
+const GameStateValidator = require('../modules/GameStateValidator');
+
+// Simple test runner
+function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function test(description, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${description}`);
+      passedTests++;
+    } catch (error) {
+      console.log(`❌ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failedTests++;
+    }
+  }
+
+  function assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  const player = (x) => ({ x, y: 300, width: 60, height: 80 });
+  const ball = (x) => ({ x, y: 320, radius: 25 });
+
+  console.log('\n🧪 Running BallAuthority Tests...\n');
+
+  // Test 1: Contact hands the ball over
+  test('Should hand the ball over on contact under the next sequence', () => {
+    const state = BallAuthority.create('left', 0);
+    const result = BallAuthority.claim(state, 'right', 0, 'contact', 1000);
+
+    assert(result.accepted && result.changed);
+    assert(state.owner === 'right' && state.sequence === 1);
+    assert(state.lastTouch.side === 'right' && state.lastTouch.at === 1000);
+  });
+
+  // Test 2: Conflicting claims
+  test('Should let the first claim on a sequence win', () => {
+    const state = BallAuthority.create('left', 0);
+    BallAuthority.claim(state, 'right', 0, 'contact', 1000);
+
+    // Left touched the ball at the same moment, but claimed on the old sequence
+    const late = BallAuthority.claim(state, 'left', 0, 'contact', 1010);
+    assert(!late.accepted && late.reason === 'stale sequence');
+    assert(state.owner === 'right' && state.sequence === 1);
+
+    const owner = BallAuthority.claim(state, 'right', 0, 'contact', 1020);
+    assert(owner.accepted && !owner.changed);
+    assert(state.lastTouch.at === 1020);
+
+    assert(!BallAuthority.claim(state, 'left', 1, 'failover', 1030).accepted);
+    assert(!BallAuthority.claim(state, 'middle', 1, 'contact', 1030).accepted);
+  });
+
+  // Test 3: Proximity
+  test('Should give a loose ball to the clearly nearer player', () => {
+    const state = BallAuthority.create('left', 0);
+    const players = { left: player(100), right: player(500) };
+
+    assert(BallAuthority.getProximityClaim(state, ball(480), players, 1000) === 'right');
+    assert(BallAuthority.getProximityClaim(state, ball(300), players, 1000) === null); // About halfway
+    assert(BallAuthority.getProximityClaim(state, ball(100), players, 1000) === null);
+
+    // Just touched by the owner - contact beats proximity for touchHold
+    state.lastTouch = { side: 'left', at: 900 };
+    assert(BallAuthority.getProximityClaim(state, ball(480), players, 1000) === null);
+    assert(!BallAuthority.claim(state, 'right', 0, 'proximity', 1000).accepted);
+    assert(BallAuthority.claim(state, 'right', 0, 'proximity', 900 + BallAuthority.DEFAULTS.touchHold).changed);
+  });
+
+  // Test 4: Owner updates
+  test('Should accept ball updates only from the owner on the current sequence', () => {
+    const state = BallAuthority.create('left', 0);
+    assert(BallAuthority.acceptUpdate(state, 'left', 0, 500));
+    assert(state.lastUpdate === 500);
+    assert(!BallAuthority.acceptUpdate(state, 'right', 0, 600));
+
+    BallAuthority.claim(state, 'right', 0, 'contact', 700);
+    assert(!BallAuthority.acceptUpdate(state, 'left', 0, 710));
+    assert(BallAuthority.acceptUpdate(state, 'right', 1, 720));
+  });
+
+  // Test 5: Failover
+  test('Should fail over a silent or lagging owner', () => {
+    const state = BallAuthority.create('left', 0);
+    const { staleAfter, maxOwnerLatency } = BallAuthority.DEFAULTS;
+
+    assert(BallAuthority.getFailoverReason(state, staleAfter) === null);
+    assert(BallAuthority.getFailoverReason(state, staleAfter + 1) === 'stale');
+    assert(BallAuthority.getFailoverReason(state, 100, maxOwnerLatency + 50, 40) === 'lag');
+    assert(BallAuthority.getFailoverReason(state, 100, maxOwnerLatency + 50, maxOwnerLatency + 80) === null);
+
+    BallAuthority.failover(state, 2000);
+    assert(state.owner === 'right' && state.sequence === 1 && state.reason === 'failover');
+    assert(state.lastUpdate === 2000);
+
+    BallAuthority.reset(state, 'left', 5000);
+    assert(state.owner === 'left' && state.sequence === 2 && state.lastTouch === null);
+  });
+
+  // Test 6: Server arbitration of a relayed match
+  test('Should arbitrate claims, updates and failover in GameplayEvents', () => {
+    const broadcasts = [];
+    const connectionManager = {
+      broadcastToRoom(roomId, event, data) {
+        broadcasts.push({ roomId, event, data });
+      },
+      getConnectionByPlayerId(playerId) {
+        return { playerId };
+      }
+    };
+    const gameplayEvents = new GameplayEvents(connectionManager, { queueEvent() {} }, {}, { kickoffCountdown: 0 });
+    const room = new GameRoom('match_1', 'ranked');
+    room.metadata.sides = {
+      left: { playerId: 'alice', username: 'Alice' },
+      right: { playerId: 'bob', username: 'Bob' }
+    };
+    room.status = 'PLAYING';
+    gameplayEvents.matchClocks.set('match_1', room);
+    gameplayEvents.resetBallAuthority('match_1', 'left', Date.now());
+
+    const kickoff = broadcasts.pop();
+    assert(kickoff.event === 'ball_authority' && kickoff.data.owner === 'left' && kickoff.data.ownerId === 'alice');
+    const sequence = kickoff.data.sequence;
+
+    assert(gameplayEvents.acceptBallUpdate('match_1', 'alice', {
+      position: { x: 400, y: 200 }, velocity: { x: 3, y: 0 }, authoritySequence: sequence
+    }).success);
+    assert(!gameplayEvents.acceptBallUpdate('match_1', 'bob', { authoritySequence: sequence }).success);
+
+    const claim = gameplayEvents.claimBallAuthority('match_1', 'bob', { sequence, reason: 'contact' });
+    assert(claim.success && gameplayEvents.isAuthoritativeForBall('bob', 'match_1', sequence + 1));
+    assert(broadcasts.pop().data.owner === 'right');
+
+    // Alice's claim crossed Bob's - she gets the owner and the last ball back
+    const lost = gameplayEvents.claimBallAuthority('match_1', 'alice', { sequence, reason: 'contact' });
+    assert(!lost.success && lost.correction.owner === 'right');
+    assert(lost.correction.ball.position.x === 400);
+
+    assert(!gameplayEvents.claimBallAuthority('match_1', 'carol', { sequence, reason: 'contact' }).success);
+
+    // Bob goes quiet
+    const failedOver = gameplayEvents.checkBallAuthority('match_1', Date.now() + BallAuthority.DEFAULTS.staleAfter + 1);
+    assert(failedOver && failedOver.owner === 'left');
+    assert(broadcasts.pop().data.cause === 'stale');
+
+    gameplayEvents.stopMatchClock('match_1');
+    assert(gameplayEvents.getBallAuthority('match_1') === null);
+    gameplayEvents.shutdown();
+  });
+
+  // Test 7: A disconnect holds the match
+  test('Should pause a relayed match while a disconnected player can rejoin', () => {
+    const broadcasts = [];
+    const connectionManager = {
+      broadcastToRoom(roomId, event, data) {
+        broadcasts.push({ roomId, event, data });
+      },
+      getConnectionByPlayerId(playerId) {
+        return { playerId };
+      }
+    };
+    const gameplayEvents = new GameplayEvents(connectionManager, { queueEvent() {} }, {}, { kickoffCountdown: 0 });
+    const room = new GameRoom('match_1', { timeLimit: 120 });
+    room.metadata.sides = {
+      left: { playerId: 'alice', username: 'Alice' },
+      right: { playerId: 'bob', username: 'Bob' }
+    };
+    assert(gameplayEvents.startMatchClock('match_1', room));
+
+    gameplayEvents.handlePlayerDisconnection('bob', 'match_1');
+    assert(room.status === 'PAUSED' && gameplayEvents.matchClocks.has('match_1'), 'Held, not stopped');
+    assert(broadcasts.pop().data.running === false);
+
+    // Bob's page comes back - the match runs on without a new kickoff
+    broadcasts.length = 0;
+    assert(gameplayEvents.startMatchClock('match_1', room) === false);
+    assert(gameplayEvents.resumeAfterReconnect('match_1', 'bob'));
+    assert(room.status === 'PLAYING' && !gameplayEvents.reconnectHolds.has('match_1'));
+    assert(!broadcasts.some(message => message.event === 'kickoff_scheduled'));
+    assert(!gameplayEvents.resumeAfterReconnect('match_1', 'bob'), 'Nobody left to wait for');
+
+    // A match already paused stays paused when the player comes back
+    room.pauseGame('player_request');
+    gameplayEvents.handlePlayerDisconnection('alice', 'match_1');
+    gameplayEvents.resumeAfterReconnect('match_1', 'alice');
+    assert(room.status === 'PAUSED');
+
+    gameplayEvents.stopMatchClock('match_1');
+    gameplayEvents.shutdown();
+  });
+
+  // Test 8: The owner disconnects
+  test('Should hand a disconnected owner\'s ball to the player still connected', () => {
+    const broadcasts = [];
+    const connectionManager = {
+      broadcastToRoom(roomId, event, data) {
+        broadcasts.push({ roomId, event, data });
+      },
+      getConnectionByPlayerId(playerId) {
+        return { playerId };
+      }
+    };
+    const gameplayEvents = new GameplayEvents(connectionManager, { queueEvent() {} }, {}, { kickoffCountdown: 0 });
+    const room = new GameRoom('match_1', { timeLimit: 120 });
+    room.metadata.sides = {
+      left: { playerId: 'alice', username: 'Alice' },
+      right: { playerId: 'bob', username: 'Bob' }
+    };
+    gameplayEvents.startMatchClock('match_1', room);
+
+    gameplayEvents.handlePlayerDisconnection('alice', 'match_1');
+    const handoff = broadcasts.find(message => message.event === 'ball_authority' && message.data.cause === 'disconnect');
+    assert(handoff && handoff.data.owner === 'right' && handoff.data.ownerId === 'bob');
+
+    const update = gameplayEvents.acceptBallUpdate('match_1', 'bob', {
+      position: { x: 900, y: 300 }, velocity: { x: -2, y: 0 }, authoritySequence: handoff.data.sequence
+    });
+    assert(update.success, update.reason);
+    assert(gameplayEvents.getBallCorrection('match_1', 'test').ball.position.x === 900);
+
+    gameplayEvents.stopMatchClock('match_1');
+    gameplayEvents.shutdown();
+  });
+
+  // Test 9: Goal claims in a relayed match
+  test('Should only take a goal claim from the ball owner, starting at the relayed ball', () => {
+    const connectionManager = {
+      broadcastToRoom() {},
+      getConnectionByPlayerId(playerId) {
+        return { playerId };
+      }
+    };
+    const gameplayEvents = new GameplayEvents(connectionManager, { queueEvent() {} }, new GameStateValidator(), { kickoffCountdown: 0 });
+    const room = new GameRoom('match_1', { timeLimit: 120 });
+    room.metadata.sides = {
+      left: { playerId: 'alice', username: 'Alice' },
+      right: { playerId: 'bob', username: 'Bob' }
+    };
+    gameplayEvents.startMatchClock('match_1', room);
+    const sequence = gameplayEvents.getBallAuthority('match_1').sequence;
+
+    // Alice owns the ball and last relayed it just short of the right goal
+    assert(gameplayEvents.acceptBallUpdate('match_1', 'alice', {
+      position: { x: 1455, y: 760 }, velocity: { x: 20, y: 0 }, authoritySequence: sequence
+    }).success);
+    const hint = { ballPosition: { x: 1480, y: 760 }, previousBallPosition: { x: 1460, y: 760 }, lastTouch: 'left' };
+
+    assert(gameplayEvents.validateGoalHint('match_1', 'carol', hint).reason === 'Player not in match');
+    assert(gameplayEvents.validateGoalHint('match_1', 'bob', hint).reason === 'Not authoritative for ball');
+
+    const elsewhere = { ...hint, previousBallPosition: { x: 1460, y: 200 } };
+    assert(gameplayEvents.validateGoalHint('match_1', 'alice', elsewhere).reason === 'Ball does not match the relayed ball');
+    assert(!gameplayEvents.validateGoalHint('match_1', 'alice', { ...hint, ballPosition: { x: 1462, y: 760 } }).success);
+
+    const claim = gameplayEvents.validateGoalHint('match_1', 'alice', hint);
+    assert(claim.success, claim.reason);
+    assert(claim.goal.side === 'left' && claim.goal.scorer.playerId === 'alice' && !claim.goal.ownGoal);
+
+    gameplayEvents.stopMatchClock('match_1');
+    gameplayEvents.shutdown();
+  });
+
+  // Test 10: A relayed penalty shootout
+  test('Should record penalty claims from the ball owner and end the match on the shootout', () => {
+    const broadcasts = [];
+    const connectionManager = {
+      broadcastToRoom(roomId, event, data) {
+        broadcasts.push({ roomId, event, data });
+      },
+      getConnectionByPlayerId(playerId) {
+        return { playerId };
+      }
+    };
+    const gameplayEvents = new GameplayEvents(connectionManager, { queueEvent() {} }, new GameStateValidator(), { kickoffCountdown: 0 });
+    const room = new GameRoom('match_1', { gameMode: 'ranked', timeLimit: 120, tieBreakers: ['penalties'], penaltyRounds: 1 });
+    room.metadata.sides = {
+      left: { playerId: 'alice', username: 'Alice' },
+      right: { playerId: 'bob', username: 'Bob' }
+    };
+    gameplayEvents.startMatchClock('match_1', room);
+    gameplayEvents.resetBallAuthority('match_1', 'right', Date.now());
+
+    // Full time at 0-0 - the clock tick starts the shootout and gives the first shooter the ball
+    room.getPlayedTime = () => room.timeLimit;
+    gameplayEvents.processClockTick();
+    assert(room.phase === 'penalties' && gameplayEvents.getBallAuthority('match_1').owner === 'left', 'First shooter has the ball');
+    const sequence = gameplayEvents.getBallAuthority('match_1').sequence;
+    const results = () => broadcasts.filter(message => message.event === 'penalty_result');
+
+    // Alice shoots first and owns the ball - the claims run up to recording synchronously
+    gameplayEvents.acceptBallUpdate('match_1', 'alice', {
+      position: { x: 1455, y: 760 }, velocity: { x: 20, y: 0 }, authoritySequence: sequence
+    });
+    const goal = { scored: true, ballPosition: { x: 1480, y: 760 }, previousBallPosition: { x: 1460, y: 760 } };
+    gameplayEvents.handlePenaltyClaim('match_1', 'bob', { kick: 0, scored: false });
+    gameplayEvents.handlePenaltyClaim('match_1', 'alice', { kick: 1, ...goal });
+    gameplayEvents.handlePenaltyClaim('match_1', 'alice', { kick: 0, ...goal, previousBallPosition: { x: 1460, y: 200 } });
+    assert(results().length === 0 && room.shootout.kicks.left.length === 0);
+
+    gameplayEvents.handlePenaltyClaim('match_1', 'alice', { kick: 0, ...goal });
+    assert(results().length === 1 && results()[0].data.scored && results()[0].data.score.left === 1);
+    assert(gameplayEvents.getBallAuthority('match_1').owner === 'right', 'Next shooter has the ball');
+
+    // A resend of the same kick
+    gameplayEvents.handlePenaltyClaim('match_1', 'bob', { kick: 0, scored: false });
+    assert(results().length === 1);
+
+    // Misses are checked against Bob's relayed ball too: not from somewhere else, not in a goal
+    const bobSequence = gameplayEvents.getBallAuthority('match_1').sequence;
+    gameplayEvents.acceptBallUpdate('match_1', 'bob', {
+      position: { x: 60, y: 760 }, velocity: { x: -20, y: 0 }, authoritySequence: bobSequence
+    });
+    const miss = { kick: 1, scored: false, ballPosition: { x: 700, y: 500 }, previousBallPosition: { x: 700, y: 500 } };
+    gameplayEvents.handlePenaltyClaim('match_1', 'bob', { kick: 1, scored: false });
+    gameplayEvents.handlePenaltyClaim('match_1', 'bob', miss);
+    gameplayEvents.handlePenaltyClaim('match_1', 'bob', { ...miss, ballPosition: { x: 60, y: 760 }, previousBallPosition: { x: 70, y: 760 } });
+    assert(results().length === 1 && room.shootout.kicks.right.length === 0, 'Miss claims without the relayed ball are rejected');
+
+    gameplayEvents.acceptBallUpdate('match_1', 'bob', {
+      position: { x: 700, y: 500 }, velocity: { x: -20, y: 0 }, authoritySequence: bobSequence
+    });
+    gameplayEvents.handlePenaltyClaim('match_1', 'bob', miss);
+    assert(results().length === 2 && results()[1].data.decided);
+    assert(room.status === 'FINISHED' && room.decidedBy === 'penalties');
+    const ended = broadcasts.find(message => message.event === 'game_ended');
+    assert(ended && ended.data.result === 'player1' && ended.data.decidedBy === 'penalties', JSON.stringify(ended && ended.data));
+    assert(ended.data.shootoutScore.left === 1 && ended.data.shootoutScore.right === 0);
+    assert(!gameplayEvents.matchClocks.has('match_1'));
+
+    gameplayEvents.shutdown();
+  });
+
+  // Test 11: Nobody rejoined
+  test('Should end a held match as a forfeit to the player still connected', () => {
+    const connectionManager = {
+      broadcastToRoom() {},
+      getConnectionByPlayerId(playerId) {
+        return { playerId };
+      }
+    };
+    const gameplayEvents = new GameplayEvents(connectionManager, { queueEvent() {} }, {}, {
+      kickoffCountdown: 0,
+      gameEnd: { postGameDelay: 1, celebrationDuration: 1 }
+    });
+    const room = new GameRoom('match_1', { timeLimit: 120 });
+    room.metadata.sides = {
+      left: { playerId: 'alice', username: 'Alice' },
+      right: { playerId: 'bob', username: 'Bob' }
+    };
+    gameplayEvents.startMatchClock('match_1', room);
+    room.score.left = 1;
+
+    gameplayEvents.handlePlayerDisconnection('bob', 'match_1');
+    const gameState = gameplayEvents.getRelayedGameState('match_1', room, gameplayEvents.reconnectHolds.get('match_1').players);
+    assert(gameState.players[0].id === 'alice' && gameState.players[0].connected);
+    assert(gameState.players[1].id === 'bob' && !gameState.players[1].connected);
+    assert(gameState.score.player1 === 1 && gameState.startTime === room.gameStartTime.getTime());
+
+    // The grace period ran out
+    gameplayEvents.forfeitHeldMatch('match_1');
+    assert(room.status === 'FINISHED' && room.winner === 'alice' && room.winReason === 'disconnect');
+    assert(!gameplayEvents.matchClocks.has('match_1') && !gameplayEvents.reconnectHolds.has('match_1'));
+    assert(gameplayEvents.gameEndEvents.endingGames.get('match_1').reason === 'disconnect', 'Ended through GameEndEvents');
+
+    gameplayEvents.shutdown();
+  });
+
+  // Test results
+  console.log('\n📊 BallAuthority Test Results:');
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  return failedTests === 0;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
@@ -0,0 +1,219 @@
+/**
+ * Unit tests for ClockSync offset, RTT and jitter estimation
+ */
+
+const ClockSync = require('../websocket/clockSync');
+const GameEventSystem = require('../websocket/gameEventSystem');
+const GameStateValidator = require('../modules/GameStateValidator');
+
+// Simple test runner
+function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function test(description, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${description}`);
+      passedTests++;
+    } catch (error) {
+      console.log(`❌ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failedTests++;
+    }
+  }
+
+  function assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  // Socket that records what it was sent
+  function mockSocket() {
+    return {
+      sent: [],
+      emit(event, data) {
+        this.sent.push({ event, data });
+      }
+    };
+  }
+
+  // One sample for a client clock `offset` ms ahead, `up`/`down` ms on the wire
+  function exchange(clockSync, playerId, socket, serverSendTime, offset, up, down, hold = 1) {
+    const originalNow = Date.now;
+    Date.now = () => serverSendTime;
+    clockSync.requestSample(playerId);
+    Date.now = originalNow;
+
+    const request = socket.sent.filter(message => message.event === 'time_sync').pop().data;
+    const clientReceiveTime = serverSendTime + up + offset;
+    return clockSync.handleResponse(playerId, {
+      id: request.id,
+      clientReceiveTime,
+      clientSendTime: clientReceiveTime + hold
+    }, serverSendTime + up + hold + down);
+  }
+
+  // Sync without the join burst (startSync schedules timers)
+  function addPlayer(clockSync, playerId, socket) {
+    clockSync.players.set(playerId, { socket, samples: [], pending: new Map(), estimate: null });
+  }
+
+  console.log('\n🧪 Running ClockSync Tests...\n');
+
+  const clockSync = new ClockSync(null, { resyncInterval: 60000 });
+
+  // Test 1: Offset and RTT from one exchange
+  test('Should measure offset and RTT from a symmetric exchange', () => {
+    const socket = mockSocket();
+    addPlayer(clockSync, 'player1', socket);
+
+    const estimate = exchange(clockSync, 'player1', socket, 100000, 2500, 40, 40);
+    assert(estimate.offset === 2500, `offset ${estimate.offset}`);
+    assert(estimate.rtt === 80, `rtt ${estimate.rtt}`);
+    assert(estimate.jitter === 0);
+    assert(estimate.samples === 1);
+
+    const result = socket.sent.find(message => message.event === 'time_sync_result');
+    assert(result && result.data.offset === 2500);
+  });
+
+  // Test 2: Fastest round trip wins
+  test('Should take the offset of the fastest round trip', () => {
+    const socket = mockSocket();
+    addPlayer(clockSync, 'player2', socket);
+
+    // A queued uplink skews the offset; the quick symmetric sample does not
+    exchange(clockSync, 'player2', socket, 200000, -1200, 300, 20);
+    const estimate = exchange(clockSync, 'player2', socket, 201000, -1200, 15, 15);
+    assert(estimate.offset === -1200, `offset ${estimate.offset}`);
+    assert(estimate.rtt === 175, `rtt ${estimate.rtt}`);
+    assert(estimate.jitter === 145, `jitter ${estimate.jitter}`);
+  });
+
+  // Test 3: Sample window
+  test('Should keep only the last sampleWindow samples', () => {
+    const small = new ClockSync(null, { sampleWindow: 3, resyncInterval: 60000 });
+    const socket = mockSocket();
+    addPlayer(small, 'player1', socket);
+
+    let estimate = null;
+    for (let i = 0; i < 5; i++) {
+      estimate = exchange(small, 'player1', socket, 300000 + i * 1000, 0, 10 + i, 10 + i);
+    }
+    assert(estimate.samples === 3);
+    assert(estimate.rtt === 26, `rtt ${estimate.rtt}`);
+    small.shutdown();
+  });
+
+  // Test 4: Bad answers
+  test('Should ignore unknown, repeated and impossible answers', () => {
+    const socket = mockSocket();
+    addPlayer(clockSync, 'player3', socket);
+
+    assert(clockSync.handleResponse('player3', { id: 999999, clientReceiveTime: 1, clientSendTime: 2 }) === null);
+    assert(clockSync.handleResponse('nobody', { id: 1, clientReceiveTime: 1, clientSendTime: 2 }) === null);
+
+    clockSync.requestSample('player3');
+    const request = socket.sent[0].data;
+
+    // Client claims to have held the request longer than the round trip
+    const now = request.serverTime + 50;
+    assert(clockSync.handleResponse('player3', { id: request.id, clientReceiveTime: 0, clientSendTime: 500 }, now) === null);
+    assert(clockSync.handleResponse('player3', { id: request.id, clientReceiveTime: 0, clientSendTime: 10 }, now) === null);
+    assert(clockSync.getEstimate('player3') === null);
+  });
+
+  // Test 5: Unanswered samples expire
+  test('Should drop samples that were never answered', () => {
+    const socket = mockSocket();
+    addPlayer(clockSync, 'player4', socket);
+    const dropped = clockSync.metrics.samplesDropped;
+
+    const originalNow = Date.now;
+    Date.now = () => 400000;
+    clockSync.requestSample('player4');
+    Date.now = () => 400000 + clockSync.config.sampleTimeout + 1;
+    clockSync.requestSample('player4');
+    Date.now = originalNow;
+
+    assert(clockSync.players.get('player4').pending.size === 1);
+    assert(clockSync.metrics.samplesDropped === dropped + 1);
+  });
+
+  // Test 6: Client time to server time
+  test('Should move client timestamps onto the server clock', () => {
+    assert(clockSync.toServerTime('player1', 102540) === 100040);
+    assert(clockSync.toServerTime('unsynced', 5000) === 5000);
+
+    const events = [];
+    clockSync.once('synced', (playerId, estimate) => events.push({ playerId, estimate }));
+    const socket = mockSocket();
+    addPlayer(clockSync, 'player5', socket);
+    exchange(clockSync, 'player5', socket, 500000, 100, 5, 5);
+    assert(events.length === 1 && events[0].playerId === 'player5');
+    assert(clockSync.stopSync('player5') === true);
+    assert(clockSync.getEstimate('player5') === null);
+  });
+
+  // Test 7: Lag compensation with a clock estimate
+  test('Should compensate events on the synced clock', () => {
+    const gameEvents = new GameEventSystem({ broadcastToRoom() {} });
+    gameEvents.updatePlayerClock('player1', { offset: 2000, rtt: 80, jitter: 5, samples: 5 });
+
+    const event = {
+      metadata: { playerId: 'player1' },
+      lagCompensation: { clientTimestamp: 12000, serverTimestamp: 10050 }
+    };
+    gameEvents.applyLagCompensation(event);
+    assert(event.lagCompensation.compensatedTimestamp === 10000);
+    assert(event.lagCompensation.appliedCompensation === 50);
+    assert(event.lagCompensation.clockOffset === 2000);
+
+    // Never further back than the window, never in the future
+    const stale = { metadata: { playerId: 'player1' }, lagCompensation: { clientTimestamp: 5000, serverTimestamp: 10000 } };
+    gameEvents.applyLagCompensation(stale);
+    assert(stale.lagCompensation.compensatedTimestamp === 10000 - gameEvents.options.lagCompensationWindow);
+
+    const early = { metadata: { playerId: 'player1' }, lagCompensation: { clientTimestamp: 20000, serverTimestamp: 10000 } };
+    gameEvents.applyLagCompensation(early);
+    assert(early.lagCompensation.compensatedTimestamp === 10000);
+
+    // A disconnect drops the estimate
+    gameEvents.clearPlayer('player1');
+    assert(gameEvents.getPlayerClock('player1') === null && gameEvents.getStats().playerClocks === 0);
+    gameEvents.shutdown();
+  });
+
+  // Test 8: Timestamp validation with a clock offset
+  test('Should validate timestamps on the synced clock', () => {
+    const validator = new GameStateValidator({ maxTimeDrift: 500 });
+    const now = Date.now();
+    const movement = { position: { x: 400, y: 200 }, timestamp: now + 3000 };
+
+    assert(validator.validatePlayerMovement('player1', movement, {}).valid === false);
+
+    validator.setClockOffset('player1', 3000);
+    const result = validator.validatePlayerMovement('player1', { ...movement }, {});
+    assert(result.valid === true, result.reason);
+  });
+
+  clockSync.shutdown();
+
+  // Test results
+  console.log('\n📊 ClockSync Test Results:');
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  return failedTests === 0;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
@@ -475,6 +475,228 @@ function runTests() {
     assert(room.players.size === 1);
   });
   
+  // Started ranked room for the tie-breaker tests
+  function startTiedRoom(options = {}) {
+    const room = new GameRoom('test-room', { gameMode: 'ranked', timeLimit: 100, ...options });
+    const player1 = new Player('socket1', 'user1', 'Player1');
+    const player2 = new Player('socket2', 'user2', 'Player2');
+    
+    room.addPlayer(player1);
+    room.addPlayer(player2);
+    player1.setReady(true);
+    player2.setReady(true);
+    room.startGame();
+    
+    room.addGoal(player1.id);
+    room.addGoal(player2.id);
+    return { room, player1, player2 };
+  }
+  
+  // Test 26: Golden goal overtime
+  test('Should go to golden goal when a ranked match is level at full time', () => {
+    const { room, player2 } = startTiedRoom();
+    
+    room.updateGameTime(100);
+    assert(room.status === 'PLAYING');
+    assert(room.phase === 'golden_goal');
+    
+    const result = room.addGoal(player2.id);
+    assert(result.gameEnded === true);
+    assert(room.winner === player2.id);
+    assert(room.winReason === 'golden_goal');
+    assert(room.decidedBy === 'golden_goal');
+  });
+  
+  // Test 27: Penalty shootout after overtime
+  test('Should go to penalties when overtime ends level', () => {
+    const { room, player1, player2 } = startTiedRoom({ overtimeLimit: 30, penaltyRounds: 3 });
+    
+    room.updateGameTime(100);
+    room.updateGameTime(130);
+    assert(room.phase === 'penalties');
+    assert(room.addGoal(player1.id).success === false, 'Goals do not count during a shootout');
+    
+    // Left shoots first; kicks must alternate
+    assert(room.recordPenalty(player2.id, true).success === false);
+    room.recordPenalty(player1.id, true);
+    room.recordPenalty(player2.id, false);
+    room.recordPenalty(player1.id, true);
+    const result = room.recordPenalty(player2.id, false);
+    
+    assert(result.gameEnded === true);
+    assert(room.status === 'FINISHED');
+    assert(room.winner === player1.id);
+    assert(room.winReason === 'penalties');
+    assert(room.decidedBy === 'penalties');
+    assert(room.toJSON().shootoutScore.left === 2);
+  });
+  
+  // Test 28: Casual matches can end level
+  test('Should keep casual draws without tie-breakers', () => {
+    const { room } = startTiedRoom({ gameMode: 'casual' });
+    
+    room.updateGameTime(100);
+    assert(room.status === 'FINISHED');
+    assert(room.winner === null);
+    assert(room.winReason === 'draw');
+    assert(room.decidedBy === 'regulation');
+  });
+  
+  // Test 29: Configured tie-breakers
+  test('Should use the tie-breakers given in options', () => {
+    const { room } = startTiedRoom({ gameMode: 'casual', tieBreakers: ['penalties'] });
+    
+    room.updateGameTime(100);
+    assert(room.phase === 'penalties');
+    assert(room.status === 'PLAYING');
+  });
+  
+  // Test 30: Match rules object
+  test('Should own a match rules object built from options', () => {
+    const room = new GameRoom('rules-room', {
+      gameMode: 'ranked',
+      rules: { scoreLimit: 2, timeLimit: 240, physics: 'heavy', powersEnabled: false }
+    });
+    
+    assert(room.rules.scoreLimit === 2 && room.scoreLimit === 2);
+    assert(room.rules.timeLimit === 240 && room.timeLimit === 240);
+    assert(room.rules.physics === 'heavy');
+    assert(room.rules.powersEnabled === false);
+    assert(room.tieBreakers.join() === 'golden_goal,penalties', 'Mode tie-breakers kept');
+    assert(room.toJSON().rules.physics === 'heavy');
+  });
+  
+  // Test 31: Top-level limits win over options.rules
+  test('Should let timeLimit and scoreLimit options override the rules', () => {
+    const room = new GameRoom('rules-room-2', {
+      rules: { scoreLimit: 2, timeLimit: 240 },
+      scoreLimit: 4
+    });
+    
+    assert(room.scoreLimit === 4);
+    assert(room.timeLimit === 240);
+  });
+  
+  // Test 32: Match seed shared by both clients
+  test('Should own a random seed for the match', () => {
+    const room = new GameRoom('seed-room');
+    const seeded = new GameRoom('seed-room-2', { seed: 42 });
+    
+    assert(Number.isInteger(room.seed) && room.seed > 0, 'Room picks a seed');
+    assert(seeded.seed === 42, 'Seed option kept');
+    assert(seeded.toJSON().seed === 42);
+  });
+  
+  // Test 33: Server match clock leaves out pauses and goal stoppages
+  test('Should run the match clock on server time without pauses or goal stoppages', () => {
+    const room = new GameRoom('clock-room', { timeLimit: 120 });
+    const kickoff = Date.now() - 50000;
+    
+    assert(room.startClock(kickoff) === true, 'Clock starts without a ready check');
+    assert(room.startClock(kickoff) === false, 'Already running');
+    assert(room.status === 'PLAYING');
+    
+    // 10 seconds stopped for a goal
+    assert(room.stopClock(kickoff + 20000) === true);
+    assert(room.stopClock(kickoff + 21000) === false, 'Already stopped');
+    assert(room.getClockSnapshot(kickoff + 25000).running === false);
+    room.restartClock(kickoff + 30000);
+    
+    const snapshot = room.tickClock(kickoff + 50000);
+    assert(snapshot.gameTime === 40, `Played 40s, got ${snapshot.gameTime}`);
+    assert(snapshot.timeRemaining === 80);
+    assert(snapshot.running === true);
+    assert(snapshot.phase === 'regulation');
+    assert(snapshot.serverTime === kickoff + 50000);
+    
+    // Paused: the clock holds
+    room.pauseGame('test');
+    const paused = room.tickClock(Date.now() + 5000);
+    assert(paused.running === false);
+    assert(Math.abs(paused.gameTime - 40) < 0.5, `Clock held while paused, got ${paused.gameTime}`);
+  });
+  
+  // Test 34: The clock runs out into overtime, then penalties
+  test('Should move a level match to overtime and penalties on the server clock', () => {
+    const room = new GameRoom('clock-room-2', { gameMode: 'ranked', timeLimit: 100, overtimeLimit: 30 });
+    const kickoff = Date.now() - 101000;
+    room.startClock(kickoff);
+    
+    const overtime = room.tickClock(kickoff + 101000);
+    assert(overtime.phase === 'golden_goal');
+    assert(overtime.timeRemaining === 30, `Full overtime left, got ${overtime.timeRemaining}`);
+    
+    const penalties = room.tickClock(kickoff + 131000);
+    assert(penalties.phase === 'penalties');
+    assert(penalties.timeRemaining === null, 'Shootouts are untimed');
+    assert(penalties.running === false);
+    
+    // Casual: full time ends it
+    const casual = new GameRoom('clock-room-3', { timeLimit: 100 });
+    casual.startClock(kickoff);
+    assert(casual.tickClock(kickoff + 101000).status === 'FINISHED');
+    assert(casual.winReason === 'draw');
+  });
+
+  // Test 35: Goals credited by side - own goals, assists, rooms without players
+  test('Should credit goals to a side with own goals and assists', () => {
+    const room = new GameRoom('goal-room', { scoreLimit: 5 });
+    const player1 = new Player('socket1', 'user1', 'Player1');
+    const player2 = new Player('socket2', 'user2', 'Player2');
+    room.addPlayer(player1);
+    room.addPlayer(player2);
+    player1.setReady(true);
+    player2.setReady(true);
+    room.startGame();
+
+    // Player 2 puts it in their own net: left scores, it counts against Player 2
+    const ownGoal = room.addGoal(player2.id, { side: 'left' });
+    assert(ownGoal.success === true);
+    assert(ownGoal.goal.ownGoal === true);
+    assert(room.score.left === 1 && room.score.right === 0);
+    assert(player2.sessionStats.goalsScored === 0);
+    assert(player2.sessionStats.goalsConceded === 1);
+
+    const assisted = room.addGoal(player1.id, { assistId: 'teammate-id' });
+    assert(assisted.goal.ownGoal === false);
+    assert(assisted.goal.assistId === 'teammate-id');
+    assert(assisted.goal.side === undefined, 'Side is stored as position');
+    assert(room.score.left === 2);
+    assert(player1.sessionStats.goalsScored === 1);
+
+    // Challenge rooms have no Player objects - the side has to be given
+    const challenge = new GameRoom('challenge-room', { timeLimit: 100 });
+    challenge.startClock();
+    assert(challenge.addGoal('unknown-id').success === false);
+    const relayed = challenge.addGoal('unknown-id', { side: 'right', playerName: 'Guest' });
+    assert(relayed.success === true);
+    assert(relayed.goal.playerName === 'Guest');
+    assert(challenge.score.right === 1);
+  });
+
+  // Test 36: Kickoff countdown holds the clock until the scheduled server time
+  test('Should hold play and the clock until the scheduled kickoff', () => {
+    const room = new GameRoom('kickoff-room', { timeLimit: 120 });
+    const start = Date.now() - 20000;
+
+    assert(room.scheduleKickoff(start + 3000, start) === false, 'Nothing to kick off before the match starts');
+
+    room.startClock(start);
+    assert(room.scheduleKickoff(start + 3000, start) === true);
+    assert(room.isBeforeKickoff(start + 2999) === true);
+    assert(room.isBeforeKickoff(start + 3000) === false);
+    assert(room.getClockSnapshot(start + 1000).running === false);
+    assert(room.getClockSnapshot(start + 1000).kickoffTime === start + 3000);
+
+    // A stale kickoff does nothing; the scheduled one restarts the clock from kickoff time
+    assert(room.kickOff(start + 1000) === false);
+    assert(room.kickOff(start + 3000) === true);
+    assert(room.kickoffTime === null);
+    const snapshot = room.tickClock(start + 13000);
+    assert(snapshot.gameTime === 10, `Clock runs from kickoff, got ${snapshot.gameTime}`);
+    assert(snapshot.running === true);
+  });
+
   // Test results
   console.log('\n📊 GameRoom Test Results:');
   console.log(`✅ Passed: ${passedTests}`);
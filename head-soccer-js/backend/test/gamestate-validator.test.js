@@ -3,6 +3,7 @@
  */
 
 const GameStateValidator = require('../modules/GameStateValidator');
+const PhysicsCore = require('../shared/physics-core');
 
 // Simple test runner
 function runTests() {
@@ -179,8 +180,8 @@ function runTests() {
   test('Should validate goal line crossing', () => {
     const validator = new GameStateValidator();
     const goalData = {
-      ballPosition: { x: 15, y: 230 }, // Inside left goal
-      previousBallPosition: { x: 25, y: 230 }, // Outside goal
+      ballPosition: { x: 60, y: 750 }, // Inside left goal (mouth at x = 80)
+      previousBallPosition: { x: 85, y: 750 }, // Outside goal
       playerId: 'player1',
       timestamp: Date.now()
     };
@@ -200,8 +201,8 @@ function runTests() {
   test('Should reject goals outside post bounds', () => {
     const validator = new GameStateValidator();
     const goalData = {
-      ballPosition: { x: 15, y: 100 }, // Above goal posts
-      previousBallPosition: { x: 25, y: 100 },
+      ballPosition: { x: 60, y: 600 }, // Over the crossbar
+      previousBallPosition: { x: 85, y: 600 },
       playerId: 'player1',
       timestamp: Date.now()
     };
@@ -220,8 +221,8 @@ function runTests() {
   test('Should detect own goals', () => {
     const validator = new GameStateValidator();
     const goalData = {
-      ballPosition: { x: 15, y: 230 },
-      previousBallPosition: { x: 25, y: 230 },
+      ballPosition: { x: 60, y: 750 },
+      previousBallPosition: { x: 85, y: 750 },
       playerId: 'player1',
       timestamp: Date.now()
     };
@@ -417,6 +418,106 @@ function runTests() {
     assert(interpolated.y === 150);
   });
   
+  // Test 26: Goal geometry follows the match field
+  test('Should validate goals against the stadium goal and crossbar', () => {
+    const validator = new GameStateValidator();
+    const field = PhysicsCore.createField({ width: 1300, goalWidth: 70, goalHeight: 150 });
+    const gameState = {
+      players: [{ id: 'p1', position: 'left' }, { id: 'p2', position: 'right' }]
+    };
+    
+    // Right goal mouth at x = 1230, crossbar bottom at y = 710
+    const under = validator.validateGoal({
+      playerId: 'p1',
+      ballPosition: { x: 1190, y: 760 },
+      previousBallPosition: { x: 1175, y: 760 },
+      field
+    }, gameState);
+    assert(under.valid === true && under.goalInfo.side === 'right');
+    assert(under.goalInfo.isOwnGoal === false);
+    
+    const over = validator.validateGoal({
+      playerId: 'p1',
+      ballPosition: { x: 1190, y: 690 },
+      previousBallPosition: { x: 1175, y: 690 },
+      field
+    }, gameState);
+    assert(over.valid === false && over.reason === 'ball outside goal post bounds');
+  });
+  
+  // Test 27: Same rule as the physics
+  test('Should agree with PhysicsCore goal detection', () => {
+    const validator = new GameStateValidator();
+    const world = PhysicsCore.createWorld({ seed: 3 });
+    const goal = world.field.leftGoal;
+    
+    world.ball.x = goal.x + goal.width + 2;
+    world.ball.y = goal.y + 20;
+    world.ball.velocity = { x: -6, y: 0 };
+    const previous = { x: world.ball.x, y: world.ball.y };
+    const events = PhysicsCore.step(world);
+    
+    assert(events.some(event => event.type === 'goal'));
+    const check = validator.validateGoal({
+      playerId: 'p2',
+      ballPosition: { x: world.ball.x, y: world.ball.y },
+      previousBallPosition: previous,
+      field: world.field
+    }, { players: { p2: { position: 'right' } } });
+    assert(check.valid === true);
+  });
+  
+  // Test 28: Ball spin
+  test('Should check ball spin', () => {
+    const validator = new GameStateValidator();
+    const ball = { position: { x: 400, y: 200 }, velocity: { x: 1, y: 1 }, timestamp: Date.now() };
+    
+    assert(validator.validateBallPhysics({ ...ball, spin: 4.5 }).valid === true);
+    assert(validator.validateBallPhysics(ball).valid === true, 'Spin is optional');
+    
+    const tooMuch = validator.validateBallPhysics({ ...ball, spin: -25 });
+    assert(tooMuch.valid === false && tooMuch.reason === 'Ball spin exceeds maximum');
+    assert(tooMuch.correctedState.spin === -validator.maxBallSpin);
+    
+    const invalid = validator.validateBallPhysics({ ...ball, spin: 'fast' });
+    assert(invalid.valid === false && invalid.correctedState.spin === 0);
+  });
+  
+  // Test 29: Player contact
+  test('Should accept pushes and head landings next to the opponent', () => {
+    const validator = new GameStateValidator();
+    const now = Date.now();
+    const previousState = { position: { x: 300, y: 300 }, timestamp: now - 50 };
+    const shoved = { position: { x: 330, y: 300 }, timestamp: now }; // 600 px/s
+    
+    const alone = validator.validatePlayerMovement('player1', shoved, previousState);
+    assert(alone.valid === false && alone.reason.includes('movement speed'));
+    
+    const pushed = validator.validatePlayerMovement('player1', {
+      ...shoved,
+      contact: { type: 'push', opponentPosition: { x: 380, y: 300 } }
+    }, previousState);
+    assert(pushed.valid === true, pushed.reason);
+    
+    const faked = validator.validatePlayerMovement('player1', {
+      ...shoved,
+      contact: { type: 'push', opponentPosition: { x: 600, y: 300 } }
+    }, previousState);
+    assert(faked.valid === false && faked.reason === 'push reported away from the opponent');
+    assert(faked.correctedPosition.x === 300);
+    
+    // Standing on a head sits above the opponent's body
+    const landed = validator.validatePlayerMovement('player1', {
+      position: { x: 300, y: 200 },
+      timestamp: now,
+      contact: { type: 'head_landing', opponentPosition: { x: 300, y: 300 }, opponentHeadScale: [1.05, 1.12] }
+    }, { position: { x: 300, y: 160 }, timestamp: now - 50 });
+    assert(landed.valid === true, landed.reason);
+    
+    const unknown = validator.validatePlayerContact({ position: { x: 300, y: 300 }, contact: { type: 'tackle' } });
+    assert(unknown.valid === false);
+  });
+  
   // Test results
   console.log('\n📊 GameStateValidator Test Results:');
   console.log(`✅ Passed: ${passedTests}`);
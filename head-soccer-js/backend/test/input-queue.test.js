@@ -0,0 +1,179 @@
+/**
+ * Unit tests for the tick-stamped input queue in GameplayEvents
+ */
+
+const GameplayEvents = require('../websocket/gameplayEvents');
+
+// Simple test runner
+function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function test(description, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${description}`);
+      passedTests++;
+    } catch (error) {
+      console.log(`❌ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failedTests++;
+    }
+  }
+
+  function assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  // A simulated match between alice (left) and bob (right)
+  function createMatch(options = {}) {
+    const sent = [];
+    const connectionManager = {
+      broadcastToRoom() {},
+      sendToPlayer(playerId, event, data) {
+        sent.push({ playerId, event, data });
+      },
+      getConnectionByPlayerId(playerId) {
+        return { playerId, roomId: 'match_1' };
+      }
+    };
+    const gameplayEvents = new GameplayEvents(connectionManager, { queueEvent() {} }, {}, { kickoffCountdown: 0, ...options });
+    const gameState = gameplayEvents.initializeGame('match_1', [
+      { id: 'alice', username: 'Alice' },
+      { id: 'bob', username: 'Bob' }
+    ]);
+
+    return { gameplayEvents, gameState, sent, alice: gameState.world.players.player1 };
+  }
+
+  function run(match, ticks) {
+    for (let i = 0; i < ticks; i++) {
+      match.gameplayEvents.processPhysicsTick();
+    }
+  }
+
+  const input = (tick, buttons = {}) => ({ tick, ...buttons });
+
+  console.log('\n🧪 Running Input Queue Tests...\n');
+
+  // Test 1: Applied at its tick
+  test('Should apply an input inputDelay ticks after the first one arrives', () => {
+    const match = createMatch({ inputDelay: 2 });
+    run(match, 10);
+    const startX = match.alice.x;
+
+    const result = match.gameplayEvents.handlePlayerInput('alice', input(500, { moveRight: true }));
+    assert(result.success && result.target === 12, `target ${result.target}`);
+
+    run(match, 2);
+    assert(match.alice.x === startX, 'Not due yet');
+    run(match, 1);
+    assert(match.alice.x > startX, 'Stepped right on its tick');
+    assert(match.gameplayEvents.inputBuffer.get('alice').processedTick === 500);
+
+    // Held until the next input
+    run(match, 3);
+    assert(match.gameplayEvents.inputBuffer.get('alice').processedTick === 503);
+    assert(match.gameplayEvents.playerStates.get('alice').direction === 'right');
+    match.gameplayEvents.shutdown();
+  });
+
+  // Test 2: Duplicates and late inputs
+  test('Should drop duplicates and apply late inputs on the next tick', () => {
+    const match = createMatch({ inputDelay: 2 });
+    match.gameplayEvents.handlePlayerInput('alice', input(100));
+
+    const duplicate = match.gameplayEvents.handlePlayerInput('alice', input(100, { jump: true }));
+    assert(!duplicate.success && duplicate.reason === 'Duplicate input');
+    assert(!match.gameplayEvents.handlePlayerInput('alice', input(99)).success);
+    assert(!match.gameplayEvents.handlePlayerInput('alice', input(1.5)).success);
+
+    // Tick 103 was due at server tick 5 - it arrives at 10
+    run(match, 10);
+    const late = match.gameplayEvents.handlePlayerInput('alice', input(103, { moveLeft: true }));
+    assert(late.success && late.target === 10, `target ${late.target}`);
+    assert(match.gameplayEvents.inputBuffer.get('alice').tickOffset === -93);
+
+    // The inputs after it keep their spacing
+    assert(match.gameplayEvents.handlePlayerInput('alice', input(104)).target === 11);
+
+    const metrics = match.gameplayEvents.metrics;
+    assert(metrics.inputsDuplicate === 2 && metrics.inputsLate === 1 && metrics.inputsQueued === 3);
+    match.gameplayEvents.shutdown();
+  });
+
+  // Test 3: Client ran on while the server waited
+  test('Should move the tick offset up to an input far ahead', () => {
+    const match = createMatch({ inputDelay: 2, maxInputAhead: 30 });
+    match.gameplayEvents.handlePlayerInput('alice', input(0));
+    run(match, 5);
+
+    // The client counted down a kickoff the server didn't tick through
+    const ahead = match.gameplayEvents.handlePlayerInput('alice', input(180, { moveRight: true }));
+    assert(ahead.success && ahead.target === 7, `target ${ahead.target}`);
+    assert(match.gameplayEvents.metrics.inputsResynced === 1);
+    match.gameplayEvents.shutdown();
+  });
+
+  // Test 4: A burst of inputs due together
+  test('Should collapse inputs due on the same tick, keeping a jump', () => {
+    const match = createMatch({ inputDelay: 2, maxInputAhead: 30 });
+    const groundY = match.alice.y;
+    match.gameplayEvents.handlePlayerInput('alice', input(0));
+    match.gameplayEvents.handlePlayerInput('alice', input(1));
+
+    // Resynced onto the tick input 1 is already queued for - the jump was in the first of them
+    assert(match.gameplayEvents.handlePlayerInput('alice', input(100, { jump: true })).target === 3);
+    assert(match.gameplayEvents.handlePlayerInput('alice', input(101)).target === 3);
+    run(match, 3);
+    assert(match.alice.y === groundY, 'Not due yet');
+    run(match, 1);
+
+    assert(match.alice.y < groundY, 'Jumped');
+    assert(match.gameplayEvents.inputBuffer.get('alice').processedTick === 101);
+    assert(match.gameplayEvents.inputBuffer.get('alice').input.jump === false, 'Jump not held');
+    match.gameplayEvents.shutdown();
+  });
+
+  // Test 5: Acks and reported positions
+  test('Should acknowledge the last processed input with the server position', () => {
+    const match = createMatch({ inputDelay: 0 });
+    match.gameplayEvents.handlePlayerInput('alice', input(1, { moveRight: true }));
+
+    // Positions reported by a client that sends inputs don't move the server player
+    match.gameplayEvents.playerStates.get('alice').position = { x: 5, y: 5 };
+    run(match, 3);
+    assert(match.alice.x > 5);
+
+    const acks = match.sent.filter(message => message.event === 'input_ack');
+    assert(acks.length === 1 && acks[0].playerId === 'alice', `${acks.length} acks`);
+    assert(acks[0].data.tick === 3 && acks[0].data.position.x === match.alice.x);
+    assert(!match.sent.some(message => message.event === 'input_ack' && message.playerId === 'bob'));
+
+    match.gameplayEvents.resetPlayerInputs('alice');
+    assert(!match.gameplayEvents.isInputDriven('alice'));
+    assert(match.gameplayEvents.handlePlayerInput('alice', input(0)).success, 'Ticks start over');
+
+    match.gameplayEvents.cleanupGame('match_1');
+    assert(match.gameplayEvents.inputBuffer.size === 0);
+    match.gameplayEvents.shutdown();
+  });
+
+  // Test results
+  console.log('\n📊 Input Queue Test Results:');
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  return failedTests === 0;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
@@ -0,0 +1,283 @@
+/**
+ * Unit tests for judging kicks at the kicker's perceived time (GameplayEvents.resolveKick)
+ */
+
+const GameplayEvents = require('../websocket/gameplayEvents');
+const GameRoom = require('../modules/GameRoom');
+
+// Simple test runner
+function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function test(description, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${description}`);
+      passedTests++;
+    } catch (error) {
+      console.log(`❌ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failedTests++;
+    }
+  }
+
+  function assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  // Server clock the test moves by hand
+  const originalNow = Date.now;
+  let now = originalNow();
+  Date.now = () => now;
+
+  // A simulated match between alice (left) and bob (right), with clock estimates per player
+  function createMatch(options = {}) {
+    const broadcasts = [];
+    const clocks = {};
+    const connectionManager = {
+      broadcastToRoom(roomId, event, data) {
+        broadcasts.push({ roomId, event, data });
+      },
+      getConnectionByPlayerId(playerId) {
+        return { playerId, roomId: 'match_1' };
+      }
+    };
+    const gameEventSystem = {
+      queueEvent() {},
+      getPlayerClock(playerId) {
+        return clocks[playerId] || null;
+      }
+    };
+    const gameplayEvents = new GameplayEvents(connectionManager, gameEventSystem, {}, { kickoffCountdown: 0, ...options });
+    const gameState = gameplayEvents.initializeGame('match_1', [
+      { id: 'alice', username: 'Alice' },
+      { id: 'bob', username: 'Bob' }
+    ]);
+
+    return { gameplayEvents, gameState, broadcasts, clocks };
+  }
+
+  // Run `ticks` physics ticks with each player next to the ball or far from it
+  function play(match, ticks, near) {
+    for (let i = 0; i < ticks; i++) {
+      now += 16;
+      const ball = match.gameplayEvents.ballStates.get('match_1').position;
+      const alice = match.gameplayEvents.playerStates.get('alice');
+      const bob = match.gameplayEvents.playerStates.get('bob');
+      alice.position = { x: near.left ? ball.x - 55 : ball.x - 400, y: ball.y };
+      bob.position = { x: near.right ? ball.x + 55 : ball.x + 400, y: ball.y };
+      match.gameplayEvents.updateGamePhysics('match_1', match.gameState);
+    }
+  }
+
+  function kick(match, playerId, clientTimestamp) {
+    return match.gameplayEvents.handlePlayerAction(playerId, {
+      action: 'kick',
+      kickType: 'shot',
+      power: 80,
+      timestamp: clientTimestamp
+    });
+  }
+
+  console.log('\n🧪 Running Kick Rewind Tests...\n');
+
+  // Test 1: Perceived time
+  test('Should place a kick at the kicker\'s perceived time', () => {
+    const match = createMatch();
+    match.clocks.alice = { offset: 1000, rtt: 120, jitter: 0, samples: 5 };
+
+    // Sent 40ms ago on a clock 1s ahead, and what alice saw was half a round trip old
+    assert(match.gameplayEvents.getPerceivedTime('alice', now + 1000 - 40, now) === now - 100);
+    // Never in the future
+    assert(match.gameplayEvents.getPerceivedTime('alice', now + 5000, now) === now);
+
+    // No clock estimate - the measured round trip instead
+    match.gameplayEvents.playerLatencies.set('bob', 80);
+    assert(match.gameplayEvents.getPerceivedTime('bob', 123, now) === now - 80);
+    match.gameplayEvents.shutdown();
+  });
+
+  // Test 2: In reach only when rewound
+  test('Should accept a kick that was in reach where the kicker saw it', () => {
+    const match = createMatch();
+    match.clocks.alice = { offset: 0, rtt: 160, jitter: 0, samples: 5 };
+    play(match, 10, { left: true });
+    play(match, 4, {}); // Alice's run carried her past the ball by the time the kick arrived
+
+    const result = kick(match, 'alice', now - 80);
+    assert(result.success && result.accepted, result.reason);
+    assert(result.overturned && !result.clamped);
+    assert(result.rewindMs >= 160 && result.rewindMs <= 160 + 16, `rewound ${result.rewindMs}ms`);
+
+    const ball = match.gameplayEvents.ballStates.get('match_1');
+    assert(ball.velocity.x > 0, 'Ball kicked towards the right goal');
+    assert(match.gameState.world.ball.lastTouch === 'left');
+    assert(match.gameState.touches.last.playerId === 'alice');
+
+    const kickEvent = match.broadcasts.find(message => message.event === 'kick_resolved');
+    assert(kickEvent && kickEvent.data.accepted && kickEvent.data.side === 'left');
+    assert(kickEvent.data.ball.velocity.x === ball.velocity.x);
+
+    const metrics = match.gameplayEvents.metrics;
+    assert(metrics.kickRewinds === 1 && metrics.kicksOverturned === 1 && metrics.kicksRejected === 0);
+    match.gameplayEvents.shutdown();
+  });
+
+  // Test 3: Maximum rewind window
+  test('Should not rewind further than maxRewindWindow', () => {
+    const match = createMatch({ maxRewindWindow: 100 });
+    match.clocks.alice = { offset: 0, rtt: 400, jitter: 0, samples: 5 };
+    play(match, 10, { left: true });
+    play(match, 10, {}); // Away from the ball for the last 160ms
+
+    const result = kick(match, 'alice', now - 200);
+    assert(!result.success && result.reason === 'Ball out of reach');
+    assert(result.clamped && result.rewindMs <= 100);
+
+    const kickEvent = match.broadcasts.find(message => message.event === 'kick_resolved');
+    assert(kickEvent && !kickEvent.data.accepted);
+
+    const stats = match.gameplayEvents.getStats();
+    assert(stats.kicksRejected === 1 && stats.kickRewindsClamped === 1);
+    assert(stats.maxRewindMs <= 100, `rewound ${stats.maxRewindMs}ms`);
+    match.gameplayEvents.shutdown();
+  });
+
+  // Test 4: Rewinds turned off
+  test('Should judge kicks on current positions with a zero window', () => {
+    const match = createMatch({ maxRewindWindow: 0 });
+    match.clocks.alice = { offset: 0, rtt: 160, jitter: 0, samples: 5 };
+    play(match, 10, { left: true });
+    play(match, 4, {});
+
+    const missed = kick(match, 'alice', now - 80);
+    assert(!missed.success && missed.rewindMs === 0 && !missed.clamped);
+
+    play(match, 1, { left: true });
+    const result = kick(match, 'alice', now - 80);
+    assert(result.success && result.rewindMs === 0 && !result.overturned);
+    match.gameplayEvents.shutdown();
+  });
+
+  // Test 5: Kick contest
+  test('Should give a kick contest to the player who kicked first', () => {
+    const match = createMatch();
+    match.clocks.alice = { offset: 0, rtt: 200, jitter: 0, samples: 5 };
+    match.clocks.bob = { offset: 0, rtt: 20, jitter: 0, samples: 5 };
+    play(match, 15, { left: true, right: true });
+
+    // Bob's kick arrives first, but alice kicked 90ms earlier
+    const bobKick = kick(match, 'bob', now - 10);
+    assert(bobKick.success && match.gameplayEvents.ballStates.get('match_1').velocity.x < 0);
+
+    now += 5;
+    const aliceKick = kick(match, 'alice', now - 100);
+    assert(aliceKick.success && aliceKick.overturned, 'Alice overturns Bob');
+    assert(match.gameplayEvents.ballStates.get('match_1').velocity.x > 0);
+    assert(match.gameState.world.ball.lastTouch === 'left');
+
+    // A later kick by Bob is judged after alice's, when the ball had gone
+    play(match, 8, { left: true });
+    assert(!kick(match, 'bob', now - 10).success);
+    match.gameplayEvents.shutdown();
+  });
+
+  // Test 6: History window
+  test('Should keep only stateHistoryWindow of history', () => {
+    const match = createMatch({ stateHistoryWindow: 200 });
+    play(match, 30, {});
+
+    const history = match.gameplayEvents.stateHistory.get('match_1');
+    assert(history.length > 0);
+    assert(history[0].timestamp >= now - 200, 'Old states pruned');
+    assert(history[history.length - 1].type === 'tick');
+    assert(match.gameplayEvents.getHistoricalState('match_1', now - 500) === history.find(state => state.type === 'tick'));
+    assert(match.gameplayEvents.getHistoricalState('match_1', now, now + 1) === null);
+    match.gameplayEvents.shutdown();
+  });
+
+  // Test 7: Relayed matches
+  test('Should judge a relayed match\'s kicks on the positions the clients relayed', () => {
+    const broadcasts = [];
+    const connectionManager = {
+      broadcastToRoom(roomId, event, data) {
+        broadcasts.push({ roomId, event, data });
+      },
+      sendToPlayer() {},
+      getConnectionByPlayerId(playerId) {
+        return { playerId, roomId: 'match_1' };
+      }
+    };
+    const gameEventSystem = {
+      queueEvent() {},
+      getPlayerClock(playerId) {
+        return playerId === 'alice' ? { offset: 0, rtt: 160, jitter: 0, samples: 5 } : null;
+      }
+    };
+    const gameplayEvents = new GameplayEvents(connectionManager, gameEventSystem, {}, { kickoffCountdown: 0 });
+    const room = new GameRoom('match_1', { timeLimit: 120 });
+    room.metadata.sides = {
+      left: { playerId: 'alice', username: 'Alice' },
+      right: { playerId: 'bob', username: 'Bob' }
+    };
+    gameplayEvents.startMatchClock('match_1', room);
+    const sequence = gameplayEvents.getBallAuthority('match_1').sequence;
+
+    // Alice's movements and her ball, as her client relays them
+    const relay = (ticks, aliceX) => {
+      for (let i = 0; i < ticks; i++) {
+        now += 16;
+        gameplayEvents.acceptPlayerUpdate('match_1', 'alice', { position: { x: aliceX, y: 600 }, velocity: { x: 0, y: 0 } });
+        gameplayEvents.relaySnapshot('match_1', 'alice');
+        gameplayEvents.acceptBallUpdate('match_1', 'alice', {
+          position: { x: 640, y: 600 }, velocity: { x: 0, y: 0 }, authoritySequence: sequence
+        });
+        gameplayEvents.relaySnapshot('match_1', 'alice');
+      }
+    };
+    relay(10, 585);
+    relay(4, 240);
+
+    const result = gameplayEvents.handlePlayerAction('alice', { action: 'kick', kickType: 'shot', power: 80, timestamp: now - 80 });
+    assert(result.success && result.accepted && result.overturned, result.reason);
+    assert(result.rewindMs >= 160 && result.rewindMs <= 160 + 16, `rewound ${result.rewindMs}ms`);
+
+    const kickEvent = broadcasts.find(message => message.event === 'kick_resolved');
+    assert(kickEvent && kickEvent.data.accepted && kickEvent.data.side === 'left' && kickEvent.data.power === 80);
+    assert(kickEvent.data.ball.position.x === 640, 'The relayed ball - the kicker\'s client launches it');
+
+    // Bob is nowhere near it
+    gameplayEvents.acceptPlayerUpdate('match_1', 'bob', { position: { x: 1200, y: 600 }, velocity: { x: 0, y: 0 } });
+    gameplayEvents.relaySnapshot('match_1', 'bob');
+    const missed = gameplayEvents.handlePlayerAction('bob', { action: 'kick', kickType: 'shot', power: 50, timestamp: now });
+    assert(!missed.success && missed.reason === 'Ball out of reach' && missed.rewindMs === 0);
+
+    const stats = gameplayEvents.getStats();
+    assert(stats.kickRewinds === 1 && stats.kicksOverturned === 1 && stats.kicksRejected === 1);
+
+    gameplayEvents.stopMatchClock('match_1');
+    assert(gameplayEvents.handlePlayerAction('alice', { action: 'kick' }).reason === 'Game not active');
+    gameplayEvents.shutdown();
+  });
+
+  Date.now = originalNow;
+
+  // Test results
+  console.log('\n📊 Kick Rewind Test Results:');
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  return failedTests === 0;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
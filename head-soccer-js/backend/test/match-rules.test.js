@@ -0,0 +1,126 @@
+/**
+ * Unit tests for the shared MatchRules
+ */
+
+const MatchRules = require('../shared/match-rules');
+
+// Simple test runner
+function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function test(description, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${description}`);
+      passedTests++;
+    } catch (error) {
+      console.log(`❌ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failedTests++;
+    }
+  }
+
+  function assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  console.log('\n🧪 Running MatchRules Tests...\n');
+
+  // Test 1: Mode rules
+  test('Should build rules for each game mode', () => {
+    const casual = MatchRules.forMode('casual');
+    const ranked = MatchRules.forMode('ranked');
+    const tournament = MatchRules.forMode('tournament');
+
+    assert(casual.scoreLimit === 3 && casual.timeLimit === 300);
+    assert(casual.tieBreakers.length === 0);
+    assert(ranked.scoreLimit === 5 && ranked.timeLimit === 600);
+    assert(ranked.tieBreakers.join() === 'golden_goal,penalties');
+    assert(tournament.scoreLimit === 0, 'Tournaments are time only');
+    assert(casual.physics === 'standard' && casual.powersEnabled === true);
+  });
+
+  // Test 2: Unknown modes
+  test('Should fall back to casual rules for unknown modes', () => {
+    const rules = MatchRules.forMode('unknown');
+    assert(rules.scoreLimit === 3 && rules.timeLimit === 300);
+  });
+
+  // Test 3: Overrides
+  test('Should apply overrides on top of the mode rules', () => {
+    const rules = MatchRules.forMode('casual', { scoreLimit: 10, powersEnabled: false, tieBreakers: ['penalties'] });
+    assert(rules.scoreLimit === 10);
+    assert(rules.timeLimit === 300);
+    assert(rules.powersEnabled === false);
+    assert(rules.tieBreakers.join() === 'penalties');
+  });
+
+  // Test 4: Validation
+  test('Should clamp out-of-range values and ignore invalid ones', () => {
+    const rules = MatchRules.create({ scoreLimit: 99, timeLimit: 'soon', kickStrength: 0, ballBounce: 2.5 });
+    assert(rules.scoreLimit === MatchRules.LIMITS.scoreLimit.max);
+    assert(rules.timeLimit === MatchRules.DEFAULTS.timeLimit, 'Invalid value keeps the default');
+    assert(rules.kickStrength === MatchRules.LIMITS.kickStrength.min);
+    assert(rules.ballBounce === 1);
+  });
+
+  // Test 5: Physics presets
+  test('Should apply physics presets and detect custom physics', () => {
+    const heavy = MatchRules.create({ physics: 'heavy' });
+    assert(heavy.physics === 'heavy');
+    assert(heavy.ballGravity === MatchRules.PHYSICS_PRESETS.heavy.ballGravity);
+
+    const custom = MatchRules.create({ physics: 'heavy', ballBounce: 0.5 });
+    assert(custom.physics === 'custom');
+    assert(custom.ballGravity === MatchRules.PHYSICS_PRESETS.heavy.ballGravity);
+
+    const unknown = MatchRules.create({ physics: 'moon' });
+    assert(unknown.physics === 'standard');
+  });
+
+  // Test 6: Rebuilding a rules object (e.g. from gameplay_joined) changes nothing
+  test('Should rebuild the same rules from a rules object', () => {
+    const rules = MatchRules.forMode('ranked', { physics: 'floaty', powersEnabled: false });
+    const copy = MatchRules.create(JSON.parse(JSON.stringify(rules)));
+    assert(JSON.stringify(copy) === JSON.stringify(rules));
+  });
+
+  // Test 7: Field options
+  test('Should expose ball physics as field options', () => {
+    const options = MatchRules.toFieldOptions(MatchRules.create({ physics: 'bouncy' }));
+    assert(options.ballBounce === 1);
+    assert(options.ballGravity === MatchRules.PHYSICS_PRESETS.bouncy.ballGravity);
+    assert(options.kickStrength === 1);
+  });
+
+  // Test 8: Stadium
+  test('Should pick a known stadium and pass its layout to the field', () => {
+    assert(MatchRules.forMode('casual').stadium === 'classic');
+    assert(MatchRules.create({ stadium: 'moon_base' }).stadium === 'classic');
+
+    const rules = MatchRules.forMode('casual', { stadium: 'nebula' });
+    const options = MatchRules.toFieldOptions(rules);
+    assert(rules.stadium === 'nebula');
+    assert(options.width === 1300 && options.goalWidth === 70);
+    assert(MatchRules.describe(rules).endsWith('Nebula Court'));
+  });
+
+  // Test results
+  console.log('\n📊 MatchRules Test Results:');
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  return failedTests === 0;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
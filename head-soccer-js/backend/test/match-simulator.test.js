@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the headless MatchSimulator and shared AIController
+ */
+
+const MatchSimulator = require('../simulation/matchSimulator');
+const AIController = require('../shared/ai-controller');
+const PHYSICS = require('../shared/physics-constants');
+
+// Simple test runner
+function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function test(description, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${description}`);
+      passedTests++;
+    } catch (error) {
+      console.log(`❌ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failedTests++;
+    }
+  }
+
+  function assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  console.log('\n🧪 Running MatchSimulator Tests...\n');
+
+  const setup = {
+    player1: { head: 'Nuwan', cleat: 1 },
+    player2: { head: 'Dad', cleat: 3 },
+    seed: 7
+  };
+
+  // Test 1: Config loads from js/config.js
+  test('Should load game config with power colors and AI profiles', () => {
+    const config = MatchSimulator.loadGameConfig();
+    assert(config.POWERS.Nuwan.Color.length === 3);
+    assert(config.AI_PROFILES.pro.REACTION_TIME === 200);
+  });
+
+  // Test 2: Mirrored view
+  test('Should mirror the view for a bot on the right side', () => {
+    const body = { x: 100, y: 0, width: 50, height: 100, onGround: true };
+    const ball = { x: 200, y: 0, radius: 15, velocity: { x: 4, y: 0 } };
+    const view = AIController.createView({
+      self: body, opponent: body, ball, width: 1600, height: 900, side: 'right', power: null
+    });
+    assert(view.self.x === 1600 - 100 - 50);
+    assert(view.ball.x === 1600 - 200 - 30);
+    assert(view.ball.velocity.x === -4);
+
+    const ai = AIController.createAI();
+    ai.targetX = 0; // Toward own goal in the mirrored view
+    const input = AIController.getInput(ai, view);
+    assert(input.moveRight && !input.moveLeft, 'Right bot should retreat to the right');
+  });
+
+  // Test 3: A match finishes
+  test('Should play a match to the time or score limit', () => {
+    const simulator = new MatchSimulator({ timeLimit: 30 });
+    const result = simulator.runMatch(setup);
+    assert(result.ticks > 0 && result.ticks <= 30 * 60);
+    assert(['player1', 'player2', 'tie'].includes(result.winner));
+    assert(['time_limit', 'score_limit'].includes(result.endReason));
+  });
+
+  // Test 4: Determinism
+  test('Should produce identical results for the same seed', () => {
+    const first = new MatchSimulator({ timeLimit: 30 }).runMatch(setup);
+    const second = new MatchSimulator({ timeLimit: 30 }).runMatch(setup);
+    assert(JSON.stringify(first) === JSON.stringify(second), 'Match results diverged');
+  });
+
+  // Test 5: Batch report
+  test('Should summarize a batch by side, character and combo', () => {
+    const report = new MatchSimulator({ seed: 3, timeLimit: 20 }).runBatch(6);
+    assert(report.matches === 6);
+    assert(report.bySide.left.matches === 6 && report.bySide.right.matches === 6);
+    const comboMatches = Object.values(report.byCombo).reduce((sum, r) => sum + r.matches, 0);
+    assert(comboMatches === 12);
+  });
+
+  // Test 6: Power overrides
+  test('Should apply power overrides without changing the shared powers', () => {
+    const simulator = new MatchSimulator({ powerOverrides: { Dad: { Duration: 2 } } });
+    assert(simulator.powers.Dad.Duration === 2);
+    assert(simulator.powers.Nuwan.Name === 'Dash');
+    assert(PHYSICS.POWERS.HEADS.Dad.Duration === 5);
+  });
+
+  // Test results
+  console.log('\n📊 MatchSimulator Test Results:');
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  return failedTests === 0;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
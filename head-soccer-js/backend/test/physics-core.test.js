@@ -0,0 +1,464 @@
+/**
+ * Unit tests for the shared PhysicsCore
+ */
+
+const PhysicsCore = require('../shared/physics-core');
+const PHYSICS = require('../shared/physics-constants');
+
+// Simple test runner
+function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function test(description, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${description}`);
+      passedTests++;
+    } catch (error) {
+      console.log(`❌ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failedTests++;
+    }
+  }
+
+  function assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  // Scripted inputs: both players run at the ball, jump and kick
+  function scriptedInputs(tick) {
+    return {
+      player1: {
+        moveRight: tick % 90 < 60,
+        moveLeft: tick % 90 >= 75,
+        jump: tick % 45 === 0,
+        kick: tick % 20 < 3
+      },
+      player2: {
+        moveLeft: tick % 80 < 50,
+        moveRight: tick % 80 >= 65,
+        jump: tick % 55 === 0,
+        kick: tick % 25 < 3
+      }
+    };
+  }
+
+  function simulate(seed, ticks) {
+    const world = PhysicsCore.createWorld({ seed });
+    const events = [];
+    for (let i = 0; i < ticks; i++) {
+      events.push(...PhysicsCore.step(world, scriptedInputs(i)));
+    }
+    return { world, events };
+  }
+
+  console.log('\n🧪 Running PhysicsCore Tests...\n');
+
+  // Test 1: Field layout
+  test('Should create field with goals on both ends', () => {
+    const field = PhysicsCore.createField({ width: 1600, height: 900, bottomGap: 40 });
+    assert(field.groundY === 860);
+    assert(field.leftGoal.x === 0);
+    assert(field.rightGoal.x + field.rightGoal.width === 1600);
+    assert(field.leftGoal.team === 'player2');
+    assert(field.rightGoal.team === 'player1');
+  });
+
+  // Test 2: Seeded random is reproducible
+  test('Should produce the same random sequence for the same seed', () => {
+    const a = PhysicsCore.createRng(1234);
+    const b = PhysicsCore.createRng(1234);
+    for (let i = 0; i < 10; i++) {
+      assert(PhysicsCore.nextRandom(a) === PhysicsCore.nextRandom(b));
+    }
+  });
+
+  // Test 3: Player lands on the ground
+  test('Should settle player on the ground', () => {
+    const field = PhysicsCore.createField();
+    const player = PhysicsCore.createPlayer(field, 'left');
+    player.y = 0;
+    for (let i = 0; i < 120; i++) {
+      PhysicsCore.stepPlayer(player, PhysicsCore.EMPTY_INPUT, field);
+    }
+    assert(player.onGround === true);
+    assert(player.y === field.playerGroundY);
+  });
+
+  // Test 4: Determinism
+  test('Should produce identical worlds for identical inputs and seed', () => {
+    const first = simulate(42, 1200);
+    const second = simulate(42, 1200);
+    assert(JSON.stringify(first.world) === JSON.stringify(second.world), 'World state diverged');
+    assert(JSON.stringify(first.events) === JSON.stringify(second.events), 'Events diverged');
+  });
+
+  // Test 5: Goal detection
+  test('Should detect goal and start cooldown', () => {
+    const world = PhysicsCore.createWorld({ seed: 1 });
+    const goal = world.field.rightGoal;
+    world.ball.x = goal.x + 10;
+    world.ball.y = goal.y + 10;
+    world.ball.velocity = { x: 0, y: 0 };
+    const events = PhysicsCore.step(world);
+    const goalEvent = events.find(e => e.type === 'goal');
+    assert(goalEvent && goalEvent.scorer === 'player1');
+    assert(world.goalCooldown === PhysicsCore.GOAL_COOLDOWN_TICKS);
+  });
+
+  // Test 6: Fixed timestep clock
+  test('Should convert frame time into fixed ticks', () => {
+    const clock = PhysicsCore.createClock();
+    assert(PhysicsCore.consumeTicks(clock, PhysicsCore.TICK_MS * 2) === 2);
+    assert(PhysicsCore.consumeTicks(clock, PhysicsCore.TICK_MS / 2) === 0);
+    assert(PhysicsCore.consumeTicks(clock, PhysicsCore.TICK_MS / 2) === 1);
+  });
+
+  // Test 7: Ball physics from the field (match rules)
+  test('Should use the field ball gravity and bounce', () => {
+    const standard = PhysicsCore.createField();
+    const heavy = PhysicsCore.createField({ ballGravity: 0.8, ballBounce: 0.5 });
+    assert(standard.ballGravity === 0.5 && standard.kickStrength === 1);
+
+    const ball = PhysicsCore.createBall(heavy);
+    ball.velocity.y = 0;
+    PhysicsCore.stepBall(ball, heavy);
+    assert(ball.velocity.y === 0.8, 'Gravity comes from the field');
+
+    ball.y = heavy.groundY;
+    ball.velocity.y = 10;
+    PhysicsCore.constrainBall(ball, heavy);
+    assert(ball.velocity.y === -5, 'Bounce comes from the field');
+  });
+
+  // Test 8: Stadium goals and obstacles
+  test('Should build goals and obstacles from the stadium layout', () => {
+    const field = PhysicsCore.createField({
+      width: 1300,
+      goalWidth: 70,
+      goalHeight: 150,
+      crossbarThickness: 12,
+      obstacles: [{ x: 500, y: 660, width: 200, height: 16 }]
+    });
+    assert(field.rightGoal.x === 1230 && field.rightGoal.height === 150);
+    assert(field.leftGoal.crossbar.y === field.leftGoal.y - 12);
+    assert(field.leftGoal.crossbar.height === 12);
+    assert(field.obstacles.length === 1);
+  });
+
+  // Test 9: Obstacle collisions
+  test('Should bounce the ball off platforms and let players stand on them', () => {
+    const platform = { x: 500, y: 660, width: 200, height: 16 };
+    const field = PhysicsCore.createField({ obstacles: [platform] });
+
+    const ball = PhysicsCore.createBall(field);
+    ball.x = 580;
+    ball.y = platform.y - ball.height + 5;
+    ball.velocity = { x: 0, y: 10 };
+    PhysicsCore.constrainBall(ball, field);
+    assert(ball.y === platform.y - ball.height, 'Ball pushed back on top');
+    assert(ball.velocity.y < 0, 'Ball bounces up');
+
+    ball.x = platform.x - ball.width + 4;
+    ball.y = 662;
+    ball.velocity = { x: 8, y: 0 };
+    PhysicsCore.constrainBall(ball, field);
+    assert(ball.x === platform.x - ball.width && ball.velocity.x < 0, 'Side hit reverses x');
+
+    const player = PhysicsCore.createPlayer(field, 'left');
+    player.x = 560;
+    player.y = platform.y - player.height - 5;
+    player.velocity = { x: 0, y: 0 };
+    for (let tick = 0; tick < 30; tick++) {
+      PhysicsCore.stepPlayer(player, PhysicsCore.EMPTY_INPUT, field);
+    }
+    assert(player.y === platform.y - player.height, 'Player rests on the platform');
+    assert(player.onGround && player.onPlatform);
+
+    PhysicsCore.stepPlayer(player, { jump: true }, field);
+    assert(player.velocity.y < 0, 'Player can jump off the platform');
+  });
+
+  // Test 10: Woodwork
+  test('Should bounce the ball off the crossbar and post and report it', () => {
+    const world = PhysicsCore.createWorld({ seed: 1 });
+    const { ball, field } = world;
+    const bar = field.rightGoal.crossbar;
+
+    // Dropping onto the crossbar
+    ball.x = bar.x + 10;
+    ball.y = bar.y - ball.height - 2;
+    ball.velocity = { x: 0, y: 6 };
+    ball.lastTouch = 'left';
+    const events = PhysicsCore.step(world);
+    const hit = events.find(event => event.type === 'woodwork');
+    assert(hit && hit.part === 'crossbar' && hit.side === 'right', 'Crossbar hit reported');
+    assert(hit.lastTouch === 'left');
+    assert(ball.velocity.y < 0 && ball.y + ball.height <= bar.y, 'Ball bounces off the top');
+    assert(!events.some(event => event.type === 'goal'), 'Ball cannot drop through the top of the goal');
+
+    // Driven into the front end of the bar
+    ball.x = bar.x - ball.width - 2;
+    ball.y = bar.y - 10;
+    ball.velocity = { x: 8, y: 0 };
+    const post = PhysicsCore.stepBall(ball, field);
+    assert(post && post.part === 'post', 'Post hit reported');
+    assert(ball.velocity.x < 0, 'Ball bounces back off the post');
+
+    // Resting on the bar is not a hit
+    ball.x = bar.x + 10;
+    ball.y = bar.y - ball.height;
+    ball.velocity = { x: 0, y: 0 };
+    assert(PhysicsCore.stepBall(ball, field) === null);
+  });
+
+  // Test 11: Players stay out of the goals
+  test('Should keep players out of the goal but let them stand on the crossbar', () => {
+    const field = PhysicsCore.createField();
+    const goal = field.leftGoal;
+    const player = PhysicsCore.createPlayer(field, 'left');
+
+    player.x = goal.x + goal.width + 2;
+    player.velocity = { x: 0, y: 0 };
+    for (let tick = 0; tick < 20; tick++) {
+      PhysicsCore.stepPlayer(player, { moveLeft: true }, field);
+    }
+    assert(player.x === goal.x + goal.width, 'Stopped at the goal mouth');
+
+    player.x = goal.x + 10;
+    player.y = goal.crossbar.y - player.height - 4;
+    player.velocity = { x: 0, y: 0 };
+    for (let tick = 0; tick < 20; tick++) {
+      PhysicsCore.stepPlayer(player, PhysicsCore.EMPTY_INPUT, field);
+    }
+    assert(player.y === goal.crossbar.y - player.height && player.onPlatform, 'Standing on the crossbar');
+  });
+
+  // Test 12: Spin
+  test('Should curve, bounce and rotate the ball with spin', () => {
+    const field = PhysicsCore.createField({ ballGravity: 0.5 });
+    const plain = PhysicsCore.createBall(field);
+    const topspin = PhysicsCore.createBall(field);
+    [plain, topspin].forEach(ball => { ball.velocity = { x: 10, y: -5 }; });
+    topspin.spin = 5;
+
+    for (let tick = 0; tick < 10; tick++) {
+      PhysicsCore.stepBall(plain, field);
+      PhysicsCore.stepBall(topspin, field);
+    }
+    assert(topspin.y > plain.y, 'Topspin dips the ball');
+    assert(topspin.spin < 5 && topspin.spin > 0, 'Spin decays');
+    assert(topspin.angle > plain.angle, 'Spin turns the sprite');
+
+    // Ground bounce: topspin kicks on, backspin checks up
+    const bounce = (spin) => {
+      const ball = PhysicsCore.createBall(field);
+      ball.y = field.groundY - ball.height + 2;
+      ball.velocity = { x: 5, y: 8 };
+      ball.spin = spin;
+      PhysicsCore.constrainBall(ball, field);
+      return ball.velocity.x;
+    };
+    assert(bounce(4) > 5 && bounce(-4) < 5 && bounce(0) === 5);
+  });
+
+  // Test 13: Spin from a touch
+  test('Should put spin on the ball from the contact point and player movement', () => {
+    const field = PhysicsCore.createField();
+    const rng = PhysicsCore.createRng(9);
+    const ball = PhysicsCore.createBall(field);
+    const player = PhysicsCore.createPlayer(field, 'left');
+
+    // Jumping up into the ball from its left side
+    ball.x = player.x + player.width - 5;
+    ball.y = player.y;
+    ball.velocity = { x: 0, y: 0 };
+    player.velocity = { x: 0, y: -12 };
+    const contact = PhysicsCore.collideBallWithPlayer(ball, player, 'left', 100, rng, field);
+    assert(contact && contact.spin === ball.spin);
+    assert(ball.spin > 0, 'Upward strike on the left side spins clockwise');
+    assert(Math.abs(ball.spin) <= 10);
+
+    PhysicsCore.resetBall(ball, field);
+    assert(ball.spin === 0);
+  });
+
+  // Test 14: Charged kicks, lobs and volleys
+  test('Should charge kicks and launch shots, lobs and volleys differently', () => {
+    const field = PhysicsCore.createField();
+    const kickFrom = (input, ticks, ballY) => {
+      const rng = PhysicsCore.createRng(5);
+      const ball = PhysicsCore.createBall(field);
+      const player = PhysicsCore.createPlayer(field, 'left');
+      for (let i = 0; i < ticks; i++) {
+        PhysicsCore.stepPlayer(player, input, field);
+      }
+      ball.x = player.x + player.width - 10;
+      ball.y = ballY !== undefined ? ballY : field.groundY - ball.height;
+      ball.velocity = { x: 0, y: 0 };
+      const contact = PhysicsCore.collideBallWithPlayer(ball, player, 'left', 100, rng, field);
+      return { contact, ball, player };
+    };
+
+    const tap = kickFrom({ kick: true }, 1);
+    const charged = kickFrom({ kick: true }, 60);
+    assert(tap.contact.kick === 'shot' && charged.contact.kick === 'shot');
+    assert(charged.contact.power === 1, 'Charge caps at full power');
+    assert(charged.contact.force > tap.contact.force);
+    assert(charged.ball.velocity.x > tap.ball.velocity.x, 'Power shots are harder...');
+    assert(charged.contact.direction < tap.contact.direction, '...and flatter');
+    assert(charged.player.kickCharge === 0 && !charged.player.isKicking, 'Contact uses up the kick');
+
+    const lob = kickFrom({ kick: true, lob: true }, 60);
+    assert(lob.contact.kick === 'lob');
+    assert(lob.ball.velocity.y < charged.ball.velocity.y && lob.ball.velocity.x < charged.ball.velocity.x);
+
+    const volley = kickFrom({ kick: true }, 60, field.playerGroundY - 30);
+    assert(volley.contact.kick === 'volley');
+    assert(volley.contact.force > charged.contact.force, 'Volleys get a bonus');
+
+    // Released kicks stay live for the swing, then the charge is gone
+    const player = PhysicsCore.createPlayer(field, 'left');
+    PhysicsCore.stepPlayer(player, { kick: true }, field);
+    PhysicsCore.stepPlayer(player, { kick: false }, field);
+    assert(player.isKicking && player.kickTimer === 10);
+    for (let i = 0; i < 10; i++) {
+      PhysicsCore.stepPlayer(player, PhysicsCore.EMPTY_INPUT, field);
+    }
+    assert(!player.isKicking);
+  });
+
+  // Test 15: Networked kicks
+  test('Should replay a kick from its power and direction', () => {
+    const field = PhysicsCore.createField();
+    const player = PhysicsCore.createPlayer(field, 'right');
+    const ball = PhysicsCore.createBall(field);
+
+    const result = PhysicsCore.kickBall(ball, player, 'right', { type: 'shot', power: 1, direction: 135 }, field);
+    assert(result.force === PHYSICS.KICK.FORCE_MAX && result.direction === 135);
+    assert(ball.velocity.x < 0 && Math.abs(ball.velocity.x - ball.velocity.y) < 1e-9, '45 degrees up and to the left');
+
+    const clamped = PhysicsCore.kickBall(ball, player, 'right', { type: 'lob', power: 0.5, direction: 10 }, field);
+    assert(clamped.direction === 180 - PHYSICS.KICK.ANGLE_MAX, 'Directions stay in the kicker\'s range');
+  });
+
+  // Test 16: Headers off the scaled head hitbox
+  test('Should head the ball off each character\'s scaled head', () => {
+    const field = PhysicsCore.createField();
+    const player = PhysicsCore.createPlayer(field, 'left');
+    const ball = PhysicsCore.createBall(field);
+
+    PhysicsCore.setHeadScale(player, [1.05, 1.12]);
+    const head = PhysicsCore.getHeadRect(player);
+    assert(Math.abs(head.width - PHYSICS.PLAYER.HEAD_SIZE * 1.05) < 1e-9);
+    assert(Math.abs(head.height - PHYSICS.PLAYER.HEAD_SIZE * 1.12) < 1e-9);
+
+    // Dropping onto the top of the head
+    ball.x = head.x + head.width / 2 - ball.radius;
+    ball.y = head.y - ball.height + 5;
+    ball.velocity = { x: 0, y: 3 };
+    const contact = PhysicsCore.collideBallWithPlayer(ball, player, 'left', 0, PhysicsCore.createRng(1), field);
+    assert(contact && contact.type === 'header', `Expected a header, got ${contact && contact.type}`);
+    assert(ball.velocity.y < 0 && ball.velocity.x > 0, 'Headers go up and forward');
+
+    // Only the bigger head reaches a ball just past the default head
+    const reach = (scale) => {
+      const header = PhysicsCore.createPlayer(field, 'left');
+      PhysicsCore.setHeadScale(header, scale);
+      ball.x = header.x + header.width / 2 + PHYSICS.PLAYER.HEAD_SIZE / 2 + 1;
+      ball.y = PhysicsCore.getHeadRect(header).y - ball.height + 5;
+      return PhysicsCore.isBallTouchingPlayer(ball, header);
+    };
+    assert(!reach([1, 1]) && reach([1.05, 1.12]));
+  });
+
+  // Test 17: Player contact
+  test('Should push players apart, let blockers hold and stand on heads', () => {
+    const field = PhysicsCore.createField();
+    const place = (player, x, velocityX) => {
+      player.x = x;
+      player.y = field.playerGroundY;
+      player.velocity = { x: velocityX, y: 0 };
+    };
+
+    // Running into a player shoves both along at a shared speed
+    const runner = PhysicsCore.createPlayer(field, 'left');
+    const standing = PhysicsCore.createPlayer(field, 'right');
+    place(runner, 500, 5);
+    place(standing, 540, 0);
+    const push = PhysicsCore.collidePlayers(runner, standing, field);
+    assert(push && push.type === 'push' && !push.blocked);
+    assert(runner.x + runner.width <= standing.x + 1e-9, 'Bodies no longer overlap');
+    assert(runner.x === 495 && standing.x === 545);
+    assert(runner.velocity.x === 2.5 && standing.velocity.x === 2.5);
+
+    // A blocker doesn't move and stops the runner
+    place(standing, 540, 0);
+    PhysicsCore.stepPlayer(standing, { block: true }, field);
+    assert(standing.isBlocking && standing.velocity.x === 0);
+    place(runner, 500, 5);
+    const block = PhysicsCore.collidePlayers(runner, standing, field);
+    assert(block.blocked && standing.x === 540 && runner.x === 490 && runner.velocity.x === 0);
+
+    // Coming down onto a head - stand on it and jump off again
+    const bottom = PhysicsCore.createPlayer(field, 'right');
+    const top = PhysicsCore.createPlayer(field, 'left');
+    place(bottom, 700, 0);
+    const head = PhysicsCore.getHeadRect(bottom);
+    top.x = 700;
+    top.y = head.y - top.height + 4;
+    top.velocity = { x: 0, y: 6 };
+    const landing = PhysicsCore.collidePlayers(top, bottom, field);
+    assert(landing && landing.type === 'head_landing' && landing.player === top);
+    assert(top.y + top.height === head.y && top.onPlatform);
+
+    PhysicsCore.stepPlayer(top, { jump: true }, field);
+    assert(top.velocity.y < 0, 'Can jump off a head');
+
+    // Players apart - nothing to do
+    place(runner, 100, 0);
+    assert(PhysicsCore.collidePlayers(runner, bottom, field) === null);
+  });
+
+  // Test 18: Random streams from one match seed
+  test('Should derive independent, reproducible random streams from a match seed', () => {
+    const seed = 987654321;
+    const draw = (rng) => Array.from({ length: 5 }, () => PhysicsCore.nextRandom(rng));
+
+    const physics = draw(PhysicsCore.createStreamRng(seed, PhysicsCore.RNG_STREAMS.PHYSICS));
+    const ai = draw(PhysicsCore.createStreamRng(seed, PhysicsCore.RNG_STREAMS.AI));
+    const aiAgain = draw(PhysicsCore.createStreamRng(seed, PhysicsCore.RNG_STREAMS.AI));
+
+    assert(physics.join() === draw(PhysicsCore.createWorld({ seed }).rng).join(), 'Physics stream is the world rng');
+    assert(ai.join() === aiAgain.join(), 'Same seed, same AI draws');
+    assert(ai.join() !== physics.join(), 'AI draws do not follow the physics sequence');
+
+    // Drawing from one stream leaves the others untouched
+    const effects = PhysicsCore.createStreamRng(seed, PhysicsCore.RNG_STREAMS.EFFECTS);
+    const random = PhysicsCore.createRandomSource(effects);
+    random();
+    assert(draw(PhysicsCore.createStreamRng(seed, PhysicsCore.RNG_STREAMS.AI)).join() === ai.join());
+
+    const matchSeed = PhysicsCore.createSeed();
+    assert(Number.isInteger(matchSeed) && matchSeed > 0 && matchSeed <= 0xFFFFFFFF, 'Seed is a non-zero 32-bit integer');
+  });
+
+  // Test results
+  console.log('\n📊 PhysicsCore Test Results:');
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  return failedTests === 0;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
@@ -0,0 +1,291 @@
+/**
+ * Unit tests for the binary snapshot codec and delta snapshots in GameplayEvents
+ */
+
+const SnapshotCodec = require('../shared/snapshot-codec');
+const GameplayEvents = require('../websocket/gameplayEvents');
+const GameRoom = require('../modules/GameRoom');
+
+// Simple test runner
+function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function test(description, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${description}`);
+      passedTests++;
+    } catch (error) {
+      console.log(`❌ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failedTests++;
+    }
+  }
+
+  function assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  function snapshot(overrides = {}) {
+    return {
+      score: { left: 2, right: 1 },
+      status: 'playing',
+      time: 45210,
+      ball: { position: { x: 775.3, y: 245.9 }, velocity: { x: -3.456, y: 12.01 }, spin: 0.4567, sequence: 3 },
+      players: {
+        left: { position: { x: 320, y: 780 }, velocity: { x: 5, y: 0 }, direction: 'right', onGround: true },
+        right: { position: { x: 1230.5, y: 701.25 }, velocity: { x: 0, y: -14.2 }, direction: 'up' }
+      },
+      ...overrides
+    };
+  }
+
+  console.log('\n🧪 Running SnapshotCodec Tests...\n');
+
+  // Test 1: Full snapshot round trip
+  test('Should round-trip a full snapshot at wire precision', () => {
+    const frame = SnapshotCodec.createFrame(snapshot(), 1, 600, 1700000000123);
+    const data = SnapshotCodec.encode(frame);
+    const state = SnapshotCodec.toState(SnapshotCodec.decode(data));
+
+    assert(state.sequence === 1 && state.tick === 600 && state.timestamp === 1700000000123);
+    assert(state.score.left === 2 && state.score.right === 1 && state.status === 'playing');
+    assert(state.time === 45210);
+    assert(state.ball.position.x === 775.25 && state.ball.position.y === 245.875);
+    assert(state.ball.velocity.x === -3.46 && state.ball.spin === 0.457 && state.ball.sequence === 3);
+    assert(state.players.right.position.y === 701.25 && state.players.right.direction === 'up');
+    assert(state.players.left.onGround && !state.players.right.onGround);
+    assert(data.byteLength < JSON.stringify(snapshot()).length / 4, `${data.byteLength} bytes`);
+  });
+
+  // Test 2: Deltas
+  test('Should send only the values that changed since the baseline', () => {
+    const baseline = SnapshotCodec.createFrame(snapshot(), 1, 600, 1000);
+    const moved = snapshot({ ball: { position: { x: 780, y: 245.9 }, velocity: { x: -3.456, y: 12.01 }, spin: 0.4567, sequence: 3 } });
+    const frame = SnapshotCodec.createFrame(moved, 2, 603, 1050);
+
+    const full = SnapshotCodec.encode(frame);
+    const delta = SnapshotCodec.encode(frame, baseline);
+    assert(delta.byteLength < full.byteLength / 2, `delta ${delta.byteLength} vs full ${full.byteLength} bytes`);
+
+    const decoded = SnapshotCodec.decode(delta, sequence => (sequence === 1 ? baseline : undefined));
+    assert(decoded.values.every((value, index) => value === frame.values[index]));
+    assert(SnapshotCodec.toState(decoded).ball.position.x === 780);
+  });
+
+  // Test 3: Unreadable frames
+  test('Should not read a delta without its baseline or a cut-off frame', () => {
+    const baseline = SnapshotCodec.createFrame(snapshot(), 1, 600, 1000);
+    const frame = SnapshotCodec.createFrame(snapshot({ time: 46000 }), 2, 603, 1050);
+
+    assert(SnapshotCodec.decode(SnapshotCodec.encode(frame, baseline)) === null);
+    assert(SnapshotCodec.decode(SnapshotCodec.encode(frame).slice(0, 30)) === null);
+    assert(SnapshotCodec.decode(new ArrayBuffer(4)) === null);
+
+    // Node hands binary socket data over as a Buffer
+    const buffer = Buffer.from(SnapshotCodec.encode(frame));
+    assert(SnapshotCodec.decode(buffer).sequence === 2);
+  });
+
+  // Test 4: Quantization limits
+  test('Should clamp values outside the wire range', () => {
+    const frame = SnapshotCodec.createFrame(snapshot({
+      ball: { position: { x: 99999, y: -99999 }, velocity: { x: 500, y: 0 } },
+      players: { left: { direction: 'sideways' } }
+    }), 1, 0, 0);
+    const state = SnapshotCodec.toState(SnapshotCodec.decode(SnapshotCodec.encode(frame)));
+
+    assert(state.ball.position.x === 32767 / SnapshotCodec.SCALES.position);
+    assert(state.ball.position.y === -32768 / SnapshotCodec.SCALES.position);
+    assert(state.ball.velocity.x === 32767 / SnapshotCodec.SCALES.velocity);
+    assert(state.ball.spin === 0);
+    assert(state.players.left.direction === 'idle' && state.players.right.position.x === 0);
+  });
+
+  // Test 5: Snapshots from GameplayEvents
+  test('Should send full snapshots, then deltas against acknowledged ones', () => {
+    const sent = [];
+    const connectionManager = {
+      broadcastToRoom() {},
+      sendToPlayer(playerId, event, data) {
+        sent.push({ playerId, event, data });
+      },
+      getConnectionByPlayerId(playerId) {
+        return { playerId, roomId: 'match_1' };
+      }
+    };
+    const gameplayEvents = new GameplayEvents(connectionManager, { queueEvent() {} }, {}, { kickoffCountdown: 0 });
+    const gameState = gameplayEvents.initializeGame('match_1', [
+      { id: 'alice', username: 'Alice' },
+      { id: 'bob', username: 'Bob' }
+    ]);
+    const frames = new Map();
+    const receive = () => {
+      const message = sent.filter(entry => entry.playerId === 'alice').pop();
+      const frame = SnapshotCodec.decode(message.data, sequence => frames.get(sequence));
+      frames.set(frame.sequence, frame);
+      return { message, frame };
+    };
+
+    // One snapshot every third tick at 60 ticks and 20 snapshots a second
+    for (let i = 0; i < 3; i++) {
+      gameplayEvents.updateGamePhysics('match_1', gameState);
+      gameplayEvents.broadcastGameState('match_1', gameState);
+    }
+    assert(sent.length === 2 && sent[0].event === 'state_snapshot');
+    const first = receive();
+    assert(first.frame.sequence === 1);
+
+    assert(gameplayEvents.acknowledgeSnapshot('alice', first.frame.sequence).success);
+    assert(!gameplayEvents.acknowledgeSnapshot('alice', 999).success);
+    gameState.world.tick += 2;
+    gameplayEvents.broadcastGameState('match_1', gameState);
+    assert(sent.length === 2, 'Not a snapshot tick');
+    gameState.world.tick += 1;
+    gameplayEvents.broadcastGameState('match_1', gameState);
+    const second = receive();
+    assert(second.message.data.byteLength < first.message.data.byteLength, 'Delta against the acknowledged snapshot');
+    assert(gameplayEvents.metrics.snapshotDeltas === 1);
+
+    // Lost its baselines - full snapshot again
+    gameplayEvents.acknowledgeSnapshot('alice', null);
+    gameState.world.tick += 3;
+    gameplayEvents.broadcastGameState('match_1', gameState);
+    assert(receive().message.data.byteLength === first.message.data.byteLength);
+
+    // JSON for debugging
+    assert(!gameplayEvents.setSnapshotFormat('alice', 'xml').success);
+    gameplayEvents.setSnapshotFormat('alice', 'json');
+    gameState.world.tick += 3;
+    gameplayEvents.broadcastGameState('match_1', gameState);
+    const json = sent.filter(entry => entry.playerId === 'alice').pop();
+    assert(json.event === 'state_update' && json.data.players.left.position.x === gameState.world.players.player1.x);
+    assert(sent.filter(entry => entry.playerId === 'bob').pop().event === 'state_snapshot');
+    assert(gameplayEvents.getStats().averageSnapshotBytes > 0);
+
+    gameplayEvents.cleanupGame('match_1');
+    assert(!gameplayEvents.snapshots.has('match_1'));
+    gameplayEvents.shutdown();
+  });
+
+  // Test 6: Movement relay
+  test('Should only relay movements as they come in to a room on JSON snapshots', () => {
+    const relayed = [];
+    const connectionManager = {
+      broadcastToRoom(roomId, event) {
+        relayed.push(event);
+      },
+      sendToPlayer() {},
+      getConnectionByPlayerId(playerId) {
+        return { playerId, roomId: 'match_1', socketId: `socket_${playerId}` };
+      }
+    };
+    const gameEventSystem = {
+      queueEvent(type) {
+        relayed.push(type);
+      }
+    };
+    const validator = { validatePlayerMovement: () => ({ valid: true }) };
+    const gameplayEvents = new GameplayEvents(connectionManager, gameEventSystem, validator, { kickoffCountdown: 0 });
+    gameplayEvents.initializeGame('match_1', [
+      { id: 'alice', username: 'Alice' },
+      { id: 'bob', username: 'Bob' }
+    ]);
+    relayed.length = 0; // Kickoff
+    const move = () => gameplayEvents.handlePlayerMovement('alice', {
+      position: { x: 300, y: 300 }, velocity: { x: 5, y: 0 }, direction: 'right', timestamp: Date.now()
+    });
+
+    move();
+    assert(relayed.length === 0, relayed.join(', '));
+    assert(gameplayEvents.playerStates.get('alice').position.x === 300, 'Still goes into the snapshots');
+
+    gameplayEvents.setSnapshotFormat('bob', 'json');
+    move();
+    assert(relayed.includes('player_movement') && relayed.includes('player_moved'));
+
+    gameplayEvents.cleanupGame('match_1');
+    gameplayEvents.shutdown();
+  });
+
+  // Test 7: Relayed matches
+  test('Should send the other player a relayed match\'s snapshot in place of each update', () => {
+    const sent = [];
+    const connectionManager = {
+      broadcastToRoom() {},
+      sendToPlayer(playerId, event, data) {
+        sent.push({ playerId, event, data });
+      },
+      getConnectionByPlayerId(playerId) {
+        return { playerId, roomId: 'match_1' };
+      }
+    };
+    const gameplayEvents = new GameplayEvents(connectionManager, { queueEvent() {} }, {}, { kickoffCountdown: 0 });
+    const room = new GameRoom('match_1', { timeLimit: 120 });
+    room.metadata.sides = {
+      left: { playerId: 'alice', username: 'Alice' },
+      right: { playerId: 'bob', username: 'Bob' }
+    };
+    gameplayEvents.startMatchClock('match_1', room);
+    const frames = new Map();
+    const receive = () => {
+      const message = sent[sent.length - 1];
+      const frame = SnapshotCodec.decode(message.data, sequence => frames.get(sequence));
+      frames.set(frame.sequence, frame);
+      return { message, state: SnapshotCodec.toState(frame) };
+    };
+
+    assert(!gameplayEvents.acceptPlayerUpdate('match_1', 'eve', { position: { x: 0, y: 0 }, velocity: { x: 0, y: 0 } }).success);
+    assert(!gameplayEvents.acceptPlayerUpdate('match_1', 'alice', { position: { x: 'left' } }).success);
+    assert(gameplayEvents.acceptPlayerUpdate('match_1', 'alice', {
+      position: { x: 300, y: 700 }, velocity: { x: -4, y: 0 }, onGround: true
+    }).success);
+    assert(gameplayEvents.relaySnapshot('match_1', 'alice'));
+    assert(sent.length === 1 && sent[0].playerId === 'bob' && sent[0].event === 'state_snapshot');
+    const first = receive();
+    assert(first.state.players.left.position.x === 300 && first.state.players.left.direction === 'left');
+    assert(first.state.players.left.onGround && first.state.status === 'playing');
+
+    // The owner's ball, under the authority sequence it was sent on
+    const sequence = gameplayEvents.getBallAuthority('match_1').sequence;
+    gameplayEvents.acknowledgeSnapshot('bob', first.state.sequence);
+    assert(gameplayEvents.acceptBallUpdate('match_1', 'alice', {
+      position: { x: 640, y: 300 }, velocity: { x: 6, y: -2 }, authoritySequence: sequence
+    }).success);
+    gameplayEvents.relaySnapshot('match_1', 'alice');
+    const second = receive();
+    assert(second.state.ball.position.x === 640 && second.state.ball.sequence === sequence);
+    assert(second.message.data.byteLength < first.message.data.byteLength, 'Delta against the acknowledged snapshot');
+
+    // Bob's movement goes to Alice; both are in the history kicks are judged on
+    gameplayEvents.acceptPlayerUpdate('match_1', 'bob', { position: { x: 1200, y: 700 }, velocity: { x: 0, y: 0 } });
+    gameplayEvents.relaySnapshot('match_1', 'bob');
+    assert(sent[sent.length - 1].playerId === 'alice');
+    const tick = gameplayEvents.getHistoricalState('match_1', Date.now());
+    assert(tick.players.left.x === 300 && tick.players.right.x === 1200 && tick.ball.x === 640);
+
+    gameplayEvents.stopMatchClock('match_1');
+    assert(!gameplayEvents.snapshots.has('match_1') && !gameplayEvents.stateHistory.has('match_1'));
+    assert(!gameplayEvents.playerStates.has('alice') && !gameplayEvents.relaySnapshot('match_1', 'alice'));
+    gameplayEvents.shutdown();
+  });
+
+  // Test results
+  console.log('\n📊 SnapshotCodec Test Results:');
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  return failedTests === 0;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
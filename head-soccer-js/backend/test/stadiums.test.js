@@ -0,0 +1,133 @@
+/**
+ * Unit tests for the shared Stadiums layouts
+ */
+
+const Stadiums = require('../shared/stadiums');
+const PhysicsCore = require('../shared/physics-core');
+const PHYSICS_CONSTANTS = require('../shared/physics-constants');
+
+// Simple test runner
+function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function test(description, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${description}`);
+      passedTests++;
+    } catch (error) {
+      console.log(`❌ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failedTests++;
+    }
+  }
+
+  function assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  function overlaps(a, b) {
+    return a.x < b.x + b.width && a.x + a.width > b.x &&
+           a.y < b.y + b.height && a.y + a.height > b.y;
+  }
+
+  console.log('\n🧪 Running Stadiums Tests...\n');
+
+  // Test 1: Lookup
+  test('Should find stadiums by ID and fall back to the default', () => {
+    assert(Stadiums.get('nebula').name === 'Nebula Court');
+    assert(Stadiums.get('moon_base').id === Stadiums.DEFAULT_STADIUM);
+    assert(Stadiums.get(undefined).id === 'classic');
+    assert(Stadiums.has('skybridge') && !Stadiums.has('moon_base'));
+    assert(Stadiums.list().length === 4);
+  });
+
+  // Test 2: Classic stadium keeps the original field
+  test('Should keep the original layout for the classic stadium', () => {
+    const field = PhysicsCore.createField(Stadiums.toFieldOptions(Stadiums.get('classic')));
+    const original = PhysicsCore.createField();
+    assert(JSON.stringify(field.leftGoal) === JSON.stringify(original.leftGoal));
+    assert(JSON.stringify(field.rightGoal) === JSON.stringify(original.rightGoal));
+    assert(field.obstacles.length === 0);
+  });
+
+  // Test 3: Validation
+  test('Should clamp sizes and drop obstacles outside the field', () => {
+    const stadium = Stadiums.normalize('test', {
+      width: 4000,
+      goal: { width: 10, height: 'tall' },
+      obstacles: [
+        { x: 100, y: 600, width: 50, height: 20 },
+        { x: 1590, y: 600, width: 50, height: 20 },
+        { x: 300, y: 600, width: 0, height: 20 }
+      ]
+    });
+    assert(stadium.width === PHYSICS_CONSTANTS.FIELD.WIDTH);
+    assert(stadium.goal.width === Stadiums.LIMITS.goalWidth.min);
+    assert(stadium.goal.height === 180, 'Invalid height keeps the classic goal');
+    assert(stadium.obstacles.length === 1);
+    assert(stadium.background.stars === Stadiums.DEFAULT_BACKGROUND.stars);
+    assert(Object.isFrozen(stadium));
+  });
+
+  // Test 4: Built-in layouts are playable
+  test('Should keep obstacles clear of the goals and kickoff spots', () => {
+    Stadiums.list().forEach(stadium => {
+      const world = PhysicsCore.createWorld({ seed: 1, ...Stadiums.toFieldOptions(stadium) });
+      const { field, ball, players } = world;
+      field.obstacles.forEach(obstacle => {
+        [field.leftGoal, field.rightGoal, ball, players.player1, players.player2].forEach(body => {
+          assert(!overlaps(obstacle, body), `${stadium.id}: obstacle overlaps a goal or kickoff spot`);
+        });
+        assert(obstacle.y + obstacle.height <= field.groundY, `${stadium.id}: obstacle below ground`);
+      });
+    });
+  });
+
+  // Test 5: Ranked rotation
+  test('Should cycle ranked matches through the rotation', () => {
+    const rotation = Stadiums.RANKED_ROTATION;
+    assert(Stadiums.forRotation(0) === rotation[0]);
+    assert(Stadiums.forRotation(rotation.length + 1) === rotation[1]);
+    assert(Stadiums.forRotation(-1) === rotation[rotation.length - 1]);
+    assert(rotation.every(id => Stadiums.has(id)));
+  });
+
+  // Test 6: Whole matches stay inside the field
+  test('Should keep ball and players inside every stadium', () => {
+    Stadiums.list().forEach(stadium => {
+      const world = PhysicsCore.createWorld({ seed: 7, ...Stadiums.toFieldOptions(stadium) });
+      for (let tick = 0; tick < 1200; tick++) {
+        PhysicsCore.step(world, {
+          player1: { moveRight: tick % 90 < 60, jump: tick % 40 === 0, kick: tick % 20 < 3 },
+          player2: { moveLeft: tick % 80 < 50, jump: tick % 55 === 0, kick: tick % 25 < 3 }
+        });
+        const { ball, players } = world;
+        assert(ball.x >= 0 && ball.x + ball.width <= world.field.width, `${stadium.id}: ball left the field`);
+        assert(ball.y + ball.height <= world.field.groundY, `${stadium.id}: ball below ground`);
+        [players.player1, players.player2].forEach(player => {
+          assert(player.x >= 0 && player.x + player.width <= world.field.width, `${stadium.id}: player left the field`);
+        });
+      }
+    });
+  });
+
+  // Test results
+  console.log('\n📊 Stadiums Test Results:');
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  return failedTests === 0;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
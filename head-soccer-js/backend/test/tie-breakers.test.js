@@ -0,0 +1,127 @@
+/**
+ * Unit tests for the shared TieBreakers rules
+ */
+
+const TieBreakers = require('../shared/tie-breakers');
+
+// Simple test runner
+function runTests() {
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function test(description, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${description}`);
+      passedTests++;
+    } catch (error) {
+      console.log(`❌ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failedTests++;
+    }
+  }
+
+  function assert(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed');
+    }
+  }
+
+  // Play kicks in order, alternating sides from the first shooter
+  function shoot(shootout, kicks) {
+    let result = null;
+    kicks.forEach(scored => {
+      result = TieBreakers.recordKick(shootout, scored);
+    });
+    return result;
+  }
+
+  console.log('\n🧪 Running TieBreakers Tests...\n');
+
+  // Test 1: Phase order
+  test('Should move through the configured tie-breakers in order', () => {
+    const both = ['golden_goal', 'penalties'];
+    assert(TieBreakers.nextPhase(both, 'regulation') === 'golden_goal');
+    assert(TieBreakers.nextPhase(both, 'golden_goal') === 'penalties');
+    assert(TieBreakers.nextPhase(both, 'penalties') === null);
+    assert(TieBreakers.nextPhase(['penalties'], 'regulation') === 'penalties');
+    assert(TieBreakers.nextPhase([], 'regulation') === null);
+  });
+
+  // Test 2: Config clean-up and mode defaults
+  test('Should ignore unknown or repeated tie-breakers', () => {
+    const list = TieBreakers.normalize(['penalties', 'coin_toss', 'penalties']);
+    assert(list.length === 1 && list[0] === 'penalties');
+    assert(TieBreakers.normalize(null).length === 0);
+    assert(TieBreakers.forMode('casual').length === 0);
+    assert(TieBreakers.forMode('ranked').join() === 'golden_goal,penalties');
+    assert(TieBreakers.forMode('unknown').length === 0);
+  });
+
+  // Test 3: Alternating roles
+  test('Should alternate shooter and keeper', () => {
+    const shootout = TieBreakers.createShootout();
+    assert(TieBreakers.getShooter(shootout) === 'left');
+    assert(TieBreakers.getKeeper(shootout) === 'right');
+    TieBreakers.recordKick(shootout, true);
+    assert(TieBreakers.getShooter(shootout) === 'right');
+    assert(TieBreakers.getKeeper(shootout) === 'left');
+    TieBreakers.recordKick(shootout, false);
+    assert(TieBreakers.getShooter(shootout) === 'left');
+  });
+
+  // Test 4: Early finish
+  test('Should end the shootout once one side cannot be caught', () => {
+    const shootout = TieBreakers.createShootout({ rounds: 5 });
+    // Left scores 3, right misses 3: right has 2 kicks left, can't reach 3
+    const result = shoot(shootout, [true, false, true, false, true, false]);
+    assert(result.decided === true);
+    assert(result.winner === 'left');
+    assert(result.score.left === 3 && result.score.right === 0);
+  });
+
+  // Test 5: Not decided while the trailing side can still draw level
+  test('Should wait for the last kick when it can level the shootout', () => {
+    const shootout = TieBreakers.createShootout({ rounds: 5 });
+    // 4-3 with right's fifth kick still to come
+    const result = shoot(shootout, [true, true, true, true, true, false, true, true, false]);
+    assert(result.decided === false);
+    const last = TieBreakers.recordKick(shootout, true);
+    assert(last.decided === false, 'Level after five rounds goes to sudden death');
+  });
+
+  // Test 6: Sudden death
+  test('Should settle sudden death when both sides have kicked', () => {
+    const shootout = TieBreakers.createShootout({ rounds: 1 });
+    shoot(shootout, [true, true]);
+    const afterLeft = TieBreakers.recordKick(shootout, true);
+    assert(afterLeft.decided === false, 'Right still has a kick in the round');
+    const afterRight = TieBreakers.recordKick(shootout, false);
+    assert(afterRight.decided === true);
+    assert(afterRight.winner === 'left');
+    assert(afterRight.round === 2);
+  });
+
+  // Test 7: Leader
+  test('Should find the leading side of a score', () => {
+    assert(TieBreakers.getLeader({ left: 2, right: 1 }) === 'left');
+    assert(TieBreakers.getLeader({ left: 0, right: 3 }) === 'right');
+    assert(TieBreakers.getLeader({ left: 1, right: 1 }) === null);
+  });
+
+  // Test results
+  console.log('\n📊 TieBreakers Test Results:');
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`📈 Total: ${passedTests + failedTests}`);
+
+  return failedTests === 0;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { runTests };
@@ -0,0 +1,219 @@
+/**
+ * Clock Sync - NTP-style clock offset estimation between each client and the server
+ * Keeps offset, round trip time and jitter per player so client timestamps can be trusted
+ */
+
+const EventEmitter = require('events');
+
+class ClockSync extends EventEmitter {
+  constructor(connectionManager, options = {}) {
+    super();
+    
+    this.connectionManager = connectionManager;
+    
+    // Configuration
+    this.config = {
+      burstSize: options.burstSize || 5, // Samples taken when a player joins gameplay
+      burstInterval: options.burstInterval || 100, // Time between burst samples
+      resyncInterval: options.resyncInterval || 10000, // Time between periodic re-syncs
+      sampleWindow: options.sampleWindow || 8, // Samples an estimate is made from
+      sampleTimeout: options.sampleTimeout || 5000, // Unanswered samples are dropped after this
+      ...options
+    };
+    
+    // Sync state
+    this.players = new Map(); // playerId -> { socket, samples, pending, estimate }
+    this.nextSampleId = 1;
+    
+    // Performance metrics
+    this.metrics = {
+      samplesSent: 0,
+      samplesReceived: 0,
+      samplesDropped: 0,
+      startTime: Date.now()
+    };
+    
+    this.startResync();
+    
+    console.log('⏱️ Clock Sync system initialized');
+  }
+  
+  /**
+   * Start syncing a player's clock: a burst of samples now, then one every
+   * resyncInterval until stopSync
+   * @param {string} playerId - Player ID
+   * @param {Socket} socket - Player's socket, samples are sent on it
+   */
+  startSync(playerId, socket) {
+    const existing = this.players.get(playerId);
+    this.players.set(playerId, {
+      socket,
+      samples: existing ? existing.samples : [], // A rejoin keeps what was measured
+      pending: new Map(), // sampleId -> server send time
+      estimate: existing ? existing.estimate : null
+    });
+    
+    for (let i = 0; i < this.config.burstSize; i++) {
+      setTimeout(() => this.requestSample(playerId), i * this.config.burstInterval);
+    }
+  }
+  
+  /**
+   * Stop syncing a player (left the game or disconnected)
+   */
+  stopSync(playerId) {
+    return this.players.delete(playerId);
+  }
+  
+  /**
+   * Re-sync every player on an interval so drift and route changes are picked up
+   */
+  startResync() {
+    this.resyncTimer = setInterval(() => {
+      for (const playerId of this.players.keys()) {
+        this.requestSample(playerId);
+      }
+    }, this.config.resyncInterval);
+  }
+  
+  /**
+   * Send a player one time_sync sample request, stamped with server time (t0)
+   */
+  requestSample(playerId) {
+    const player = this.players.get(playerId);
+    if (!player || !player.socket) return false;
+    
+    const now = Date.now();
+    
+    // Forget requests that were never answered
+    for (const [sampleId, sentAt] of player.pending) {
+      if (now - sentAt > this.config.sampleTimeout) {
+        player.pending.delete(sampleId);
+        this.metrics.samplesDropped++;
+      }
+    }
+    
+    const sampleId = this.nextSampleId++;
+    player.pending.set(sampleId, now);
+    player.socket.emit('time_sync', { id: sampleId, serverTime: now });
+    this.metrics.samplesSent++;
+    return true;
+  }
+  
+  /**
+   * Client answer to time_sync. With t0 (server send), t1 (client receive),
+   * t2 (client send) and t3 (server receive):
+   *   offset = ((t1 - t0) + (t2 - t3)) / 2   (client clock minus server clock)
+   *   rtt    = (t3 - t0) - (t2 - t1)         (time on the wire, both ways)
+   * @param {string} playerId - Player ID
+   * @param {object} data - { id, clientReceiveTime, clientSendTime }
+   * @param {number} [receivedAt] - Server receive time (t3)
+   * @returns {object|null} Updated estimate, or null for an unknown or late sample
+   */
+  handleResponse(playerId, data, receivedAt = Date.now()) {
+    const player = this.players.get(playerId);
+    if (!player || !data || !player.pending.has(data.id)) return null;
+    
+    const t0 = player.pending.get(data.id);
+    player.pending.delete(data.id);
+    
+    const t1 = Number(data.clientReceiveTime);
+    const t2 = Number(data.clientSendTime);
+    if (!Number.isFinite(t1) || !Number.isFinite(t2) || t2 < t1) {
+      this.metrics.samplesDropped++;
+      return null;
+    }
+    
+    const rtt = (receivedAt - t0) - (t2 - t1);
+    if (rtt < 0) {
+      this.metrics.samplesDropped++;
+      return null;
+    }
+    
+    player.samples.push({
+      offset: ((t1 - t0) + (t2 - receivedAt)) / 2,
+      rtt,
+      timestamp: receivedAt
+    });
+    if (player.samples.length > this.config.sampleWindow) {
+      player.samples.shift();
+    }
+    this.metrics.samplesReceived++;
+    
+    player.estimate = this.estimate(player.samples, receivedAt);
+    
+    // The client gets its own result (kickoff countdown, debug overlay)
+    player.socket.emit('time_sync_result', player.estimate);
+    this.emit('synced', playerId, player.estimate);
+    
+    return player.estimate;
+  }
+  
+  /**
+   * Estimate from the sample window: the offset of the fastest round trip (the
+   * least queueing, so the most symmetric), the mean RTT, and jitter as the
+   * standard deviation of the RTTs
+   * @param {Array} samples - { offset, rtt, timestamp }
+   * @returns {object} { offset, rtt, jitter, samples, lastSync }
+   */
+  estimate(samples, now = Date.now()) {
+    const best = samples.reduce((fastest, sample) => sample.rtt < fastest.rtt ? sample : fastest);
+    const meanRtt = samples.reduce((sum, sample) => sum + sample.rtt, 0) / samples.length;
+    const variance = samples.reduce((sum, sample) => sum + (sample.rtt - meanRtt) ** 2, 0) / samples.length;
+    
+    return {
+      offset: Math.round(best.offset),
+      rtt: Math.round(meanRtt),
+      jitter: Math.round(Math.sqrt(variance)),
+      samples: samples.length,
+      lastSync: now
+    };
+  }
+  
+  /**
+   * Current estimate for a player
+   * @returns {object|null} { offset, rtt, jitter, samples, lastSync } or null before the first sample
+   */
+  getEstimate(playerId) {
+    const player = this.players.get(playerId);
+    return player ? player.estimate : null;
+  }
+  
+  /**
+   * A timestamp from a player's clock on the server's clock
+   * @param {string} playerId - Player ID
+   * @param {number} clientTime - Client timestamp in ms
+   * @returns {number} Server time in ms (unchanged until the player is synced)
+   */
+  toServerTime(playerId, clientTime) {
+    const estimate = this.getEstimate(playerId);
+    return estimate ? clientTime - estimate.offset : clientTime;
+  }
+  
+  /**
+   * Get clock sync statistics
+   */
+  getStats() {
+    return {
+      ...this.metrics,
+      syncedPlayers: Array.from(this.players.values()).filter(player => player.estimate).length,
+      uptime: Date.now() - this.metrics.startTime
+    };
+  }
+  
+  /**
+   * Shutdown clock sync
+   */
+  shutdown() {
+    console.log('⏱️ Clock Sync shutting down...');
+    
+    if (this.resyncTimer) {
+      clearInterval(this.resyncTimer);
+    }
+    this.players.clear();
+    
+    console.log('✅ Clock Sync shutdown complete');
+  }
+}
+
+module.exports = ClockSync;
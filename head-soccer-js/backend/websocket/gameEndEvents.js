@@ -4,6 +4,8 @@
  */
 
 const EventEmitter = require('events');
+const TieBreakers = require('../shared/tie-breakers');
+const MatchRules = require('../shared/match-rules');
 
 class GameEndEvents extends EventEmitter {
   constructor(connectionManager, gameEventSystem, databaseClient, options = {}) {
@@ -47,7 +49,7 @@ class GameEndEvents extends EventEmitter {
    * Handle game end with comprehensive result processing
    * @param {string} roomId - Room identifier
    * @param {Object} gameState - Current game state
-   * @param {string} endReason - Reason for game end ('score_limit', 'time_limit', 'forfeit', 'disconnect')
+   * @param {string} endReason - Reason for game end ('score_limit', 'time_limit', 'golden_goal', 'penalties', 'forfeit', 'disconnect')
    */
   async handleGameEnd(roomId, gameState, endReason = 'score_limit') {
     try {
@@ -138,10 +140,14 @@ class GameEndEvents extends EventEmitter {
   
   /**
    * Calculate comprehensive final results
+   * Level matches settled by a tie-breaker carry gameState.decidedBy
+   * ('golden_goal' or 'penalties') and, for a shootout, gameState.shootout.
    */
   async calculateFinalResults(roomId, gameState, endReason) {
     const duration = gameState.endTime - gameState.startTime;
     const players = gameState.players;
+    const decidedBy = gameState.decidedBy || 'regulation';
+    const shootout = gameState.shootout ? TieBreakers.getShootoutResult(gameState.shootout) : null;
     
     // Determine winner and result type
     let winner = null;
@@ -156,13 +162,22 @@ class GameEndEvents extends EventEmitter {
       // Normal win/loss
       winner = gameState.score.player1 > gameState.score.player2 ? 
         players[0] : players[1];
-      resultType = endReason === 'time_limit' ? 'time_win' : 'score_win';
+      if (decidedBy === 'golden_goal') {
+        resultType = 'golden_goal_win';
+      } else {
+        resultType = endReason === 'time_limit' ? 'time_win' : 'score_win';
+      }
+    } else if (decidedBy === 'penalties' && shootout && shootout.decided) {
+      // Level after play, settled by the shootout
+      winner = players.find(p => p.position === shootout.winner) || null;
+      resultType = winner ? 'penalty_win' : 'draw';
     } else {
       // Draw
       resultType = 'draw';
     }
     
     const loser = winner ? players.find(p => p.id !== winner.id) : null;
+    const woodwork = gameState.woodwork || { player1: 0, player2: 0 };
     
     // Calculate detailed statistics
     const player1Stats = {
@@ -170,6 +185,7 @@ class GameEndEvents extends EventEmitter {
       username: players[0].username,
       position: players[0].position,
       score: gameState.score.player1,
+      woodwork: woodwork.player1,
       result: winner?.id === players[0].id ? 'win' : (resultType === 'draw' ? 'draw' : 'loss'),
       connected: players[0].connected !== false
     };
@@ -179,6 +195,7 @@ class GameEndEvents extends EventEmitter {
       username: players[1].username,
       position: players[1].position,
       score: gameState.score.player2,
+      woodwork: woodwork.player2,
       result: winner?.id === players[1].id ? 'win' : (resultType === 'draw' ? 'draw' : 'loss'),
       connected: players[1].connected !== false
     };
@@ -186,12 +203,15 @@ class GameEndEvents extends EventEmitter {
     return {
       roomId,
       gameMode: gameState.gameMode,
+      rules: gameState.rules || MatchRules.forMode(gameState.gameMode),
       startTime: gameState.startTime,
       endTime: gameState.endTime,
       duration,
       endReason,
       resultType,
+      decidedBy,
       finalScore: { ...gameState.score },
+      shootoutScore: shootout ? shootout.score : null,
       winner: winner ? {
         id: winner.id,
         username: winner.username,
@@ -208,6 +228,7 @@ class GameEndEvents extends EventEmitter {
       gameStats: {
         totalGoals: gameState.score.player1 + gameState.score.player2,
         goalDifference: Math.abs(gameState.score.player1 - gameState.score.player2),
+        woodwork: woodwork.player1 + woodwork.player2,
         durationMinutes: Math.round(duration / 60000 * 10) / 10
       },
       metadata: {
@@ -222,12 +243,16 @@ class GameEndEvents extends EventEmitter {
    */
   async broadcastGameEndResults(roomId, finalResults) {
     // Main game end broadcast
+    const winner = finalResults.winner;
     this.connectionManager.broadcastToRoom(roomId, 'game_ended', {
-      winner: finalResults.winner,
+      result: winner ? (winner.position === 'left' ? 'player1' : 'player2') : 'tie', // As the clients end the scene
+      winner,
       finalScore: finalResults.finalScore,
       duration: finalResults.duration,
       resultType: finalResults.resultType,
       endReason: finalResults.endReason,
+      decidedBy: finalResults.decidedBy,
+      shootoutScore: finalResults.shootoutScore,
       gameStats: finalResults.gameStats,
       timestamp: Date.now()
     });
@@ -287,6 +312,8 @@ class GameEndEvents extends EventEmitter {
           end_time: new Date(finalResults.endTime).toISOString(),
           end_reason: finalResults.endReason,
           result_type: finalResults.resultType,
+          decided_by: finalResults.decidedBy,
+          rules: finalResults.rules,
           status: 'completed',
           metadata: finalResults.metadata
         };
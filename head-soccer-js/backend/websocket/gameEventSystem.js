@@ -76,6 +76,7 @@ class GameEventSystem extends EventEmitter {
     
     // Lag compensation data
     this.playerLatencies = new Map(); // playerId -> { latency, lastUpdate }
+    this.playerClocks = new Map(); // playerId -> ClockSync estimate { offset, rtt, jitter, samples, lastSync }
     this.eventHistory = new Map(); // eventId -> { timestamp, processed, compensated }
     
     console.log('🎮 Game Event System initialized');
@@ -108,6 +109,12 @@ class GameEventSystem extends EventEmitter {
               }
             },
             direction: { type: 'string', enum: ['left', 'right', 'up', 'down', 'idle'] },
+            contact: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: ['push', 'head_landing'] }
+              }
+            },
             timestamp: { type: 'number' },
             sequenceId: { type: 'number' }
           }
@@ -123,6 +130,7 @@ class GameEventSystem extends EventEmitter {
           properties: {
             playerId: { type: 'string', maxLength: 50 },
             action: { type: 'string', enum: ['kick', 'jump', 'dash', 'tackle'] },
+            kickType: { type: 'string', enum: ['shot', 'lob', 'volley'] },
             power: { type: 'number', min: 0, max: 100 },
             direction: { type: 'number', min: 0, max: 360 },
             timestamp: { type: 'number' },
@@ -207,7 +215,8 @@ class GameEventSystem extends EventEmitter {
           required: ['playerId', 'goalType', 'timestamp'],
           properties: {
             playerId: { type: 'string', maxLength: 50 },
-            goalType: { type: 'string', enum: ['normal', 'header', 'volley', 'penalty'] },
+            goalType: { type: 'string', enum: ['normal', 'header', 'volley', 'penalty', 'own_goal'] },
+            assistId: { type: 'string', maxLength: 50 },
             score: { 
               type: 'object',
               properties: {
@@ -224,6 +233,43 @@ class GameEventSystem extends EventEmitter {
         persistent: true // Save to database
       },
       
+      'woodwork_hit': {
+        priority: 'MEDIUM',
+        schema: {
+          required: ['part', 'goalSide', 'timestamp'],
+          properties: {
+            part: { type: 'string', enum: ['crossbar', 'post'] },
+            goalSide: { type: 'string', enum: ['left', 'right'] },
+            playerId: { type: 'string', maxLength: 50 }, // Last player to touch the ball
+            speed: { type: 'number', min: 0, max: 1000 },
+            timestamp: { type: 'number' }
+          }
+        },
+        broadcast: 'room',
+        authoritative: true
+      },
+      
+      'kick_resolved': {
+        priority: 'HIGH',
+        schema: {
+          required: ['playerId', 'side', 'accepted', 'timestamp'],
+          properties: {
+            playerId: { type: 'string', maxLength: 50 },
+            side: { type: 'string', enum: ['left', 'right'] },
+            kickType: { type: 'string', enum: ['shot', 'lob', 'volley'] },
+            power: { type: 'number', min: 0, max: 100 },
+            direction: { type: 'number', min: 0, max: 360 },
+            accepted: { type: 'boolean' },
+            rewindMs: { type: 'number', min: 0 }, // How far back the contact was judged
+            overturned: { type: 'boolean' },
+            ball: { type: 'object' },
+            timestamp: { type: 'number' }
+          }
+        },
+        broadcast: 'room',
+        authoritative: true
+      },
+      
       // === GAME STATE EVENTS ===
       'game_state_update': {
         priority: 'MEDIUM',
@@ -662,14 +708,30 @@ class GameEventSystem extends EventEmitter {
   
   /**
    * Apply lag compensation to event
+   * With a clock estimate the client timestamp is moved onto the server clock;
+   * without one, half the round trip is the best guess
    */
   applyLagCompensation(event) {
     if (!event.lagCompensation || !event.metadata.playerId) return;
     
     const playerId = event.metadata.playerId;
     const latency = this.getPlayerLatency(playerId);
-    
-    if (latency > 0) {
+    const clock = this.getPlayerClock(playerId);
+    
+    if (clock) {
+      // When it happened on the server clock, no further back than the compensation window
+      const serverTimestamp = event.lagCompensation.serverTimestamp;
+      const compensatedTimestamp = Math.max(
+        serverTimestamp - this.options.lagCompensationWindow,
+        Math.min(serverTimestamp, event.lagCompensation.clientTimestamp - clock.offset)
+      );
+      
+      event.lagCompensation.compensatedTimestamp = compensatedTimestamp;
+      event.lagCompensation.appliedCompensation = serverTimestamp - compensatedTimestamp;
+      event.lagCompensation.playerLatency = latency || clock.rtt;
+      event.lagCompensation.clockOffset = clock.offset;
+      event.lagCompensation.jitter = clock.jitter;
+    } else if (latency > 0) {
       // Compensate timestamp
       const compensationMs = Math.min(latency / 2, this.options.lagCompensationWindow);
       event.lagCompensation.compensatedTimestamp = 
@@ -756,6 +818,39 @@ class GameEventSystem extends EventEmitter {
     return data.latency;
   }
   
+  /**
+   * Update a player's clock estimate from ClockSync
+   */
+  updatePlayerClock(playerId, estimate) {
+    this.playerClocks.set(playerId, {
+      ...estimate,
+      lastUpdate: Date.now()
+    });
+  }
+  
+  /**
+   * Get player clock estimate
+   */
+  getPlayerClock(playerId) {
+    const data = this.playerClocks.get(playerId);
+    if (!data) return null;
+    
+    // Stale like latency, but the re-sync interval keeps it fresh
+    if (Date.now() - data.lastUpdate > 30000) {
+      return null;
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Forget a disconnected player's clock and latency - a rejoin syncs again
+   */
+  clearPlayer(playerId) {
+    this.playerClocks.delete(playerId);
+    this.playerLatencies.delete(playerId);
+  }
+  
   /**
    * Generate unique event ID
    */
@@ -822,6 +917,7 @@ class GameEventSystem extends EventEmitter {
       totalQueueSize: this.getTotalQueueSize(),
       processing: this.processing,
       playerLatencies: this.playerLatencies.size,
+      playerClocks: this.playerClocks.size,
       rateLimitViolations: this.metrics.eventsDropped
     };
   }
@@ -840,6 +936,7 @@ class GameEventSystem extends EventEmitter {
     // Clear tracking data
     this.rateLimitTracking.clear();
     this.playerLatencies.clear();
+    this.playerClocks.clear();
     this.eventHistory.clear();
     
     console.log('🎮 Game Event System shutdown complete');
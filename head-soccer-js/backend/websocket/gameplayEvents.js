@@ -5,6 +5,12 @@
 
 const EventEmitter = require('events');
 const GameEndEvents = require('./gameEndEvents');
+const GameRoom = require('../modules/GameRoom');
+const PhysicsCore = require('../shared/physics-core');
+const MatchRules = require('../shared/match-rules');
+const TieBreakers = require('../shared/tie-breakers');
+const BallAuthority = require('../shared/ball-authority');
+const SnapshotCodec = require('../shared/snapshot-codec');
 
 class GameplayEvents extends EventEmitter {
   constructor(connectionManager, gameEventSystem, gameStateValidator, options = {}) {
@@ -26,10 +32,20 @@ class GameplayEvents extends EventEmitter {
     this.config = {
       maxLatency: options.maxLatency || 150, // Max acceptable latency in ms
       interpolationDelay: options.interpolationDelay || 100, // Interpolation buffer
-      physicsTickRate: options.physicsTickRate || 60, // Physics updates per second
-      goalCooldown: options.goalCooldown || 3000, // Time after goal before play resumes
+      maxRewindWindow: options.maxRewindWindow !== undefined ? options.maxRewindWindow : 200, // Furthest back a kick is judged (ms, 0 = current positions)
+      stateHistoryWindow: options.stateHistoryWindow || 1000, // State history kept for rewinds (ms)
+      physicsTickRate: options.physicsTickRate || PhysicsCore.TICK_RATE, // Physics updates per second
+      goalCooldown: options.goalCooldown || 3000, // Time after goal before play resumes (the kickoff countdown)
+      kickoffCountdown: options.kickoffCountdown !== undefined ? options.kickoffCountdown : 3000, // Countdown before the first kickoff
+      clockSyncInterval: options.clockSyncInterval || 500, // How often clients get a clock snapshot
+      snapshotRate: options.snapshotRate || 20, // Game state snapshots per second to each player
+      snapshotFormat: options.snapshotFormat || 'binary', // 'binary' (delta-compressed) or 'json' for debugging
+      snapshotHistory: options.snapshotHistory || 32, // Snapshots kept per match as delta baselines
+      inputDelay: options.inputDelay !== undefined ? options.inputDelay : 2, // Ticks an input waits in the queue to absorb jitter
+      maxInputAhead: options.maxInputAhead || 30, // Furthest ahead of the server (ticks) an input is queued for
       pauseTimeout: options.pauseTimeout || 30000, // Max pause duration
       disconnectGracePeriod: options.disconnectGracePeriod || 10000, // Time to reconnect
+      goalHintTolerance: options.goalHintTolerance || 100, // How far a claimed goal may start from the last relayed ball (px)
       ...options
     };
     
@@ -37,31 +53,55 @@ class GameplayEvents extends EventEmitter {
     this.activeGames = new Map(); // roomId -> gameState
     this.playerStates = new Map(); // playerId -> playerState
     this.ballStates = new Map(); // roomId -> ballState
+    this.ballAuthority = new Map(); // roomId -> BallAuthority state (which client simulates the ball)
     
     // Lag compensation data
     this.playerLatencies = new Map(); // playerId -> latency
     this.stateHistory = new Map(); // roomId -> array of historical states
-    this.inputBuffer = new Map(); // playerId -> array of pending inputs
+    this.inputBuffer = new Map(); // playerId -> tick-stamped inputs waiting for their tick (see handlePlayerInput)
+    
+    // State snapshots
+    this.snapshots = new Map(); // roomId -> { sequence, frames, acks } (sent frames, last one each player acknowledged)
+    this.snapshotFormats = new Map(); // playerId -> snapshot format they asked for
     
     // Game control
     this.pausedGames = new Map(); // roomId -> { reason, timestamp, requestedBy }
     this.goalCooldowns = new Map(); // roomId -> cooldown end timestamp
+    this.matchClocks = new Map(); // roomId -> GameRoom whose clock the server runs
+    this.reconnectHolds = new Map(); // roomId -> { players, paused, timer } while disconnected players may rejoin
     
     // Performance metrics
     this.metrics = {
       totalMovements: 0,
+      totalKicks: 0,
+      kicksRejected: 0, // Ball out of reach at the time judged
+      kickRewinds: 0, // Kicks judged at an earlier time than their arrival
+      kickRewindsClamped: 0, // Perceived time further back than maxRewindWindow
+      kicksOverturned: 0, // In reach only when rewound, or beat an opponent's kick that arrived first
+      totalRewindMs: 0,
+      maxRewindMs: 0,
       totalBallUpdates: 0,
+      ballHandoffs: 0,
+      ballFailovers: 0,
       totalGoals: 0,
       totalPauses: 0,
       averageLatency: 0,
       peakLatency: 0,
       rollbackCount: 0,
+      snapshotsSent: 0,
+      snapshotDeltas: 0, // Sent against a baseline the player acknowledged
+      snapshotBytes: 0,
+      inputsQueued: 0,
+      inputsLate: 0, // Arrived after their tick - applied on the next one
+      inputsDuplicate: 0,
+      inputsResynced: 0, // Too far ahead - the player's tick offset was moved up
       predictionErrors: 0,
       startTime: Date.now()
     };
     
-    // Initialize physics tick
+    // Initialize physics tick and the match clocks
     this.startPhysicsTick();
+    this.startClockTick();
     
     console.log('🎮 Gameplay Events system initialized');
   }
@@ -76,117 +116,1429 @@ class GameplayEvents extends EventEmitter {
   }
   
   /**
-   * Process a physics tick for all active games
+   * Process a physics tick for all active games
+   */
+  processPhysicsTick() {
+    const now = Date.now();
+    
+    for (const [roomId, gameState] of this.activeGames) {
+      if (this.pausedGames.has(roomId)) continue;
+      if (this.goalCooldowns.has(roomId) && now < this.goalCooldowns.get(roomId)) continue;
+      if (this.isBeforeKickoff(roomId, now)) continue;
+      
+      // Players who send inputs move by the ones due this tick
+      this.applyQueuedInputs(roomId, gameState);
+      
+      // Update game physics
+      this.updateGamePhysics(roomId, gameState);
+      
+      // Check for goals
+      this.checkGoalConditions(roomId, gameState);
+      
+      // Broadcast authoritative state
+      this.broadcastGameState(roomId, gameState);
+    }
+  }
+  
+  /**
+   * Start the tick that runs every match clock
+   */
+  startClockTick() {
+    this.clockInterval = setInterval(() => {
+      this.processClockTick();
+    }, this.config.clockSyncInterval);
+  }
+  
+  /**
+   * Advance every match clock and send each room a snapshot. The clock is the
+   * only thing that ends a match on time - clients just draw it
+   */
+  processClockTick() {
+    const now = Date.now();
+    
+    for (const [roomId, room] of this.matchClocks) {
+      const phase = room.phase;
+      this.broadcastClock(roomId, room.tickClock(now));
+      
+      if (room.status === 'FINISHED') {
+        this.handleTimeLimit(roomId);
+      } else if (room.phase === 'penalties' && phase !== 'penalties') {
+        // Shootout started - the first shooter has the ball on the spot
+        this.resetBallAuthority(roomId, TieBreakers.getShooter(room.shootout), now);
+      } else {
+        this.checkBallAuthority(roomId, now);
+      }
+    }
+  }
+  
+  /**
+   * Run a match's clock on the server: the GameRoom keeps the time (pauses,
+   * goal stoppages, overtime) and the clock tick ends the match when it runs out
+   * @param {string} roomId - Room the snapshots are broadcast to
+   * @param {GameRoom} room - Room that owns the clock
+   * @returns {boolean} False if the clock is already running or the match is over
+   */
+  startMatchClock(roomId, room) {
+    if (this.matchClocks.has(roomId)) return false;
+    
+    room.startClock();
+    if (room.status !== 'PLAYING' && room.status !== 'PAUSED') return false;
+    
+    this.matchClocks.set(roomId, room);
+    this.scheduleKickoff(roomId, room, this.config.kickoffCountdown, 'match_start');
+    this.broadcastClock(roomId, room.tickClock());
+    
+    console.log(`⏱️ Match clock started for room ${roomId}`);
+    return true;
+  }
+  
+  /**
+   * Schedule kickoff at an absolute server time and tell the room, so both
+   * clients count down to the same instant whoever loaded first. The clock
+   * holds until then and inputs that arrive earlier are rejected
+   * @param {number} delay - Countdown length in ms
+   * @param {string} reason - 'match_start' or 'goal'
+   * @param {string} [side] - Side kicking off, which owns the ball from kickoff
+   * @returns {number|null} Kickoff server time, or null if the match is not being played
+   */
+  scheduleKickoff(roomId, room, delay, reason, side = 'left') {
+    const now = Date.now();
+    const kickoffTime = now + delay;
+    if (!room.scheduleKickoff(kickoffTime, now)) return null;
+    
+    this.resetBallAuthority(roomId, side, kickoffTime);
+    
+    this.connectionManager.broadcastToRoom(roomId, 'kickoff_scheduled', {
+      kickoffTime,
+      countdown: delay,
+      reason,
+      serverTime: now
+    });
+    
+    setTimeout(() => {
+      if (room.kickOff(kickoffTime)) {
+        this.broadcastClock(roomId, room.tickClock());
+      }
+    }, delay);
+    
+    return kickoffTime;
+  }
+  
+  /**
+   * Is a match still counting down to kickoff (inputs don't count yet)
+   * @param {number} [now] - Server time in ms
+   */
+  isBeforeKickoff(roomId, now = Date.now()) {
+    const room = this.matchClocks.get(roomId);
+    return !!room && room.isBeforeKickoff(now);
+  }
+  
+  /**
+   * Stop running a match's clock (match over, or the players left). Emits
+   * 'match_ended' with the room ID
+   */
+  stopMatchClock(roomId) {
+    const hold = this.reconnectHolds.get(roomId);
+    if (hold) {
+      clearTimeout(hold.timer);
+      this.reconnectHolds.delete(roomId);
+    }
+    
+    this.ballAuthority.delete(roomId);
+    if (!this.activeGames.has(roomId)) {
+      // What was relayed (see acceptBallUpdate, acceptPlayerUpdate and relaySnapshot)
+      ['left', 'right'].forEach(side => this.playerStates.delete(this.getSidePlayer(roomId, side).playerId));
+      this.ballStates.delete(roomId);
+      this.stateHistory.delete(roomId);
+      this.snapshots.delete(roomId);
+    }
+    
+    const stopped = this.matchClocks.delete(roomId);
+    if (stopped) {
+      this.emit('match_ended', roomId);
+    }
+    return stopped;
+  }
+  
+  /**
+   * Give the ball to the side kicking off: its client simulates the ball from
+   * kickoff, under a new authority sequence
+   * @param {number} kickoffTime - Server time the ball comes into play
+   */
+  resetBallAuthority(roomId, side, kickoffTime) {
+    const authority = this.ballAuthority.get(roomId) || BallAuthority.create(side, kickoffTime);
+    BallAuthority.reset(authority, side, kickoffTime);
+    this.ballAuthority.set(roomId, authority);
+    
+    this.connectionManager.broadcastToRoom(roomId, 'ball_authority', this.getBallAuthority(roomId));
+    return authority;
+  }
+  
+  /**
+   * A client's claim for the ball - it touched the ball, or is clearly nearer
+   * a loose one. The first claim made on the current sequence wins; a claim
+   * that loses comes back with a correction (the owner and its last ball)
+   * @param {object} claim - { sequence, reason } (reason 'contact' or 'proximity')
+   * @returns {object} { success, reason, correction }
+   */
+  claimBallAuthority(roomId, playerId, claim = {}) {
+    const authority = this.ballAuthority.get(roomId);
+    if (!authority) {
+      return { success: false, reason: 'Ball not in play' };
+    }
+    
+    const side = this.getPlayerSide(roomId, playerId);
+    if (!side) {
+      return { success: false, reason: 'Player not in match' };
+    }
+    
+    if (this.isBeforeKickoff(roomId)) {
+      return { success: false, reason: 'Before kickoff', correction: this.getBallCorrection(roomId, 'Before kickoff') };
+    }
+    
+    // A lagging client would only lose the ball again on the next failover check
+    if (side !== authority.owner && this.isLaggingSide(roomId, side)) {
+      return { success: false, reason: 'Latency too high', correction: this.getBallCorrection(roomId, 'Latency too high') };
+    }
+    
+    const result = BallAuthority.claim(authority, side, claim.sequence, claim.reason, Date.now());
+    if (!result.accepted) {
+      return { success: false, reason: result.reason, correction: this.getBallCorrection(roomId, result.reason) };
+    }
+    
+    if (result.changed) {
+      this.metrics.ballHandoffs++;
+      console.log(`⚽ Ball handed to ${side} in room ${roomId} (${claim.reason}, sequence ${authority.sequence})`);
+      this.connectionManager.broadcastToRoom(roomId, 'ball_authority', this.getBallAuthority(roomId));
+    }
+    
+    return { success: true, reason: result.reason };
+  }
+  
+  /**
+   * Check a relayed ball_update: only the owner's updates on the current
+   * sequence go on to the other client. Updates from a previous owner are
+   * dropped - that client already has the handoff on its way
+   * @param {object} ballData - { position, velocity, spin, angle, authoritySequence }
+   * @returns {object} { success, reason }
+   */
+  acceptBallUpdate(roomId, playerId, ballData) {
+    const authority = this.ballAuthority.get(roomId);
+    if (!authority) {
+      return { success: false, reason: 'Ball not in play' };
+    }
+    
+    const side = this.getPlayerSide(roomId, playerId);
+    if (!BallAuthority.acceptUpdate(authority, side, ballData.authoritySequence, Date.now())) {
+      return { success: false, reason: 'Not authoritative for ball' };
+    }
+    
+    // Kept to correct a client whose claim lost, and for the snapshots
+    this.ballStates.set(roomId, {
+      position: ballData.position,
+      velocity: ballData.velocity,
+      spin: ballData.spin || 0,
+      angle: ballData.angle || 0,
+      sequence: authority.sequence,
+      lastUpdate: Date.now(),
+      lastTouchedBy: playerId
+    });
+    this.metrics.totalBallUpdates++;
+    
+    return { success: true };
+  }
+  
+  /**
+   * Keep a relayed movement_update as the player's state - the other client
+   * gets it in a snapshot (see relaySnapshot)
+   * @param {object} movementData - { position, velocity, onGround }
+   * @returns {object} { success, reason }
+   */
+  acceptPlayerUpdate(roomId, playerId, movementData) {
+    if (!this.getPlayerSide(roomId, playerId)) {
+      return { success: false, reason: 'Player not in match' };
+    }
+    
+    const { position, velocity } = movementData;
+    if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y) ||
+      !velocity || !Number.isFinite(velocity.x) || !Number.isFinite(velocity.y)) {
+      return { success: false, reason: 'Invalid movement' };
+    }
+    
+    this.playerStates.set(playerId, {
+      position: { x: position.x, y: position.y },
+      velocity: { x: velocity.x, y: velocity.y },
+      direction: velocity.x > 0 ? 'right' : velocity.x < 0 ? 'left' : 'idle',
+      onGround: !!movementData.onGround,
+      lastUpdate: Date.now()
+    });
+    this.metrics.totalMovements++;
+    
+    return { success: true };
+  }
+  
+  /**
+   * Fail the ball over to the other client when its owner stops sending it or
+   * lags behind the other player (who must still be connected)
+   * @returns {object|null} New authority, or null if the owner keeps the ball
+   */
+  checkBallAuthority(roomId, now = Date.now()) {
+    const authority = this.ballAuthority.get(roomId);
+    if (!authority || this.pausedGames.has(roomId) || this.isBeforeKickoff(roomId, now)) return null;
+    if (this.activeGames.has(roomId)) return null; // The server simulates this ball itself
+    
+    const room = this.matchClocks.get(roomId);
+    if (room && room.status !== 'PLAYING') return null;
+    
+    const owner = this.getSidePlayer(roomId, authority.owner);
+    const other = this.getSidePlayer(roomId, BallAuthority.otherSide(authority.owner));
+    if (!other.playerId || !this.connectionManager.getConnectionByPlayerId(other.playerId)) return null;
+    
+    const reason = BallAuthority.getFailoverReason(
+      authority,
+      now,
+      this.playerLatencies.get(owner.playerId),
+      this.playerLatencies.get(other.playerId)
+    );
+    return reason ? this.failoverBall(roomId, reason, now) : null;
+  }
+  
+  /**
+   * Hand the ball to the other client without a claim
+   * @param {string} cause - 'stale', 'lag' or 'disconnect'
+   */
+  failoverBall(roomId, cause, now = Date.now()) {
+    const authority = this.ballAuthority.get(roomId);
+    if (!authority) return null;
+    
+    BallAuthority.failover(authority, now);
+    this.metrics.ballFailovers++;
+    console.log(`⚽ Ball failed over to ${authority.owner} in room ${roomId} (${cause})`);
+    
+    this.connectionManager.broadcastToRoom(roomId, 'ball_authority', {
+      ...this.getBallAuthority(roomId),
+      cause
+    });
+    return authority;
+  }
+  
+  /**
+   * Is a side's round trip too long to own the ball (and worse than the other side's)
+   */
+  isLaggingSide(roomId, side) {
+    const latency = this.playerLatencies.get(this.getSidePlayer(roomId, side).playerId) || 0;
+    const otherLatency = this.playerLatencies.get(this.getSidePlayer(roomId, BallAuthority.otherSide(side)).playerId) || 0;
+    return latency > BallAuthority.DEFAULTS.maxOwnerLatency && otherLatency < latency;
+  }
+  
+  /**
+   * Who owns a room's ball, as sent to clients
+   * @returns {object|null} { owner, ownerId, sequence, reason, since, serverTime }
+   */
+  getBallAuthority(roomId) {
+    const authority = this.ballAuthority.get(roomId);
+    if (!authority) return null;
+    
+    return {
+      owner: authority.owner,
+      ownerId: this.getSidePlayer(roomId, authority.owner).playerId,
+      sequence: authority.sequence,
+      reason: authority.reason,
+      since: authority.since,
+      serverTime: Date.now()
+    };
+  }
+  
+  /**
+   * Correction for a client that lost a claim: the owner, and the owner's last
+   * ball to snap to
+   */
+  getBallCorrection(roomId, reason) {
+    return {
+      ...this.getBallAuthority(roomId),
+      rejected: reason,
+      ball: this.ballStates.get(roomId) || null
+    };
+  }
+  
+  /**
+   * Pause or resume a match clock and tell the room straight away
+   */
+  pauseMatchClock(roomId, reason) {
+    const room = this.matchClocks.get(roomId);
+    if (!room || !room.pauseGame(reason)) return false;
+    
+    this.broadcastClock(roomId, room.tickClock());
+    return true;
+  }
+  
+  resumeMatchClock(roomId) {
+    const room = this.matchClocks.get(roomId);
+    if (!room || !room.resumeGame()) return false;
+    
+    this.broadcastClock(roomId, room.tickClock());
+    return true;
+  }
+  
+  /**
+   * Hold a match for a disconnected player: the clock pauses (ball authority
+   * and the score stay as they are) for disconnectGracePeriod, and the match
+   * is forfeited if they haven't rejoined by then (see forfeitHeldMatch)
+   * @returns {boolean} False if the match clock isn't running
+   */
+  holdForReconnect(roomId, playerId) {
+    if (!this.matchClocks.has(roomId)) return false;
+    
+    const hold = this.reconnectHolds.get(roomId) || { players: new Set(), paused: false, timer: null };
+    hold.players.add(playerId);
+    hold.paused = this.pauseMatchClock(roomId, 'disconnect') || hold.paused;
+    
+    clearTimeout(hold.timer);
+    hold.timer = setTimeout(() => {
+      console.log(`🔌 Nobody rejoined room ${roomId} in time, ending it as a forfeit`);
+      this.forfeitHeldMatch(roomId).catch(error => {
+        console.error(`❌ Error forfeiting held match ${roomId}:`, error);
+        this.stopMatchClock(roomId);
+      });
+    }, this.config.disconnectGracePeriod);
+    this.reconnectHolds.set(roomId, hold);
+    
+    console.log(`⏸️ Holding room ${roomId} for ${playerId} to rejoin`);
+    return true;
+  }
+  
+  /**
+   * End a held match nobody rejoined in time. GameEndEvents sends the room
+   * game_ended and records the result: the player still connected wins by
+   * forfeit, and with both gone it's a double forfeit
+   * @returns {object} { success, reason?, finalResults? }
+   */
+  async forfeitHeldMatch(roomId) {
+    const hold = this.reconnectHolds.get(roomId);
+    const room = this.matchClocks.get(roomId);
+    if (!hold || !room) {
+      return { success: false, reason: 'Match not held' };
+    }
+    
+    const simulated = this.activeGames.get(roomId);
+    if (simulated) {
+      // Usually ended through GameEndEvents when the player dropped (see handlePlayerDisconnection)
+      if (simulated.status !== 'playing') {
+        this.stopMatchClock(roomId);
+        return { success: false, reason: 'Game already ended' };
+      }
+      
+      simulated.players.forEach(player => {
+        player.connected = player.connected !== false && !hold.players.has(player.id);
+      });
+      return await this.endGame(roomId, simulated, 'disconnect');
+    }
+    
+    const gameState = this.getRelayedGameState(roomId, room, hold.players);
+    const winner = gameState.players.filter(player => player.connected);
+    room.endGame('disconnect', winner.length === 1 ? winner[0].id : null);
+    this.stopMatchClock(roomId);
+    
+    return await this.gameEndEvents.handleGameEnd(roomId, gameState, 'disconnect');
+  }
+  
+  /**
+   * A relayed match in the shape GameEndEvents reads: players by side, the
+   * room's score and when it kicked off
+   * @param {Set} [gone] - IDs of players who left
+   */
+  getRelayedGameState(roomId, room, gone = new Set()) {
+    return {
+      roomId,
+      players: ['left', 'right'].map(side => {
+        const player = this.getSidePlayer(roomId, side);
+        return { id: player.playerId, username: player.username, position: side, connected: !gone.has(player.playerId) };
+      }),
+      score: { player1: room.score.left, player2: room.score.right },
+      gameMode: room.gameMode,
+      rules: room.rules,
+      decidedBy: room.decidedBy,
+      shootout: room.shootout,
+      startTime: room.gameStartTime ? room.gameStartTime.getTime() : Date.now()
+    };
+  }
+  
+  /**
+   * A held player rejoined: once nobody is missing, the clock runs on where it
+   * paused (unless it was already paused before the disconnect)
+   * @returns {boolean} False if the player wasn't being waited for
+   */
+  resumeAfterReconnect(roomId, playerId) {
+    const hold = this.reconnectHolds.get(roomId);
+    if (!hold || !hold.players.delete(playerId)) return false;
+    
+    if (hold.players.size === 0) {
+      clearTimeout(hold.timer);
+      this.reconnectHolds.delete(roomId);
+      if (hold.paused) {
+        this.resumeMatchClock(roomId);
+      }
+    }
+    return true;
+  }
+  
+  /**
+   * Record a goal the server has decided on: the match clock's room scores it,
+   * the clock stops for the goal cooldown, and the room gets goal_confirmed.
+   * A deciding goal (score limit, golden goal) ends the match
+   * @param {object} goal - { side, scorer, assist, ownGoal } from creditGoal
+   * @returns {object} { success, reason?, score?, gameEnded? }
+   */
+  async confirmGoal(roomId, goal) {
+    const room = this.matchClocks.get(roomId);
+    if (!room || room.status !== 'PLAYING') {
+      return { success: false, reason: 'Game not in progress' };
+    }
+    
+    // Bring the clock up to the goal first - one scored after full time does not count
+    room.updateGameTime(room.getPlayedTime());
+    
+    const result = room.addGoal(goal.scorer.playerId, {
+      side: goal.side,
+      playerName: goal.scorer.username,
+      assistId: goal.assist ? goal.assist.playerId : null,
+      ownGoal: goal.ownGoal
+    });
+    if (!result.success) {
+      return { success: false, reason: result.reason };
+    }
+    
+    const score = { player1: room.score.left, player2: room.score.right };
+    const gameState = this.activeGames.get(roomId);
+    if (gameState) {
+      gameState.score = score;
+    }
+    
+    // Play stops for the goal cooldown
+    this.goalCooldowns.set(roomId, Date.now() + this.config.goalCooldown);
+    setTimeout(() => {
+      this.goalCooldowns.delete(roomId);
+      
+      if (this.activeGames.has(roomId)) {
+        this.resetBallPosition(roomId);
+        this.resetPlayerPositions(roomId);
+        
+        // Notify players game is resuming
+        this.connectionManager.broadcastToRoom(roomId, 'game_resuming', {
+          score,
+          timestamp: Date.now()
+        });
+      }
+    }, this.config.goalCooldown);
+    
+    // Queue goal event
+    const goalEvent = {
+      playerId: goal.scorer.playerId,
+      goalType: goal.ownGoal ? 'own_goal' : 'normal',
+      score,
+      timestamp: Date.now()
+    };
+    if (goal.assist) {
+      goalEvent.assistId = goal.assist.playerId;
+    }
+    this.gameEventSystem.queueEvent('goal_scored', goalEvent, {
+      playerId: goal.scorer.playerId,
+      priority: 1 // High priority
+    });
+    
+    // Broadcast the goal to all players - the only way a score changes
+    this.connectionManager.broadcastToRoom(roomId, 'goal_confirmed', {
+      side: goal.side,
+      scorer: goal.scorer,
+      assist: goal.assist,
+      ownGoal: goal.ownGoal,
+      score,
+      gameTime: room.currentGameTime,
+      timestamp: Date.now()
+    });
+    
+    // The clock holds through the cooldown, which ends in the next kickoff
+    this.scheduleKickoff(roomId, room, this.config.goalCooldown, 'goal', TieBreakers.otherSide(goal.side));
+    this.broadcastClock(roomId, room.getClockSnapshot());
+    
+    this.metrics.totalGoals++;
+    
+    if (room.status === 'FINISHED') {
+      await this.finishClockMatch(roomId, room, room.winReason);
+    }
+    
+    return { success: true, score, gameEnded: room.status === 'FINISHED' };
+  }
+  
+  /**
+   * Goal claimed by a client in a relayed match (clients simulate, the server
+   * has no ball of its own). The claim is only a hint: it has to come from the
+   * ball owner, start near the ball the owner last relayed, and cross into a
+   * goal of this match's field. The other client only has a copy of the ball,
+   * so its claims are rejected
+   * @param {string} playerId - Player who sent the claim
+   * @param {object} hint - { ballPosition, previousBallPosition, lastTouch }
+   */
+  async handleGoalHint(roomId, playerId, hint = {}) {
+    const check = this.validateGoalHint(roomId, playerId, hint);
+    if (!check.success) {
+      return check;
+    }
+    
+    return await this.confirmGoal(roomId, check.goal);
+  }
+  
+  /**
+   * Check a goal claim (see handleGoalHint) without scoring it
+   * @returns {object} { success, reason, goal } (goal as from creditGoal)
+   */
+  validateGoalHint(roomId, playerId, hint = {}) {
+    const room = this.matchClocks.get(roomId);
+    if (!room) {
+      return { success: false, reason: 'Match not running' };
+    }
+    
+    const owner = this.checkBallOwner(roomId, playerId);
+    if (!owner.success) {
+      return owner;
+    }
+    
+    if (this.goalCooldowns.has(roomId)) {
+      return { success: false, reason: 'Goal cooldown active' };
+    }
+    
+    const previous = hint.previousBallPosition;
+    const relayed = this.checkRelayedBall(roomId, previous);
+    if (!relayed.success) {
+      return relayed;
+    }
+    
+    const field = PhysicsCore.createField(MatchRules.toFieldOptions(room.rules));
+    const players = ['left', 'right'].map(side => ({ id: this.getSidePlayer(roomId, side).playerId, position: side }));
+    const validationResult = this.gameStateValidator.validateGoal({
+      playerId,
+      ballPosition: hint.ballPosition,
+      previousBallPosition: previous,
+      field
+    }, { players });
+    
+    if (!validationResult.valid) {
+      return { success: false, reason: validationResult.reason };
+    }
+    
+    // The ball went into the goal on goalInfo.side, so the other side scores
+    const side = validationResult.goalInfo.side === 'left' ? 'right' : 'left';
+    const lastTouch = hint.lastTouch === 'left' || hint.lastTouch === 'right'
+      ? this.getSidePlayer(roomId, hint.lastTouch)
+      : null;
+    
+    return { success: true, goal: this.creditGoal(roomId, side, { last: lastTouch }) };
+  }
+  
+  /**
+   * Does a claimed ball position match the ball the owner last relayed. The
+   * owner sends the ball every frame it moves, so the frame before a claim is
+   * at most a frame or two on from it
+   * @param {object} position - Ball position the claim starts from
+   * @returns {object} { success, reason, ball } (ball as relayed)
+   */
+  checkRelayedBall(roomId, position) {
+    const relayed = this.ballStates.get(roomId);
+    const drift = relayed && relayed.position && position
+      ? Math.hypot(position.x - relayed.position.x, position.y - relayed.position.y)
+      : NaN;
+    if (!(drift <= this.config.goalHintTolerance)) {
+      return { success: false, reason: 'Ball does not match the relayed ball' };
+    }
+    
+    return { success: true, ball: relayed };
+  }
+  
+  /**
+   * Check a missed penalty claim: it has to start near the relayed ball (as a
+   * goal claim does), and neither that ball nor the claimed one may be in a goal
+   * @param {object} claim - { ballPosition, previousBallPosition }
+   * @returns {object} { success, reason }
+   */
+  validateMissClaim(roomId, room, claim = {}) {
+    const relayed = this.checkRelayedBall(roomId, claim.previousBallPosition);
+    if (!relayed.success) {
+      return relayed;
+    }
+    
+    const field = PhysicsCore.createField(MatchRules.toFieldOptions(room.rules));
+    const positions = [relayed.ball.position, claim.ballPosition].filter(Boolean);
+    const inGoal = positions.some(position => ['left', 'right'].some(side =>
+      this.gameStateValidator.validateGoalBounds(position, side, field).valid
+    ));
+    if (inGoal) {
+      return { success: false, reason: 'Ball is in a goal' };
+    }
+    
+    return { success: true };
+  }
+  
+  /**
+   * Penalty kick claimed by a client in a relayed shootout. Like a goal claim
+   * it has to come from the ball owner, and it has to be for the kick being
+   * taken; a goal is checked as in handleGoalHint and has to be the shooter's,
+   * a miss against the relayed ball (see validateMissClaim).
+   * The room records the kick and both clients get it from penalty_result
+   * @param {string} playerId - Player who sent the claim
+   * @param {object} claim - { kick, scored, ballPosition, previousBallPosition }
+   *   (kick - number of kicks taken before this one)
+   * @returns {object} { success, reason, shootout, gameEnded }
+   */
+  async handlePenaltyClaim(roomId, playerId, claim = {}) {
+    const room = this.matchClocks.get(roomId);
+    if (!room || room.status !== 'PLAYING' || room.phase !== 'penalties') {
+      return { success: false, reason: 'No penalty shootout in progress' };
+    }
+    
+    const owner = this.checkBallOwner(roomId, playerId);
+    if (!owner.success) {
+      return owner;
+    }
+    
+    // The other client's claim of a kick already recorded, or a resend
+    const shootout = room.shootout;
+    if (claim.kick !== shootout.kicks.left.length + shootout.kicks.right.length) {
+      return { success: false, reason: 'Not the kick being taken' };
+    }
+    
+    const shooterSide = TieBreakers.getShooter(shootout);
+    if (claim.scored) {
+      const check = this.validateGoalHint(roomId, playerId, claim);
+      if (!check.success) {
+        return check;
+      }
+      if (check.goal.side !== shooterSide) {
+        return { success: false, reason: 'Not the shooter\'s goal' };
+      }
+    } else {
+      const check = this.validateMissClaim(roomId, room, claim);
+      if (!check.success) {
+        return check;
+      }
+    }
+    
+    const result = room.recordPenalty(this.getSidePlayer(roomId, shooterSide).playerId, !!claim.scored, shooterSide);
+    if (!result.success) {
+      return result;
+    }
+    
+    this.connectionManager.broadcastToRoom(roomId, 'penalty_result', {
+      kick: claim.kick,
+      shooter: shooterSide,
+      scored: !!claim.scored,
+      score: result.shootout.score,
+      round: result.shootout.round,
+      decided: result.shootout.decided,
+      timestamp: Date.now()
+    });
+    
+    if (result.gameEnded) {
+      await this.finishClockMatch(roomId, room, room.winReason);
+    } else {
+      // The next shooter has the ball on the spot
+      this.resetBallAuthority(roomId, TieBreakers.getShooter(shootout), Date.now());
+    }
+    
+    return { success: true, shootout: result.shootout, gameEnded: result.gameEnded };
+  }
+  
+  /**
+   * Claims about the ball (goals, penalty kicks) only count from the player
+   * simulating it - the other client's ball is a copy
+   * @returns {object} { success, reason, side }
+   */
+  checkBallOwner(roomId, playerId) {
+    const side = this.getPlayerSide(roomId, playerId);
+    if (!side) {
+      return { success: false, reason: 'Player not in match' };
+    }
+    
+    const authority = this.ballAuthority.get(roomId);
+    if (!authority || authority.owner !== side) {
+      return { success: false, reason: 'Not authoritative for ball' };
+    }
+    
+    return { success: true, side };
+  }
+  
+  /**
+   * Who gets a goal: the last player to touch the ball (an own goal when they
+   * are on the conceding side), assisted by a teammate who touched it before them.
+   * Nobody touched it - the scoring side's player gets it
+   * @param {string} side - Side credited with the goal
+   * @param {object} touches - { last, previous } as { playerId, username, side }
+   * @returns {object} { side, scorer, assist, ownGoal }
+   */
+  creditGoal(roomId, side, touches = {}) {
+    const scorer = touches.last || this.getSidePlayer(roomId, side);
+    const ownGoal = scorer.side !== side;
+    const previous = touches.previous;
+    const assist = !ownGoal && previous && previous.side === side && previous.playerId !== scorer.playerId
+      ? previous
+      : null;
+    
+    return { side, scorer, assist, ownGoal };
+  }
+  
+  /**
+   * The player on one side of a match: from the simulated game, the room's
+   * Player objects, or the challenge a challenge room was created for
+   * @returns {object} { playerId, username, side } (IDs are null if unknown)
+   */
+  getSidePlayer(roomId, side) {
+    const gameState = this.activeGames.get(roomId);
+    const player = gameState && gameState.players.find(p => p.position === side);
+    if (player) {
+      return { playerId: player.id, username: player.username, side };
+    }
+    
+    const room = this.matchClocks.get(roomId);
+    const roomPlayer = room && room.getPlayerByPosition(side);
+    if (roomPlayer) {
+      return { playerId: roomPlayer.id, username: roomPlayer.username, side };
+    }
+    
+    const challenger = room && room.metadata.sides ? room.metadata.sides[side] : null;
+    return {
+      playerId: challenger ? challenger.playerId : null,
+      username: challenger ? challenger.username : null,
+      side
+    };
+  }
+  
+  /**
+   * Side a player is on in a match, or null if they aren't in it
+   */
+  getPlayerSide(roomId, playerId) {
+    if (!playerId) return null;
+    return ['left', 'right'].find(side => this.getSidePlayer(roomId, side).playerId === playerId) || null;
+  }
+  
+  /**
+   * Send a room its clock snapshot, stamped with server time
+   */
+  broadcastClock(roomId, snapshot) {
+    this.connectionManager.broadcastToRoom(roomId, 'clock_sync', snapshot);
+  }
+  
+  /**
+   * End a match its clock room has decided (full time, end of overtime, or a
+   * deciding goal)
+   * @param {string} endReason - Game end reason for GameEndEvents
+   */
+  async finishClockMatch(roomId, room, endReason) {
+    this.stopMatchClock(roomId);
+    
+    const gameState = this.activeGames.get(roomId);
+    if (gameState) {
+      gameState.decidedBy = room.decidedBy;
+      gameState.shootout = room.shootout;
+      return await this.endGame(roomId, gameState, endReason);
+    }
+    
+    // Relayed match - nothing simulated here to end, so the clients end on the
+    // room's result (a shootout's winner, when one settled it)
+    const shootout = room.decidedBy === 'penalties' ? TieBreakers.getShootoutResult(room.shootout) : null;
+    const leader = shootout ? shootout.winner : TieBreakers.getLeader(room.score);
+    const result = leader === 'left' ? 'player1' : leader === 'right' ? 'player2' : 'tie';
+    
+    this.connectionManager.broadcastToRoom(roomId, 'game_ended', {
+      result,
+      endReason,
+      decidedBy: room.decidedBy,
+      finalScore: { player1: room.score.left, player2: room.score.right },
+      shootoutScore: shootout ? shootout.score : null,
+      timestamp: Date.now()
+    });
+    
+    console.log(`🏁 Match clock ended room ${roomId}: ${result} (${endReason})`);
+    return { success: true, result };
+  }
+  
+  /**
+   * Handle player movement with lag compensation
+   */
+  async handlePlayerMovement(playerId, movementData) {
+    try {
+      const connection = this.connectionManager.getConnectionByPlayerId(playerId);
+      if (!connection || !connection.roomId) {
+        return { success: false, reason: 'Player not in room' };
+      }
+      
+      const roomId = connection.roomId;
+      const gameState = this.activeGames.get(roomId);
+      
+      if (!gameState) {
+        return { success: false, reason: 'Game not active' };
+      }
+      
+      // Check if game is paused
+      if (this.pausedGames.has(roomId)) {
+        return { success: false, reason: 'Game is paused' };
+      }
+      
+      if (this.isBeforeKickoff(roomId)) {
+        return { success: false, reason: 'Before kickoff' };
+      }
+      
+      // Validate movement against the last accepted one (a reported push or
+      // head landing - movementData.contact - may move the player further)
+      const previousState = this.playerStates.get(playerId);
+      const validationResult = this.gameStateValidator.validatePlayerMovement(
+        playerId,
+        movementData,
+        previousState && previousState.timestamp
+          ? { position: previousState.position, timestamp: previousState.timestamp }
+          : {}
+      );
+      
+      if (!validationResult.valid) {
+        this.metrics.predictionErrors++;
+        return {
+          success: false,
+          reason: validationResult.reason,
+          correctedState: { position: validationResult.correctedPosition }
+        };
+      }
+      
+      // Apply lag compensation
+      const compensatedData = this.applyLagCompensation(playerId, movementData);
+      
+      // Update player state
+      const playerState = this.playerStates.get(playerId) || {};
+      Object.assign(playerState, {
+        position: compensatedData.position,
+        velocity: compensatedData.velocity,
+        direction: compensatedData.direction,
+        lastUpdate: Date.now(),
+        timestamp: movementData.timestamp,
+        sequenceId: movementData.sequenceId
+      });
+      this.playerStates.set(playerId, playerState);
+      
+      // Add to state history for rollback
+      this.addToStateHistory(roomId, {
+        type: 'player_movement',
+        playerId,
+        data: compensatedData,
+        timestamp: Date.now()
+      });
+      
+      // Binary snapshots already carry the player to the room - movements
+      // are only relayed as they come in when someone debugs with JSON ones
+      if (gameState.players.some(player => this.getSnapshotFormat(player.id) === 'json')) {
+        // Queue event for processing
+        this.gameEventSystem.queueEvent('player_movement', {
+          playerId,
+          ...compensatedData
+        }, {
+          playerId,
+          priority: 2
+        });
+        
+        // Broadcast to other players in room (excluding sender)
+        this.connectionManager.broadcastToRoom(roomId, 'player_moved', {
+          playerId,
+          position: compensatedData.position,
+          velocity: compensatedData.velocity,
+          direction: compensatedData.direction,
+          timestamp: Date.now()
+        }, connection.socketId);
+      }
+      
+      this.metrics.totalMovements++;
+      
+      return {
+        success: true,
+        sequenceId: movementData.sequenceId,
+        serverPosition: compensatedData.position
+      };
+      
+    } catch (error) {
+      console.error(`❌ Error handling player movement for ${playerId}:`, error);
+      return {
+        success: false,
+        reason: 'Internal server error'
+      };
+    }
+  }
+  
+  /**
+   * Queue an input tagged with the client's tick, for processPhysicsTick to
+   * apply at that tick. The first input sets the player's offset from client
+   * ticks to server ticks, inputDelay ahead to absorb jitter. Inputs go in tick
+   * order: a tick already received is a duplicate and dropped, a late input is
+   * applied on the next tick and moves the offset back by the ticks it missed,
+   * and one too far ahead (the client ran on while the server waited, e.g. for
+   * a kickoff) moves the offset up to it.
+   * @param {object} inputData - { tick, moveLeft, moveRight, jump, kick, lob, block }
+   */
+  handlePlayerInput(playerId, inputData) {
+    const connection = this.connectionManager.getConnectionByPlayerId(playerId);
+    if (!connection || !connection.roomId) {
+      return { success: false, reason: 'Player not in room' };
+    }
+    
+    const gameState = this.activeGames.get(connection.roomId);
+    if (!gameState) {
+      return { success: false, reason: 'Game not active' };
+    }
+    
+    if (!gameState.players.some(player => player.id === playerId)) {
+      return { success: false, reason: 'Player not in game' };
+    }
+    
+    if (!inputData || !Number.isInteger(inputData.tick) || inputData.tick < 0) {
+      return { success: false, reason: 'Invalid input tick' };
+    }
+    
+    const inputs = this.getPlayerInputs(playerId);
+    if (inputs.lastReceivedTick !== null && inputData.tick <= inputs.lastReceivedTick) {
+      this.metrics.inputsDuplicate++;
+      return { success: false, reason: 'Duplicate input' };
+    }
+    
+    const serverTick = gameState.world.tick;
+    if (inputs.tickOffset === null) {
+      inputs.tickOffset = serverTick + this.config.inputDelay - inputData.tick;
+    }
+    
+    let target = inputData.tick + inputs.tickOffset;
+    if (target < serverTick) {
+      this.metrics.inputsLate++;
+      inputs.tickOffset += serverTick - target;
+      target = serverTick;
+    } else if (target > serverTick + this.config.maxInputAhead) {
+      this.metrics.inputsResynced++;
+      inputs.tickOffset = serverTick + this.config.inputDelay - inputData.tick;
+      target = serverTick + this.config.inputDelay;
+    }
+    
+    // Never before an input queued ahead of it
+    const last = inputs.queue[inputs.queue.length - 1];
+    if (last) {
+      target = Math.max(target, last.target);
+    }
+    
+    inputs.queue.push({
+      tick: inputData.tick,
+      target,
+      input: {
+        moveLeft: !!inputData.moveLeft,
+        moveRight: !!inputData.moveRight,
+        jump: !!inputData.jump,
+        kick: !!inputData.kick,
+        lob: !!inputData.lob,
+        block: !!inputData.block
+      }
+    });
+    inputs.lastReceivedTick = inputData.tick;
+    this.metrics.inputsQueued++;
+    
+    return { success: true, target };
+  }
+  
+  getPlayerInputs(playerId) {
+    let inputs = this.inputBuffer.get(playerId);
+    if (!inputs) {
+      inputs = {
+        queue: [], // { tick, target (server tick), input }
+        tickOffset: null, // Server tick minus client tick
+        lastReceivedTick: null,
+        input: null, // Held until the next one is due
+        processedTick: null, // Client tick the server's player has been simulated through
+        ackedTick: null
+      };
+      this.inputBuffer.set(playerId, inputs);
+    }
+    return inputs;
+  }
+  
+  // Player moves by their inputs rather than reported positions
+  isInputDriven(playerId) {
+    const inputs = this.inputBuffer.get(playerId);
+    return !!inputs && inputs.tickOffset !== null;
+  }
+  
+  // A (re)joining client starts its ticks over
+  resetPlayerInputs(playerId) {
+    this.inputBuffer.delete(playerId);
+  }
+  
+  /**
+   * Step the players who send inputs by the ones due this tick. Inputs due on
+   * the same tick (a late burst) collapse to the newest, keeping a jump or kick
+   * from any of them; with nothing due the last input is held, as the client
+   * only sends changes.
+   */
+  applyQueuedInputs(roomId, gameState) {
+    const world = gameState.world;
+    if (!world) return;
+    
+    gameState.players.forEach((player, index) => {
+      const inputs = this.inputBuffer.get(player.id);
+      if (!inputs || inputs.tickOffset === null) return;
+    
+      let due = 0;
+      while (due < inputs.queue.length && inputs.queue[due].target <= world.tick) {
+        due++;
+      }
+    
+      let input = inputs.input;
+      if (due > 0) {
+        const applied = inputs.queue.splice(0, due);
+        const newest = applied[applied.length - 1];
+        input = {
+          ...newest.input,
+          jump: applied.some(entry => entry.input.jump),
+          kick: applied.some(entry => entry.input.kick)
+        };
+        inputs.input = newest.input;
+        inputs.processedTick = newest.tick;
+      } else if (inputs.processedTick !== null) {
+        inputs.processedTick++; // The client ran this tick on the same input
+      }
+    
+      const body = world.players[index === 0 ? 'player1' : 'player2'];
+      PhysicsCore.stepPlayer(body, input, world.field);
+    
+      const playerState = this.playerStates.get(player.id);
+      if (playerState) {
+        const direction = !input ? 'idle'
+          : input.moveLeft ? 'left' : input.moveRight ? 'right' : input.jump ? 'up' : 'idle';
+        Object.assign(playerState, {
+          position: { x: body.x, y: body.y },
+          velocity: { x: body.velocity.x, y: body.velocity.y },
+          direction,
+          isKicking: body.isKicking,
+          lastUpdate: Date.now()
+        });
+      }
+    });
+  }
+  
+  /**
+   * Tell a player the last of their inputs the server processed and where that
+   * left their player, so the client replays only the inputs after it
+   * @param {object} body - The player's body in the server simulation
+   */
+  sendInputAck(playerId, body) {
+    const inputs = this.inputBuffer.get(playerId);
+    if (!inputs || inputs.processedTick === null || inputs.processedTick === inputs.ackedTick) return;
+    
+    inputs.ackedTick = inputs.processedTick;
+    this.connectionManager.sendToPlayer(playerId, 'input_ack', {
+      tick: inputs.processedTick,
+      position: { x: body.x, y: body.y },
+      velocity: { x: body.velocity.x, y: body.velocity.y },
+      onGround: body.onGround,
+      timestamp: Date.now()
+    });
+  }
+  
+  /**
+   * Handle a player action. Kicks arrive with the kick type, power (0-100) and
+   * direction (degrees) the kicker's client launched the ball with, and launch
+   * the server ball the same way if it was in reach where the kicker saw it
+   * (see resolveKick).
+   */
+  handlePlayerAction(playerId, actionData) {
+    const connection = this.connectionManager.getConnectionByPlayerId(playerId);
+    if (!connection || !connection.roomId) {
+      return { success: false, reason: 'Player not in room' };
+    }
+    
+    if (!this.activeGames.has(connection.roomId) && !this.matchClocks.has(connection.roomId)) {
+      return { success: false, reason: 'Game not active' };
+    }
+    
+    if (this.pausedGames.has(connection.roomId)) {
+      return { success: false, reason: 'Game is paused' };
+    }
+    
+    if (this.isBeforeKickoff(connection.roomId)) {
+      return { success: false, reason: 'Before kickoff' };
+    }
+    
+    if (actionData.action !== 'kick') {
+      return { success: false, reason: 'Unsupported action' };
+    }
+    
+    const kick = {
+      type: actionData.kickType || 'shot',
+      power: (actionData.power || 0) / 100,
+      direction: actionData.direction
+    };
+    
+    // Relayed match - the kicker's client has the ball, the server only judges it
+    const gameState = this.activeGames.get(connection.roomId);
+    if (!gameState) {
+      if (!this.getPlayerSide(connection.roomId, playerId)) {
+        return { success: false, reason: 'Player not in game' };
+      }
+      
+      this.metrics.totalKicks++;
+      const result = this.resolveRelayedKick(connection.roomId, playerId, kick, actionData.timestamp);
+      return result.accepted
+        ? { success: true, ...result }
+        : { success: false, reason: 'Ball out of reach', ...result };
+    }
+    
+    if (!this.playerStates.has(playerId) || !gameState.players.some(player => player.id === playerId)) {
+      return { success: false, reason: 'Player not in game' };
+    }
+    
+    this.metrics.totalKicks++;
+    
+    const result = this.resolveKick(connection.roomId, gameState, playerId, kick, actionData.timestamp);
+    
+    return result.accepted
+      ? { success: true, ...result }
+      : { success: false, reason: 'Ball out of reach', ...result };
+  }
+  
+  /**
+   * Judge a kick where the kicker saw it. Both players and the ball are rewound
+   * to the kicker's perceived time (no further back than maxRewindWindow) and
+   * the reach is checked there; an accepted kick launches the ball from that
+   * moment and steps it on to now. The result goes to the room as kick_resolved.
+   * A kick can't be judged before a kick that was already applied, unless it
+   * was perceived first - then it wins the contest.
+   * @param {object} kick - { type, power (0-1), direction }
+   * @param {number} [clientTimestamp] - When the kicker's client sent it (client clock)
+   * @returns {object} { accepted, rewindMs, clamped, overturned }
+   */
+  resolveKick(roomId, gameState, playerId, kick, clientTimestamp) {
+    const now = Date.now();
+    const world = gameState.world;
+    const side = gameState.players[0].id === playerId ? 'left' : 'right';
+    const kicker = world.players[side === 'left' ? 'player1' : 'player2'];
+    
+    const { perceivedTime, clamped, lastKick, beatsLastKick, snapshot } = this.getKickTiming(roomId, playerId, clientTimestamp, now);
+    const inReachNow = PhysicsCore.isBallInKickReach(world.ball, kicker);
+    
+    let launch = null;
+    let rewindMs = 0;
+    if (snapshot) {
+      rewindMs = now - snapshot.timestamp;
+      
+      // Both players and the ball where they were then
+      const ball = { ...world.ball, ...snapshot.ball, velocity: { ...snapshot.ball.velocity } };
+      const body = { ...kicker, ...snapshot.players[side], velocity: { ...snapshot.players[side].velocity } };
+      
+      if (PhysicsCore.isBallInKickReach(ball, body)) {
+        launch = PhysicsCore.kickBall(ball, body, side, kick, world.field);
+        for (let tick = snapshot.tick; tick < world.tick; tick++) {
+          PhysicsCore.stepBall(ball, world.field);
+        }
+        
+        Object.assign(world.ball, ball);
+      }
+    } else if (inReachNow) {
+      launch = PhysicsCore.kickBall(world.ball, kicker, side, kick, world.field);
+    }
+    
+    const accepted = !!launch;
+    const overturned = accepted && (!inReachNow || (beatsLastKick && lastKick.side !== side));
+    
+    if (accepted) {
+      world.ball.lastTouch = side;
+      kicker.lastCollisionTick = world.tick; // Don't push the ball straight back
+      this.recordTouch(roomId, gameState, side);
+      
+      const ballState = this.ballStates.get(roomId);
+      if (ballState) {
+        ballState.position = { x: world.ball.x, y: world.ball.y };
+        ballState.velocity = { x: world.ball.velocity.x, y: world.ball.velocity.y };
+        ballState.spin = world.ball.spin;
+        ballState.lastUpdate = now;
+      }
+    }
+    
+    const decision = { accepted, rewindMs, clamped, overturned };
+    this.reportKick(roomId, playerId, side, { ...kick, direction: launch ? launch.direction : kick.direction }, decision, {
+      position: { x: world.ball.x, y: world.ball.y },
+      velocity: { x: world.ball.velocity.x, y: world.ball.velocity.y },
+      spin: world.ball.spin || 0
+    }, perceivedTime, now);
+    
+    return decision;
+  }
+  
+  /**
+   * Judge a kick in a relayed match the same way, on the positions the clients
+   * relayed (see relaySnapshot). The kicker's client has launched its ball
+   * already, so nothing is launched here - a kick out of reach just isn't
+   * relayed to the opponent
+   * @param {object} kick - { type, power (0-1), direction }
+   * @param {number} [clientTimestamp] - When the kicker's client sent it (client clock)
+   * @returns {object} { accepted, rewindMs, clamped, overturned }
+   */
+  resolveRelayedKick(roomId, playerId, kick, clientTimestamp) {
+    const now = Date.now();
+    const side = this.getPlayerSide(roomId, playerId);
+    const { perceivedTime, clamped, lastKick, beatsLastKick, snapshot } = this.getKickTiming(roomId, playerId, clientTimestamp, now);
+    
+    const playerState = this.playerStates.get(playerId);
+    const ballState = this.ballStates.get(roomId);
+    const current = this.getRelayedKickBodies(side,
+      playerState && playerState.position,
+      ballState && ballState.position);
+    const rewound = snapshot && this.getRelayedKickBodies(side, snapshot.players[side], snapshot.ball);
+    
+    // Nothing relayed yet to judge it on - the kick stands
+    const inReachNow = !current || PhysicsCore.isBallInKickReach(current.ball, current.kicker);
+    const rewindMs = rewound ? now - snapshot.timestamp : 0;
+    const accepted = rewound ? PhysicsCore.isBallInKickReach(rewound.ball, rewound.kicker) : inReachNow;
+    const overturned = accepted && (!inReachNow || (beatsLastKick && lastKick.side !== side));
+    
+    const decision = { accepted, rewindMs, clamped, overturned };
+    this.reportKick(roomId, playerId, side, kick, decision, ballState || null, perceivedTime, now);
+    
+    return decision;
+  }
+  
+  /**
+   * Kicker and ball bodies (PhysicsCore sizes) at relayed positions, or null
+   * if either position is unknown
+   */
+  getRelayedKickBodies(side, kickerPosition, ballPosition) {
+    if (!kickerPosition || !ballPosition) return null;
+    
+    const field = PhysicsCore.createField();
+    return {
+      kicker: { ...PhysicsCore.createPlayer(field, side), x: kickerPosition.x, y: kickerPosition.y },
+      ball: { ...PhysicsCore.createBall(field), x: ballPosition.x, y: ballPosition.y }
+    };
+  }
+  
+  /**
+   * When to judge a kick: the kicker's perceived time, no further back than
+   * maxRewindWindow. Only a kick perceived before the last one can be judged on
+   * the history from before it; the rest are judged after it
+   * @returns {object} { perceivedTime, judgedAt, clamped, lastKick, beatsLastKick, snapshot }
+   *   (snapshot is the tick state it is judged on, null for now)
+   */
+  getKickTiming(roomId, playerId, clientTimestamp, now = Date.now()) {
+    const perceivedTime = this.getPerceivedTime(playerId, clientTimestamp, now);
+    const judgedAt = Math.max(perceivedTime, now - this.config.maxRewindWindow);
+    const clamped = this.config.maxRewindWindow > 0 && perceivedTime < judgedAt;
+    
+    const lastKick = this.getLastKick(roomId);
+    const beatsLastKick = !!lastKick && lastKick.perceivedTime > judgedAt;
+    const earliest = Math.max(now - this.config.maxRewindWindow, lastKick && !beatsLastKick ? lastKick.timestamp + 1 : 0);
+    
+    const snapshot = judgedAt < now ? this.getHistoricalState(roomId, judgedAt, earliest) : null;
+    return { perceivedTime, judgedAt, clamped, lastKick, beatsLastKick, snapshot };
+  }
+  
+  /**
+   * Count a judged kick, keep it in the state history and send the room
+   * kick_resolved
+   * @param {object} kick - { type, power (0-1), direction }
+   * @param {object} decision - { accepted, rewindMs, clamped, overturned }
+   * @param {object|null} ball - Ball after the kick ({ position, velocity, spin })
+   */
+  reportKick(roomId, playerId, side, kick, decision, ball, perceivedTime, now) {
+    const { accepted, rewindMs, clamped, overturned } = decision;
+    this.recordKickDecision(decision);
+    
+    this.addToStateHistory(roomId, {
+      type: 'kick',
+      playerId,
+      side,
+      accepted,
+      perceivedTime,
+      timestamp: now
+    });
+    
+    const kickEvent = {
+      playerId,
+      side,
+      kickType: kick.type,
+      power: Math.round(kick.power * 100),
+      direction: kick.direction,
+      accepted,
+      rewindMs,
+      overturned,
+      ball: ball && {
+        position: { x: ball.position.x, y: ball.position.y },
+        velocity: { x: ball.velocity.x, y: ball.velocity.y },
+        spin: ball.spin || 0
+      },
+      timestamp: now
+    };
+    this.gameEventSystem.queueEvent('kick_resolved', kickEvent, { playerId, roomId });
+    this.connectionManager.broadcastToRoom(roomId, 'kick_resolved', kickEvent);
+    
+    console.log(`👟 Kick by ${side} ${accepted ? 'accepted' : 'rejected'} in room ${roomId}` +
+      ` (rewound ${rewindMs}ms${clamped ? ', clamped' : ''}${overturned ? ', overturned' : ''})`);
+  }
+  
+  /**
+   * When, on the server clock, a player saw what they acted on: the send time
+   * (client clock moved by the clock sync offset) less the half round trip the
+   * state they saw took to reach them
+   * @param {number} [clientTimestamp] - Client send time
+   */
+  getPerceivedTime(playerId, clientTimestamp, now = Date.now()) {
+    const clock = this.gameEventSystem.getPlayerClock ? this.gameEventSystem.getPlayerClock(playerId) : null;
+    const latency = clock ? clock.rtt : (this.playerLatencies.get(playerId) || 0);
+    const sentAt = clock && Number.isFinite(clientTimestamp)
+      ? clientTimestamp - clock.offset
+      : now - latency / 2;
+    
+    return Math.min(now, sentAt - latency / 2);
+  }
+  
+  /**
+   * Latest tick snapshot at or before a time - or the first one after it if
+   * there is none that old - or null if there are no snapshots
+   * @param {number} [from] - Only snapshots taken from this time on
    */
-  processPhysicsTick() {
-    const now = Date.now();
+  getHistoricalState(roomId, time, from = 0) {
+    const history = this.stateHistory.get(roomId) || [];
+    let snapshot = null;
     
-    for (const [roomId, gameState] of this.activeGames) {
-      if (this.pausedGames.has(roomId)) continue;
-      if (this.goalCooldowns.has(roomId) && now < this.goalCooldowns.get(roomId)) continue;
-      
-      // Update game physics
-      this.updateGamePhysics(roomId, gameState);
-      
-      // Check for goals
-      this.checkGoalConditions(roomId, gameState);
-      
-      // Broadcast authoritative state
-      this.broadcastGameState(roomId, gameState);
+    for (const state of history) {
+      if (state.type !== 'tick' || state.timestamp < from) continue;
+      if (state.timestamp > time) return snapshot || state;
+      snapshot = state;
+    }
+    return snapshot;
+  }
+  
+  // Last kick applied in a room (from the state history)
+  getLastKick(roomId) {
+    const history = this.stateHistory.get(roomId) || [];
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].type === 'kick' && history[i].accepted) return history[i];
     }
+    return null;
   }
   
   /**
-   * Handle player movement with lag compensation
+   * Count a rewind decision (see getStats for the averages)
    */
-  async handlePlayerMovement(playerId, movementData) {
-    try {
-      const connection = this.connectionManager.getConnectionByPlayerId(playerId);
-      if (!connection || !connection.roomId) {
-        return { success: false, reason: 'Player not in room' };
-      }
-      
-      const roomId = connection.roomId;
-      const gameState = this.activeGames.get(roomId);
-      
-      if (!gameState) {
-        return { success: false, reason: 'Game not active' };
-      }
-      
-      // Check if game is paused
-      if (this.pausedGames.has(roomId)) {
-        return { success: false, reason: 'Game is paused' };
-      }
-      
-      // Validate movement
-      const validationResult = this.gameStateValidator.validatePlayerMovement({
-        playerId,
-        ...movementData
-      });
-      
-      if (!validationResult.valid) {
-        this.metrics.predictionErrors++;
-        return {
-          success: false,
-          reason: validationResult.reason,
-          correctedState: validationResult.correctedData
-        };
-      }
-      
-      // Apply lag compensation
-      const compensatedData = this.applyLagCompensation(playerId, movementData);
-      
-      // Update player state
-      const playerState = this.playerStates.get(playerId) || {};
-      Object.assign(playerState, {
-        position: compensatedData.position,
-        velocity: compensatedData.velocity,
-        direction: compensatedData.direction,
-        lastUpdate: Date.now(),
-        sequenceId: movementData.sequenceId
-      });
-      this.playerStates.set(playerId, playerState);
-      
-      // Add to state history for rollback
-      this.addToStateHistory(roomId, {
-        type: 'player_movement',
-        playerId,
-        data: compensatedData,
-        timestamp: Date.now()
-      });
-      
-      // Queue event for processing
-      this.gameEventSystem.queueEvent('player_movement', {
-        playerId,
-        ...compensatedData
-      }, {
-        playerId,
-        priority: 2
-      });
-      
-      // Broadcast to other players in room (excluding sender)
-      this.connectionManager.broadcastToRoom(roomId, 'player_moved', {
-        playerId,
-        position: compensatedData.position,
-        velocity: compensatedData.velocity,
-        direction: compensatedData.direction,
-        timestamp: Date.now()
-      }, connection.socketId);
-      
-      this.metrics.totalMovements++;
-      
-      return {
-        success: true,
-        sequenceId: movementData.sequenceId,
-        serverPosition: compensatedData.position
-      };
-      
-    } catch (error) {
-      console.error(`❌ Error handling player movement for ${playerId}:`, error);
-      return {
-        success: false,
-        reason: 'Internal server error'
-      };
+  recordKickDecision({ accepted, rewindMs, clamped, overturned }) {
+    if (!accepted) {
+      this.metrics.kicksRejected++;
+    }
+    if (rewindMs > 0) {
+      this.metrics.kickRewinds++;
+      this.metrics.totalRewindMs += rewindMs;
+      this.metrics.maxRewindMs = Math.max(this.metrics.maxRewindMs, rewindMs);
+    }
+    if (clamped) {
+      this.metrics.kickRewindsClamped++;
+    }
+    if (overturned) {
+      this.metrics.kicksOverturned++;
     }
   }
   
@@ -207,8 +1559,8 @@ class GameplayEvents extends EventEmitter {
         return { success: false, reason: 'Game not active' };
       }
       
-      // Only the authoritative player can update ball
-      if (!this.isAuthoritativeForBall(playerId, roomId)) {
+      // Only the player that owns the ball can update it
+      if (!this.isAuthoritativeForBall(playerId, roomId, ballData.authoritySequence)) {
         return { success: false, reason: 'Not authoritative for ball' };
       }
       
@@ -276,7 +1628,9 @@ class GameplayEvents extends EventEmitter {
   }
   
   /**
-   * Handle goal attempt with server validation
+   * Handle a client's goal claim in a simulated game. Goals are decided on the
+   * server, so the claim is checked against the server's ball - never the
+   * position the client sent - and the server's last touches decide the scorer
    */
   async handleGoalAttempt(playerId, goalData) {
     try {
@@ -297,12 +1651,15 @@ class GameplayEvents extends EventEmitter {
         return { success: false, reason: 'Goal cooldown active' };
       }
       
-      // Validate goal attempt
+      // Validate the claim against this match's ball and goal geometry
+      const ballState = this.ballStates.get(roomId);
       const validationResult = this.gameStateValidator.validateGoal({
         playerId,
-        ...goalData,
-        gameState
-      });
+        ballPosition: ballState ? ballState.position : null,
+        previousBallPosition: ballState ? ballState.previousPosition : null,
+        timestamp: goalData ? goalData.timestamp : undefined,
+        field: gameState.world ? gameState.world.field : undefined
+      }, gameState);
       
       if (!validationResult.valid) {
         return {
@@ -311,65 +1668,13 @@ class GameplayEvents extends EventEmitter {
         };
       }
       
-      // Goal is valid! Update score
-      const scoringPlayer = gameState.players.find(p => p.id === playerId);
-      const scoringSide = scoringPlayer?.position || 'left';
-      
-      if (scoringSide === 'left') {
-        gameState.score.player1++;
-      } else {
-        gameState.score.player2++;
-      }
-      
-      // Set goal cooldown
-      this.goalCooldowns.set(roomId, Date.now() + this.config.goalCooldown);
-      
-      // Queue goal event
-      this.gameEventSystem.queueEvent('goal_scored', {
-        playerId,
-        goalType: goalData.goalType || 'normal',
-        score: gameState.score,
-        timestamp: Date.now()
-      }, {
-        playerId,
-        priority: 1 // High priority
-      });
-      
-      // Broadcast goal to all players
-      this.connectionManager.broadcastToRoom(roomId, 'goal_scored', {
-        playerId,
-        scorerName: scoringPlayer?.username || 'Unknown',
-        goalType: goalData.goalType || 'normal',
-        score: gameState.score,
-        position: goalData.position,
-        velocity: goalData.velocity,
-        timestamp: Date.now()
-      });
-      
-      // Reset ball position after cooldown
-      setTimeout(() => {
-        this.resetBallPosition(roomId);
-        this.goalCooldowns.delete(roomId);
-        
-        // Notify players game is resuming
-        this.connectionManager.broadcastToRoom(roomId, 'game_resuming', {
-          score: gameState.score,
-          timestamp: Date.now()
-        });
-      }, this.config.goalCooldown);
-      
-      this.metrics.totalGoals++;
-      
-      // Check for game end
-      if (this.checkGameEnd(gameState)) {
-        await this.endGame(roomId, gameState);
+      // The ball went into the goal on goalInfo.side, so the other side scores
+      const side = validationResult.goalInfo.side === 'left' ? 'right' : 'left';
+      if (gameState.world) {
+        gameState.world.goalCooldown = PhysicsCore.GOAL_COOLDOWN_TICKS; // The physics tick must not count it again
       }
       
-      return {
-        success: true,
-        score: gameState.score,
-        gameEnded: gameState.status === 'finished'
-      };
+      return await this.confirmGoal(roomId, this.creditGoal(roomId, side, gameState.touches));
       
     } catch (error) {
       console.error(`❌ Error handling goal attempt from ${playerId}:`, error);
@@ -412,6 +1717,7 @@ class GameplayEvents extends EventEmitter {
       
       this.pausedGames.set(roomId, pauseInfo);
       gameState.status = 'paused';
+      this.pauseMatchClock(roomId, pauseInfo.reason);
       
       // Broadcast pause to all players
       this.connectionManager.broadcastToRoom(roomId, 'game_paused', {
@@ -476,6 +1782,7 @@ class GameplayEvents extends EventEmitter {
       // Resume the game
       this.pausedGames.delete(roomId);
       gameState.status = 'playing';
+      this.resumeMatchClock(roomId);
       
       // Broadcast resume to all players
       this.connectionManager.broadcastToRoom(roomId, 'game_resumed', {
@@ -499,8 +1806,12 @@ class GameplayEvents extends EventEmitter {
   
   /**
    * Initialize a new game
+   * @param {object} [rules] - Match rules (see shared/match-rules.js), defaults to the mode's rules
+   * @param {number} [seed] - Match seed the clients were given (GameRoom.seed)
+   * @param {GameRoom} [room] - Room whose clock times the match, a new one by default
    */
-  initializeGame(roomId, players, gameMode = 'casual') {
+  initializeGame(roomId, players, gameMode = 'casual', rules = MatchRules.forMode(gameMode), seed = PhysicsCore.createSeed(),
+    room = new GameRoom(roomId, { gameMode, rules, seed })) {
     const gameState = {
       roomId,
       players: players.map((p, index) => ({
@@ -513,27 +1824,34 @@ class GameplayEvents extends EventEmitter {
       score: { player1: 0, player2: 0 },
       status: 'playing',
       gameMode,
+      rules,
+      seed,
+      woodwork: { player1: 0, player2: 0 }, // Crossbar/post hits by the last player to touch the ball
+      touches: { last: null, previous: null }, // Last two players to touch the ball (scorer, assist)
       startTime: Date.now(),
-      lastUpdate: Date.now()
+      lastUpdate: Date.now(),
+      // Shared deterministic simulation (same code as the client GameScene)
+      world: PhysicsCore.createWorld({ seed, ...MatchRules.toFieldOptions(rules) })
     };
     
     this.activeGames.set(roomId, gameState);
     
-    // Initialize ball at center
+    // Initialize ball at kickoff spot
+    const { ball } = gameState.world;
     this.ballStates.set(roomId, {
-      position: { x: 400, y: 200 }, // Center of field
+      position: { x: ball.x, y: ball.y },
       velocity: { x: 0, y: 0 },
       spin: 0,
       lastUpdate: Date.now()
     });
+    this.ballAuthority.set(roomId, BallAuthority.create('left', Date.now()));
     
-    // Initialize player states
+    // Initialize player states at their kickoff positions
     players.forEach((player, index) => {
+      const body = gameState.world.players[index === 0 ? 'player1' : 'player2'];
+      PhysicsCore.setHeadScale(body, player.headScale); // CONFIG.HEAD_SCALE of their character
       this.playerStates.set(player.id, {
-        position: { 
-          x: index === 0 ? 100 : 700, // Starting positions
-          y: 200 
-        },
+        position: { x: body.x, y: body.y },
         velocity: { x: 0, y: 0 },
         direction: 'idle',
         lastUpdate: Date.now()
@@ -543,6 +1861,9 @@ class GameplayEvents extends EventEmitter {
     // Initialize state history
     this.stateHistory.set(roomId, []);
     
+    // The server times the match
+    this.startMatchClock(roomId, room);
+    
     console.log(`🎮 Game initialized for room ${roomId}`);
     
     return gameState;
@@ -552,6 +1873,8 @@ class GameplayEvents extends EventEmitter {
    * End a game using comprehensive game end system
    */
   async endGame(roomId, gameState, endReason = 'score_limit') {
+    this.stopMatchClock(roomId);
+    
     try {
       console.log(`🏁 Ending game in room ${roomId}, reason: ${endReason}`);
       
@@ -590,9 +1913,21 @@ class GameplayEvents extends EventEmitter {
   }
   
   /**
-   * Handle player disconnection during game
+   * Handle player disconnection during game. The match is held for them to
+   * rejoin (see holdForReconnect) - a simulated game still ends through GameEndEvents
    */
   async handlePlayerDisconnection(playerId, roomId) {
+    // The player still connected takes the ball, and their updates keep
+    // going through the authority while the match is held
+    const authority = this.ballAuthority.get(roomId);
+    if (authority && this.getPlayerSide(roomId, playerId) === authority.owner) {
+      this.failoverBall(roomId, 'disconnect');
+    }
+    
+    this.snapshotFormats.delete(playerId);
+    this.inputBuffer.delete(playerId);
+    this.holdForReconnect(roomId, playerId);
+    
     const gameState = this.activeGames.get(roomId);
     if (!gameState) {
       return { success: false, reason: 'Game not found' };
@@ -620,9 +1955,15 @@ class GameplayEvents extends EventEmitter {
   }
   
   /**
-   * Handle time limit reached
+   * Handle time limit reached - called by the match clock (processClockTick),
+   * never by a client
    */
   async handleTimeLimit(roomId) {
+    const room = this.matchClocks.get(roomId);
+    if (room) {
+      return await this.finishClockMatch(roomId, room, 'time_limit');
+    }
+    
     const gameState = this.activeGames.get(roomId);
     if (!gameState) {
       return { success: false, reason: 'Game not found' };
@@ -637,11 +1978,18 @@ class GameplayEvents extends EventEmitter {
    * Clean up game data
    */
   cleanupGame(roomId) {
+    const gameState = this.activeGames.get(roomId);
+    if (gameState) {
+      gameState.players.forEach(player => this.inputBuffer.delete(player.id));
+    }
+    
     this.activeGames.delete(roomId);
     this.ballStates.delete(roomId);
     this.stateHistory.delete(roomId);
     this.pausedGames.delete(roomId);
     this.goalCooldowns.delete(roomId);
+    this.stopMatchClock(roomId);
+    this.snapshots.delete(roomId);
     
     console.log(`🧹 Gameplay data cleaned up for room ${roomId}`);
   }
@@ -671,25 +2019,27 @@ class GameplayEvents extends EventEmitter {
   }
   
   /**
-   * Check if player is authoritative for ball updates
+   * Check if player is authoritative for ball updates: their side owns the
+   * ball (see BallAuthority), on the current sequence when one is given
    */
-  isAuthoritativeForBall(playerId, roomId) {
-    const ballState = this.ballStates.get(roomId);
-    if (!ballState) return false;
+  isAuthoritativeForBall(playerId, roomId, sequence) {
+    const authority = this.ballAuthority.get(roomId);
+    if (!authority) return false;
     
-    // The last player to touch the ball is authoritative
-    return ballState.lastTouchedBy === playerId;
+    const side = this.getPlayerSide(roomId, playerId);
+    return side === authority.owner && (sequence === undefined || sequence === authority.sequence);
   }
   
   /**
-   * Add state to history for rollback
+   * Add state to history for rollback and kick rewinds
    */
   addToStateHistory(roomId, state) {
     const history = this.stateHistory.get(roomId) || [];
     history.push(state);
     
-    // Keep only last 60 frames (1 second at 60fps)
-    if (history.length > 60) {
+    // Keep the last stateHistoryWindow (a second by default, at 60 ticks a second)
+    const cutoff = (state.timestamp || Date.now()) - this.config.stateHistoryWindow;
+    while (history.length > 0 && history[0].timestamp < cutoff) {
       history.shift();
     }
     
@@ -701,108 +2051,343 @@ class GameplayEvents extends EventEmitter {
    */
   updateGamePhysics(roomId, gameState) {
     const ballState = this.ballStates.get(roomId);
-    if (!ballState) return;
+    const world = gameState.world;
+    if (!ballState || !world) return;
     
-    const deltaTime = 1 / this.config.physicsTickRate;
+    // Sync the latest reported positions into the simulation
+    world.ball.x = ballState.position.x;
+    world.ball.y = ballState.position.y;
+    world.ball.velocity = { x: ballState.velocity.x, y: ballState.velocity.y };
+    world.ball.spin = ballState.spin || 0;
     
-    // Apply gravity to ball
-    ballState.velocity.y += 500 * deltaTime; // Gravity
-    
-    // Update ball position
-    ballState.position.x += ballState.velocity.x * deltaTime;
-    ballState.position.y += ballState.velocity.y * deltaTime;
-    
-    // Apply friction
-    ballState.velocity.x *= 0.99;
+    gameState.players.forEach((player, index) => {
+      const body = world.players[index === 0 ? 'player1' : 'player2'];
+      const playerState = this.playerStates.get(player.id);
+      if (!playerState || !playerState.position || this.isInputDriven(player.id)) return;
+      
+      body.x = playerState.position.x;
+      body.y = playerState.position.y;
+      if (playerState.velocity) {
+        body.velocity = { x: playerState.velocity.x, y: playerState.velocity.y };
+      }
+      body.isKicking = !!playerState.isKicking;
+    });
     
-    // Ball boundaries
-    if (ballState.position.y >= 380) { // Ground
-      ballState.position.y = 380;
-      ballState.velocity.y *= -0.7; // Bounce with damping
-    }
+    // Advance the ball one fixed tick with the shared physics core
+    ballState.previousPosition = { x: world.ball.x, y: world.ball.y };
+    const woodwork = PhysicsCore.stepBall(world.ball, world.field);
+    PhysicsCore.collideBallWithPlayer(world.ball, world.players.player1, 'left', world.tick, world.rng, world.field);
+    PhysicsCore.collideBallWithPlayer(world.ball, world.players.player2, 'right', world.tick, world.rng, world.field);
+    world.tick++;
+    this.recordTouch(roomId, gameState, world.ball.lastTouch);
     
-    if (ballState.position.x <= 20 || ballState.position.x >= 780) { // Walls
-      ballState.velocity.x *= -0.8;
-      ballState.position.x = Math.max(20, Math.min(780, ballState.position.x));
+    if (woodwork) {
+      this.handleWoodwork(roomId, gameState, woodwork);
     }
     
+    ballState.position = { x: world.ball.x, y: world.ball.y };
+    ballState.velocity = { x: world.ball.velocity.x, y: world.ball.velocity.y };
+    ballState.spin = world.ball.spin;
     ballState.lastUpdate = Date.now();
+    
+    // Where everything was this tick, for judging kicks where the kicker saw them
+    const { player1, player2 } = world.players;
+    this.addToStateHistory(roomId, {
+      type: 'tick',
+      tick: world.tick,
+      ball: {
+        x: world.ball.x,
+        y: world.ball.y,
+        velocity: { x: world.ball.velocity.x, y: world.ball.velocity.y },
+        spin: world.ball.spin
+      },
+      players: {
+        left: { x: player1.x, y: player1.y, velocity: { x: player1.velocity.x, y: player1.velocity.y } },
+        right: { x: player2.x, y: player2.y, velocity: { x: player2.velocity.x, y: player2.velocity.y } }
+      },
+      timestamp: ballState.lastUpdate
+    });
+  }
+  
+  /**
+   * Remember who touched the ball, for crediting the scorer and the assist
+   * @param {string|null} side - Side of the last player to touch the ball
+   */
+  recordTouch(roomId, gameState, side) {
+    if (!side) return;
+    
+    const touches = gameState.touches;
+    const player = this.getSidePlayer(roomId, side);
+    if (touches.last && touches.last.playerId === player.playerId) return;
+    
+    touches.previous = touches.last;
+    touches.last = player;
+    
+    // A touch in the server's own simulation hands the ball over like a contact claim
+    const authority = this.ballAuthority.get(roomId);
+    if (authority && BallAuthority.claim(authority, side, authority.sequence, 'contact', Date.now()).changed) {
+      this.metrics.ballHandoffs++;
+      this.connectionManager.broadcastToRoom(roomId, 'ball_authority', this.getBallAuthority(roomId));
+    }
   }
   
   /**
-   * Check for goal conditions
+   * Check for goal conditions - goals come only from the server's ball
    */
   checkGoalConditions(roomId, gameState) {
     const ballState = this.ballStates.get(roomId);
-    if (!ballState) return;
-    
-    // Goal areas (simplified)
-    const leftGoal = { x: 0, y: 150, width: 50, height: 100 };
-    const rightGoal = { x: 750, y: 150, width: 50, height: 100 };
-    
-    // Check left goal
-    if (ballState.position.x <= leftGoal.x + leftGoal.width &&
-        ballState.position.y >= leftGoal.y &&
-        ballState.position.y <= leftGoal.y + leftGoal.height) {
-      // Goal for right player
-      this.handleGoalAttempt(gameState.players[1].id, {
-        position: ballState.position,
-        velocity: ballState.velocity,
-        goalType: 'normal'
-      });
+    const world = gameState.world;
+    if (!ballState || !world) return;
+    
+    if (world.goalCooldown > 0) {
+      world.goalCooldown--;
+      return;
     }
     
-    // Check right goal
-    if (ballState.position.x >= rightGoal.x &&
-        ballState.position.y >= rightGoal.y &&
-        ballState.position.y <= rightGoal.y + rightGoal.height) {
-      // Goal for left player
-      this.handleGoalAttempt(gameState.players[0].id, {
-        position: ballState.position,
-        velocity: ballState.velocity,
-        goalType: 'normal'
-      });
+    // Left goal -> player2 scores, right goal -> player1 scores
+    const scorer = PhysicsCore.detectGoal(world.ball, world.field);
+    if (!scorer) return;
+    
+    world.goalCooldown = PhysicsCore.GOAL_COOLDOWN_TICKS;
+    
+    const side = scorer === 'player1' ? 'left' : 'right';
+    this.confirmGoal(roomId, this.creditGoal(roomId, side, gameState.touches)).catch(error => {
+      console.error(`❌ Error confirming goal in room ${roomId}:`, error);
+    });
+  }
+  
+  /**
+   * Ball hit the crossbar or a post - count it for the last player to touch
+   * the ball and tell the room (stats, commentary)
+   */
+  handleWoodwork(roomId, gameState, woodwork) {
+    const index = woodwork.lastTouch === 'right' ? 1 : 0;
+    const player = woodwork.lastTouch ? gameState.players[index] : null;
+    
+    if (player) {
+      gameState.woodwork[index === 0 ? 'player1' : 'player2']++;
     }
+    
+    const eventData = {
+      part: woodwork.part,
+      goalSide: woodwork.side,
+      speed: woodwork.speed,
+      timestamp: Date.now()
+    };
+    if (player) {
+      eventData.playerId = player.id;
+    }
+    this.gameEventSystem.queueEvent('woodwork_hit', eventData, {
+      playerId: player ? player.id : undefined,
+      roomId
+    });
+    
+    this.connectionManager.broadcastToRoom(roomId, 'woodwork_hit', {
+      part: woodwork.part,
+      goalSide: woodwork.side,
+      playerId: player ? player.id : null,
+      playerName: player ? player.username : null,
+      woodwork: { ...gameState.woodwork },
+      timestamp: Date.now()
+    });
   }
   
   /**
-   * Broadcast authoritative game state
+   * Send each player a snapshot of the match at snapshotRate: a binary frame
+   * with only what changed since the last snapshot they acknowledged (see
+   * shared/snapshot-codec.js), or the same snapshot as JSON for debugging
    */
   broadcastGameState(roomId, gameState) {
-    const ballState = this.ballStates.get(roomId);
-    const playerStates = {};
+    const world = gameState.world;
+    const interval = Math.max(1, Math.round(this.config.physicsTickRate / this.config.snapshotRate));
+    if (!world || world.tick % interval !== 0) return;
+    
+    const frame = this.createSnapshotFrame(roomId, this.getSnapshot(roomId, gameState), world.tick);
+    
+    gameState.players.forEach((player, index) => {
+      this.sendInputAck(player.id, world.players[index === 0 ? 'player1' : 'player2']);
+      this.sendSnapshot(roomId, player.id, frame);
+    });
+  }
+  
+  /**
+   * Send a relayed match's snapshot to the other player after a client's
+   * movement or ball update - in place of relaying the update itself. The
+   * state also goes into the history relayed kicks are judged on
+   * @param {string} playerId - Player whose update it was
+   * @returns {boolean} False if the match clock isn't running
+   */
+  relaySnapshot(roomId, playerId) {
+    const room = this.matchClocks.get(roomId);
+    if (!room) return false;
     
+    const state = this.getRelayedSnapshot(roomId, room);
+    const frame = this.createSnapshotFrame(roomId, state, Math.floor(state.time * PhysicsCore.TICK_RATE / 1000));
+    
+    const players = {};
+    Object.entries(state.players).forEach(([side, player]) => {
+      players[side] = { ...player.position, velocity: { ...player.velocity } };
+    });
+    this.addToStateHistory(roomId, {
+      type: 'tick',
+      tick: frame.tick,
+      ball: state.ball ? { ...state.ball.position, velocity: { ...state.ball.velocity }, spin: state.ball.spin } : null,
+      players,
+      timestamp: frame.timestamp
+    });
+    
+    ['left', 'right'].forEach(side => {
+      const otherId = this.getSidePlayer(roomId, side).playerId;
+      if (otherId && otherId !== playerId) {
+        this.sendSnapshot(roomId, otherId, frame);
+      }
+    });
+    return true;
+  }
+  
+  /**
+   * Number the next snapshot of a match and keep it as a delta baseline
+   * @param {number} tick - Server physics tick (match time in ticks when relayed)
+   */
+  createSnapshotFrame(roomId, state, tick) {
+    const snapshots = this.snapshots.get(roomId) || { sequence: 0, frames: new Map(), acks: new Map() };
+    this.snapshots.set(roomId, snapshots);
+    
+    snapshots.sequence++;
+    const frame = SnapshotCodec.createFrame(state, snapshots.sequence, tick, Date.now());
+    snapshots.frames.set(frame.sequence, frame);
+    snapshots.frames.delete(frame.sequence - this.config.snapshotHistory);
+    return frame;
+  }
+  
+  /**
+   * Send a player a snapshot in their format: binary against the last one they
+   * acknowledged, or JSON
+   */
+  sendSnapshot(roomId, playerId, frame) {
+    if (this.getSnapshotFormat(playerId) === 'json') {
+      this.connectionManager.sendToPlayer(playerId, 'state_update', SnapshotCodec.toState(frame));
+      return;
+    }
+    
+    // A baseline that aged out gets a full snapshot
+    const snapshots = this.snapshots.get(roomId);
+    const baseline = snapshots.frames.get(snapshots.acks.get(playerId)) || null;
+    const data = SnapshotCodec.encode(frame, baseline);
+    this.connectionManager.sendToPlayer(playerId, 'state_snapshot', data);
+    
+    this.metrics.snapshotsSent++;
+    this.metrics.snapshotBytes += data.byteLength;
+    if (baseline) {
+      this.metrics.snapshotDeltas++;
+    }
+  }
+  
+  /**
+   * Match state for a snapshot (players by side)
+   */
+  getSnapshot(roomId, gameState) {
+    const players = {};
     gameState.players.forEach(player => {
       const state = this.playerStates.get(player.id);
       if (state) {
-        playerStates[player.id] = state;
+        players[player.position] = state;
       }
     });
     
-    // Only broadcast if there's been significant change
-    const stateUpdate = {
-      gameState: {
-        score: gameState.score,
-        status: gameState.status,
-        time: Date.now() - gameState.startTime
-      },
-      ball: ballState,
-      players: playerStates,
-      timestamp: Date.now()
+    const authority = this.ballAuthority.get(roomId);
+    return {
+      score: { left: gameState.score.player1, right: gameState.score.player2 },
+      status: gameState.status,
+      time: Date.now() - gameState.startTime,
+      ball: { ...this.ballStates.get(roomId), sequence: authority ? authority.sequence : 0 },
+      players
+    };
+  }
+  
+  /**
+   * Relayed match state for a snapshot: the room's score and clock, the
+   * owner's last ball and each player's last movement
+   */
+  getRelayedSnapshot(roomId, room) {
+    const players = {};
+    ['left', 'right'].forEach(side => {
+      const state = this.playerStates.get(this.getSidePlayer(roomId, side).playerId);
+      if (state) {
+        players[side] = state;
+      }
+    });
+    
+    return {
+      score: { left: room.score.left, right: room.score.right },
+      status: room.status.toLowerCase(),
+      time: Math.round(room.getPlayedTime() * 1000),
+      ball: this.ballStates.get(roomId) || null,
+      players
     };
+  }
+  
+  /**
+   * Record the last snapshot a player has - the baseline for their next delta.
+   * A null sequence means they have none (a reloaded page, or a delta they
+   * couldn't read) and need a full snapshot.
+   */
+  acknowledgeSnapshot(playerId, sequence) {
+    const connection = this.connectionManager.getConnectionByPlayerId(playerId);
+    const snapshots = connection && this.snapshots.get(connection.roomId);
+    if (!snapshots) {
+      return { success: false, reason: 'No snapshots sent' };
+    }
+    
+    if (sequence === null) {
+      snapshots.acks.delete(playerId);
+      return { success: true };
+    }
+    
+    if (!snapshots.frames.has(sequence)) {
+      return { success: false, reason: 'Unknown snapshot' };
+    }
     
-    // Broadcast at lower frequency (e.g., 20Hz instead of 60Hz)
-    if (Date.now() % 3 === 0) {
-      this.connectionManager.broadcastToRoom(roomId, 'state_update', stateUpdate);
+    // Acks can arrive out of order
+    if (sequence > (snapshots.acks.get(playerId) || 0)) {
+      snapshots.acks.set(playerId, sequence);
+    }
+    return { success: true };
+  }
+  
+  /**
+   * Switch a player between binary and JSON snapshots
+   * @param {string} format - 'binary' or 'json'
+   */
+  setSnapshotFormat(playerId, format) {
+    if (format !== 'binary' && format !== 'json') {
+      return { success: false, reason: 'Unknown snapshot format' };
     }
+    
+    this.snapshotFormats.set(playerId, format);
+    return { success: true };
+  }
+  
+  getSnapshotFormat(playerId) {
+    return this.snapshotFormats.get(playerId) || this.config.snapshotFormat;
   }
   
   /**
    * Reset ball position after goal
    */
   resetBallPosition(roomId) {
+    const gameState = this.activeGames.get(roomId);
+    const world = gameState && gameState.world;
+    const field = world ? world.field : PhysicsCore.createField();
+    const ball = world ? world.ball : PhysicsCore.createBall(field);
+    
+    PhysicsCore.resetBall(ball, field);
+    if (gameState) {
+      gameState.touches = { last: null, previous: null }; // Kickoff - nobody has touched it yet
+    }
+    
     this.ballStates.set(roomId, {
-      position: { x: 400, y: 200 },
+      position: { x: ball.x, y: ball.y },
       velocity: { x: 0, y: 0 },
       spin: 0,
       lastUpdate: Date.now()
@@ -810,22 +2395,23 @@ class GameplayEvents extends EventEmitter {
   }
   
   /**
-   * Check if game should end
+   * Put both players back on their kickoff spots (the clients do the same)
    */
-  checkGameEnd(gameState) {
-    // Score limit
-    const scoreLimit = gameState.gameMode === 'ranked' ? 5 : 3;
-    if (gameState.score.player1 >= scoreLimit || gameState.score.player2 >= scoreLimit) {
-      return true;
-    }
-    
-    // Time limit (10 minutes)
-    const timeLimit = 600000; // 10 minutes
-    if (Date.now() - gameState.startTime >= timeLimit) {
-      return true;
-    }
+  resetPlayerPositions(roomId) {
+    const gameState = this.activeGames.get(roomId);
+    if (!gameState || !gameState.world) return;
     
-    return false;
+    gameState.players.forEach((player, index) => {
+      const body = gameState.world.players[index === 0 ? 'player1' : 'player2'];
+      PhysicsCore.resetPlayer(body, gameState.world.field, index === 0 ? 'left' : 'right');
+      
+      const playerState = this.playerStates.get(player.id);
+      if (playerState) {
+        playerState.position = { x: body.x, y: body.y };
+        playerState.velocity = { x: 0, y: 0 };
+        playerState.direction = 'idle';
+      }
+    });
   }
   
   /**
@@ -853,6 +2439,8 @@ class GameplayEvents extends EventEmitter {
       pausedGames: this.pausedGames.size,
       movementsPerSecond: this.metrics.totalMovements / (uptime / 1000),
       goalsPerGame: this.metrics.totalGoals / Math.max(1, this.activeGames.size),
+      averageRewindMs: this.metrics.totalRewindMs / Math.max(1, this.metrics.kickRewinds),
+      averageSnapshotBytes: this.metrics.snapshotBytes / Math.max(1, this.metrics.snapshotsSent),
       predictionAccuracy: 100 - (this.metrics.predictionErrors / Math.max(1, this.metrics.totalMovements) * 100)
     };
   }
@@ -863,10 +2451,13 @@ class GameplayEvents extends EventEmitter {
   shutdown() {
     console.log('🎮 Gameplay Events shutting down...');
     
-    // Stop physics tick
+    // Stop physics tick and the match clocks
     if (this.physicsInterval) {
       clearInterval(this.physicsInterval);
     }
+    if (this.clockInterval) {
+      clearInterval(this.clockInterval);
+    }
     
     // Shutdown GameEndEvents
     if (this.gameEndEvents) {
@@ -879,9 +2470,15 @@ class GameplayEvents extends EventEmitter {
     this.ballStates.clear();
     this.stateHistory.clear();
     this.pausedGames.clear();
+    this.reconnectHolds.forEach(hold => clearTimeout(hold.timer));
+    this.reconnectHolds.clear();
     this.goalCooldowns.clear();
+    this.matchClocks.clear();
+    this.ballAuthority.clear();
     this.playerLatencies.clear();
     this.inputBuffer.clear();
+    this.snapshots.clear();
+    this.snapshotFormats.clear();
     
     console.log('✅ Gameplay Events shutdown complete');
   }
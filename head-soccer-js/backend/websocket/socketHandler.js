@@ -11,6 +11,9 @@ const GameStateValidator = require('../modules/GameStateValidator');
 const GameEventSystem = require('./gameEventSystem');
 const MatchmakingEvents = require('./matchmakingEvents');
 const GameplayEvents = require('./gameplayEvents');
+const ClockSync = require('./clockSync');
+const MatchRules = require('../shared/match-rules');
+const PHYSICS = require('../shared/physics-constants');
 
 class SocketHandler extends EventEmitter {
   constructor(connectionManager, options = {}) {
@@ -22,6 +25,21 @@ class SocketHandler extends EventEmitter {
     this.gameEventSystem = new GameEventSystem(connectionManager, options.gameEvents);
     this.matchmakingEvents = new MatchmakingEvents(connectionManager, this.matchmaker, this.gameEventSystem, options.matchmaking);
     this.gameplayEvents = new GameplayEvents(connectionManager, this.gameEventSystem, this.gameStateValidator, options.gameplay);
+    this.clockSync = new ClockSync(connectionManager, options.clockSync);
+    
+    // Clock estimates feed lag compensation and timestamp validation
+    this.clockSync.on('synced', (playerId, estimate) => {
+      this.gameEventSystem.updatePlayerClock(playerId, estimate);
+      this.gameEventSystem.updatePlayerLatency(playerId, estimate.rtt);
+      this.gameStateValidator.setClockOffset(playerId, estimate.offset);
+      this.gameplayEvents.updatePlayerLatency(playerId, estimate.rtt);
+    });
+    
+    // Nothing about a player's powers carries over into their next match
+    this.gameplayEvents.on('match_ended', (roomId) => {
+      this.playerHeads.delete(roomId);
+      this.lastPowerActivation.delete(roomId);
+    });
     
     // Active games and players
     this.activePlayers = new Map(); // playerId -> Player object
@@ -41,6 +59,11 @@ class SocketHandler extends EventEmitter {
     // Sequence tracking for each player
     this.playerSequences = new Map(); // playerId -> lastSequence
     
+    // Character powers - each player may only use their head's power, once per Wait
+    this.playerHeads = new Map(); // roomId -> Map of playerId -> head (by name) the player plays the match with
+    this.selectedHeads = new Map(); // playerId -> head (by name) picked in character selection
+    this.lastPowerActivation = new Map(); // roomId -> Map of playerId -> timestamp of last power use
+    
     // Message priority levels
     this.MESSAGE_PRIORITY = {
       CRITICAL: 0,  // Goal events, game state changes
@@ -71,7 +94,7 @@ class SocketHandler extends EventEmitter {
       },
       'player_movement': {
         required: ['position', 'velocity', 'timestamp'],
-        optional: ['direction', 'action'],
+        optional: ['direction', 'action', 'contact'], // contact - push or head landing (GameStateValidator)
         numeric: ['timestamp'],
         range: {
           'position.x': [0, 800],
@@ -88,7 +111,19 @@ class SocketHandler extends EventEmitter {
           'position.x': [0, 800],
           'position.y': [0, 400],
           'velocity.x': [-1000, 1000],
-          'velocity.y': [-1000, 1000]
+          'velocity.y': [-1000, 1000],
+          'spin': [-10, 10] // PHYSICS_CONSTANTS.BALL.SPIN_MAX
+        }
+      },
+      'player_action': {
+        required: ['matchId', 'playerId', 'action', 'timestamp'],
+        optional: ['playerNumber', 'kickType', 'power', 'direction', 'inputSequence'],
+        maxLength: { matchId: 50, playerId: 50 },
+        enum: { action: ['kick', 'jump', 'dash', 'tackle'], kickType: ['shot', 'lob', 'volley'] },
+        numeric: ['playerNumber', 'power', 'direction', 'timestamp'],
+        range: {
+          power: [0, 100], // Kick charge in percent
+          direction: [0, 360] // Degrees counterclockwise from the +x axis
         }
       },
       'goal_attempt': {
@@ -290,10 +325,29 @@ class SocketHandler extends EventEmitter {
       this.handleEvent(socket, 'player_movement', data, this.handlePlayerMovement.bind(this), 'movement');
     });
     
+    // Inputs tagged with the client's tick, applied at that tick by the server simulation
+    socket.on('player_input', (data) => {
+      const connection = this.connectionManager.getConnectionBySocketId(socket.id);
+      if (!connection || !data || !data.input) return;
+      
+      const result = this.gameplayEvents.handlePlayerInput(connection.playerId, data.input);
+      if (!result.success && result.reason !== 'Game not active') {
+        console.log('⚠️ Input rejected:', { playerId: connection.playerId, tick: data.input.tick, reason: result.reason });
+      }
+    });
+    
     socket.on('ball_update', (data) => {
+      // Only games the server simulates - relayed matches go through the ball authority relay
+      const connection = this.connectionManager.getConnectionBySocketId(socket.id);
+      if (connection && !this.gameplayEvents.activeGames.has(connection.roomId)) return;
+      
       this.handleEvent(socket, 'ball_update', data, this.handleBallUpdate.bind(this), 'movement');
     });
     
+    socket.on('player_action', (data) => {
+      this.handleEvent(socket, 'player_action', data, this.handlePlayerAction.bind(this), 'movement');
+    });
+    
     socket.on('goal_attempt', (data) => {
       this.handleEvent(socket, 'goal_attempt', data, this.handleGoalAttempt.bind(this));
     });
@@ -303,17 +357,24 @@ class SocketHandler extends EventEmitter {
       this.handleEvent(socket, 'chat_message', data, this.handleChatMessage.bind(this), 'chat');
     });
     
-    // MISSING GAMEPLAY SYNC EVENTS - Adding score and timer sync handlers
-    socket.on('score_update', (data, callback) => {
-      console.log('📊 Server received score update:', data);
+    // Goals are decided on the server: a client's goal_scored is only a claim,
+    // and both clients get the score from goal_confirmed (there is no score relay)
+    socket.on('goal_scored', async (data, callback) => {
+      console.log('🎯 Server received goal claim:', data);
       const connection = this.connectionManager.getConnectionBySocketId(socket.id);
-      if (connection && connection.roomId && data.matchId) {
-        // Relay score update to other players in the room
-        this.connectionManager.broadcastToRoom(`match_${data.matchId}`, 'score_update', data, socket.id);
+      if (connection && data && data.matchId && connection.roomId === `match_${data.matchId}`) {
+        const result = await this.gameplayEvents.handleGoalHint(connection.roomId, connection.playerId, data);
+        if (!result.success) {
+          socket.emit('goal_rejected', {
+            matchId: data.matchId,
+            reason: result.reason,
+            timestamp: Date.now()
+          });
+        }
         
         // Send acknowledgment back to sender
         if (callback) {
-          callback({ success: true, timestamp: Date.now() });
+          callback({ success: result.success, reason: result.reason, timestamp: Date.now() });
         }
       } else {
         if (callback) {
@@ -322,30 +383,18 @@ class SocketHandler extends EventEmitter {
       }
     });
 
-    socket.on('goal_scored', (data, callback) => {
-      console.log('🎯 Server received goal scored event:', data);
+    // Shootout kicks too: penalty_taken is a claim, the room records the kick
+    // and both clients get it from penalty_result
+    socket.on('penalty_taken', async (data, callback) => {
+      console.log('🥅 Server received penalty claim:', data);
       const connection = this.connectionManager.getConnectionBySocketId(socket.id);
-      if (connection && connection.roomId && data.matchId) {
-        // Relay goal scored event to other players in the room
-        this.connectionManager.broadcastToRoom(`match_${data.matchId}`, 'goal_scored', data, socket.id);
-        
-        // Send acknowledgment back to sender
-        if (callback) {
-          callback({ success: true, timestamp: Date.now() });
-        }
-      } else {
+      if (connection && data && data.matchId && connection.roomId === `match_${data.matchId}`) {
+        const result = await this.gameplayEvents.handlePenaltyClaim(connection.roomId, connection.playerId, data);
         if (callback) {
-          callback({ success: false, reason: 'Not in valid room or missing matchId' });
+          callback({ success: result.success, reason: result.reason, timestamp: Date.now() });
         }
-      }
-    });
-
-    socket.on('timer_update', (data) => {
-      console.log('⏱️ Server received timer update:', data);
-      const connection = this.connectionManager.getConnectionBySocketId(socket.id);
-      if (connection && connection.roomId && data.matchId) {
-        // Relay timer update to other players in the room
-        this.connectionManager.broadcastToRoom(`match_${data.matchId}`, 'timer_sync', data, socket.id);
+      } else if (callback) {
+        callback({ success: false, reason: 'Not in valid room or missing matchId' });
       }
     });
 
@@ -364,10 +413,81 @@ class SocketHandler extends EventEmitter {
         }
         this.connectionManager.roomConnections.get(gameplayRoomId).add(socket.id);
         
+        // Both players start from the rules and random seed the room was created with
+        const room = this.getMatchRoom(data.matchId, connection.playerId);
+        if (room) {
+          room.updateActivity();
+        }
+        // The head the page plays with decides the power (every room type comes through here)
+        const head = this.isKnownHead(data.head) ? data.head : this.selectedHeads.get(connection.playerId);
+        if (head) {
+          this.setPlayerHead(gameplayRoomId, connection.playerId, head);
+        }
+        
+        socket.emit('gameplay_joined', {
+          matchId: data.matchId,
+          roomId: gameplayRoomId,
+          gameMode: room ? room.gameMode : 'casual',
+          rules: room ? room.rules : MatchRules.forMode('casual'),
+          seed: room ? room.seed : undefined,
+          simulated: this.gameplayEvents.activeGames.has(gameplayRoomId), // Clients send player_input only then
+          timestamp: Date.now()
+        });
+        
+        // Measure the player's clock offset before timestamps start to matter
+        this.clockSync.startSync(connection.playerId, socket);
+        
+        // A (re)joining page has no snapshots to take deltas against, and starts its ticks over
+        this.gameplayEvents.acknowledgeSnapshot(connection.playerId, null);
+        this.gameplayEvents.resetPlayerInputs(connection.playerId);
+        
+        // Back within the grace period - the held match clock runs on
+        this.gameplayEvents.resumeAfterReconnect(gameplayRoomId, connection.playerId);
+        
+        // The server times the match from the moment both players are in
+        // (clients only draw the clock_sync snapshots)
+        if (room && this.connectionManager.roomConnections.get(gameplayRoomId).size >= 2) {
+          if (!this.gameplayEvents.startMatchClock(gameplayRoomId, room)) {
+            socket.emit('clock_sync', room.getClockSnapshot());
+            
+            // A rejoining player needs to know who has the ball
+            const authority = this.gameplayEvents.getBallAuthority(gameplayRoomId);
+            if (authority) {
+              socket.emit('ball_authority', authority);
+            }
+          }
+        }
+        
         console.log(`✅ Player ${connection.playerId} joined gameplay room: ${gameplayRoomId}`);
       }
     });
 
+    socket.on('time_sync_response', (data) => {
+      const connection = this.connectionManager.getConnectionBySocketId(socket.id);
+      if (connection) {
+        this.clockSync.handleResponse(connection.playerId, data);
+      }
+    });
+    
+    // Last state snapshot the client decoded - its next one is a delta against it
+    socket.on('snapshot_ack', (data) => {
+      const connection = this.connectionManager.getConnectionBySocketId(socket.id);
+      if (connection && data && (data.sequence === null || Number.isInteger(data.sequence))) {
+        this.gameplayEvents.acknowledgeSnapshot(connection.playerId, data.sequence);
+      }
+    });
+    
+    // JSON snapshots for debugging
+    socket.on('snapshot_format', (data) => {
+      const connection = this.connectionManager.getConnectionBySocketId(socket.id);
+      if (connection && data) {
+        const result = this.gameplayEvents.setSnapshotFormat(connection.playerId, data.format);
+        if (!result.success) {
+          console.log('⚠️ Snapshot format rejected:', { playerId: connection.playerId, format: data.format });
+        }
+      }
+    });
+
     socket.on('game_state_sync', (data) => {
       console.log('🔄 Server received game state sync:', data);
       const connection = this.connectionManager.getConnectionBySocketId(socket.id);
@@ -377,87 +497,130 @@ class SocketHandler extends EventEmitter {
       }
     });
 
+    // The other client gets relayed movements and balls in snapshots (see
+    // GameplayEvents.relaySnapshot)
     socket.on('movement_update', (data) => {
-      console.log('🔄 SERVER MOVEMENT DEBUG: Received movement_update:', {
-        socketId: socket.id,
-        sequence: data.sequence,
-        hasConnection: !!this.connectionManager.getConnectionBySocketId(socket.id)
-      });
-      
       const connection = this.connectionManager.getConnectionBySocketId(socket.id);
-      if (connection && data.matchId) {
-        const playerId = data.playerId;
-        
-        // Validate sequence number if provided
-        if (data.sequence !== undefined) {
-          const lastSequence = this.playerSequences.get(playerId) || -1;
-          if (data.sequence <= lastSequence) {
-            console.log('⚠️ Out of order movement update, ignoring:', {
-              playerId,
-              receivedSeq: data.sequence,
-              lastSeq: lastSequence
-            });
-            return;
-          }
-          this.playerSequences.set(playerId, data.sequence);
+      if (!connection || !data || !data.matchId) return;
+      
+      const playerId = connection.playerId;
+      const roomId = `match_${data.matchId}`;
+      if (this.gameplayEvents.activeGames.has(roomId)) return; // The server simulates this match
+      
+      // Players hold their kickoff positions until the countdown ends
+      if (this.gameplayEvents.isBeforeKickoff(roomId)) return;
+      
+      // Validate sequence number if provided
+      if (data.sequence !== undefined) {
+        const lastSequence = this.playerSequences.get(playerId) || -1;
+        if (data.sequence <= lastSequence) {
+          console.log('⚠️ Out of order movement update, ignoring:', {
+            playerId,
+            receivedSeq: data.sequence,
+            lastSeq: lastSequence
+          });
+          return;
         }
-        
-        // Add server timestamp
-        const enhancedData = {
-          ...data,
-          serverTimestamp: Date.now(),
-          priority: this.MESSAGE_PRIORITY.MEDIUM
-        };
-        
-        const roomId = `match_${data.matchId}`;
-        console.log('📡 SERVER MOVEMENT DEBUG: Broadcasting enhanced data to room:', {
-          roomId: roomId,
-          sequence: data.sequence,
-          serverTimestamp: enhancedData.serverTimestamp
-        });
-        
-        // Relay enhanced movement update to other players
-        this.connectionManager.broadcastToRoom(roomId, 'movement_update', enhancedData, socket.id);
-        
-        console.log('✅ SERVER MOVEMENT DEBUG: Enhanced movement broadcasted');
-      } else {
-        console.log('❌ SERVER MOVEMENT DEBUG: Failed to broadcast:', {
-          hasConnection: !!connection,
-          hasMatchId: !!data.matchId
-        });
+        this.playerSequences.set(playerId, data.sequence);
+      }
+      
+      const result = this.gameplayEvents.acceptPlayerUpdate(roomId, playerId, data);
+      if (!result.success) {
+        console.log('⚠️ Movement update dropped:', { playerId, reason: result.reason });
+        return;
       }
+      
+      this.gameplayEvents.relaySnapshot(roomId, playerId);
     });
 
     socket.on('ball_update', (data) => {
-      console.log('⚽ SERVER BALL DEBUG: Received ball_update:', {
-        socketId: socket.id,
-        sequence: data.sequence,
-        hasConnection: !!this.connectionManager.getConnectionBySocketId(socket.id)
-      });
+      const connection = this.connectionManager.getConnectionBySocketId(socket.id);
+      if (!connection || !data || !data.matchId) return;
       
+      const roomId = `match_${data.matchId}`;
+      if (this.gameplayEvents.activeGames.has(roomId)) return; // The server simulates this ball
+      
+      // Only the client that owns the ball sends it on
+      const result = this.gameplayEvents.acceptBallUpdate(roomId, connection.playerId, data);
+      if (!result.success) {
+        console.log('⚠️ Ball update dropped:', { playerId: connection.playerId, reason: result.reason });
+        return;
+      }
+      
+      this.gameplayEvents.relaySnapshot(roomId, connection.playerId);
+    });
+
+    // Ball authority - a client claims the ball when it touches it or is clearly
+    // nearer a loose one; a claim that loses is answered with a correction
+    socket.on('ball_authority_claim', (data) => {
       const connection = this.connectionManager.getConnectionBySocketId(socket.id);
-      if (connection && data.matchId) {
-        // Add server timestamp and priority
-        const enhancedData = {
-          ...data,
-          serverTimestamp: Date.now(),
-          priority: this.MESSAGE_PRIORITY.HIGH // Ball updates are high priority
-        };
-        
-        const roomId = `match_${data.matchId}`;
-        console.log('📡 SERVER BALL DEBUG: Broadcasting enhanced ball data:', {
-          roomId: roomId,
-          sequence: data.sequence,
-          serverTimestamp: enhancedData.serverTimestamp
+      if (!connection || !data || !data.matchId) return;
+      
+      const result = this.gameplayEvents.claimBallAuthority(`match_${data.matchId}`, connection.playerId, data);
+      if (!result.success) {
+        console.log('⚠️ Ball claim rejected:', { playerId: connection.playerId, reason: result.reason });
+        if (result.correction) {
+          socket.emit('ball_correction', result.correction);
+        }
+      }
+    });
+
+    socket.on('power_activated', (data) => {
+      console.log('⚡ Server received power activation:', data);
+      const connection = this.connectionManager.getConnectionBySocketId(socket.id);
+      if (!connection || !connection.playerId || !data || !data.matchId) {
+        return;
+      }
+      
+      const roomId = `match_${data.matchId}`;
+      const playerId = connection.playerId;
+      if (connection.roomId !== roomId) {
+        console.log('⚠️ Power activated outside the player\'s match, ignoring:', { playerId, matchId: data.matchId });
+        return;
+      }
+      
+      const room = this.getMatchRoom(data.matchId, playerId);
+      if (room && !room.rules.powersEnabled) {
+        console.log('⚠️ Powers are disabled for this match, ignoring:', data.power);
+        return;
+      }
+      
+      if (this.gameplayEvents.isBeforeKickoff(roomId)) {
+        console.log('⚠️ Power activated before kickoff, ignoring:', data.power);
+        return;
+      }
+      
+      // Only the power of the head the player picked
+      const head = (this.playerHeads.get(roomId) || new Map()).get(playerId);
+      const power = head ? PHYSICS.POWERS.HEADS[head] : null;
+      if (!power || data.power !== power.Name) {
+        console.log('⚠️ Power doesn\'t match the player\'s character, ignoring:', { playerId, head, power: data.power });
+        return;
+      }
+      
+      // Reject activations faster than the power's recharge (10% tolerance for clock jitter)
+      const now = Date.now();
+      const activations = this.lastPowerActivation.get(roomId) || new Map();
+      const lastUsed = activations.get(playerId);
+      if (lastUsed && now - lastUsed < power.Wait * 1000 * 0.9) {
+        console.log('⚠️ Power activated before cooldown, ignoring:', {
+          playerId,
+          power: data.power,
+          elapsed: now - lastUsed
         });
-        
-        // Relay enhanced ball update to other players
-        this.connectionManager.broadcastToRoom(roomId, 'ball_update', enhancedData, socket.id);
-        
-        console.log('✅ SERVER BALL DEBUG: Enhanced ball update broadcasted');
-      } else {
-        console.log('❌ SERVER BALL DEBUG: Failed to broadcast');
+        return;
       }
+      activations.set(playerId, now);
+      this.lastPowerActivation.set(roomId, activations);
+      
+      // Relay to the opponent so both clients apply the same effect
+      this.connectionManager.broadcastToRoom(roomId, 'power_activated', {
+        ...data,
+        playerId,
+        head,
+        serverTimestamp: now,
+        priority: this.MESSAGE_PRIORITY.HIGH
+      }, socket.id);
     });
 
     // Game control events
@@ -474,6 +637,8 @@ class SocketHandler extends EventEmitter {
       const connection = this.connectionManager.getConnectionBySocketId(socket.id);
       if (connection && data.matchId) {
         const roomId = `match_${data.matchId}`;
+        this.gameplayEvents.stopMatchClock(roomId);
+        this.clockSync.stopSync(connection.playerId);
         
         // Broadcast to all players in the match that someone is leaving
         this.connectionManager.broadcastToRoom(roomId, 'player_left_game', {
@@ -994,6 +1159,36 @@ class SocketHandler extends EventEmitter {
     }
   }
   
+  /**
+   * Handle a player action (kicks carry the kick type, power and direction)
+   * @param {Socket} socket - Socket.IO socket
+   * @param {Object} data - Action data
+   */
+  handlePlayerAction(socket, data) {
+    const connection = this.connectionManager.getConnectionBySocketId(socket.id);
+    if (!connection || !connection.playerId) return;
+    
+    if (this.gameplayEvents.isBeforeKickoff(`match_${data.matchId}`)) {
+      console.log('⚠️ Kick before kickoff, ignoring:', { playerId: connection.playerId, action: data.action });
+      return;
+    }
+    
+    // The server judges the kick at the kicker's perceived time (launching its own ball
+    // in a match it simulates) and sends the room kick_resolved
+    const result = this.gameplayEvents.handlePlayerAction(connection.playerId, data);
+    if (result.accepted === false) {
+      console.log('⚠️ Kick out of reach, not relayed:', { playerId: connection.playerId, rewindMs: result.rewindMs });
+      return;
+    }
+    
+    // Relay to the opponent so their simulation launches the ball the same way
+    this.connectionManager.broadcastToRoom(`match_${data.matchId}`, 'player_action', {
+      ...data,
+      serverTimestamp: Date.now(),
+      priority: this.MESSAGE_PRIORITY.HIGH
+    }, socket.id);
+  }
+  
   /**
    * Handle ball update
    * @param {Socket} socket - Socket.IO socket
@@ -1037,18 +1232,13 @@ class SocketHandler extends EventEmitter {
     try {
       const result = await this.gameplayEvents.handleGoalAttempt(connection.playerId, data);
       
+      // The room hears about a goal from goal_confirmed - only the claimant hears a rejection
       if (!result.success) {
         socket.emit('goal_rejected', {
           reason: result.reason
         });
       } else {
-        // Send goal confirmation to scorer
-        socket.emit('goal_confirmed', {
-          score: result.score,
-          gameEnded: result.gameEnded
-        });
-        
-        console.log(`⚽ Goal scored by ${connection.playerId}! Score: ${result.score.player1}-${result.score.player2}`);
+        console.log(`⚽ Goal claimed by ${connection.playerId} confirmed! Score: ${result.score.player1}-${result.score.player2}`);
       }
     } catch (error) {
       console.error(`Error handling goal attempt:`, error);
@@ -1116,6 +1306,18 @@ class SocketHandler extends EventEmitter {
       // Remove from matchmaking if queued
       this.matchmaker.removeFromQueue(playerId);
       
+      // A rejoining player's power recharges from empty, like their bar
+      const activations = roomId && this.lastPowerActivation.get(roomId);
+      if (activations) {
+        activations.delete(playerId);
+      }
+      this.selectedHeads.delete(playerId);
+      
+      // Stop clock sync
+      this.clockSync.stopSync(playerId);
+      this.gameEventSystem.clearPlayer(playerId);
+      this.gameStateValidator.clearPlayer(playerId);
+      
       // Clean up player data
       this.activePlayers.delete(playerId);
       
@@ -1175,7 +1377,8 @@ class SocketHandler extends EventEmitter {
       if (data.matchId) {
         const roomId = `match_${data.matchId}`;
         
-        // Broadcast pause to all players in the match
+        // Broadcast pause to all players in the match, and stop its clock
+        this.gameplayEvents.pauseMatchClock(roomId, data.reason || 'player_request');
         this.connectionManager.broadcastToRoom(roomId, 'game_paused', {
           pausedBy: connection.username || connection.playerId,
           playerId: connection.playerId,
@@ -1223,7 +1426,8 @@ class SocketHandler extends EventEmitter {
       if (data.matchId) {
         const roomId = `match_${data.matchId}`;
         
-        // Broadcast resume to all players in the match
+        // Broadcast resume to all players in the match, and restart its clock
+        this.gameplayEvents.resumeMatchClock(roomId);
         this.connectionManager.broadcastToRoom(roomId, 'game_resumed', {
           resumedBy: connection.username || connection.playerId,
           playerId: connection.playerId,
@@ -1456,6 +1660,10 @@ class SocketHandler extends EventEmitter {
       if (response === 'accept') {
         // Challenge accepted - proceed to match setup
         const matchId = `match-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        this.createChallengeRoom(matchId, 'casual', {
+          left: { playerId: challengerConnection.playerId, username: challengerConnection.username },
+          right: { playerId: responderConnection.playerId, username: responderConnection.username }
+        });
         
         // Send complete match data to both players
         challengerConnection.socket.emit('challenge_accepted', {
@@ -1480,8 +1688,6 @@ class SocketHandler extends EventEmitter {
 
         console.log(`✅ Challenge accepted: ${challengerConnection.username} vs ${responderConnection.username}`);
         
-        // TODO: Phase 3.2 - Create game room and redirect both players
-        
       } else {
         // Challenge declined
         challengerConnection.socket.emit('challenge_declined', {
@@ -1503,6 +1709,62 @@ class SocketHandler extends EventEmitter {
     }
   }
   
+  /**
+   * Create the room that owns a challenge match's rules
+   * Rooms of finished or abandoned matches are dropped here once inactive.
+   * @param {string} matchId - Match ID sent to both players
+   * @param {string} gameMode - Game mode (challenges are casual)
+   * @param {object} [sides] - { left, right } players ({ playerId, username }); the
+   *   challenger plays on the left. Goals are credited from these
+   * @returns {GameRoom} New room, keyed by its gameplay room ID
+   */
+  createChallengeRoom(matchId, gameMode = 'casual', sides = null) {
+    for (const [roomId, room] of this.activeRooms.entries()) {
+      if (room.isInactive()) {
+        this.activeRooms.delete(roomId);
+      }
+    }
+    
+    const room = new GameRoom(`match_${matchId}`, {
+      gameMode,
+      rules: MatchRules.forMode(gameMode),
+      metadata: { challenge: true, sides }
+    });
+    this.activeRooms.set(room.id, room);
+    return room;
+  }
+  
+  /**
+   * Is a head one with a power (a name from CONFIG.CHARACTER_HEADS)
+   */
+  isKnownHead(head) {
+    return typeof head === 'string' && Object.prototype.hasOwnProperty.call(PHYSICS.POWERS.HEADS, head);
+  }
+  
+  /**
+   * Remember the head a player plays a match with, by name
+   * @returns {boolean} False for a head without a power
+   */
+  setPlayerHead(roomId, playerId, head) {
+    if (!this.isKnownHead(head)) return false;
+    
+    const heads = this.playerHeads.get(roomId) || new Map();
+    heads.set(playerId, head);
+    this.playerHeads.set(roomId, heads);
+    return true;
+  }
+  
+  /**
+   * Find the room for a match: challenge rooms by match ID, otherwise the
+   * matchmaker room the player was placed in
+   * @param {string} matchId - Match ID from the client
+   * @param {string} playerId - Player ID
+   * @returns {GameRoom|null} Room or null
+   */
+  getMatchRoom(matchId, playerId) {
+    return this.activeRooms.get(`match_${matchId}`) || this.matchmaker.getPlayerRoom(playerId) || null;
+  }
+  
   /**
    * Handle forfeit game request
    */
@@ -1908,6 +2170,12 @@ class SocketHandler extends EventEmitter {
       
       const roomId = `character_selection_${matchId}`;
       
+      // Heads are kept by name - it's what the power is looked up by
+      const head = characterData && characterData.name;
+      if (characterType === 'head' && this.isKnownHead(head)) {
+        this.selectedHeads.set(connection.playerId, head);
+      }
+      
       // Broadcast character selection to other players in the room
       this.connectionManager.broadcastToRoom(roomId, 'character_select', {
         playerId: playerId,
@@ -1953,6 +2221,12 @@ class SocketHandler extends EventEmitter {
       
       const roomId = `character_selection_${matchId}`;
       
+      // The head decides which power the player may use in the match
+      const head = this.selectedHeads.get(connection.playerId);
+      if (ready && head) {
+        this.setPlayerHead(`match_${matchId}`, connection.playerId, head);
+      }
+      
       // Broadcast ready status to other players in the room
       this.connectionManager.broadcastToRoom(roomId, 'player_ready', {
         playerId: playerId,
@@ -2023,6 +2297,10 @@ class SocketHandler extends EventEmitter {
       baseStats.gameEventSystem = this.gameEventSystem.getStats();
     }
     
+    if (this.clockSync) {
+      baseStats.clockSync = this.clockSync.getStats();
+    }
+    
     return baseStats;
   }
   
@@ -2042,6 +2320,11 @@ class SocketHandler extends EventEmitter {
       this.matchmakingEvents.shutdown();
     }
     
+    // Shutdown Clock Sync
+    if (this.clockSync) {
+      this.clockSync.shutdown();
+    }
+    
     // Clear all data
     this.activePlayers.clear();
     this.activeRooms.clear();
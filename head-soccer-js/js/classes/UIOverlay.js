@@ -20,7 +20,7 @@ class UIOverlay {
         // Game state
         this.player1Score = 0;
         this.player2Score = 0;
-        this.timeLeft = CONFIG.END_TIME; // 5 minutes
+        this.timeLeft = MatchRules.forMode(CONFIG.MATCH_RULES_MODE).timeLimit;
         this.overtime = false;
         this.gameActive = true;
         
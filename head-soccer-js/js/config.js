@@ -4,7 +4,50 @@
 const CONFIG = {
     // AI Configuration - from Python lines 1326-1328
     AI_ENABLED: true,
-    AI_DIFFICULTY: "medium", // "easy", "medium", "hard"
+    AI_DIFFICULTY: "pro", // "rookie", "pro", "legend", "adaptive"
+    
+    // AI difficulty profiles - Pro matches the original single bot
+    AI_PROFILES: {
+        rookie: {
+            NAME: 'Rookie',
+            REACTION_TIME: 350,     // ms between decisions
+            AGGRESSIVENESS: 0.45,   // How far up the field it chases (0-1)
+            KICK_TIMING: 0.55,      // Chance to kick when in range (0-1)
+            PREDICTION_FRAMES: 4,   // How far ahead it reads the ball
+            ATTACK_RANGE: 110,      // Ball distance that switches to attacking
+            JUMP_CHANCE: 0.25,      // Chance to jump for a high ball
+            JUMP_REACH: 40,         // How far above the player the ball must be before jumping
+            POWER_CHANCE: 0.15,     // Chance to fire a ready power when the situation fits
+            TARGET_JITTER: 120      // Random positioning error (px)
+        },
+        pro: {
+            NAME: 'Pro',
+            REACTION_TIME: 200,
+            AGGRESSIVENESS: 0.7,
+            KICK_TIMING: 0.8,
+            PREDICTION_FRAMES: 10,
+            ATTACK_RANGE: 150,
+            JUMP_CHANCE: 0.4,
+            JUMP_REACH: 20,
+            POWER_CHANCE: 0.6,
+            TARGET_JITTER: 50
+        },
+        legend: {
+            NAME: 'Legend',
+            REACTION_TIME: 90,
+            AGGRESSIVENESS: 0.9,
+            KICK_TIMING: 0.95,
+            PREDICTION_FRAMES: 18,
+            ATTACK_RANGE: 200,
+            JUMP_CHANCE: 0.7,
+            JUMP_REACH: 10,
+            POWER_CHANCE: 1,
+            TARGET_JITTER: 15
+        }
+    },
+    
+    // Adaptive AI: score margin (AI minus player) that fully eases off / goes all out
+    AI_ADAPTIVE_MARGIN: 2,
     
     // Physics constants - from Python lines 1349-1354
     GRAVITY: { x: 0, y: 900 },
@@ -44,32 +87,18 @@ const CONFIG = {
     BALL_START_X: 800,    // WIDTH / 2
     BALL_START_Y: 220,
     
-    // Kick angles - from Python lines 1440-1441
-    PLAYER_1_MAX_KICK: -10,
-    PLAYER_1_MIN_KICK: -80,
-    PLAYER_2_MAX_KICK: -170,
-    PLAYER_2_MIN_KICK: -100,
-    
-    // Powers - exact from Python line 1331
+    // Power bar colors - exact from Python line 1331 (each head's power and its
+    // timing are in PHYSICS_CONSTANTS.POWERS.HEADS, shared with the server)
     POWERS: {
         'Nuwan': { 
-            Name: 'Dash', 
-            Wait: 10, 
-            Duration: false, 
             Color: [214, 195, 73], 
             ReadyColor: [220, 220, 220] 
         },
         'Mihir': { 
-            Name: 'Back', 
-            Wait: 22, 
-            Duration: false, 
             Color: [100, 190, 100], 
             ReadyColor: [220, 220, 220] 
         },
         'Dad': { 
-            Name: 'Freeze Player', 
-            Wait: 14, 
-            Duration: 5, 
             Color: [114, 155, 207], 
             ReadyColor: [200, 200, 200] 
         }
@@ -90,9 +119,15 @@ const CONFIG = {
     NUM_CLEATS: 9,
     CLEAT_SIZE: 50,
     
-    // Game settings - from Python lines 1529-1530
-    END_SCORE: 7,
-    END_TIME: 300, // 5 minutes (5 * 60)
+    // Score/time limits, tie-breakers, ball physics and powers come from the
+    // match rules (backend/shared/match-rules.js), not from CONFIG
+    MATCH_RULES_MODE: 'single',  // Rules for games against the AI
+    STADIUM: 'classic',          // Default stadium (backend/shared/stadiums.js)
+    
+    // Penalty shootout layout
+    PENALTY_KICK_TIME: 5,        // Seconds the shooter has for each kick
+    PENALTY_SPOT_DISTANCE: 450,  // Penalty spot distance from the goal line
+    PENALTY_BOX_WIDTH: 300,      // How far the keeper may come off the goal line
     
     // UI constants - Progress bars from Python lines 1425-1429
     PROGRESS_BAR: {
@@ -105,6 +140,17 @@ const CONFIG = {
         OUTLINE_COLOR: [100, 100, 100]
     },
     
+    // Kick charge meter under each power bar (kick force and angles are in
+    // PHYSICS_CONSTANTS.KICK, shared with the server)
+    KICK_METER: {
+        Y: 68,
+        HEIGHT: 10,
+        LOW_COLOR: [255, 220, 80],   // Tap
+        HIGH_COLOR: [255, 70, 40],   // Full charge
+        LOB_COLOR: [120, 200, 255],  // While the lob modifier is held
+        LABEL_FRAMES: 45             // How long the last kick's name stays up
+    },
+    
     // Colors - from Python lines 1380-1394
     BACKGROUND_COLOR: [33, 33, 33],
     OFF_WHITE: [230, 230, 230],
@@ -187,7 +233,6 @@ window.CONFIG = CONFIG;
 let gameState = 'loading';
 let scored = false;
 let overtime = false;
-let timeLeft = CONFIG.END_TIME;
 
 // Player info - from Python lines 1499-1503
 let p1Info = { head: 'Mihir', cleat: 8 };
@@ -11,11 +11,11 @@ class GameScene extends Phaser.Scene {
         this.player1 = null;
         this.player2 = null;
         this.ball = null;
+        this.ballPreviousPosition = null; // Ball position before the last physics step
         this.boundaries = [];
         
-        // Input states
-        this.cursors = null;
-        this.keys = null;
+        // Input states (named actions, see js/inputHandler.js)
+        this.inputHandler = null;
         
         // Debug elements
         this.fpsText = null;
@@ -29,6 +29,9 @@ class GameScene extends Phaser.Scene {
         this.gameWidth = PHYSICS_CONSTANTS.FIELD.WIDTH;   // 1600px - same for all clients
         this.gameHeight = PHYSICS_CONSTANTS.FIELD.HEIGHT; // 900px - same for all clients  
         this.bottomGap = 40; // Reduced to give more playground space
+        this.rules = null; // Match rules (MatchRules) - set in create() or by applyMatchRules()
+        this.stadium = null; // Stadium layout and art (Stadiums) - from this.rules.stadium
+        this.matchSeed = null; // Online matches: the room's random seed from the server (applyMatchSeed)
         
         console.log('🎯 Fixed canvas size:', { 
             width: this.gameWidth, 
@@ -44,7 +47,15 @@ class GameScene extends Phaser.Scene {
         
         // Goal state tracking to prevent multiple goals
         this.goalCooldown = 0;
-        this.goalCooldownDuration = 120; // 2 seconds at 60fps
+        this.goalCooldownDuration = 120; // 2 seconds at 60 ticks/s (PhysicsCore.GOAL_COOLDOWN_TICKS)
+        
+        // Online kickoff countdown - local time play starts at (startKickoffCountdown)
+        this.kickoffAt = null;
+        this.kickoffCount = null; // Last number shown
+        this.kickoffText = null; // 3-2-1 overlay
+        
+        // Last push or head landing that moved each player, sent with the next movement update
+        this.playerContacts = { player1: null, player2: null };
         
         // Phase 3.5: Multiplayer initialization tracking
         this.multiplayerInitialized = false;
@@ -73,7 +84,17 @@ class GameScene extends Phaser.Scene {
             this.load.image(`cleat${i}`, `assets/Cleat ${i}.png`);
         }
         
-        console.log('Loading ball, goal, character, and cleat assets');
+        // Load power effects (GIFs render their first frame; tweens animate them)
+        this.load.image('fireEffect', 'assets/Fire.gif');
+        this.load.image('freezeEffect', 'assets/Freeze.gif');
+        this.load.image('protoStarEffect', 'assets/Proto_Star.gif');
+        
+        // Stadium background art (optional per stadium)
+        Stadiums.list().filter(stadium => stadium.background.image).forEach(stadium => {
+            this.load.image(`stadium_${stadium.id}`, stadium.background.image);
+        });
+        
+        console.log('Loading ball, goal, character, cleat, and power assets');
     }
     
     create() {
@@ -85,15 +106,21 @@ class GameScene extends Phaser.Scene {
         // Load character selections
         this.loadCharacterSelections();
         
-        // Create visual field background
-        this.createFieldVisuals();
+        // Limits, tie-breakers, ball physics, powers and stadium for this match
+        // (online matches use the room's rules, see applyMatchRules)
+        this.rules = this.rules || MatchRules.forMode(CONFIG.MATCH_RULES_MODE, { stadium: this.loadStadium() });
+        
+        // Shared deterministic physics (same module the server runs) and the field visuals
+        this.buildStadium();
+        this.seedRandom();
+        this.physicsClock = PhysicsCore.createClock();
         
         // Create players
         this.createPlayers();
         
         // Initialize kick animation states
-        this.player1KickAnimation = { active: false, timer: 0, maxDuration: 10 };
-        this.player2KickAnimation = { active: false, timer: 0, maxDuration: 10 };
+        this.player1KickAnimation = { active: false, timer: 0, maxDuration: 10, type: 'shot', power: 0 };
+        this.player2KickAnimation = { active: false, timer: 0, maxDuration: 10, type: 'shot', power: 0 };
         
         // Track previous kick states to detect button press
         this.player1PrevKick = false;
@@ -104,9 +131,11 @@ class GameScene extends Phaser.Scene {
         this.player2KickPressed = false;
         
         // Phase 2: Client-Side Prediction System
-        this.inputBuffer = []; // Store inputs with timestamps for prediction
+        this.inputBuffer = []; // Inputs the server hasn't acknowledged (input_ack), by tick
         this.maxInputHistory = 60; // 1 second at 60fps
-        this.serverReconciliation = false; // Enable/disable server reconciliation
+        this.serverReconciliation = true; // Enable/disable server reconciliation (acks only come from matches the server simulates)
+        this.lastSentInput = null; // { tick, buttons } last input sent to the server
+        this.inputResendTicks = 6; // Resend an unchanged input this often, so a lost one is soon replaced
         this.lastServerUpdate = 0; // Timestamp of last server update
         
         // Phase 3: Interpolation System for Remote Players
@@ -118,8 +147,7 @@ class GameScene extends Phaser.Scene {
         this.interpolationDelay = 100; // 100ms behind latest update
         this.extrapolationLimit = 200; // Max 200ms extrapolation
         
-        // Track last collision frame to prevent multiple rapid collisions
-        this.lastCollisionFrame = { player1: -100, player2: -100 };
+        // Physics tick counter (fixed 60Hz steps, not render frames)
         this.frameCount = 0;
         
         // Create ball
@@ -134,9 +162,19 @@ class GameScene extends Phaser.Scene {
         // Create debug text
         this.createDebugText();
         
+        // Character powers (cooldown bars, effects)
+        this.initializePowers();
+        
+        // Kick charge meters under the power bars
+        this.initializeKickMeters();
+        
         // Initialize score
         this.initializeScore();
         
+        // Golden goal / penalties for a level score at full time
+        this.tieBreakers = this.rules.tieBreakers.slice();
+        this.resetMatchPhase();
+        
         // Initialize goal cooldown to prevent multiple goal triggers
         this.goalCooldown = 0;
         
@@ -147,6 +185,7 @@ class GameScene extends Phaser.Scene {
         // AI system for Player 1
         this.aiEnabled = true;
         this.initializeAI();
+        this.refreshAIControl();
         
         // Make this scene globally accessible for timer communication
         window.gameScene = this;
@@ -158,7 +197,15 @@ class GameScene extends Phaser.Scene {
         // Ball sync throttling for multiplayer - FAST sync for real-time feel
         this.lastBallSent = 0;
         this.ballSendInterval = 16; // Send ball updates every 16ms (60 times per second - matches game FPS)
-        this.ballAuthority = false; // Will be set based on player role
+        this.ballHeartbeatInterval = 250; // A resting ball is still sent this often (the server fails a silent owner over)
+        this.ballAuthority = null; // Who simulates the ball in multiplayer (BallAuthority state, from the server)
+        this.pendingBallClaim = null; // Authority sequence our claim for the ball was made on
+        this.nextBallClaimAt = 0; // No new claim before this after one was rejected
+        
+        // Record the whole match for replays (restarted on reset / multiplayer start)
+        this.replayRecorder = new ReplayRecorder();
+        this.replayInputs = { player1: null, player2: null };
+        this.replayRecorder.start(this);
         
         console.log('Game scene created successfully');
     }
@@ -185,29 +232,71 @@ class GameScene extends Phaser.Scene {
         return isRemote;
     }
     
+    loadStadium() {
+        return window.gameStateManager ? window.gameStateManager.getStadium() : CONFIG.STADIUM;
+    }
+    
+    // Physics field, camera and visuals for the stadium in this.rules
+    buildStadium() {
+        this.stadium = Stadiums.get(this.rules.stadium);
+        this.physicsField = PhysicsCore.createField({
+            height: this.gameHeight,
+            bottomGap: this.bottomGap,
+            ...MatchRules.toFieldOptions(this.rules)
+        });
+        this.gameWidth = this.physicsField.width;
+        
+        // Narrower stadiums sit in the middle of the fixed 1600px canvas
+        this.cameras.main.setScroll((this.gameWidth - PHYSICS_CONSTANTS.FIELD.WIDTH) / 2, 0);
+        
+        this.createFieldVisuals();
+    }
+    
     createFieldVisuals() {
-        // Create space-themed field graphics
-        const graphics = this.add.graphics();
+        // Stadium art and layout (backend/shared/stadiums.js); safe to call again on a stadium change
+        const stadium = this.stadium || Stadiums.get(this.rules && this.rules.stadium);
+        const art = stadium.background;
+        const field = this.physicsField;
         
-        // Space background gradient
-        graphics.fillGradientStyle(0x000011, 0x000011, 0x001133, 0x001133, 1);
-        graphics.fillRect(0, 0, this.gameWidth, this.gameHeight);
+        if (this.fieldGraphics) this.fieldGraphics.destroy();
+        if (this.fieldImage) this.fieldImage.destroy();
+        if (this.leftGoalSprite) this.leftGoalSprite.destroy();
+        if (this.rightGoalSprite) this.rightGoalSprite.destroy();
+        this.fieldImage = null;
         
-        // Add stars
-        for (let i = 0; i < 200; i++) {
-            const x = Math.random() * this.gameWidth;
-            const y = Math.random() * this.gameHeight;
-            const size = Math.random() * 2 + 0.5;
-            const brightness = Math.random() * 0.8 + 0.2;
+        const graphics = this.add.graphics();
+        graphics.setDepth(-1); // Behind players and ball even when rebuilt mid-match
+        this.fieldGraphics = graphics;
+        
+        // Sky fills the whole canvas, including the margins of a narrower stadium
+        const skyX = (this.gameWidth - PHYSICS_CONSTANTS.FIELD.WIDTH) / 2;
+        const skyWidth = PHYSICS_CONSTANTS.FIELD.WIDTH;
+        const imageKey = `stadium_${stadium.id}`;
+        
+        if (art.image && this.textures.exists(imageKey)) {
+            this.fieldImage = this.add.image(skyX + skyWidth / 2, this.gameHeight / 2, imageKey);
+            this.fieldImage.setDisplaySize(skyWidth, this.gameHeight);
+            this.fieldImage.setDepth(-2);
+        } else {
+            graphics.fillGradientStyle(art.sky[0], art.sky[0], art.sky[1], art.sky[1], 1);
+            graphics.fillRect(skyX, 0, skyWidth, this.gameHeight);
             
-            graphics.fillStyle(0xffffff, brightness);
-            graphics.fillCircle(x, y, size);
+            // Add stars
+            for (let i = 0; i < art.stars; i++) {
+                const x = skyX + Math.random() * skyWidth;
+                const y = Math.random() * this.gameHeight;
+                const size = Math.random() * 2 + 0.5;
+                const brightness = Math.random() * 0.8 + 0.2;
+                
+                graphics.fillStyle(0xffffff, brightness);
+                graphics.fillCircle(x, y, size);
+            }
         }
         
         // Space platform/ground
         // Phase 3.5: Calculate unified ground position
         // Ground Y is where player's feet touch the ground (player.y is top-left corner)
-        this.GROUND_Y = this.gameHeight - this.bottomGap - PHYSICS_CONSTANTS.PLAYER.HEIGHT;
+        this.GROUND_Y = field.playerGroundY;
         console.log('🎯 Phase 3.5: GROUND_Y calculated with FIXED canvas:', {
             gameWidth: this.gameWidth,
             gameHeight: this.gameHeight,
@@ -216,19 +305,29 @@ class GameScene extends Phaser.Scene {
             GROUND_Y: this.GROUND_Y,
             note: 'Same for ALL clients regardless of screen size!'
         });
-        const groundY = this.gameHeight - this.bottomGap;
-        graphics.fillGradientStyle(0x2a2a4a, 0x2a2a4a, 0x1a1a3a, 0x1a1a3a, 1);
+        const groundY = field.groundY;
+        graphics.fillGradientStyle(art.ground[0], art.ground[0], art.ground[1], art.ground[1], 1);
         graphics.fillRect(0, groundY, this.gameWidth, this.bottomGap);
         
         // Glowing platform edge
-        graphics.lineStyle(3, 0x66ccff, 0.8);
+        graphics.lineStyle(3, art.line, 0.8);
         graphics.beginPath();
         graphics.moveTo(0, groundY);
         graphics.lineTo(this.gameWidth, groundY);
         graphics.strokePath();
         
+        // Out-of-bounds margins and side walls of a narrower stadium
+        if (skyX < 0) {
+            graphics.fillStyle(0x000000, 0.5);
+            graphics.fillRect(skyX, 0, -skyX, this.gameHeight);
+            graphics.fillRect(this.gameWidth, 0, -skyX, this.gameHeight);
+            graphics.lineStyle(3, art.line, 0.8);
+            graphics.strokeLineShape(new Phaser.Geom.Line(0, 0, 0, groundY));
+            graphics.strokeLineShape(new Phaser.Geom.Line(this.gameWidth, 0, this.gameWidth, groundY));
+        }
+        
         // Energy center line
-        graphics.lineStyle(4, 0x00ffff, 0.6);
+        graphics.lineStyle(4, art.accent, 0.6);
         graphics.beginPath();
         graphics.moveTo(this.gameWidth / 2, 0);
         graphics.lineTo(this.gameWidth / 2, groundY);
@@ -237,55 +336,72 @@ class GameScene extends Phaser.Scene {
         // Add pulsing center circle
         const centerX = this.gameWidth / 2;
         const centerY = groundY / 2;
-        graphics.lineStyle(3, 0x00ffff, 0.4);
+        graphics.lineStyle(3, art.accent, 0.4);
         graphics.strokeCircle(centerX, centerY, 50);
         graphics.strokeCircle(centerX, centerY, 80);
         
-        // Add goal images
-        const goalHeight = 180; // Reduced height to fit screen better
-        const goalWidth = 80;   // Reduced width to fit screen better
+        // Platforms and blocks - solid in PhysicsCore for ball and players
+        field.obstacles.forEach(obstacle => {
+            graphics.fillStyle(art.obstacle, 1);
+            graphics.fillRect(obstacle.x, obstacle.y, obstacle.width, obstacle.height);
+            graphics.lineStyle(2, art.line, 0.9);
+            graphics.strokeRect(obstacle.x, obstacle.y, obstacle.width, obstacle.height);
+        });
+        
+        // Crossbars above each goal mouth - solid woodwork in PhysicsCore
+        [field.leftGoal, field.rightGoal].forEach(goal => {
+            graphics.fillStyle(art.accent, 0.9);
+            graphics.fillRect(goal.crossbar.x, goal.crossbar.y, goal.crossbar.width, goal.crossbar.height);
+        });
+        
+        // Add goal images - the sprite at 0.5 scale fits the 80x180 classic goal
+        const goal = field.leftGoal;
+        const scaleX = 0.5 * goal.width / 80;
+        const scaleY = 0.5 * goal.height / 180;
         
         // Left goal (Goal - Side.png)
-        this.leftGoalSprite = this.add.image(goalWidth/2, groundY - goalHeight/2, 'goalSide');
-        this.leftGoalSprite.setScale(0.5); // Smaller scale to fit screen better
+        this.leftGoalSprite = this.add.image(goal.width/2, goal.y + goal.height/2, 'goalSide');
+        this.leftGoalSprite.setScale(scaleX, scaleY);
         this.leftGoalSprite.setDepth(5);
         
         // Right goal (flipped Goal - Side.png)
-        this.rightGoalSprite = this.add.image(this.gameWidth - goalWidth/2, groundY - goalHeight/2, 'goalSide');
-        this.rightGoalSprite.setScale(0.5); // Smaller scale to fit screen better
+        this.rightGoalSprite = this.add.image(this.gameWidth - goal.width/2, goal.y + goal.height/2, 'goalSide');
+        this.rightGoalSprite.setScale(scaleX, scaleY);
         this.rightGoalSprite.setFlipX(true); // Flip horizontally for right goal
         this.rightGoalSprite.setDepth(5);
         
-        console.log('Space field visuals created');
+        console.log(`Field visuals created: ${stadium.name}`);
     }
     
     initializeAI() {
-        // Simple AI state and parameters
-        this.ai = {
-            // Reaction parameters
-            reactionTime: 200, // ms delay for more realistic reactions
-            lastReactionTime: 0,
-            
-            // Behavior parameters
-            aggressiveness: 0.7, // How likely to go for ball vs defensive play
-            kickTiming: 0.8, // How good at timing kicks (0-1)
-            
-            // Current AI decisions
-            targetX: 200,
-            shouldJump: false,
-            shouldKick: false,
-            
-            // AI states
-            state: 'defending', // 'defending', 'attacking', 'chasing'
-            lastStateChange: 0,
-            
-            // Performance tracking
-            ballDistance: Infinity,
-            lastBallX: 0,
-            ballVelocityPrediction: { x: 0, y: 0 }
-        };
+        // Shared bot (backend/shared/ai-controller.js) - also used by the headless simulator
+        this.ai = AIController.createAI();
+        this.ai.difficulty = this.loadAIDifficulty();
+        
+        this.updateAIDifficulty();
+        
+        console.log(`Simple AI initialized for Player 1 (${this.ai.profileName})`);
+    }
+    
+    loadAIDifficulty() {
+        return window.gameStateManager ? window.gameStateManager.getAIDifficulty() : CONFIG.AI_DIFFICULTY;
+    }
+    
+    // Fixed profiles apply once; adaptive re-blends after every goal
+    updateAIDifficulty() {
+        const profiles = CONFIG.AI_PROFILES;
         
-        console.log('Simple AI initialized for Player 1');
+        if (this.ai.difficulty !== 'adaptive') {
+            AIController.applyProfile(this.ai, profiles[this.ai.difficulty] || profiles.pro);
+            return;
+        }
+        
+        // Winning by the margin eases off to Rookie, losing by it goes all out as Legend
+        const score = this.score || { player1: 0, player2: 0 };
+        const margin = score.player1 - score.player2; // AI is Player 1
+        AIController.applyProfile(this.ai, AIController.blendProfiles(profiles, margin, CONFIG.AI_ADAPTIVE_MARGIN));
+        
+        console.log(`🤖 Adaptive AI now playing like ${this.ai.profileName} (margin ${margin})`);
     }
     
     loadCharacterSelections() {
@@ -296,12 +412,12 @@ class GameScene extends Phaser.Scene {
         const isMultiplayerPage = window.location.href.includes('gameplay-multiplayer.html');
         console.log('📋 isMultiplayerPage detected:', isMultiplayerPage);
         
-        // Skip localStorage loading if this will be a multiplayer game
+        // Skip loading the confirmed selections if this will be a multiplayer game
         // (multiplayer selections will be set via setMultiplayerMode)
         if (isMultiplayerPage) {
-            console.log('🎮 Multiplayer page detected - skipping localStorage character loading');
+            console.log('🎮 Multiplayer page detected - skipping single-player character loading');
             // Don't override any values that may have been set by setMultiplayerMode
-            console.log('🎯 Current character values when skipping localStorage:', {
+            console.log('🎯 Current character values when skipping selections:', {
                 player1Head: this.player1Head,
                 player2Head: this.player2Head,
                 player1Cleat: this.player1Cleat,
@@ -310,11 +426,10 @@ class GameScene extends Phaser.Scene {
             return;
         }
         
-        // Load character selections from localStorage or use defaults (single-player only)
-        const savedSettings = localStorage.getItem('headSoccerSettings');
+        // Load the confirmed character selections or use defaults (single-player only)
+        const settings = window.gameStateManager ? window.gameStateManager.getSelections() : null;
         
-        if (savedSettings) {
-            const settings = JSON.parse(savedSettings);
+        if (settings) {
             this.player1Head = settings.player1Head || 'Mihir';
             this.player2Head = settings.player2Head || 'Nuwan'; 
             this.player1Cleat = settings.player1Cleat || 8;
@@ -327,7 +442,7 @@ class GameScene extends Phaser.Scene {
             this.player2Cleat = 3;
         }
         
-        console.log('Character selections loaded from localStorage:', {
+        console.log('Character selections loaded:', {
             player1: { head: this.player1Head, cleat: this.player1Cleat },
             player2: { head: this.player2Head, cleat: this.player2Cleat }
         });
@@ -342,32 +457,17 @@ class GameScene extends Phaser.Scene {
             multiplayerGameExists: !!this.multiplayerGame
         });
         
-        const playerStartX = this.gameWidth * 0.2; // Adjusted for fullscreen
         const playerY = this.getGroundY(); // Phase 3.5: Use unified ground calculation
         
         // Create Player 1 (left side, blue)
-        this.player1 = {
-            x: playerStartX,
-            y: playerY,
-            width: PHYSICS_CONSTANTS.PLAYER.WIDTH,
-            height: PHYSICS_CONSTANTS.PLAYER.HEIGHT,
-            velocity: { x: 0, y: 0 },
-            onGround: false,
-            color: 0x0088ff,
-            kickCooldown: 0
-        };
+        this.player1 = PhysicsCore.createPlayer(this.physicsField, 'left');
+        this.player1.color = 0x0088ff;
+        PhysicsCore.setHeadScale(this.player1, this.getHeadScale(this.player1Head));
         
         // Create Player 2 (right side, red)
-        this.player2 = {
-            x: this.gameWidth - playerStartX - PHYSICS_CONSTANTS.PLAYER.WIDTH,
-            y: playerY,
-            width: PHYSICS_CONSTANTS.PLAYER.WIDTH,
-            height: PHYSICS_CONSTANTS.PLAYER.HEIGHT,
-            velocity: { x: 0, y: 0 },
-            onGround: false,
-            color: 0xff0000,
-            kickCooldown: 0
-        };
+        this.player2 = PhysicsCore.createPlayer(this.physicsField, 'right');
+        this.player2.color = 0xff0000;
+        PhysicsCore.setHeadScale(this.player2, this.getHeadScale(this.player2Head));
         
         // Create player sprites using actual character heads
         // Player 1 Head
@@ -399,16 +499,10 @@ class GameScene extends Phaser.Scene {
             );
         }
         
-        // Apply head scaling from config
+        // Apply head scaling from config - the same scale sizes the head hitbox
         if (this.player1Sprite.texture) {
-            // Define head scaling locally to avoid CONFIG dependency
-            const headScales = {
-                'Nuwan': [1, 1],
-                'Mihir': [1.05, 1.12],
-                'Dad': [0.97, 1]
-            };
-            const player1Scale = headScales[this.player1Head] || [1, 1];
-            const headSize = 80; // Base head size for the game (increased from 50)
+            const player1Scale = this.getHeadScale(this.player1Head);
+            const headSize = PHYSICS_CONSTANTS.PLAYER.HEAD_SIZE; // Base head size for the game (increased from 50)
             this.player1Sprite.setScale(
                 (headSize / this.player1Sprite.width) * player1Scale[0],
                 (headSize / this.player1Sprite.height) * player1Scale[1]
@@ -445,16 +539,10 @@ class GameScene extends Phaser.Scene {
             );
         }
         
-        // Apply head scaling from config
+        // Apply head scaling from config - the same scale sizes the head hitbox
         if (this.player2Sprite.texture) {
-            // Define head scaling locally to avoid CONFIG dependency
-            const headScales = {
-                'Nuwan': [1, 1],
-                'Mihir': [1.05, 1.12],
-                'Dad': [0.97, 1]
-            };
-            const player2Scale = headScales[this.player2Head] || [1, 1];
-            const headSize = 80; // Base head size for the game (increased from 50)
+            const player2Scale = this.getHeadScale(this.player2Head);
+            const headSize = PHYSICS_CONSTANTS.PLAYER.HEAD_SIZE; // Base head size for the game (increased from 50)
             this.player2Sprite.setScale(
                 (headSize / this.player2Sprite.width) * player2Scale[0],
                 (headSize / this.player2Sprite.height) * player2Scale[1]
@@ -515,19 +603,10 @@ class GameScene extends Phaser.Scene {
     }
     
     createBall() {
-        const ballStartX = this.gameWidth * 0.5; // Center for fullscreen
-        const ballStartY = this.gameHeight * 0.3; // Adjusted for fullscreen
-        const ballRadius = PHYSICS_CONSTANTS.BALL.RADIUS;
-        
-        // Create ball object
-        this.ball = {
-            x: ballStartX - ballRadius,
-            y: ballStartY - ballRadius,
-            width: ballRadius * 2,
-            height: ballRadius * 2,
-            velocity: { x: 0, y: 0 },
-            radius: ballRadius
-        };
+        // Create ball object (starts centered, 30% down the field)
+        this.ball = PhysicsCore.createBall(this.physicsField);
+        const ballStartX = this.ball.x + this.ball.radius;
+        const ballStartY = this.ball.y + this.ball.radius;
         
         // Create ball sprite using the Ball 01.png image
         this.ballSprite = this.add.image(ballStartX, ballStartY, 'ball');
@@ -538,27 +617,10 @@ class GameScene extends Phaser.Scene {
     }
     
     createGoalAreas() {
-        const groundY = this.gameHeight - this.bottomGap;
-        const goalWidth = 80;  // Reduced for better screen fit
-        const goalHeight = 180; // Reduced for better screen fit
-        
-        // Left goal area (Player 2 scores here)
-        this.leftGoal = {
-            x: 0,
-            y: groundY - goalHeight,
-            width: goalWidth,
-            height: goalHeight,
-            team: 'player2' // Player 2 scores when ball enters left goal
-        };
-        
-        // Right goal area (Player 1 scores here)
-        this.rightGoal = {
-            x: this.gameWidth - goalWidth,
-            y: groundY - goalHeight,
-            width: goalWidth,
-            height: goalHeight,
-            team: 'player1' // Player 1 scores when ball enters right goal
-        };
+        // Goal areas come from the shared physics field (sized by the stadium)
+        // Left goal: Player 2 scores here. Right goal: Player 1 scores here.
+        this.leftGoal = this.physicsField.leftGoal;
+        this.rightGoal = this.physicsField.rightGoal;
         
         // Goal area visual indicators removed for cleaner appearance
         
@@ -566,15 +628,32 @@ class GameScene extends Phaser.Scene {
     }
     
     setupInput() {
-        this.cursors = this.input.keyboard.createCursorKeys();
-        this.keys = this.input.keyboard.addKeys({
-            'W': Phaser.Input.Keyboard.KeyCodes.W,
-            'A': Phaser.Input.Keyboard.KeyCodes.A,
-            'S': Phaser.Input.Keyboard.KeyCodes.S,
-            'D': Phaser.Input.Keyboard.KeyCodes.D,
-            'R': Phaser.Input.Keyboard.KeyCodes.R,
-            'P': Phaser.Input.Keyboard.KeyCodes.P
-        });
+        this.inputHandler = new InputHandler();
+        this.inputHandler.attach(this);
+        this.inputHandler.gamepads.addListener(() => this.refreshAIControl());
+    }
+    
+    // A gamepad assigned to Player 1 takes that side over from the AI
+    refreshAIControl() {
+        if (this.isMultiplayer || !this.ai) return;
+        
+        const padControlsPlayer1 = !!this.inputHandler.gamepads.getPad('player1');
+        if (this.aiEnabled === padControlsPlayer1) {
+            this.aiEnabled = !padControlsPlayer1;
+            console.log(this.aiEnabled ? '🤖 AI controls Player 1' : '🎮 Gamepad controls Player 1');
+        }
+    }
+    
+    // Online matches read the Player 2 layout for whichever side is local
+    getLocalInput() {
+        return this.inputHandler.getInput('player2');
+    }
+    
+    // Show the local player's power charge on the touch power button
+    updateTouchControls() {
+        if (!this.powers) return;
+        const playerKey = this.isMultiplayer && this.playerNumber === 1 ? 'player1' : 'player2';
+        this.inputHandler.touch.showPowerCharge(this.powers[playerKey]);
     }
     
     createDebugText() {
@@ -586,12 +665,6 @@ class GameScene extends Phaser.Scene {
     }
     
     update(time, delta) {
-        this.frameCount++;
-        
-        // Phase 3.5: Delta time normalization
-        const targetDelta = 1000 / 60; // 16.67ms for 60fps
-        const deltaRatio = Math.min(delta / targetDelta, 2); // Cap at 2x to prevent huge jumps
-        
         // Phase 3.5: Skip physics updates until multiplayer is fully initialized
         if (this.isMultiplayer && !this.multiplayerInitialized) {
             // Only update visuals, skip physics
@@ -617,48 +690,78 @@ class GameScene extends Phaser.Scene {
         }
         
         // Handle pause toggle
-        if (Phaser.Input.Keyboard.JustDown(this.keys.P)) {
+        this.inputHandler.poll();
+        this.updateTouchControls();
+        if (this.inputHandler.justDown('general', 'pause')) {
             this.togglePause();
         }
         
+        this.updateKickoffCountdown();
+        
         // Only update game if not paused and game is playing
         if (!this.isPaused && this.gameState === 'playing') {
-            // Update AI for Player 1
-            if (this.aiEnabled) {
-                this.updateAI(time);
+            // Run physics in fixed 60Hz ticks so every browser (and the server) steps identically
+            const ticks = PhysicsCore.consumeTicks(this.physicsClock, delta);
+            for (let i = 0; i < ticks && this.gameState === 'playing'; i++) {
+                this.fixedUpdate(time);
             }
             
-            // Update player physics
-            this.updatePlayer(this.player1, this.player1Sprite, 'left', deltaRatio);
-            this.updatePlayer(this.player2, this.player2Sprite, 'right', deltaRatio);
-            
             // Send movement updates in multiplayer mode
             if (this.isMultiplayer && this.multiplayerGame) {
                 this.sendMovementUpdates();
-                // DISABLED: Ball sync removed for single-player physics replication
-                // this.sendBallUpdates();
+                
+                // The client that owns the ball sends it; the other follows and claims it when due
+                this.updateBallAuthority();
                 
                 // Phase 3: Update remote player interpolation
                 this.updateRemotePlayerInterpolation();
             }
-            
-            // Update ball physics
-            this.updateBall();
-            
-            // Check collisions
-            this.checkCollisions();
-            
-            // Check for goals
-            this.checkGoals();
         }
         
         // Handle full game reset (works even when paused)
-        if (Phaser.Input.Keyboard.JustDown(this.keys.R)) {
+        if (this.inputHandler.justDown('general', 'reset')) {
             this.resetGame();
         }
     }
     
-    updatePlayer(player, sprite, side, deltaRatio = 1) {
+    // One fixed physics tick (PhysicsCore.TICK_MS)
+    fixedUpdate(time) {
+        this.frameCount++;
+        this.replayInputs = { player1: null, player2: null };
+        
+        // Update AI for Player 1
+        if (this.aiEnabled) {
+            this.updateAI(time);
+        }
+        
+        // Charge power bars and tick power effects
+        this.updatePowers();
+        
+        // Update player physics
+        this.updatePlayer(this.player1, this.player1Sprite, 'left');
+        this.updatePlayer(this.player2, this.player2Sprite, 'right');
+        this.updatePlayerContact();
+        this.drawKickMeters();
+        
+        // Update ball physics
+        this.updateBall();
+        
+        // Check collisions
+        this.checkCollisions();
+        
+        // Check for goals
+        this.checkGoals();
+        
+        // Time the current penalty kick
+        if (this.matchPhase === 'penalties') {
+            this.updatePenaltyKick();
+        }
+        
+        // Capture this tick for the replay
+        this.replayRecorder.recordTick(this, this.replayInputs);
+    }
+    
+    updatePlayer(player, sprite, side) {
         if (!player) return;
         
         // Phase 3.5: Check if this is a remote player
@@ -681,7 +784,7 @@ class GameScene extends Phaser.Scene {
         }
         
         // Get input based on player side
-        let moveLeft, moveRight, jump, kick;
+        let moveLeft, moveRight, jump, kick, lob, block, power = false;
         
         if (this.isMultiplayer) {
             // In multiplayer mode, each player controls their own character
@@ -691,10 +794,7 @@ class GameScene extends Phaser.Scene {
             
             if (isLocalPlayer) {
                 // This client controls this player directly
-                moveLeft = this.cursors.left.isDown;
-                moveRight = this.cursors.right.isDown;
-                jump = this.cursors.up.isDown;
-                kick = this.cursors.down.isDown;
+                ({ moveLeft, moveRight, jump, kick, lob, block, power } = this.getLocalInput());
             } else {
                 // Other player controlled by network input
                 if (this.opponentInput && this.opponentInput.side === side) {
@@ -702,6 +802,8 @@ class GameScene extends Phaser.Scene {
                     moveRight = this.opponentInput.moveRight;
                     jump = this.opponentInput.jump;
                     kick = this.opponentInput.kick;
+                    lob = this.opponentInput.lob;
+                    block = this.opponentInput.block;
                     // Clear opponent input after use to prevent sticking
                     this.opponentInput = null;
                 } else {
@@ -709,6 +811,8 @@ class GameScene extends Phaser.Scene {
                     moveRight = false;
                     jump = false;
                     kick = false;
+                    lob = false;
+                    block = false;
                 }
             }
         } else {
@@ -717,32 +821,31 @@ class GameScene extends Phaser.Scene {
                 // Player 1 controls (AI or WASD)
                 if (this.aiEnabled) {
                     // Use AI decisions with movement threshold
-                    const playerCenterX = player.x + player.width / 2;
-                    const distanceToTarget = Math.abs(this.ai.targetX - playerCenterX);
-                    const movementThreshold = 10; // Minimum distance before moving
-                    
-                    moveLeft = this.ai.targetX < playerCenterX - movementThreshold;
-                    moveRight = this.ai.targetX > playerCenterX + movementThreshold;
-                    jump = this.ai.shouldJump;
-                    kick = this.ai.shouldKick;
+                    ({ moveLeft, moveRight, jump, kick, lob, block, power } = AIController.getInput(this.ai, this.getAIView()));
                 } else {
-                    // Human controls (WASD)
-                    moveLeft = this.keys.A.isDown;
-                    moveRight = this.keys.D.isDown;
-                    jump = this.keys.W.isDown;
-                    kick = this.keys.S.isDown;
+                    // Human controls (WASD + E by default)
+                    ({ moveLeft, moveRight, jump, kick, lob, block, power } = this.inputHandler.getInput('player1'));
                 }
             } else {
-                // Player 2 controls (Arrows)
-                moveLeft = this.cursors.left.isDown;
-                moveRight = this.cursors.right.isDown;
-                jump = this.cursors.up.isDown;
-                kick = this.cursors.down.isDown;
+                // Player 2 controls (Arrows + Space by default)
+                ({ moveLeft, moveRight, jump, kick, lob, block, power } = this.inputHandler.getInput('player2'));
             }
         }
         
-        // Store kick state on player for collision detection
-        player.isKicking = kick;
+        // Frozen players can't act until the freeze wears off, and nobody acts before kickoff
+        const playerKey = side === 'left' ? 'player1' : 'player2';
+        if (this.isPlayerFrozen(playerKey) || this.isBeforeKickoff()) {
+            moveLeft = moveRight = jump = kick = lob = block = power = false;
+            player.velocity.x = 0;
+        }
+        
+        // Resolved input for this tick (remote players are captured as positions only)
+        this.replayInputs[playerKey] = { moveLeft, moveRight, jump, kick, lob, block, power };
+        
+        // Activate character power (ignored until the bar is full)
+        if (power && this.tryActivatePower(playerKey) && side === 'left' && this.aiEnabled) {
+            this.ai.shouldUsePower = false;
+        }
         
         // Phase 2: Client-Side Prediction - Capture input for local player
         if (this.isMultiplayer && this.multiplayerGame) {
@@ -758,6 +861,8 @@ class GameScene extends Phaser.Scene {
                     moveRight,
                     jump,
                     kick,
+                    lob,
+                    block,
                     side,
                     // Store current state before applying input
                     stateBefore: {
@@ -772,69 +877,46 @@ class GameScene extends Phaser.Scene {
                 // Add to input buffer
                 this.addInputToBuffer(inputData);
                 
-                // Send input data to server (if any input is active)
-                if (moveLeft || moveRight || jump || kick) {
+                // Send input to the server tagged with its tick - when it changes, as the
+                // server holds an input until the next one
+                const buttons = { moveLeft, moveRight, jump, kick, lob, block };
+                const lastSent = this.lastSentInput;
+                const changed = !lastSent || Object.keys(buttons).some(key => buttons[key] !== lastSent.buttons[key]);
+                if (changed || inputData.frameNumber - lastSent.tick >= this.inputResendTicks) {
+                    this.lastSentInput = { tick: inputData.frameNumber, buttons };
                     this.multiplayerGame.sendPlayerInput({
-                        moveLeft,
-                        moveRight,
-                        jump,
-                        kick,
+                        ...buttons,
                         side,
-                        timestamp: inputData.timestamp,
-                        frameNumber: inputData.frameNumber
+                        tick: inputData.frameNumber,
+                        timestamp: inputData.timestamp
                     });
                 }
             }
         }
         
-        // Trigger kick animation on button press (not collision)
+        // Flag kick presses for the next movement update
         if (side === 'left') {
             if (kick && !this.player1PrevKick) {
-                // Kick button just pressed
-                this.triggerKickAnimation('left');
                 this.player1KickPressed = true; // Mark for network update
             }
             this.player1PrevKick = kick;
         } else {
             if (kick && !this.player2PrevKick) {
-                // Kick button just pressed
-                this.triggerKickAnimation('right');
                 this.player2KickPressed = true; // Mark for network update
             }
             this.player2PrevKick = kick;
         }
         
-        // Apply gravity (from Character.js)
-        // Phase 3.5: Use delta ratio for consistent physics across browsers
-        player.velocity.y += PHYSICS_CONSTANTS.PLAYER.GRAVITY;
-        
-        // Horizontal movement (from Character.js)
-        if (moveLeft) {
-            player.velocity.x = -PHYSICS_CONSTANTS.PLAYER.MOVE_SPEED;
-        } else if (moveRight) {
-            player.velocity.x = PHYSICS_CONSTANTS.PLAYER.MOVE_SPEED;
-        } else {
-            // Apply friction
-            player.velocity.x *= PHYSICS_CONSTANTS.PLAYER.FRICTION;
-        }
-        
-        // Check if on ground
-        // Phase 3.5: Use unified ground calculation
-        player.onGround = player.y >= this.getGroundY() - PHYSICS_CONSTANTS.PLAYER.GROUND_THRESHOLD;
+        // Step player physics (gravity, movement, jump, ground, kick charge, blocking) - shared with server
+        const wasCharging = player.kickCharge > 0;
+        PhysicsCore.stepPlayer(player, { moveLeft, moveRight, jump, kick, lob, block }, this.physicsField);
         
-        // Jump (from Character.js)
-        if (jump && player.onGround) {
-            player.velocity.y = -PHYSICS_CONSTANTS.PLAYER.JUMP_HEIGHT;
-            player.onGround = false;
+        // Kick released - swing the cleat (a kick that meets the ball is re-animated
+        // as its final type in handleBallPlayerCollision)
+        if (wasCharging && player.kickCharge === 0) {
+            this.triggerKickAnimation(side, player.kickLob ? 'lob' : 'shot', player.kickPower);
         }
         
-        // Apply velocity
-        player.x += player.velocity.x;
-        player.y += player.velocity.y;
-        
-        // Constrain to game area
-        this.constrainPlayerToGameArea(player);
-        
         // Update sprite position
         sprite.x = player.x + player.width / 2;
         sprite.y = player.y + player.height / 4; // Moved up from height/2
@@ -845,31 +927,66 @@ class GameScene extends Phaser.Scene {
         } else if (side === 'right' && this.player2Foot) {
             this.updateCleatPosition(this.player2Foot, player, this.player2KickAnimation, 'right');
         }
+    }
+    
+    // Pushes, blocks and head landings between the players, once both have moved
+    updatePlayerContact() {
+        if (!this.player1 || !this.player2) return;
+        
+        const players = [this.player1, this.player2];
+        const before = players.map(player => ({ x: player.x, y: player.y }));
         
-        // Update kick cooldown
-        if (player.kickCooldown > 0) {
-            player.kickCooldown--;
+        // A remote player is placed from the network - only ours gets moved
+        const fixed = this.isRemotePlayer(1) ? this.player1 : (this.isRemotePlayer(2) ? this.player2 : null);
+        const contact = PhysicsCore.collidePlayers(this.player1, this.player2, this.physicsField, fixed);
+        if (!contact) return;
+        
+        [[this.player1Sprite, this.player1Foot], [this.player2Sprite, this.player2Foot]].forEach(([sprite, foot], index) => {
+            const player = players[index];
+            const opponent = players[1 - index];
+            const dx = player.x - before[index].x;
+            const dy = player.y - before[index].y;
+            if (dx === 0 && dy === 0) return;
+            
+            // Keep the head and cleat on the body
+            [sprite, foot].forEach(object => {
+                if (!object) return;
+                object.x += dx;
+                object.y += dy;
+            });
+            
+            // The server accepts the extra distance when it can see the opponent was there
+            this.playerContacts[`player${index + 1}`] = {
+                type: contact.type,
+                opponentPosition: { x: opponent.x, y: opponent.y },
+                headScale: player.headScale,
+                opponentHeadScale: opponent.headScale
+            };
+        });
+        
+        if (contact.type === 'head_landing') {
+            this.recordReplayEvent('head_landing', { playerKey: contact.player === this.player1 ? 'player1' : 'player2' });
         }
     }
     
+    // Contact to report with a movement update (cleared once sent)
+    takePlayerContact(playerNumber) {
+        const playerKey = `player${playerNumber}`;
+        const contact = this.playerContacts[playerKey];
+        this.playerContacts[playerKey] = null;
+        return contact || undefined; // Left out of the message when there was none
+    }
+    
     updateBall() {
         if (!this.ball) return;
         
-        // REPLICATE SINGLE-PLAYER PHYSICS: Manual gravity exactly like gameplay.html
-        // Apply gravity (from Ball.js) - NO network interference
-        this.ball.velocity.y += PHYSICS_CONSTANTS.BALL.GRAVITY;
-        
-        // Apply velocity - Direct control like single-player
-        this.ball.x += this.ball.velocity.x;
-        this.ball.y += this.ball.velocity.y;
-        
-        // Update ball rotation based on velocity
-        // Ball rotates as it moves (angle in degrees)
-        const rotationSpeed = (this.ball.velocity.x / this.ball.radius) * 180 / Math.PI;
-        this.ball.angle = (this.ball.angle || 0) + rotationSpeed;
-        
-        // Constrain to game area
-        this.constrainBallToGameArea();
+        // Gravity, spin, bounce, woodwork and rotation from the shared physics core
+        // (where the ball was goes with a goal claim, see handleGoal)
+        this.ballPreviousPosition = { x: this.ball.x, y: this.ball.y };
+        const woodwork = PhysicsCore.stepBall(this.ball, this.physicsField);
+        if (woodwork) {
+            this.handleWoodwork(woodwork);
+        }
         
         // Update sprite position and rotation
         this.ballSprite.x = this.ball.x + this.ball.radius;
@@ -878,164 +995,152 @@ class GameScene extends Phaser.Scene {
     }
     
     constrainPlayerToGameArea(player) {
-        // Horizontal bounds
-        if (player.x < 0) {
-            player.x = 0;
-            player.velocity.x = 0;
-        } else if (player.x + player.width > this.gameWidth) {
-            player.x = this.gameWidth - player.width;
-            player.velocity.x = 0;
-        }
-        
-        // Ground collision
-        // Phase 3.5: Use unified ground calculation with snap tolerance
-        const groundY = this.getGroundY();
-        
-        // If within 10 pixels of ground and moving down, snap to ground
-        if (Math.abs(player.y - groundY) < 10 && player.velocity.y > 0) {
-            player.y = groundY;
-            player.velocity.y = 0;
-            player.onGround = true;
-        } else if (player.y > groundY) {
-            // Force to ground if below it
-            player.y = groundY;
-            player.velocity.y = 0;
-            player.onGround = true;
-        }
+        PhysicsCore.constrainPlayer(player, this.physicsField);
     }
     
     constrainBallToGameArea() {
-        const groundY = this.gameHeight - this.bottomGap;
-        const ballBottom = this.ball.y + this.ball.height;
-        const ballRight = this.ball.x + this.ball.width;
-        
-        // Ground collision (from Ball.js)
-        if (ballBottom > groundY) {
-            this.ball.y = groundY - this.ball.height;
-            this.ball.velocity.y *= -PHYSICS_CONSTANTS.BALL.BOUNCE;
-        }
-        
-        // Wall collisions
-        if (this.ball.x < 0 || ballRight > this.gameWidth) {
-            this.ball.x = this.ball.x < 0 ? 0 : this.gameWidth - this.ball.width;
-            this.ball.velocity.x *= -PHYSICS_CONSTANTS.BALL.BOUNCE;
+        const woodwork = PhysicsCore.constrainBall(this.ball, this.physicsField);
+        if (woodwork) {
+            this.handleWoodwork(woodwork);
         }
     }
     
-    checkCollisions() {
-        // Check ball-player collisions
-        if (PHYSICS_CONSTANTS.UTILS.isCollide(this.ball, this.player1)) {
-            this.handleBallPlayerCollision(this.player1, 'left');
+    // Ball hit the crossbar or a post - count it for whoever touched the ball last
+    handleWoodwork(woodwork) {
+        const playerKey = woodwork.lastTouch === 'right' ? 'player2' : 'player1';
+        if (woodwork.lastTouch) {
+            this.woodwork[playerKey]++;
         }
         
-        if (PHYSICS_CONSTANTS.UTILS.isCollide(this.ball, this.player2)) {
-            this.handleBallPlayerCollision(this.player2, 'right');
-        }
+        this.recordReplayEvent('woodwork', {
+            part: woodwork.part,
+            side: woodwork.side,
+            player: woodwork.lastTouch ? playerKey : null
+        });
+        
+        // One call per rattle - the ball often hits the bar more than once
+        if (this.frameCount - this.lastWoodworkFrame < 60) return;
+        this.lastWoodworkFrame = this.frameCount;
+        
+        console.log(`🥅 Woodwork: ${woodwork.part} (${woodwork.side} goal) by ${woodwork.lastTouch ? playerKey : 'nobody'}`);
+        this.showPhaseBanner(woodwork.part === 'crossbar' ? 'OFF THE CROSSBAR!' : 'OFF THE POST!', null);
+    }
+    
+    checkCollisions() {
+        // Check ball-player collisions (body or top of the head) - the player
+        // nearer the ball goes last so their touch decides a contested ball
+        const players = { player1: this.player1, player2: this.player2 };
+        PhysicsCore.getContactOrder(this.ball, players, this.physicsRng).forEach(playerKey => {
+            if (PhysicsCore.isBallTouchingPlayer(this.ball, players[playerKey])) {
+                this.handleBallPlayerCollision(players[playerKey], playerKey === 'player1' ? 'left' : 'right');
+            }
+        });
     }
     
     handleBallPlayerCollision(player, side) {
-        const playerKey = side === 'left' ? 'player1' : 'player2';
-        const framesSinceLastCollision = this.frameCount - this.lastCollisionFrame[playerKey];
+        // Kick / momentum / push resolution lives in the shared physics core
+        const contact = PhysicsCore.collideBallWithPlayer(this.ball, player, side, this.frameCount, this.physicsRng, this.physicsField);
+        if (!contact) return;
         
-        // Prevent multiple collisions in consecutive frames
-        if (framesSinceLastCollision < 3) {
-            console.log(`${side} player collision ignored - too soon (${framesSinceLastCollision} frames ago)`);
+        if (contact.type === 'ignored') {
+            console.log(`${side} player collision ignored (${contact.reason})`);
             return;
         }
         
-        console.log(`Ball collision with ${side} player - isKicking: ${player.isKicking}, cooldown: ${player.kickCooldown}`);
-        
-        if (player.kickCooldown > 0) {
-            console.log(`${side} player kick blocked by cooldown:`, player.kickCooldown);
-            return;
+        // Our touch takes the ball (or keeps it) in multiplayer
+        if (this.isMultiplayer && side === this.getLocalSide()) {
+            this.claimBall('contact');
         }
         
-        // Update last collision frame
-        this.lastCollisionFrame[playerKey] = this.frameCount;
+        // Spin comes from where the ball was struck and how the player was moving;
+        // it curves the flight, changes the next bounce and turns the sprite (updateBall)
+        console.log(`Ball ${contact.type} by ${side} player with force ${contact.force.toFixed(1)}, spin ${contact.spin.toFixed(1)} - velocity:`, {
+            x: this.ball.velocity.x.toFixed(1),
+            y: this.ball.velocity.y.toFixed(1)
+        });
         
-        // Calculate direction - always away from player
-        const directionX = this.ball.x - player.x;
-        const directionY = this.ball.y - player.y;
+        if (contact.type === 'kick') {
+            this.handleKick(side, contact);
+        }
+    }
+    
+    // Shot, lob or volley struck (locally or by the opponent over the network)
+    handleKick(side, kick) {
+        const playerKey = side === 'left' ? 'player1' : 'player2';
+        const playerNumber = side === 'left' ? 1 : 2;
         
-        // Normalize the direction
-        const magnitude = Math.sqrt(directionX * directionX + directionY * directionY);
-        const normalizedX = directionX / magnitude;
-        const normalizedY = directionY / magnitude;
+        this.triggerKickAnimation(side, kick.kick, kick.power);
+        this.showKickLabel(playerKey, kick);
+        this.recordReplayEvent('kick', {
+            playerKey,
+            kick: kick.kick,
+            power: Math.round(kick.power * 100)
+        });
         
-        // Calculate player momentum impact
-        const playerSpeedX = Math.abs(player.velocity.x);
-        const playerSpeedY = Math.abs(player.velocity.y);
-        const isJumping = player.velocity.y < -2; // Player moving upward significantly
-        const isMovingFast = playerSpeedX > 3; // Player moving horizontally fast
+        // Our kicks are sent with their power and direction so the opponent's
+        // simulation launches the ball the same way (see handleOpponentAction)
+        if (this.isMultiplayer && this.multiplayerGame && !this.isRemotePlayer(playerNumber)) {
+            this.multiplayerGame.sendPlayerAction({
+                playerNumber,
+                action: 'kick',
+                kickType: kick.kick,
+                power: Math.round(kick.power * 100),
+                direction: Math.round(kick.direction),
+                timestamp: Date.now()
+            });
+        }
+    }
+    
+    handleOpponentAction(actionData) {
+        // Handle kicks from the opponent via network
+        if (!this.isMultiplayer || !actionData || actionData.action !== 'kick') return;
         
-        if (player.isKicking) {
-            // ACTIVE KICK - Ball flies high
-            const forceMagnitude = PHYSICS_CONSTANTS.UTILS.random(
-                PHYSICS_CONSTANTS.KICK.FORCE_MIN, 
-                PHYSICS_CONSTANTS.KICK.FORCE_MAX
-            );
-            
-            // Apply strong force with very high upward component
-            this.ball.velocity.x = normalizedX * forceMagnitude * 0.8;
-            this.ball.velocity.y = Math.min(normalizedY * forceMagnitude, -forceMagnitude * 0.9);
-            
-            // Add player momentum to kick
-            this.ball.velocity.x += player.velocity.x * 0.5;
-            this.ball.velocity.y += player.velocity.y * 0.3;
-            
-            console.log(`Ball KICKED by ${side} player with force ${forceMagnitude.toFixed(1)} - velocity:`, {x: this.ball.velocity.x.toFixed(1), y: this.ball.velocity.y.toFixed(1)});
-        } else if (isJumping || isMovingFast) {
-            // DYNAMIC COLLISION - Player has momentum
-            const momentumForce = Math.min(playerSpeedX + playerSpeedY, 15);
-            const baseForce = Math.max(7, momentumForce);
-            
-            // Transfer player momentum to ball
-            this.ball.velocity.x = normalizedX * baseForce + player.velocity.x * 0.7;
-            
-            if (isJumping) {
-                // Jumping collision - transfer vertical momentum
-                this.ball.velocity.y = Math.min(normalizedY * baseForce + player.velocity.y * 0.6, -8);
-            } else {
-                // Fast horizontal movement
-                this.ball.velocity.y = Math.min(this.ball.velocity.y, -4);
-            }
-            
-            console.log(`Ball hit by ${side} player with momentum (jumping: ${isJumping}, fast: ${isMovingFast}):`, this.ball.velocity);
-        } else {
-            // PASSIVE COLLISION - Ball rolls forward with moderate pace
-            const pushForce = 7;
-            
-            this.ball.velocity.x = normalizedX * pushForce;
-            this.ball.velocity.y = Math.min(this.ball.velocity.y, -2);
-            
-            console.log(`Ball PASSIVELY pushed by ${side} player collision - velocity:`, {x: this.ball.velocity.x.toFixed(1), y: this.ball.velocity.y.toFixed(1)});
+        const player = this[`player${actionData.playerNumber}`];
+        if (!this.isRemotePlayer(actionData.playerNumber) || !player || !this.ball) {
+            console.warn('👟 Ignoring player action:', actionData);
+            return;
         }
         
-        // Ensure ball moves forward based on which player touched it
-        if (side === 'left') {
-            this.ball.velocity.x = Math.abs(this.ball.velocity.x);
+        console.log('👟 Received opponent kick:', actionData);
+        const side = actionData.playerNumber === 1 ? 'left' : 'right';
+        const kick = {
+            type: actionData.kickType || 'shot',
+            power: (actionData.power || 0) / 100,
+            direction: actionData.direction
+        };
+        
+        // Only launch our ball if it is still within reach of the kicker here;
+        // otherwise just show the swing
+        if (PhysicsCore.isBallInKickReach(this.ball, player)) {
+            const result = PhysicsCore.kickBall(this.ball, player, side, kick, this.physicsField);
+            this.ball.lastTouch = side;
+            player.lastCollisionTick = this.frameCount; // Don't push the ball straight back
+            this.handleKick(side, result);
         } else {
-            this.ball.velocity.x = -Math.abs(this.ball.velocity.x);
+            this.triggerKickAnimation(side, kick.type, kick.power);
         }
-        
-        // Set cooldown
-        player.kickCooldown = PHYSICS_CONSTANTS.KICK.COOLDOWN;
     }
     
-    triggerKickAnimation(side) {
-        if (side === 'left') {
-            this.player1KickAnimation.active = true;
-            this.player1KickAnimation.timer = 0;
-        } else {
-            this.player2KickAnimation.active = true;
-            this.player2KickAnimation.timer = 0;
-        }
+    /**
+     * Start a cleat swing
+     * @param {string} side - 'left' or 'right'
+     * @param {string} [type] - 'shot', 'lob' or 'volley'
+     * @param {number} [power] - Kick charge 0-1
+     */
+    triggerKickAnimation(side, type = 'shot', power = 0) {
+        const animation = side === 'left' ? this.player1KickAnimation : this.player2KickAnimation;
+        animation.active = true;
+        animation.timer = 0;
+        animation.type = type;
+        animation.power = power;
     }
     
     updateCleatPosition(cleat, player, kickAnimation, side) {
         // Base cleat position
         let cleatX = player.x + player.width / 2;
         let cleatY = player.y + player.height - 5; // Moved above bottom line
+        let cleatAngle = 0; // Degrees, negative lifts the toe
+        const forward = side === 'left' ? 1 : -1;
         
         // Handle kick animation
         if (kickAnimation.active) {
@@ -1049,24 +1154,41 @@ class GameScene extends Phaser.Scene {
                 kickAnimation.active = false;
                 kickAnimation.timer = 0;
             } else {
-                // Apply kick animation offset
-                // Cleat moves forward during kick
-                const kickOffset = Math.sin(progress * Math.PI) * 20; // Max 20 pixels forward
+                const swing = Math.sin(progress * Math.PI);
                 
-                if (side === 'left') {
-                    cleatX += kickOffset; // Move right (forward for left player)
-                } else {
-                    cleatX -= kickOffset; // Move left (forward for right player)
+                switch (kickAnimation.type) {
+                    case 'lob':
+                        // Scoop - toe digs under the ball and flicks it up
+                        cleatX += forward * swing * 14;
+                        cleatY += 4 * (1 - swing) - swing * 18;
+                        cleatAngle = -swing * 35;
+                        break;
+                        
+                    case 'volley':
+                        // High strike - the leg comes up to meet the ball in the air
+                        cleatX += forward * swing * 26;
+                        cleatY -= swing * 30;
+                        cleatAngle = swing * 20;
+                        break;
+                        
+                    default:
+                        // Shot - forward swing, longer the harder it was charged
+                        cleatX += forward * swing * (20 + 12 * kickAnimation.power);
+                        cleatY -= swing * 8;
+                        cleatAngle = swing * 10 * kickAnimation.power;
                 }
-                
-                // Slight upward movement during kick
-                cleatY -= Math.sin(progress * Math.PI) * 8; // Max 8 pixels up
             }
+        } else if (player.kickCharge > 0) {
+            // Charging - wind the foot back, further the longer it's held
+            cleatX -= forward * player.kickPower * 14;
+            cleatY -= player.kickPower * 6;
+            cleatAngle = (player.kickLob ? -20 : 15) * player.kickPower;
         }
         
         // Update cleat position
         cleat.x = cleatX;
         cleat.y = cleatY;
+        cleat.angle = cleatAngle * forward;
     }
     
     checkGoals() {
@@ -1078,18 +1200,18 @@ class GameScene extends Phaser.Scene {
             return; // Skip goal detection during cooldown
         }
         
-        // Check left goal (Player 2 scores)
-        if (PHYSICS_CONSTANTS.UTILS.isCollide(this.ball, this.leftGoal)) {
-            this.handleGoal('player2');
-            this.goalCooldown = this.goalCooldownDuration; // Start cooldown
-            return;
-        }
-        
-        // Check right goal (Player 1 scores)  
-        if (PHYSICS_CONSTANTS.UTILS.isCollide(this.ball, this.rightGoal)) {
-            this.handleGoal('player1');
+        // Left goal -> player2 scores, right goal -> player1 scores
+        const scoringPlayer = PhysicsCore.detectGoal(this.ball, this.physicsField);
+        if (scoringPlayer) {
+            if (this.matchPhase === 'penalties') {
+                // Only the shooter's goal counts, and only once per kick
+                if (this.penaltyKick && this.penaltyKick.scored === null) {
+                    this.resolvePenaltyKick(scoringPlayer === this.penaltyKick.shooterKey);
+                }
+            } else {
+                this.handleGoal(scoringPlayer);
+            }
             this.goalCooldown = this.goalCooldownDuration; // Start cooldown
-            return;
         }
     }
     
@@ -1102,21 +1224,21 @@ class GameScene extends Phaser.Scene {
         }
         
         if (this.isMultiplayer && this.multiplayerGame) {
-            // MULTIPLAYER: Send goal event to server, let server handle score updates
-            console.log('🎯 MULTIPLAYER: Sending goal event to server for', scoringPlayer);
-            
-            // Calculate what the new score should be (don't update locally yet)
-            const newScores = {
-                player1: this.score.player1 + (scoringPlayer === 'player1' ? 1 : 0),
-                player2: this.score.player2 + (scoringPlayer === 'player2' ? 1 : 0)
-            };
+            // MULTIPLAYER: The server decides goals - claim this one and wait for goal_confirmed.
+            // Only the ball owner's goals count there, this client's ball is a copy otherwise
+            if (!this.ownsBall()) return;
+            console.log('🎯 MULTIPLAYER: Claiming goal for', scoringPlayer);
             
-            // Send goal event to server - server will broadcast back with score update
-            this.multiplayerGame.sendGoalScored(scoringPlayer, newScores.player1, newScores.player2);
+            this.multiplayerGame.sendGoalScored({
+                scoringPlayer,
+                ballPosition: { x: this.ball.x, y: this.ball.y },
+                previousBallPosition: this.ballPreviousPosition,
+                lastTouch: this.ball.lastTouch
+            });
             
-            // Don't update score locally - wait for server response
-            // Don't reset positions locally - wait for server response
-            console.log('🎯 Goal event sent to server, waiting for synchronized response');
+            // Don't update score, celebrate or reset positions locally - the
+            // server may reject the claim
+            console.log('🎯 Goal claim sent to server, waiting for goal_confirmed');
             
         } else {
             // SINGLE PLAYER: Handle everything locally
@@ -1125,21 +1247,38 @@ class GameScene extends Phaser.Scene {
             // Update score locally
             this.score[scoringPlayer]++;
             this.updateScoreDisplay();
+            this.recordReplayEvent('goal', { scorer: scoringPlayer, score: { ...this.score } });
+            
+            // Adaptive AI reacts to the new score margin
+            if (this.aiEnabled) {
+                this.updateAIDifficulty();
+            }
             
             // Reset positions immediately
             this.resetPositions();
             
             // Log the goal
             console.log(`Score: Player 1: ${this.score.player1} - Player 2: ${this.score.player2}`);
+            
+            this.celebrateGoal(scoringPlayer);
+            
+            // The first goal of golden-goal overtime wins the match, as does
+            // reaching the score limit
+            if (this.matchPhase === 'golden_goal' || this.hasReachedScoreLimit(scoringPlayer)) {
+                this.endGame(scoringPlayer);
+            }
         }
-        
-        // Trigger goal celebration (both modes)
-        this.celebrateGoal(scoringPlayer);
+    }
+    
+    hasReachedScoreLimit(playerKey) {
+        return this.rules.scoreLimit > 0 && this.score[playerKey] >= this.rules.scoreLimit;
     }
     
     initializeScore() {
         // Initialize score object
         this.score = { player1: 0, player2: 0 };
+        this.woodwork = { player1: 0, player2: 0 }; // Crossbar and post hits
+        this.lastWoodworkFrame = -Infinity;
         
         // Update the display
         this.updateScoreDisplay();
@@ -1165,7 +1304,7 @@ class GameScene extends Phaser.Scene {
         
         // Play goal sound
         if (window.soundManager) {
-            soundManager.playGoalSound();
+            soundManager.playGoalSound(this.effectsRandom);
         }
         
         // Display goal text image
@@ -1215,35 +1354,471 @@ class GameScene extends Phaser.Scene {
     }
     
     
-    // Called by HTML timer when time expires
+    // Goals, pauses and powers go into the replay timeline
+    recordReplayEvent(type, data = {}) {
+        if (this.replayRecorder) {
+            this.replayRecorder.recordEvent(this.frameCount, type, data);
+        }
+    }
+    
+    // Called by the single-player HTML timer when time expires (full time or the end of overtime)
     onTimeExpired() {
-        if (this.gameState === 'playing') {
-            // Determine winner by score
-            if (this.score.player1 > this.score.player2) {
-                this.endGame('player1');
-            } else if (this.score.player2 > this.score.player1) {
-                this.endGame('player2');
-            } else {
-                this.endGame('tie');
+        if (this.gameState !== 'playing') return;
+        
+        // Determine winner by score
+        if (this.score.player1 > this.score.player2) {
+            this.endGame('player1');
+            return;
+        }
+        if (this.score.player2 > this.score.player1) {
+            this.endGame('player2');
+            return;
+        }
+        
+        // Level: on to the next tie-breaker, or a tie when there are none left
+        const tieBreaker = TieBreakers.nextPhase(this.tieBreakers, this.matchPhase);
+        if (tieBreaker === 'golden_goal') {
+            this.startGoldenGoal();
+        } else if (tieBreaker === 'penalties') {
+            this.startPenalties();
+        } else {
+            this.endGame('tie');
+        }
+    }
+    
+    // Online, the server clock decides: its snapshots move a level match on to
+    // overtime or penalties, and it sends game_ended when the match is over
+    applyMatchPhase(phase) {
+        if (this.gameState !== 'playing' || phase === this.matchPhase) return;
+        
+        if (phase === 'golden_goal') {
+            this.startGoldenGoal();
+        } else if (phase === 'penalties') {
+            this.startPenalties();
+        }
+    }
+    
+    // ===== KICKOFF =====
+    
+    // Online: hold play until kickoff at a local time (the server's kickoff time
+    // less the measured clock offset), so both clients start at the same instant
+    startKickoffCountdown(kickoffAt) {
+        if (this.kickoffAt === kickoffAt) return;
+        
+        // A re-synced clock moves a running countdown without starting it over
+        if (this.kickoffAt === null || this.kickoffAt === Infinity) {
+            this.kickoffCount = null;
+        }
+        this.kickoffAt = kickoffAt;
+        console.log(`⏱️ Kickoff in ${Math.round(kickoffAt - Date.now())}ms`);
+    }
+    
+    isBeforeKickoff() {
+        return this.kickoffAt !== null && Date.now() < this.kickoffAt;
+    }
+    
+    // Count the last seconds down 3-2-1, then GO! and release the players
+    updateKickoffCountdown() {
+        if (this.kickoffAt === null) return;
+        
+        const remaining = this.kickoffAt - Date.now();
+        const count = remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+        if (count === this.kickoffCount || count > 3) return;
+        
+        if (this.kickoffCount === null && count > 0 && window.soundManager) {
+            soundManager.playCountdownSound();
+        }
+        this.kickoffCount = count;
+        this.showKickoffCount(count > 0 ? String(count) : 'GO!');
+        
+        if (count === 0) {
+            this.kickoffAt = null;
+        }
+    }
+    
+    showKickoffCount(text) {
+        if (!this.kickoffText) {
+            this.kickoffText = document.createElement('div');
+            this.kickoffText.style.position = 'absolute';
+            this.kickoffText.style.top = '40%';
+            this.kickoffText.style.left = '50%';
+            this.kickoffText.style.transform = 'translate(-50%, -50%)';
+            this.kickoffText.style.zIndex = '1000';
+            this.kickoffText.style.pointerEvents = 'none';
+            this.kickoffText.style.color = '#FFC107';
+            this.kickoffText.style.fontFamily = 'Arial, sans-serif';
+            this.kickoffText.style.fontSize = '96px';
+            this.kickoffText.style.fontWeight = 'bold';
+            this.kickoffText.style.textShadow = '3px 3px 6px rgba(0,0,0,0.8)';
+            document.body.appendChild(this.kickoffText);
+        }
+        
+        this.kickoffText.textContent = text;
+        
+        if (text === 'GO!') {
+            const kickoffText = this.kickoffText;
+            this.kickoffText = null;
+            setTimeout(() => {
+                if (kickoffText.parentNode) {
+                    kickoffText.parentNode.removeChild(kickoffText);
+                }
+            }, 800);
+        }
+    }
+    
+    // ===== BALL AUTHORITY =====
+    
+    getLocalSide() {
+        return this.playerNumber === 2 ? 'right' : 'left';
+    }
+    
+    // Does this client simulate the ball (always, outside multiplayer)
+    ownsBall() {
+        return !this.isMultiplayer || !this.ballAuthority || this.ballAuthority.owner === this.getLocalSide();
+    }
+    
+    /**
+     * Owner from the server (kickoff, accepted claim or failover). Older
+     * sequences are ignored - the messages can cross a newer one
+     * @param {object} data - { owner, sequence, reason, cause }
+     */
+    applyBallAuthority(data) {
+        if (!this.ballAuthority || !data || data.sequence < this.ballAuthority.sequence) return;
+        
+        const changed = data.sequence !== this.ballAuthority.sequence;
+        this.ballAuthority.owner = data.owner;
+        this.ballAuthority.sequence = data.sequence;
+        this.ballAuthority.reason = data.reason;
+        this.ballAuthority.lastTouch = data.reason === 'contact' ? { side: data.owner, at: Date.now() } : null;
+        this.pendingBallClaim = null;
+        
+        if (changed) {
+            console.log(`⚽ Ball owner: ${data.owner} (${data.cause || data.reason}, sequence ${data.sequence})${this.ownsBall() ? ' - simulating it here' : ''}`);
+        }
+    }
+    
+    // Claim the ball from the server, once per authority sequence
+    claimBall(reason) {
+        if (!this.multiplayerGame || !this.ballAuthority || this.isBeforeKickoff()) return;
+        
+        // The owner's touches only renew its hold on the ball
+        if (!this.ownsBall()) {
+            if (this.pendingBallClaim === this.ballAuthority.sequence || Date.now() < this.nextBallClaimAt) return;
+            this.pendingBallClaim = this.ballAuthority.sequence;
+        }
+        
+        this.multiplayerGame.claimBall({
+            sequence: this.ballAuthority.sequence,
+            reason
+        });
+    }
+    
+    // Our claim lost - take the owner and snap to the owner's ball
+    applyBallCorrection(correction) {
+        console.log(`⚽ Ball claim rejected (${correction.rejected}), owner is ${correction.owner}`);
+        this.applyBallAuthority(correction);
+        this.pendingBallClaim = null;
+        this.nextBallClaimAt = Date.now() + BallAuthority.DEFAULTS.touchHold;
+        
+        if (correction.ball && !this.ownsBall()) {
+            this.applyBallState(correction.ball, correction.ball.lastUpdate);
+        }
+    }
+    
+    updateBallAuthority() {
+        if (!this.ballAuthority || !this.ball || this.isBeforeKickoff()) return;
+        
+        if (this.ownsBall()) {
+            this.sendBallUpdates();
+            return;
+        }
+        
+        // A loose ball goes to whoever is clearly nearer
+        const players = { left: this.player1, right: this.player2 };
+        if (BallAuthority.getProximityClaim(this.ballAuthority, this.ball, players, Date.now()) === this.getLocalSide()) {
+            this.claimBall('proximity');
+        }
+    }
+    
+    /**
+     * Put our ball where the owner's was, stepped on by the time it took to
+     * get here (sentAt is on the server clock, see the clock sync)
+     * @param {object} state - { position, velocity, spin, angle (optional) }
+     * @param {number} [sentAt] - Server time the owner sent it
+     */
+    applyBallState(state, sentAt) {
+        if (!this.ball || !state.position || !state.velocity) return;
+        
+        this.ball.x = state.position.x;
+        this.ball.y = state.position.y;
+        this.ball.velocity.x = state.velocity.x;
+        this.ball.velocity.y = state.velocity.y;
+        this.ball.spin = state.spin || 0;
+        if (state.angle !== undefined) {
+            this.ball.angle = state.angle; // Snapshots leave the rotation to us
+        }
+        
+        if (sentAt) {
+            const serverNow = Date.now() + (this.multiplayerGame ? this.multiplayerGame.serverTimeOffset : 0);
+            const ticks = Math.round((serverNow - sentAt) * PhysicsCore.TICK_RATE / 1000);
+            for (let i = 0; i < Math.min(Math.max(ticks, 0), 15); i++) {
+                PhysicsCore.stepBall(this.ball, this.physicsField);
+            }
+        }
+        
+        this.ballSprite.x = this.ball.x + this.ball.radius;
+        this.ballSprite.y = this.ball.y + this.ball.radius;
+        this.ballSprite.angle = this.ball.angle;
+    }
+    
+    // ===== TIE-BREAKERS =====
+    
+    resetMatchPhase() {
+        this.matchPhase = 'regulation'; // 'regulation', 'golden_goal', 'penalties'
+        this.shootout = null;
+        this.penaltyKick = null;
+    }
+    
+    startGoldenGoal() {
+        console.log('⏱️ Level at full time - golden goal overtime');
+        this.matchPhase = 'golden_goal';
+        this.recordReplayEvent('tie_breaker', { phase: 'golden_goal' });
+        
+        this.resetPositions();
+        this.showPhaseBanner('GOLDEN GOAL', 'Next goal wins');
+        
+        if (window.startOvertimeTimer) {
+            window.startOvertimeTimer(this.rules.overtimeLimit);
+        }
+    }
+    
+    startPenalties() {
+        console.log('🥅 Still level - penalty shootout');
+        this.matchPhase = 'penalties';
+        this.shootout = TieBreakers.createShootout({ rounds: this.rules.penaltyRounds });
+        this.recordReplayEvent('tie_breaker', { phase: 'penalties' });
+        
+        this.showPhaseBanner('PENALTIES', `Best of ${this.rules.penaltyRounds}`);
+        this.updatePenaltyDisplay();
+        this.setupPenaltyKick();
+    }
+    
+    // Line up the next kick: ball on the spot in front of the keeper's goal,
+    // the shooter just behind it and the keeper on the goal line
+    setupPenaltyKick() {
+        this.resetPositions();
+        
+        const shooterSide = TieBreakers.getShooter(this.shootout);
+        const keeperSide = TieBreakers.otherSide(shooterSide);
+        const shooterKey = shooterSide === 'left' ? 'player1' : 'player2';
+        const keeperKey = keeperSide === 'left' ? 'player1' : 'player2';
+        const goal = keeperSide === 'left' ? this.physicsField.leftGoal : this.physicsField.rightGoal;
+        
+        const direction = keeperSide === 'left' ? -1 : 1; // Direction of the shot
+        const goalLineX = keeperSide === 'left' ? goal.x + goal.width : goal.x;
+        const spotX = goalLineX - direction * CONFIG.PENALTY_SPOT_DISTANCE;
+        
+        const shooter = this[shooterKey];
+        const keeper = this[keeperKey];
+        
+        this.ball.x = spotX - this.ball.radius;
+        this.ball.y = this.physicsField.groundY - this.ball.height;
+        this.ball.velocity = { x: 0, y: 0 };
+        this.ball.spin = 0;
+        
+        shooter.x = spotX - direction * 120 - shooter.width / 2;
+        keeper.x = keeperSide === 'left' ? goalLineX : goalLineX - keeper.width;
+        
+        this.penaltyKick = {
+            shooterKey,
+            keeperKey,
+            keeperSide,
+            direction,
+            goalLineX,
+            ticksLeft: Math.round(CONFIG.PENALTY_KICK_TIME * PhysicsCore.TICK_RATE),
+            scored: null // Set once the kick is decided
+        };
+        
+        console.log(`🥅 Penalty: ${shooterKey} shoots, ${keeperKey} in goal`);
+    }
+    
+    // One tick of the current kick: keep the keeper in the box and call a
+    // miss when time runs out or the ball is cleared past halfway
+    updatePenaltyKick() {
+        const kick = this.penaltyKick;
+        if (!kick) return;
+        
+        // Kick decided - short pause on the result before the next one
+        if (kick.scored !== null) {
+            kick.ticksLeft--;
+            if (kick.ticksLeft <= 0) {
+                this.setupPenaltyKick();
+            }
+            return;
+        }
+        
+        const keeper = this[kick.keeperKey];
+        if (kick.keeperSide === 'left') {
+            keeper.x = Math.min(keeper.x, kick.goalLineX + CONFIG.PENALTY_BOX_WIDTH);
+        } else {
+            keeper.x = Math.max(keeper.x, kick.goalLineX - CONFIG.PENALTY_BOX_WIDTH - keeper.width);
+        }
+        
+        const ballCenterX = this.ball.x + this.ball.radius;
+        const cleared = kick.direction > 0
+            ? ballCenterX < this.gameWidth / 2
+            : ballCenterX > this.gameWidth / 2;
+        
+        kick.ticksLeft--;
+        if (kick.ticksLeft <= 0 || cleared) {
+            this.resolvePenaltyKick(false);
+        }
+    }
+    
+    resolvePenaltyKick(scored) {
+        const kick = this.penaltyKick;
+        
+        // Online the server records the kick: the ball owner claims it once
+        // and both clients take the result from penalty_result
+        if (this.isMultiplayer && this.multiplayerGame) {
+            if (kick.claimed || !this.ownsBall()) return;
+            kick.claimed = true;
+            
+            const taken = this.shootout.kicks.left.length + this.shootout.kicks.right.length;
+            this.multiplayerGame.sendPenaltyTaken({
+                kick: taken,
+                scored,
+                ballPosition: { x: this.ball.x, y: this.ball.y },
+                previousBallPosition: this.ballPreviousPosition
+            }, (response) => {
+                // Rejected (a goal the server didn't see) - the kick goes on
+                if (!response.success && this.penaltyKick === kick) {
+                    kick.claimed = false;
+                }
+            });
+            return;
+        }
+        
+        this.showPenaltyResult(scored);
+    }
+    
+    // Penalty kick recorded by the server (its penalty_result). The kick count
+    // drops a result this client already has
+    applyPenaltyResult(data) {
+        const kick = this.penaltyKick;
+        const taken = this.shootout ? this.shootout.kicks.left.length + this.shootout.kicks.right.length : -1;
+        if (!kick || data.kick !== taken) return;
+        
+        this.showPenaltyResult(data.scored);
+    }
+    
+    // Record the current kick and show it - offline, a decided shootout ends
+    // the match here (online the server's game_ended does)
+    showPenaltyResult(scored) {
+        const kick = this.penaltyKick;
+        const result = TieBreakers.recordKick(this.shootout, scored);
+        
+        kick.scored = scored;
+        kick.ticksLeft = GameScene.PENALTY_RESULT_TICKS;
+        
+        this.recordReplayEvent('penalty', {
+            shooter: kick.shooterKey,
+            scored,
+            score: { player1: result.score.left, player2: result.score.right }
+        });
+        this.updatePenaltyDisplay();
+        
+        if (scored) {
+            this.celebrateGoal(kick.shooterKey);
+        } else {
+            this.showPhaseBanner('MISSED', `Round ${result.round}`);
+        }
+        
+        if (result.decided && !this.isMultiplayer) {
+            this.endGame(result.winner === 'left' ? 'player1' : 'player2');
+        }
+    }
+    
+    updatePenaltyDisplay() {
+        const score = TieBreakers.getShootoutScore(this.shootout);
+        if (window.showPenaltyScore) {
+            window.showPenaltyScore(score.left, score.right);
+        }
+    }
+    
+    // Short announcement in the middle of the field (overtime, penalties, misses)
+    showPhaseBanner(title, subtitle) {
+        const banner = document.createElement('div');
+        banner.style.position = 'absolute';
+        banner.style.top = '40%';
+        banner.style.left = '50%';
+        banner.style.transform = 'translate(-50%, -50%)';
+        banner.style.zIndex = '1000';
+        banner.style.pointerEvents = 'none';
+        banner.style.textAlign = 'center';
+        banner.style.color = 'white';
+        banner.style.fontFamily = 'Arial, sans-serif';
+        banner.style.textShadow = '3px 3px 6px rgba(0,0,0,0.8)';
+        
+        const heading = document.createElement('div');
+        heading.textContent = title;
+        heading.style.fontSize = '64px';
+        heading.style.fontWeight = 'bold';
+        heading.style.color = '#FFC107';
+        banner.appendChild(heading);
+        
+        if (subtitle) {
+            const detail = document.createElement('div');
+            detail.textContent = subtitle;
+            detail.style.fontSize = '28px';
+            banner.appendChild(detail);
+        }
+        
+        document.body.appendChild(banner);
+        
+        setTimeout(() => {
+            if (banner.parentNode) {
+                banner.parentNode.removeChild(banner);
             }
+        }, 2000);
+    }
+    
+    // How a finished match was settled, for the results screen
+    getDecidedByText() {
+        if (this.matchPhase === 'golden_goal') {
+            return 'Decided by Golden Goal';
+        }
+        if (this.matchPhase === 'penalties' && this.shootout) {
+            const score = TieBreakers.getShootoutScore(this.shootout);
+            return `Decided on Penalties (${score.left} - ${score.right})`;
         }
+        return null;
     }
     
     endGame(result) {
         console.log('Game ended:', result);
         this.gameState = 'ended';
+        this.pauseTimer(); // Golden goal and penalties end before the clock does
         
         // Stop player movement
         if (this.player1) this.player1.velocity = { x: 0, y: 0 };
         if (this.player2) this.player2.velocity = { x: 0, y: 0 };
         
-        // Send game end to multiplayer system for synchronization (if not already sent)
-        if (this.isMultiplayer && this.multiplayerGame && !this.gameEndSent) {
-            this.gameEndSent = true; // Prevent multiple sends
-            this.multiplayerGame.sendGameEnd(result);
+        // Finish the replay so it can be watched or saved from the game over screen
+        this.replayRecorder.stop(this, result);
+        
+        if (window.gameStateManager) {
+            window.gameStateManager.transition('results', {
+                result: {
+                    winner: result,
+                    score: { ...this.score },
+                    decidedBy: this.matchPhase,
+                    penalties: this.shootout ? TieBreakers.getShootoutScore(this.shootout) : null
+                }
+            });
         }
         
-        // Show game over screen
+        // Show game over screen (online, the server's game_ended got us here)
         this.showGameOverScreen(result);
     }
     
@@ -1302,6 +1877,30 @@ class GameScene extends Phaser.Scene {
         finalScore.style.fontSize = '24px';
         finalScore.style.marginBottom = '30px';
         
+        // Golden goal / penalties
+        let decidedByInfo = null;
+        const decidedByText = this.getDecidedByText();
+        if (decidedByText) {
+            decidedByInfo = document.createElement('p');
+            decidedByInfo.textContent = decidedByText;
+            decidedByInfo.style.fontSize = '20px';
+            decidedByInfo.style.color = '#FFC107';
+            decidedByInfo.style.marginTop = '-15px';
+            decidedByInfo.style.marginBottom = '30px';
+        }
+        
+        // AI difficulty (single player vs AI only)
+        let difficultyInfo = null;
+        if (!this.isMultiplayer && this.aiEnabled && this.ai) {
+            const profile = CONFIG.AI_PROFILES[this.ai.difficulty];
+            difficultyInfo = document.createElement('p');
+            difficultyInfo.textContent = `AI Difficulty: ${profile ? profile.NAME : this.ai.profileName}`;
+            difficultyInfo.style.fontSize = '20px';
+            difficultyInfo.style.color = '#cccccc';
+            difficultyInfo.style.marginTop = '-15px';
+            difficultyInfo.style.marginBottom = '30px';
+        }
+        
         // Buttons
         const buttonContainer = document.createElement('div');
         buttonContainer.style.display = 'flex';
@@ -1323,7 +1922,7 @@ class GameScene extends Phaser.Scene {
                 if (window.returnToMenu) {
                     window.returnToMenu();
                 } else {
-                    window.location.href = 'multiplayer-selection.html';
+                    window.gameStateManager.goTo('lobby');
                 }
             };
             
@@ -1354,21 +1953,70 @@ class GameScene extends Phaser.Scene {
             menuBtn.style.borderRadius = '5px';
             menuBtn.style.cursor = 'pointer';
             menuBtn.onclick = () => {
-                window.location.href = 'main-menu.html';
+                window.gameStateManager.goTo('menu');
             };
             
             buttonContainer.appendChild(playAgainBtn);
             buttonContainer.appendChild(menuBtn);
         }
         
+        // Replay buttons (both modes)
+        this.addReplayButtons(buttonContainer);
+        
         gameOverDiv.appendChild(title);
         gameOverDiv.appendChild(winner);
         gameOverDiv.appendChild(finalScore);
+        if (decidedByInfo) {
+            gameOverDiv.appendChild(decidedByInfo);
+        }
+        if (difficultyInfo) {
+            gameOverDiv.appendChild(difficultyInfo);
+        }
         gameOverDiv.appendChild(buttonContainer);
         
         document.body.appendChild(gameOverDiv);
     }
     
+    addReplayButtons(buttonContainer) {
+        const replay = this.replayRecorder && this.replayRecorder.getReplay();
+        if (!replay) return;
+        
+        const watchBtn = document.createElement('button');
+        watchBtn.textContent = 'Watch Replay';
+        watchBtn.style.padding = '15px 30px';
+        watchBtn.style.fontSize = '18px';
+        watchBtn.style.backgroundColor = '#9C27B0';
+        watchBtn.style.color = 'white';
+        watchBtn.style.border = 'none';
+        watchBtn.style.borderRadius = '5px';
+        watchBtn.style.cursor = 'pointer';
+        watchBtn.onclick = () => {
+            ReplayRecorder.storeLast(replay);
+            if (this.isMultiplayer) {
+                // Keep the match page open so leaving still goes through returnToMenu
+                window.open('replay.html', '_blank');
+            } else {
+                window.location.href = 'replay.html';
+            }
+        };
+        
+        const saveBtn = document.createElement('button');
+        saveBtn.textContent = 'Save Replay';
+        saveBtn.style.padding = '15px 30px';
+        saveBtn.style.fontSize = '18px';
+        saveBtn.style.backgroundColor = '#FF9800';
+        saveBtn.style.color = 'white';
+        saveBtn.style.border = 'none';
+        saveBtn.style.borderRadius = '5px';
+        saveBtn.style.cursor = 'pointer';
+        saveBtn.onclick = () => {
+            ReplayRecorder.download(replay);
+        };
+        
+        buttonContainer.appendChild(watchBtn);
+        buttonContainer.appendChild(saveBtn);
+    }
+    
     togglePause() {
         if (this.gameState !== 'playing' && this.gameState !== 'paused') {
             return; // Can't pause if game is ended
@@ -1380,11 +2028,13 @@ class GameScene extends Phaser.Scene {
             this.gameState = 'paused';
             this.pauseTimer();
             this.showPauseScreen();
+            this.recordReplayEvent('pause');
             console.log('Game paused');
         } else {
             this.gameState = 'playing';
             this.resumeTimer();
             this.hidePauseScreen();
+            this.recordReplayEvent('resume');
             console.log('Game resumed');
         }
         
@@ -1403,6 +2053,7 @@ class GameScene extends Phaser.Scene {
         this.isPaused = true;
         this.gameState = 'paused';
         this.pauseTimer();
+        this.recordReplayEvent('pause', { byServer: true });
         console.log('Game force paused by server');
         
         // Update pause button
@@ -1420,6 +2071,7 @@ class GameScene extends Phaser.Scene {
         this.isPaused = false;
         this.gameState = 'playing';
         this.resumeTimer();
+        this.recordReplayEvent('resume', { byServer: true });
         console.log('Game force resumed by server');
         
         // Update pause button
@@ -1443,9 +2095,9 @@ class GameScene extends Phaser.Scene {
     }
     
     resetTimer() {
-        // Reset timer to initial value
+        // Reset timer to the match length
         if (window.resetGameTimer) {
-            window.resetGameTimer();
+            window.resetGameTimer(this.rules.timeLimit);
         }
     }
     
@@ -1476,7 +2128,8 @@ class GameScene extends Phaser.Scene {
         
         // Instructions
         const instruction = document.createElement('p');
-        instruction.textContent = 'Press P to resume or use buttons below';
+        const pauseKey = InputHandler.keyLabel(this.inputHandler.getBinding('general', 'pause'));
+        instruction.textContent = `Press ${pauseKey} to resume or use buttons below`;
         instruction.style.fontSize = '18px';
         instruction.style.marginBottom = '30px';
         instruction.style.textAlign = 'center';
@@ -1520,6 +2173,21 @@ class GameScene extends Phaser.Scene {
             buttonContainer.appendChild(restartBtn);
         }
         
+        const controlsBtn = document.createElement('button');
+        controlsBtn.textContent = 'Controls';
+        controlsBtn.style.padding = '15px 30px';
+        controlsBtn.style.fontSize = '18px';
+        controlsBtn.style.backgroundColor = '#9C27B0';
+        controlsBtn.style.color = 'white';
+        controlsBtn.style.border = 'none';
+        controlsBtn.style.borderRadius = '5px';
+        controlsBtn.style.cursor = 'pointer';
+        controlsBtn.onclick = () => {
+            this.showControlsScreen();
+        };
+        
+        buttonContainer.appendChild(controlsBtn);
+        
         const menuBtn = document.createElement('button');
         menuBtn.textContent = 'Main Menu';
         menuBtn.style.padding = '15px 30px';
@@ -1535,10 +2203,10 @@ class GameScene extends Phaser.Scene {
                 if (window.returnToMenu) {
                     window.returnToMenu();
                 } else {
-                    window.location.href = 'multiplayer-selection.html';
+                    window.gameStateManager.goTo('lobby');
                 }
             } else {
-                window.location.href = 'main-menu.html';
+                window.gameStateManager.goTo('menu');
             }
         };
         
@@ -1552,19 +2220,218 @@ class GameScene extends Phaser.Scene {
     }
     
     hidePauseScreen() {
+        this.hideControlsScreen();
         const pauseScreen = document.getElementById('pause-screen');
         if (pauseScreen) {
             document.body.removeChild(pauseScreen);
         }
     }
     
+    // Key rebinding screen, opened from the pause menu
+    showControlsScreen() {
+        this.hideControlsScreen();
+        
+        const controlsDiv = document.createElement('div');
+        controlsDiv.style.position = 'absolute';
+        controlsDiv.style.top = '0';
+        controlsDiv.style.left = '0';
+        controlsDiv.style.width = '100%';
+        controlsDiv.style.height = '100%';
+        controlsDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
+        controlsDiv.style.display = 'flex';
+        controlsDiv.style.flexDirection = 'column';
+        controlsDiv.style.justifyContent = 'center';
+        controlsDiv.style.alignItems = 'center';
+        controlsDiv.style.zIndex = '1600';
+        controlsDiv.style.color = 'white';
+        controlsDiv.style.fontFamily = 'Arial, sans-serif';
+        controlsDiv.id = 'controls-screen';
+        
+        const title = document.createElement('h1');
+        title.textContent = 'CONTROLS';
+        title.style.fontSize = '40px';
+        title.style.marginBottom = '10px';
+        title.style.textShadow = '2px 2px 4px rgba(0,0,0,0.8)';
+        
+        const status = document.createElement('p');
+        status.style.fontSize = '16px';
+        status.style.minHeight = '20px';
+        status.style.color = '#FFC107';
+        status.textContent = 'Click a key to change it';
+        
+        const groupsContainer = document.createElement('div');
+        groupsContainer.style.display = 'flex';
+        groupsContainer.style.gap = '40px';
+        groupsContainer.style.marginBottom = '30px';
+        
+        const renderBindings = () => {
+            groupsContainer.innerHTML = '';
+            
+            Object.keys(InputHandler.DEFAULT_BINDINGS).forEach(group => {
+                const column = document.createElement('div');
+                
+                const heading = document.createElement('h3');
+                heading.textContent = InputHandler.GROUP_LABELS[group];
+                if (group === 'player2' && this.isMultiplayer) {
+                    heading.textContent += ' (online)';
+                }
+                heading.style.marginBottom = '10px';
+                column.appendChild(heading);
+                
+                Object.keys(InputHandler.DEFAULT_BINDINGS[group]).forEach(action => {
+                    const row = document.createElement('div');
+                    row.style.display = 'flex';
+                    row.style.justifyContent = 'space-between';
+                    row.style.alignItems = 'center';
+                    row.style.gap = '15px';
+                    row.style.marginBottom = '8px';
+                    
+                    const label = document.createElement('span');
+                    label.textContent = InputHandler.ACTION_LABELS[action];
+                    
+                    const keyBtn = document.createElement('button');
+                    keyBtn.textContent = InputHandler.keyLabel(this.inputHandler.getBinding(group, action));
+                    keyBtn.style.minWidth = '80px';
+                    keyBtn.style.padding = '6px 12px';
+                    keyBtn.style.fontSize = '16px';
+                    keyBtn.style.backgroundColor = '#333';
+                    keyBtn.style.color = 'white';
+                    keyBtn.style.border = '1px solid #888';
+                    keyBtn.style.borderRadius = '5px';
+                    keyBtn.style.cursor = 'pointer';
+                    keyBtn.onclick = () => {
+                        keyBtn.textContent = '...';
+                        keyBtn.style.borderColor = '#FFC107';
+                        status.textContent = `Press a key for ${InputHandler.GROUP_LABELS[group]} ${InputHandler.ACTION_LABELS[action]} (Esc to cancel)`;
+                        this.waitForBinding(group, action, (result) => {
+                            status.textContent = result;
+                            renderBindings();
+                        });
+                    };
+                    
+                    row.appendChild(label);
+                    row.appendChild(keyBtn);
+                    column.appendChild(row);
+                });
+                
+                groupsContainer.appendChild(column);
+            });
+        };
+        
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.display = 'flex';
+        buttonContainer.style.gap = '20px';
+        
+        const defaultsBtn = document.createElement('button');
+        defaultsBtn.textContent = 'Reset to Defaults';
+        defaultsBtn.style.padding = '15px 30px';
+        defaultsBtn.style.fontSize = '18px';
+        defaultsBtn.style.backgroundColor = '#FF9800';
+        defaultsBtn.style.color = 'white';
+        defaultsBtn.style.border = 'none';
+        defaultsBtn.style.borderRadius = '5px';
+        defaultsBtn.style.cursor = 'pointer';
+        defaultsBtn.onclick = () => {
+            this.inputHandler.resetBindings();
+            status.textContent = 'Default controls restored';
+            renderBindings();
+        };
+        
+        const backBtn = document.createElement('button');
+        backBtn.textContent = 'Back';
+        backBtn.style.padding = '15px 30px';
+        backBtn.style.fontSize = '18px';
+        backBtn.style.backgroundColor = '#4CAF50';
+        backBtn.style.color = 'white';
+        backBtn.style.border = 'none';
+        backBtn.style.borderRadius = '5px';
+        backBtn.style.cursor = 'pointer';
+        backBtn.onclick = () => {
+            this.hideControlsScreen();
+        };
+        
+        buttonContainer.appendChild(defaultsBtn);
+        buttonContainer.appendChild(backBtn);
+        
+        renderBindings();
+        
+        controlsDiv.appendChild(title);
+        controlsDiv.appendChild(status);
+        controlsDiv.appendChild(groupsContainer);
+        controlsDiv.appendChild(buttonContainer);
+        
+        document.body.appendChild(controlsDiv);
+    }
+    
+    // Capture the next key press for an action; onDone gets a status message
+    waitForBinding(group, action, onDone) {
+        this.stopWaitingForBinding();
+        this.inputHandler.isRebinding = true;
+        
+        this.bindingListener = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            this.stopWaitingForBinding();
+            
+            if (event.key === 'Escape') {
+                onDone('Cancelled');
+                return;
+            }
+            
+            const keyName = InputHandler.keyNameFromEvent(event);
+            if (!keyName) {
+                onDone(`"${event.key}" can't be used, try another key`);
+                return;
+            }
+            
+            const result = this.inputHandler.setBinding(group, action, keyName);
+            if (!result.success) {
+                onDone(result.reason);
+            } else if (result.swapped) {
+                const other = result.swapped;
+                onDone(`${InputHandler.keyLabel(keyName)} was used by ${InputHandler.GROUP_LABELS[other.group]} ${InputHandler.ACTION_LABELS[other.action]} - keys swapped`);
+            } else {
+                onDone(`${InputHandler.ACTION_LABELS[action]} set to ${InputHandler.keyLabel(keyName)}`);
+            }
+        };
+        
+        window.addEventListener('keydown', this.bindingListener, true);
+    }
+    
+    stopWaitingForBinding() {
+        if (this.bindingListener) {
+            window.removeEventListener('keydown', this.bindingListener, true);
+            this.bindingListener = null;
+        }
+        if (this.inputHandler) {
+            this.inputHandler.isRebinding = false;
+        }
+    }
+    
+    hideControlsScreen() {
+        this.stopWaitingForBinding();
+        const controlsScreen = document.getElementById('controls-screen');
+        if (controlsScreen) {
+            document.body.removeChild(controlsScreen);
+        }
+    }
+    
     resetGame() {
+        // Back from results (Play Again) or a restart mid-match
+        if (window.gameStateManager) {
+            window.gameStateManager.transition('gameplay');
+        }
+        
         // Reset game state
         this.gameState = 'playing';
         this.isPaused = false;
         
         // Reset score
         this.initializeScore();
+        this.resetMatchPhase();
+        if (this.ai) {
+            this.updateAIDifficulty();
+        }
         
         // Reset positions
         this.resetPositions();
@@ -1578,13 +2445,21 @@ class GameScene extends Phaser.Scene {
         
         // Reset frame tracking for collision detection
         this.frameCount = 0;
-        this.lastCollisionFrame = { player1: -100, player2: -100 };
+        this.physicsClock = PhysicsCore.createClock();
+        this.seedRandom();
         this.player1PrevKick = false;
         this.player2PrevKick = false;
         
         // Reset kick animations
-        this.player1KickAnimation = { active: false, timer: 0, maxDuration: 10 };
-        this.player2KickAnimation = { active: false, timer: 0, maxDuration: 10 };
+        this.player1KickAnimation = { active: false, timer: 0, maxDuration: 10, type: 'shot', power: 0 };
+        this.player2KickAnimation = { active: false, timer: 0, maxDuration: 10, type: 'shot', power: 0 };
+        
+        // Reset power bars, effects and kick meters
+        this.initializePowers();
+        this.initializeKickMeters();
+        
+        // Start a fresh replay for the new match
+        this.replayRecorder.start(this);
         
         // Reset and resume timer
         this.resetTimer();
@@ -1599,16 +2474,9 @@ class GameScene extends Phaser.Scene {
     }
     
     resetPositions() {
-        const playerStartX = this.gameWidth * 0.2; // Adjusted for fullscreen
-        const playerY = this.getGroundY(); // Phase 3.5: Use unified ground calculation
-        
         // Reset players
         if (this.player1) {
-            this.player1.x = playerStartX;
-            this.player1.y = playerY;
-            this.player1.velocity = { x: 0, y: 0 };
-            this.player1.onGround = false;
-            this.player1.kickCooldown = 0;
+            PhysicsCore.resetPlayer(this.player1, this.physicsField, 'left');
             
             // Reset sprite position
             if (this.player1Sprite) {
@@ -1626,11 +2494,7 @@ class GameScene extends Phaser.Scene {
         }
         
         if (this.player2) {
-            this.player2.x = this.gameWidth - playerStartX - PHYSICS_CONSTANTS.PLAYER.WIDTH;
-            this.player2.y = playerY;
-            this.player2.velocity = { x: 0, y: 0 };
-            this.player2.onGround = false;
-            this.player2.kickCooldown = 0;
+            PhysicsCore.resetPlayer(this.player2, this.physicsField, 'right');
             
             // Reset sprite position
             if (this.player2Sprite) {
@@ -1649,15 +2513,12 @@ class GameScene extends Phaser.Scene {
         
         // Reset ball
         if (this.ball) {
-            const ballStartX = this.gameWidth * 0.5; // Center for fullscreen
-            const ballStartY = this.gameHeight * 0.3; // Adjusted for fullscreen
-            const ballRadius = PHYSICS_CONSTANTS.BALL.RADIUS;
-            
-            this.ball.x = ballStartX - ballRadius;
-            this.ball.y = ballStartY - ballRadius;
-            this.ball.velocity = { x: 0, y: 0 };
+            PhysicsCore.resetBall(this.ball, this.physicsField);
         }
         
+        // Clear active power effects (charge is kept across goals)
+        this.clearPowerEffects();
+        
         // Reset goal cooldown to allow new goals after reset
         this.goalCooldown = 0;
         
@@ -1677,6 +2538,9 @@ class GameScene extends Phaser.Scene {
         // Store the multiplayer game reference for later use
         this.multiplayerGame = multiplayerGame;
         
+        // Level online matches are settled by the server
+        this.tieBreakers = [];
+        
         // Disable AI for multiplayer mode
         this.aiEnabled = false;
         console.log('AI disabled for multiplayer mode');
@@ -1684,12 +2548,23 @@ class GameScene extends Phaser.Scene {
         // Set multiplayer flag
         this.isMultiplayer = true;
         
+        // Nobody moves until the server schedules kickoff (both players joined)
+        this.kickoffAt = Infinity;
+        
+        // Left has the ball until the server says otherwise (see applyBallAuthority)
+        this.ballAuthority = BallAuthority.create('left');
+        
         // Set which player this client controls
         this.playerNumber = multiplayerGame.matchData.isPlayer1 ? 1 : 2;
         console.log('🎯 This client controls player:', this.playerNumber);
         
         // Mark multiplayer as fully initialized
         this.multiplayerInitialized = true;
+        
+        // Recording starts from the synchronized kickoff (create() starts it if the scene isn't up yet)
+        if (this.replayRecorder) {
+            this.replayRecorder.start(this);
+        }
         console.log('✅ Multiplayer initialization complete');
         
         // Process any queued network updates
@@ -1804,6 +2679,57 @@ class GameScene extends Phaser.Scene {
         }
     }
     
+    // One seed per match for every gameplay random draw: the world's rng (kick angles,
+    // contested contacts), the bot and the sounds each get their own stream of it.
+    // The seed goes in the replay header, so the same inputs replay the same match
+    seedRandom() {
+        this.physicsSeed = this.matchSeed !== null ? this.matchSeed : PhysicsCore.createSeed();
+        this.physicsRng = PhysicsCore.createRng(this.physicsSeed);
+        this.aiRandom = PhysicsCore.createRandomSource(
+            PhysicsCore.createStreamRng(this.physicsSeed, PhysicsCore.RNG_STREAMS.AI));
+        this.effectsRandom = PhysicsCore.createRandomSource(
+            PhysicsCore.createStreamRng(this.physicsSeed, PhysicsCore.RNG_STREAMS.EFFECTS));
+    }
+    
+    // Room seed from the server (gameplay_joined) - both clients draw the same numbers
+    applyMatchSeed(seed) {
+        this.matchSeed = seed >>> 0;
+        
+        // Not created yet - create() seeds from this.matchSeed
+        if (!this.physicsRng) return;
+        
+        this.seedRandom();
+        if (this.replayRecorder && this.replayRecorder.replay) {
+            this.replayRecorder.replay.seed = this.physicsSeed;
+        }
+        console.log('🎲 Match seed applied:', this.physicsSeed);
+    }
+    
+    // Room rules from the server (gameplay_joined) replace the single-player rules
+    applyMatchRules(rules) {
+        this.rules = MatchRules.create(rules);
+        
+        // Not created yet - create() builds the field and powers from this.rules
+        if (!this.physicsField) return;
+        
+        if (!this.stadium || this.stadium.id !== this.rules.stadium) {
+            // Different layout - new field, goals and kickoff positions
+            this.buildStadium();
+            this.createGoalAreas();
+            this.resetPositions();
+        } else {
+            // Ball physics are read from the field every tick
+            Object.assign(this.physicsField, MatchRules.toFieldOptions(this.rules));
+        }
+        
+        // Rebuild the power bars in case powers are off for this match,
+        // and the kick meters in case the field width changed
+        this.initializePowers();
+        this.initializeKickMeters();
+        
+        console.log('📋 Match rules applied:', MatchRules.describe(this.rules));
+    }
+    
     recreatePlayerSprites() {
         // Remove existing sprites
         if (this.player1Sprite) {
@@ -1830,13 +2756,8 @@ class GameScene extends Phaser.Scene {
                 player1HeadKey
             );
             
-            const headScales = {
-                'Nuwan': [1, 1],
-                'Mihir': [1.05, 1.12],
-                'Dad': [0.97, 1]
-            };
-            const player1Scale = headScales[this.player1Head] || [1, 1];
-            const headSize = 80;
+            const player1Scale = this.getHeadScale(this.player1Head);
+            const headSize = PHYSICS_CONSTANTS.PLAYER.HEAD_SIZE;
             this.player1Sprite.setScale(
                 (headSize / this.player1Sprite.width) * player1Scale[0],
                 (headSize / this.player1Sprite.height) * player1Scale[1]
@@ -1862,13 +2783,8 @@ class GameScene extends Phaser.Scene {
                 player2HeadKey
             );
             
-            const headScales = {
-                'Nuwan': [1, 1],
-                'Mihir': [1.05, 1.12],
-                'Dad': [0.97, 1]
-            };
-            const player2Scale = headScales[this.player2Head] || [1, 1];
-            const headSize = 80;
+            const player2Scale = this.getHeadScale(this.player2Head);
+            const headSize = PHYSICS_CONSTANTS.PLAYER.HEAD_SIZE;
             this.player2Sprite.setScale(
                 (headSize / this.player2Sprite.width) * player2Scale[0],
                 (headSize / this.player2Sprite.height) * player2Scale[1]
@@ -1926,9 +2842,19 @@ class GameScene extends Phaser.Scene {
             this.player2Foot.setDepth(8);
         }
         
+        // Powers and head hitboxes depend on the selected heads
+        this.initializePowers();
+        PhysicsCore.setHeadScale(this.player1, this.getHeadScale(this.player1Head));
+        PhysicsCore.setHeadScale(this.player2, this.getHeadScale(this.player2Head));
+        
         console.log('Player sprites recreated with multiplayer character selections');
     }
     
+    // [width, height] head scale of a character (CONFIG.HEAD_SCALE)
+    getHeadScale(head) {
+        return (CONFIG.HEAD_SCALE && CONFIG.HEAD_SCALE[head]) || [1, 1];
+    }
+    
     handleOpponentInput(inputData) {
         // Handle input from opponent player via network
         if (!this.isMultiplayer || !inputData) return;
@@ -1941,13 +2867,15 @@ class GameScene extends Phaser.Scene {
             moveRight: inputData.input.moveRight,
             jump: inputData.input.jump,
             kick: inputData.input.kick,
+            lob: inputData.input.lob,
+            block: inputData.input.block,
             side: inputData.input.side,
             timestamp: inputData.timestamp
         };
     }
     
     handleGoalScored(goalData) {
-        // Handle synchronized goal events from multiplayer server
+        // Handle goals confirmed by the multiplayer server (the only source of the score)
         if (!this.isMultiplayer || !goalData) return;
         
         console.log('🎯 Received goal event from server:', goalData);
@@ -1962,6 +2890,10 @@ class GameScene extends Phaser.Scene {
             console.log('🎯 Score updated from server:', this.score);
         }
         
+        if (goalData.scoringPlayer) {
+            this.recordReplayEvent('goal', { scorer: goalData.scoringPlayer, score: { ...this.score } });
+        }
+        
         // Reset positions for both players simultaneously
         this.resetPositions();
         
@@ -1986,160 +2918,426 @@ class GameScene extends Phaser.Scene {
     updateAI(currentTime) {
         if (!this.ball || !this.player1) return;
         
-        // Update AI reaction timing
-        if (currentTime - this.ai.lastReactionTime < this.ai.reactionTime) {
-            return; // Still in reaction delay
+        // State machine, prediction and kick/jump/power decisions live in AIController
+        AIController.think(this.ai, this.getAIView(), currentTime, this.aiRandom);
+    }
+    
+    // The match as the Player 1 bot sees it
+    getAIView() {
+        return AIController.createView({
+            self: this.player1,
+            opponent: this.player2,
+            ball: this.ball,
+            width: this.gameWidth,
+            height: this.gameHeight,
+            side: 'left',
+            power: this.powers ? this.powers.player1 : null
+        });
+    }
+    
+    // ===== KICK METERS =====
+    
+    initializeKickMeters() {
+        if (this.kickMeterGraphics) {
+            this.kickMeterGraphics.destroy();
+        }
+        if (this.kickMeters) {
+            Object.values(this.kickMeters).forEach(meter => meter.label.destroy());
         }
         
-        // Calculate ball distance and position
-        const ballCenterX = this.ball.x + this.ball.radius;
-        const ballCenterY = this.ball.y + this.ball.radius;
-        const playerCenterX = this.player1.x + this.player1.width / 2;
-        const playerCenterY = this.player1.y + this.player1.height / 2;
+        this.kickMeterGraphics = this.add.graphics();
+        this.kickMeterGraphics.setDepth(20);
         
-        this.ai.ballDistance = Math.sqrt(
-            Math.pow(ballCenterX - playerCenterX, 2) + 
-            Math.pow(ballCenterY - playerCenterY, 2)
-        );
+        // Name of the last special kick (POWER SHOT, LOB, VOLLEY) under each meter
+        const meter = CONFIG.KICK_METER;
+        this.kickMeters = {};
+        ['player1', 'player2'].forEach(playerKey => {
+            const barX = this.getPowerBarX(playerKey);
+            const label = this.add.text(barX + CONFIG.PROGRESS_BAR.WIDTH / 2, meter.Y + meter.HEIGHT + 12, '', {
+                font: 'bold 14px Arial',
+                fill: '#ffffff'
+            });
+            label.setOrigin(0.5);
+            label.setDepth(21);
+            this.kickMeters[playerKey] = { label, labelFrames: 0 };
+        });
         
-        // Predict ball movement
-        const ballNextX = ballCenterX + this.ball.velocity.x * 10; // Predict 10 frames ahead
-        const ballNextY = ballCenterY + this.ball.velocity.y * 10;
+        this.drawKickMeters();
+    }
+    
+    drawKickMeters() {
+        if (!this.kickMeterGraphics || !this.kickMeters) return;
         
-        // Determine AI state based on ball position and game situation
-        this.updateAIState(ballCenterX, ballCenterY, ballNextX, ballNextY);
+        const width = CONFIG.PROGRESS_BAR.WIDTH;
+        const meter = CONFIG.KICK_METER;
+        const toColor = (rgb) => Phaser.Display.Color.GetColor(rgb[0], rgb[1], rgb[2]);
         
-        // Make movement decisions based on state
-        this.makeAIDecisions(ballCenterX, ballCenterY, ballNextX, ballNextY, playerCenterX, playerCenterY);
+        this.kickMeterGraphics.clear();
         
-        // Update reaction timing
-        this.ai.lastReactionTime = currentTime;
+        ['player1', 'player2'].forEach(playerKey => {
+            const player = this[playerKey];
+            const state = this.kickMeters[playerKey];
+            if (!player) return;
+            
+            const barX = this.getPowerBarX(playerKey);
+            
+            // Empty track
+            this.kickMeterGraphics.fillStyle(0x222222, 0.8);
+            this.kickMeterGraphics.fillRect(barX, meter.Y, width, meter.HEIGHT);
+            
+            // Charge fill - yellow for a tap to red at full power, blue with the lob modifier
+            // (remote players only show their kicks, the charge isn't sent)
+            if (player.kickCharge > 0) {
+                const low = meter.LOW_COLOR;
+                const high = meter.HIGH_COLOR;
+                const rgb = player.kickLob
+                    ? meter.LOB_COLOR
+                    : low.map((value, i) => Math.round(value + (high[i] - value) * player.kickPower));
+                this.kickMeterGraphics.fillStyle(toColor(rgb), 1);
+                this.kickMeterGraphics.fillRect(barX, meter.Y, width * player.kickPower, meter.HEIGHT);
+            }
+            
+            // Fade out the last kick's name
+            if (state.labelFrames > 0) {
+                state.labelFrames--;
+                state.label.setAlpha(Math.min(1, state.labelFrames / 15));
+            }
+        });
     }
     
-    updateAIState(ballX, ballY, ballNextX, ballNextY) {
-        const centerX = this.gameWidth / 2;
-        const playerX = this.player1.x + this.player1.width / 2;
-        
-        // Determine if ball is on AI's side or moving toward AI
-        const ballOnAISide = ballX < centerX;
-        const ballMovingTowardAI = this.ball.velocity.x < 0;
-        const ballCloseToAI = this.ai.ballDistance < 150;
-        
-        // State machine for AI behavior
-        if (ballCloseToAI && (ballOnAISide || ballMovingTowardAI)) {
-            this.ai.state = 'attacking';
-        } else if (ballOnAISide && ballY > this.gameHeight * 0.6) {
-            this.ai.state = 'defending';
-        } else if (ballMovingTowardAI || (ballX < centerX + 100)) {
-            this.ai.state = 'chasing';
-        } else {
-            this.ai.state = 'defending';
+    showKickLabel(playerKey, kick) {
+        const state = this.kickMeters ? this.kickMeters[playerKey] : null;
+        if (!state) return;
+        
+        // Plain taps don't get a label
+        let text = GameScene.KICK_LABELS[kick.kick];
+        if (kick.kick === 'shot') {
+            text = kick.power >= GameScene.POWER_SHOT_LABEL_MIN ? text : null;
         }
+        if (!text) return;
+        
+        state.label.setText(`${text} ${Math.round(kick.power * 100)}%`);
+        state.label.setAlpha(1);
+        state.labelFrames = CONFIG.KICK_METER.LABEL_FRAMES;
     }
     
-    makeAIDecisions(ballX, ballY, ballNextX, ballNextY, playerX, playerY) {
-        // Reset decisions
-        this.ai.shouldJump = false;
-        this.ai.shouldKick = false;
-        
-        switch (this.ai.state) {
-            case 'attacking':
-                this.makeAttackingDecisions(ballX, ballY, ballNextX, ballNextY, playerX, playerY);
-                break;
-            case 'defending':
-                this.makeDefendingDecisions(ballX, ballY, playerX);
-                break;
-            case 'chasing':
-                this.makeChasingDecisions(ballX, ballY, ballNextX, ballNextY, playerX, playerY);
-                break;
+    // ===== CHARACTER POWERS =====
+    
+    initializePowers() {
+        // Remove any previous bars/effects (restart or multiplayer head change)
+        this.clearPowerEffects();
+        if (this.powerBarGraphics) {
+            this.powerBarGraphics.destroy();
+        }
+        if (this.powers) {
+            Object.values(this.powers).forEach(state => {
+                if (state && state.label) state.label.destroy();
+            });
         }
         
-        // Add some randomness to make AI less predictable
-        if (Math.random() < 0.1) {
-            this.ai.targetX += (Math.random() - 0.5) * 50;
+        // Matches can be played without powers - no bars, nothing to activate
+        const powersEnabled = this.rules.powersEnabled;
+        this.powers = {
+            player1: powersEnabled ? this.createPowerState(this.player1Head) : null,
+            player2: powersEnabled ? this.createPowerState(this.player2Head) : null
+        };
+        this.powerEffects = [];
+        
+        this.powerBarGraphics = this.add.graphics();
+        this.powerBarGraphics.setDepth(20);
+        
+        // Power name label centered on each bar
+        const bar = CONFIG.PROGRESS_BAR;
+        ['player1', 'player2'].forEach(playerKey => {
+            const state = this.powers[playerKey];
+            if (!state) return;
+            
+            const barX = this.getPowerBarX(playerKey);
+            state.label = this.add.text(barX + bar.WIDTH / 2, bar.Y + bar.HEIGHT / 2, state.name, {
+                font: 'bold 14px Arial',
+                fill: '#111111'
+            });
+            state.label.setOrigin(0.5);
+            state.label.setDepth(21);
+        });
+        
+        this.drawPowerBars();
+        
+        console.log('⚡ Powers initialized:', {
+            player1: this.powers.player1 && this.powers.player1.name,
+            player2: this.powers.player2 && this.powers.player2.name
+        });
+    }
+    
+    createPowerState(head) {
+        const power = PHYSICS_CONSTANTS.POWERS.HEADS[head];
+        if (!power) {
+            console.warn('No power configured for head:', head);
+            return null;
         }
         
-        // Constrain target to valid field area
-        this.ai.targetX = Math.max(50, Math.min(this.gameWidth / 2 - 50, this.ai.targetX));
+        const config = { ...power, ...(window.CONFIG && CONFIG.POWERS ? CONFIG.POWERS[head] : {}) };
+        return {
+            head: head,
+            name: config.Name,
+            config: config,
+            waitFrames: config.Wait * PHYSICS_CONSTANTS.FPS, // Wait is in seconds
+            durationFrames: config.Duration ? config.Duration * PHYSICS_CONSTANTS.FPS : 0,
+            charge: 0, // Bars start empty and fill over Wait seconds
+            frozenTimer: 0, // Frames left frozen by the opponent's power
+            label: null,
+            labelReady: false
+        };
+    }
+    
+    getPowerBarX(playerKey) {
+        const bar = CONFIG.PROGRESS_BAR;
+        return playerKey === 'player1' ? bar.X : this.gameWidth - bar.X - bar.WIDTH;
     }
     
-    makeAttackingDecisions(ballX, ballY, ballNextX, ballNextY, playerX, playerY) {
-        // Aggressive behavior - go for the ball and try to score
-        const goalX = this.gameWidth - 80; // Right goal position
+    updatePowers() {
+        if (!this.powers) return;
         
-        if (this.ai.ballDistance < 80) {
-            // Close to ball - try to kick toward goal
-            this.ai.targetX = ballX;
+        Object.values(this.powers).forEach(state => {
+            if (!state) return;
             
-            // Check if should kick
-            if (this.ai.ballDistance < 60 && Math.random() < this.ai.kickTiming) {
-                this.ai.shouldKick = true;
+            // Charge cooldown bar
+            if (state.charge < state.waitFrames) {
+                state.charge++;
             }
             
-            // Jump if ball is above player
-            if (ballY < playerY - 20 && this.player1.onGround) {
-                this.ai.shouldJump = true;
+            // Tick freeze status
+            if (state.frozenTimer > 0) {
+                state.frozenTimer--;
             }
-        } else {
-            // Move toward predicted ball position
-            this.ai.targetX = ballNextX;
-        }
+        });
+        
+        this.updatePowerEffects();
+        this.drawPowerBars();
+    }
+    
+    drawPowerBars() {
+        if (!this.powerBarGraphics || !this.powers) return;
+        
+        const bar = CONFIG.PROGRESS_BAR;
+        const outline = bar.OUTLINE_SIZE;
+        const toColor = (rgb) => Phaser.Display.Color.GetColor(rgb[0], rgb[1], rgb[2]);
+        
+        this.powerBarGraphics.clear();
         
-        // If ball is high and coming down, position underneath
-        if (this.ball.velocity.y > 5 && ballY < this.gameHeight * 0.7) {
-            this.ai.targetX = ballNextX;
-            if (Math.abs(playerX - ballNextX) < 30 && this.player1.onGround) {
-                this.ai.shouldJump = true;
+        ['player1', 'player2'].forEach(playerKey => {
+            const state = this.powers[playerKey];
+            if (!state) return;
+            
+            const barX = this.getPowerBarX(playerKey);
+            const progress = Math.min(state.charge / state.waitFrames, 1);
+            const ready = progress >= 1;
+            
+            // Outline
+            this.powerBarGraphics.fillStyle(toColor(bar.OUTLINE_COLOR), 1);
+            this.powerBarGraphics.fillRoundedRect(
+                barX - outline, bar.Y - outline,
+                bar.WIDTH + outline * 2, bar.HEIGHT + outline * 2,
+                bar.ROUNDING
+            );
+            
+            // Empty track
+            this.powerBarGraphics.fillStyle(0x222222, 1);
+            this.powerBarGraphics.fillRoundedRect(barX, bar.Y, bar.WIDTH, bar.HEIGHT, bar.ROUNDING / 2);
+            
+            // Charge fill - power color while charging, ready color when full
+            const fillWidth = bar.WIDTH * progress;
+            if (fillWidth > 0) {
+                const radius = Math.min(bar.ROUNDING / 2, fillWidth / 2);
+                this.powerBarGraphics.fillStyle(toColor(ready ? state.config.ReadyColor : state.config.Color), 1);
+                this.powerBarGraphics.fillRoundedRect(barX, bar.Y, fillWidth, bar.HEIGHT, radius);
             }
-        }
+            
+            // Only re-render label text when readiness changes
+            if (state.label && state.labelReady !== ready) {
+                state.label.setText(ready ? `${state.name} READY` : state.name);
+                state.labelReady = ready;
+            }
+        });
     }
     
-    makeDefendingDecisions(ballX, ballY, playerX) {
-        // Defensive behavior - stay near goal and intercept
-        const goalX = 80; // Left goal position
-        const defensiveX = goalX + 100; // Position in front of goal
+    tryActivatePower(playerKey) {
+        const state = this.powers ? this.powers[playerKey] : null;
+        if (!state || state.charge < state.waitFrames) return false;
         
-        // Stay between ball and goal
-        if (ballX > playerX) {
-            this.ai.targetX = Math.min(defensiveX, ballX - 50);
-        } else {
-            this.ai.targetX = defensiveX;
+        // Penalties are shooter against keeper, no powers
+        if (this.matchPhase === 'penalties') return false;
+        
+        const playerNumber = playerKey === 'player1' ? 1 : 2;
+        
+        // Remote activations arrive through handleOpponentPower
+        if (this.isRemotePlayer(playerNumber)) return false;
+        
+        this.activatePower(playerKey);
+        
+        // Sync activation so the opponent sees (and suffers) the same effect
+        if (this.isMultiplayer && this.multiplayerGame) {
+            this.multiplayerGame.sendPowerActivation({
+                playerNumber: playerNumber,
+                head: state.head,
+                power: state.name,
+                timestamp: Date.now()
+            });
         }
         
-        // Jump if ball is coming toward goal area and is high
-        if (ballX < this.gameWidth * 0.3 && ballY < this.gameHeight * 0.6 && this.player1.onGround) {
-            this.ai.shouldJump = Math.random() < 0.3;
+        return true;
+    }
+    
+    activatePower(playerKey) {
+        const state = this.powers[playerKey];
+        const side = playerKey === 'player1' ? 'left' : 'right';
+        const opponentKey = playerKey === 'player1' ? 'player2' : 'player1';
+        const player = this[playerKey];
+        const isRemote = this.isRemotePlayer(playerKey === 'player1' ? 1 : 2);
+        
+        // Empty the bar
+        state.charge = 0;
+        this.recordReplayEvent('power', { playerKey, power: state.name });
+        
+        switch (state.name) {
+            case 'Dash':
+                // Burst toward the opponent's goal
+                if (!isRemote) {
+                    player.dashDirection = side === 'left' ? 1 : -1;
+                    player.dashTimer = PHYSICS_CONSTANTS.POWERS.DASH_FRAMES;
+                }
+                this.attachPowerEffect(playerKey, 'fireEffect', PHYSICS_CONSTANTS.POWERS.DASH_FRAMES * 2);
+                break;
+                
+            case 'Back': {
+                // Teleport back in front of own goal
+                const goal = side === 'left' ? this.leftGoal : this.rightGoal;
+                const offset = PHYSICS_CONSTANTS.POWERS.BACK_GOAL_OFFSET;
+                
+                this.spawnPowerEffect(player.x + player.width / 2, player.y + player.height / 4, 'protoStarEffect', 40);
+                if (!isRemote) {
+                    player.x = side === 'left' ? goal.x + goal.width + offset : goal.x - offset - player.width;
+                    player.y = this.getGroundY();
+                    player.velocity = { x: 0, y: 0 };
+                    player.dashTimer = 0;
+                }
+                this.spawnPowerEffect(player.x + player.width / 2, player.y + player.height / 4, 'protoStarEffect', 40);
+                break;
+            }
+                
+            case 'Freeze Player': {
+                // Freeze the opponent in place for Duration seconds
+                const opponentState = this.powers[opponentKey];
+                if (opponentState) {
+                    opponentState.frozenTimer = state.durationFrames;
+                }
+                this[opponentKey].dashTimer = 0;
+                this.attachPowerEffect(opponentKey, 'freezeEffect', state.durationFrames);
+                break;
+            }
+                
+            default:
+                console.warn('Unknown power:', state.name);
+                return;
         }
         
-        // Kick if ball is very close to goal
-        if (this.ai.ballDistance < 70 && ballX < this.gameWidth * 0.25) {
-            this.ai.shouldKick = Math.random() < 0.8;
+        console.log(`⚡ ${playerKey} used ${state.name}`);
+    }
+    
+    isPlayerFrozen(playerKey) {
+        return !!(this.powers && this.powers[playerKey] && this.powers[playerKey].frozenTimer > 0);
+    }
+    
+    attachPowerEffect(playerKey, textureKey, frames) {
+        const sprite = this[`${playerKey}Sprite`];
+        if (!sprite) return;
+        
+        const effect = this.spawnPowerEffect(sprite.x, sprite.y, textureKey, frames);
+        if (effect) {
+            effect.playerKey = playerKey; // Follow the player's head
         }
     }
     
-    makeChasingDecisions(ballX, ballY, ballNextX, ballNextY, playerX, playerY) {
-        // Chasing behavior - move toward ball with moderate aggression
+    spawnPowerEffect(x, y, textureKey, frames) {
+        if (!this.textures.exists(textureKey)) {
+            console.warn('Power effect texture not loaded:', textureKey);
+            return null;
+        }
         
-        // Predict where ball will be and move there
-        if (Math.abs(this.ball.velocity.x) > 2) {
-            this.ai.targetX = ballNextX;
-        } else {
-            this.ai.targetX = ballX;
+        const image = this.add.image(x, y, textureKey);
+        image.setDisplaySize(PHYSICS_CONSTANTS.POWERS.EFFECT_SIZE, PHYSICS_CONSTANTS.POWERS.EFFECT_SIZE);
+        image.setDepth(11);
+        image.setAlpha(0.85);
+        
+        // Static images from GIFs - pulse/spin them instead
+        this.tweens.add({
+            targets: image,
+            alpha: 0.45,
+            angle: textureKey === 'protoStarEffect' ? 180 : 0,
+            duration: 300,
+            yoyo: true,
+            repeat: -1
+        });
+        
+        const effect = { image: image, playerKey: null, framesLeft: frames };
+        this.powerEffects.push(effect);
+        return effect;
+    }
+    
+    updatePowerEffects() {
+        if (!this.powerEffects) return;
+        
+        for (let i = this.powerEffects.length - 1; i >= 0; i--) {
+            const effect = this.powerEffects[i];
+            effect.framesLeft--;
+            
+            if (effect.framesLeft <= 0) {
+                this.tweens.killTweensOf(effect.image);
+                effect.image.destroy();
+                this.powerEffects.splice(i, 1);
+                continue;
+            }
+            
+            // Keep attached effects on the player's head
+            const sprite = effect.playerKey ? this[`${effect.playerKey}Sprite`] : null;
+            if (sprite) {
+                effect.image.x = sprite.x;
+                effect.image.y = sprite.y;
+            }
+        }
+    }
+    
+    clearPowerEffects() {
+        if (this.powerEffects) {
+            this.powerEffects.forEach(effect => {
+                this.tweens.killTweensOf(effect.image);
+                effect.image.destroy();
+            });
+            this.powerEffects = [];
         }
         
-        // Jump if ball is above and player is close
-        if (this.ai.ballDistance < 100 && ballY < playerY - 15 && this.player1.onGround) {
-            this.ai.shouldJump = Math.random() < 0.4;
+        if (this.powers) {
+            Object.values(this.powers).forEach(state => {
+                if (state) state.frozenTimer = 0;
+            });
         }
         
-        // Kick if close enough and ball is moving away or stationary
-        if (this.ai.ballDistance < 70) {
-            const ballMovingAway = (ballX > playerX && this.ball.velocity.x > 0) || 
-                                 (ballX < playerX && this.ball.velocity.x < 0);
-            if (!ballMovingAway || Math.abs(this.ball.velocity.x) < 3) {
-                this.ai.shouldKick = Math.random() < 0.6;
-            }
+        if (this.player1) this.player1.dashTimer = 0;
+        if (this.player2) this.player2.dashTimer = 0;
+    }
+    
+    handleOpponentPower(powerData) {
+        // Handle power activations from the opponent via network
+        if (!this.isMultiplayer || !powerData) return;
+        
+        const playerKey = `player${powerData.playerNumber}`;
+        if (!this.isRemotePlayer(powerData.playerNumber) || !this.powers || !this.powers[playerKey]) {
+            console.warn('⚡ Ignoring power activation:', powerData);
+            return;
         }
+        
+        console.log('⚡ Received opponent power activation:', powerData);
+        this.activatePower(playerKey);
     }
     
     // ===== MULTIPLAYER MOVEMENT SYNCHRONIZATION =====
@@ -2187,11 +3385,12 @@ class GameScene extends Phaser.Scene {
         
         // Send movement data to server
         // Get current input state (use persistent kick detection)
+        const localInput = this.getLocalInput();
         const currentInput = {
-            left: this.cursors.left.isDown,
-            right: this.cursors.right.isDown,
-            jump: this.cursors.up.isDown,
-            kick: this.cursors.down.isDown || (playerNumber === 1 ? this.player1KickPressed : this.player2KickPressed)
+            left: localInput.moveLeft,
+            right: localInput.moveRight,
+            jump: localInput.jump,
+            kick: localInput.kick || (playerNumber === 1 ? this.player1KickPressed : this.player2KickPressed)
         };
         
         // Clear persistent kick state after capturing it
@@ -2206,16 +3405,11 @@ class GameScene extends Phaser.Scene {
             onGround: localPlayer.onGround,
             touchingWall: localPlayer.x <= 0 || localPlayer.x + localPlayer.width >= this.gameWidth,
             gravityApplied: true, // Always true in our physics
-            jumpFrame: this.cursors.up.isDown && localPlayer.onGround,
-            isKicking: localPlayer.isKicking || false
+            jumpFrame: localInput.jump && localPlayer.onGround,
+            isKicking: localPlayer.isKicking || false,
+            isBlocking: localPlayer.isBlocking || false
         };
         
-        console.log(`🏃 Sending enhanced movement for player ${playerNumber}:`, {
-            position: { x: localPlayer.x, y: localPlayer.y },
-            velocity: { x: localPlayer.velocity.x, y: localPlayer.velocity.y },
-            physicsState: physicsState
-        });
-        
         this.multiplayerGame.sendMovementUpdate({
             playerNumber: playerNumber,
             position: {
@@ -2233,6 +3427,7 @@ class GameScene extends Phaser.Scene {
             onGround: localPlayer.onGround,
             physicsState: physicsState,
             input: currentInput,
+            contact: this.takePlayerContact(playerNumber),
             timestamp: now
         });
     }
@@ -2240,15 +3435,13 @@ class GameScene extends Phaser.Scene {
     sendBallUpdates() {
         const now = Date.now();
         
-        // REAL-TIME SYNC: Both players send updates, but Player 1 has priority for conflicts
+        // Only the owner sends the ball (see updateBallAuthority)
         
         // Throttle ball updates
         if (now - this.lastBallSent < this.ballSendInterval) {
             return;
         }
         
-        this.lastBallSent = now;
-        
         if (!this.ball) return;
         
         // Store last ball position to avoid sending duplicates
@@ -2262,19 +3455,16 @@ class GameScene extends Phaser.Scene {
                                    Math.abs(this.ball.velocity.x) > 0.1 ||
                                    Math.abs(this.ball.velocity.y) > 0.1;
         
-        if (!ballPositionChanged) return;
+        // A resting ball still goes out now and then so the server knows we're here
+        if (!ballPositionChanged && now - this.lastBallSent < this.ballHeartbeatInterval) return;
+        
+        this.lastBallSent = now;
         
         // Update last sent position
         this.lastSentBallPosition.x = this.ball.x;
         this.lastSentBallPosition.y = this.ball.y;
         
         // Send ball data to server
-        console.log('⚽ BALL DEBUG: Sending ball update:', {
-            position: { x: this.ball.x, y: this.ball.y },
-            velocity: { x: this.ball.velocity.x, y: this.ball.velocity.y },
-            angle: this.ball.angle
-        });
-        
         this.multiplayerGame.sendBallUpdate({
             position: {
                 x: this.ball.x,
@@ -2285,33 +3475,23 @@ class GameScene extends Phaser.Scene {
                 y: this.ball.velocity.y
             },
             angle: this.ball.angle || 0,
+            spin: this.ball.spin || 0,
+            authoritySequence: this.ballAuthority.sequence,
             timestamp: now
         });
     }
     
     handleOpponentBall(ballData) {
-        // DISABLED: No ball sync - using pure single-player physics like gameplay.html
-        // Each player runs independent physics for perfect responsiveness
-        console.log('⚽ BALL SYNC: Disabled - using single-player physics mode');
-        return;
-        
-        // Update ball sprite position
-        if (this.ballSprite) {
-            this.ballSprite.x = this.ball.x;
-            this.ballSprite.y = this.ball.y;
-            this.ballSprite.rotation = (this.ball.angle || 0) * Math.PI / 180;
-        }
-        
-        console.log('✅ BALL DEBUG: Updated ball position to:', {
-            x: this.ball.x,
-            y: this.ball.y,
-            velocity: this.ball.velocity
-        });
+        // Our ball follows the owner's; between updates it runs on our own physics.
+        // Updates from a previous owner are stale
+        if (this.ownsBall() || !ballData || ballData.authoritySequence !== this.ballAuthority.sequence) {
+            return;
+        }
+        
+        this.applyBallState(ballData, ballData.sentAt);
     }
     
     handleOpponentMovement(movementData) {
-        console.log(`🏃 PHASE3 DEBUG: handleOpponentMovement called for player ${movementData.playerNumber}:`, movementData);
-        
         // Phase 3.5: Queue updates if multiplayer not fully initialized
         if (this.isMultiplayer && !this.multiplayerInitialized) {
             console.log('📦 Queueing movement data until multiplayer initialization complete');
@@ -2321,9 +3501,6 @@ class GameScene extends Phaser.Scene {
         
         // Phase 3: Add position data to interpolation buffer instead of direct update
         const playerKey = `player${movementData.playerNumber}`;
-        console.log(`🔍 PHASE3 DEBUG: Using playerKey: ${playerKey}`);
-        console.log(`🔍 PHASE3 DEBUG: remotePlayerBuffers exists:`, !!this.remotePlayerBuffers);
-        console.log(`🔍 PHASE3 DEBUG: Buffer for ${playerKey} exists:`, !!this.remotePlayerBuffers[playerKey]);
         
         const positionData = {
             timestamp: movementData.timestamp || Date.now(),
@@ -2333,12 +3510,8 @@ class GameScene extends Phaser.Scene {
             physicsState: movementData.physicsState || {}
         };
         
-        console.log(`🔍 PHASE3 DEBUG: Created positionData:`, positionData);
-        
         // Add to position buffer
         this.addPositionToBuffer(playerKey, positionData);
-        
-        console.log(`📥 PHASE3 DEBUG: After addPositionToBuffer - Buffer size: ${this.remotePlayerBuffers[playerKey]?.length || 'UNDEFINED'}`);
     }
     
     // ===== PHASE 2: CLIENT-SIDE PREDICTION SYSTEM =====
@@ -2356,106 +3529,69 @@ class GameScene extends Phaser.Scene {
     }
     
     predictNextPosition(player, input, deltaTime) {
-        // Create predicted state based on current input
-        const predicted = {
-            x: player.x,
-            y: player.y,
-            velocityX: player.velocity.x,
-            velocityY: player.velocity.y,
-            onGround: player.onGround
+        // Step a copy of the player through the shared physics core so the
+        // prediction matches what the authoritative simulation will do
+        const ticks = Math.max(1, Math.round((deltaTime || 0) * PhysicsCore.TICK_RATE));
+        const body = {
+            ...player,
+            velocity: { x: player.velocity.x, y: player.velocity.y }
         };
         
-        // Apply physics prediction (simplified version of updatePlayer physics)
-        // Gravity
-        predicted.velocityY += PHYSICS_CONSTANTS.PLAYER.GRAVITY * deltaTime;
-        
-        // Horizontal movement
-        if (input.moveLeft) {
-            predicted.velocityX = -PHYSICS_CONSTANTS.PLAYER.MOVE_SPEED;
-        } else if (input.moveRight) {
-            predicted.velocityX = PHYSICS_CONSTANTS.PLAYER.MOVE_SPEED;
-        } else {
-            // Apply friction
-            predicted.velocityX *= PHYSICS_CONSTANTS.PLAYER.FRICTION;
-        }
-        
-        // Jump
-        if (input.jump && predicted.onGround) {
-            predicted.velocityY = -PHYSICS_CONSTANTS.PLAYER.JUMP_FORCE;
-            predicted.onGround = false;
-        }
-        
-        // Update position
-        predicted.x += predicted.velocityX * deltaTime;
-        predicted.y += predicted.velocityY * deltaTime;
-        
-        // Basic collision prediction (simplified)
-        if (predicted.x < 0) {
-            predicted.x = 0;
-            predicted.velocityX = 0;
-        }
-        if (predicted.x + player.width > this.gameWidth) {
-            predicted.x = this.gameWidth - player.width;
-            predicted.velocityX = 0;
-        }
-        
-        // Ground collision
-        const groundY = this.gameHeight - this.bottomGap - player.height;
-        if (predicted.y >= groundY) {
-            predicted.y = groundY;
-            predicted.velocityY = 0;
-            predicted.onGround = true;
+        for (let i = 0; i < ticks; i++) {
+            PhysicsCore.stepPlayer(body, input, this.physicsField);
         }
         
-        return predicted;
+        return {
+            x: body.x,
+            y: body.y,
+            velocityX: body.velocity.x,
+            velocityY: body.velocity.y,
+            onGround: body.onGround
+        };
     }
     
+    /**
+     * Server's state for our player after the last input it processed
+     * (input_ack). Inputs up to that tick are done with; if the server's player
+     * is off from what we predicted for that tick, snap to it and replay only
+     * the inputs it hasn't processed yet.
+     */
     handleServerReconciliation(serverState) {
         if (!this.serverReconciliation) return;
         
-        const serverTimestamp = serverState.timestamp;
-        const serverFrameNumber = serverState.frameNumber;
-        
-        console.log(`🔄 Server reconciliation - Frame: ${serverFrameNumber}, Timestamp: ${serverTimestamp}`);
-        
-        // Find the input that corresponds to this server state
-        const matchingInput = this.inputBuffer.find(input => input.frameNumber === serverFrameNumber);
+        const ackedTick = serverState.tick;
+        this.inputBuffer = this.inputBuffer.filter(input => input.frameNumber > ackedTick);
+        this.lastServerUpdate = Date.now();
         
-        if (!matchingInput) {
-            console.log(`⚠️ No matching input found for server frame ${serverFrameNumber}`);
-            return;
-        }
+        // Where we had the player after that tick: before the next input, or now
+        const localPlayer = this.multiplayerGame.matchData.isPlayer1 ? this.player1 : this.player2;
+        const nextInput = this.inputBuffer[0];
+        if (nextInput && nextInput.frameNumber !== ackedTick + 1) return; // The inputs after it aged out of the buffer
+        const predicted = nextInput ? nextInput.stateBefore : localPlayer;
         
         // Check if there's a significant difference between client prediction and server state
         const positionDiff = Math.sqrt(
-            Math.pow(matchingInput.stateBefore.x - serverState.x, 2) +
-            Math.pow(matchingInput.stateBefore.y - serverState.y, 2)
+            Math.pow(predicted.x - serverState.position.x, 2) +
+            Math.pow(predicted.y - serverState.position.y, 2)
         );
         
         const RECONCILIATION_THRESHOLD = 50; // pixels
         
         if (positionDiff > RECONCILIATION_THRESHOLD) {
-            console.log(`🚨 Reconciliation needed! Diff: ${positionDiff.toFixed(1)}px`);
-            
-            // Find the local player
-            const localPlayer = this.multiplayerGame.matchData.isPlayer1 ? this.player1 : this.player2;
+            console.log(`🚨 Reconciliation needed at tick ${ackedTick}! Diff: ${positionDiff.toFixed(1)}px`);
             
             // Rollback to server state
-            localPlayer.x = serverState.x;
-            localPlayer.y = serverState.y;
-            localPlayer.velocity.x = serverState.velocityX;
-            localPlayer.velocity.y = serverState.velocityY;
+            localPlayer.x = serverState.position.x;
+            localPlayer.y = serverState.position.y;
+            localPlayer.velocity.x = serverState.velocity.x;
+            localPlayer.velocity.y = serverState.velocity.y;
             localPlayer.onGround = serverState.onGround;
             
-            // Replay inputs from the reconciliation point
-            this.replayInputsFromFrame(serverFrameNumber);
+            // Replay the inputs the server hasn't processed
+            this.replayInputsFromFrame(ackedTick);
             
             console.log(`✅ Reconciliation complete. New position: (${localPlayer.x.toFixed(1)}, ${localPlayer.y.toFixed(1)})`);
-        } else {
-            console.log(`✅ No reconciliation needed. Diff: ${positionDiff.toFixed(1)}px`);
         }
-        
-        this.lastServerUpdate = Date.now();
     }
     
     replayInputsFromFrame(fromFrame) {
@@ -2503,8 +3639,6 @@ class GameScene extends Phaser.Scene {
         
         // Sort by timestamp to handle out-of-order packets
         this.remotePlayerBuffers[playerKey].sort((a, b) => a.timestamp - b.timestamp);
-        
-        console.log(`📥 Position added to ${playerKey} buffer. Size: ${this.remotePlayerBuffers[playerKey].length}`);
     }
     
     updateRemotePlayerInterpolation() {
@@ -2665,4 +3799,11 @@ class GameScene extends Phaser.Scene {
         playerSprite.x = playerObject.x;
         playerSprite.y = playerObject.y;
     }
-}
\ No newline at end of file
+}
+
+// Pause on a penalty result before the next kick is lined up
+GameScene.PENALTY_RESULT_TICKS = 90;
+
+// Kick meter labels by kick type (shots only once charged past POWER_SHOT_LABEL_MIN)
+GameScene.KICK_LABELS = { shot: 'POWER SHOT', lob: 'LOB', volley: 'VOLLEY' };
+GameScene.POWER_SHOT_LABEL_MIN = 0.7;
@@ -1,11 +1,290 @@
-// Game State Manager - Placeholder for testing
-// This will be implemented fully later
+/**
+ * Game State Manager
+ * Client state machine for the flow between pages: menu, mode selection,
+ * character selection, lobby, gameplay and results. Holds the context every
+ * page needs (mode, current match, character selections, last result) in
+ * sessionStorage so it survives page loads, and refuses transitions whose
+ * guards fail - e.g. no gameplay without a confirmed character selection.
+ */
 
 class GameStateManager {
     constructor() {
-        console.log('GameStateManager placeholder loaded');
+        this.context = this.loadContext();
+    }
+
+    /**
+     * Load the saved context, falling back to a fresh one
+     */
+    loadContext() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(GameStateManager.STORAGE_KEY) || 'null');
+            if (saved && GameStateManager.TRANSITIONS[saved.state]) {
+                return { ...GameStateManager.createContext(), ...saved };
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load game state, starting fresh:', error);
+        }
+        return GameStateManager.createContext();
+    }
+
+    /**
+     * Save the context to sessionStorage
+     */
+    saveContext() {
+        try {
+            sessionStorage.setItem(GameStateManager.STORAGE_KEY, JSON.stringify(this.context));
+        } catch (error) {
+            console.warn('⚠️ Could not save game state:', error);
+        }
+    }
+
+    getState() {
+        return this.context.state;
+    }
+
+    getMode() {
+        return this.context.mode;
+    }
+
+    getMatch() {
+        return this.context.match;
+    }
+
+    getSelections() {
+        return this.context.selections;
+    }
+
+    getResult() {
+        return this.context.result;
+    }
+
+    /**
+     * Merge values into the context without changing state
+     */
+    update(values) {
+        Object.assign(this.context, values);
+        this.saveContext();
+    }
+
+    /**
+     * Check a transition without applying it
+     * @returns {{success: boolean, reason?: string}}
+     */
+    canTransition(to, context = this.context) {
+        if (!GameStateManager.TRANSITIONS[to]) {
+            return { success: false, reason: `Unknown state: ${to}` };
+        }
+        if (to !== context.state && !GameStateManager.TRANSITIONS[context.state].includes(to)) {
+            return { success: false, reason: `Cannot go from ${context.state} to ${to}` };
+        }
+
+        const guard = GameStateManager.GUARDS[to];
+        const reason = guard ? guard(context) : null;
+        return reason ? { success: false, reason } : { success: true };
+    }
+
+    /**
+     * Move to a new state, applying context updates first
+     * @returns {{success: boolean, reason?: string}}
+     */
+    transition(to, values = {}) {
+        const next = { ...this.context, ...values };
+        const check = this.canTransition(to, next);
+        if (!check.success) {
+            console.warn(`🚫 State transition refused: ${check.reason}`);
+            return check;
+        }
+
+        const from = this.context.state;
+        this.context = { ...next, ...GameStateManager.onEnter(to), state: to };
+        this.saveContext();
+
+        if (from !== to) {
+            console.log(`🧭 State: ${from} → ${to}`);
+        }
+        return { success: true };
+    }
+
+    /**
+     * Transition and load the page for the new state
+     */
+    goTo(to, values = {}) {
+        const result = this.transition(to, values);
+        if (result.success) {
+            window.location.href = this.getPage(to);
+        }
+        return result;
+    }
+
+    /**
+     * Called by each page when it loads. Pages can be reached with the back
+     * button or a bookmark, so only the guard is enforced here; a page whose
+     * guard fails is redirected to the nearest state that can be entered.
+     */
+    enter(state, values = {}) {
+        const next = { ...this.context, ...values };
+        const guard = GameStateManager.GUARDS[state];
+        const reason = guard ? guard(next) : null;
+
+        if (reason) {
+            const fallback = this.getFallback(state);
+            console.warn(`🚫 Cannot enter ${state}: ${reason}. Going to ${fallback}`);
+            window.location.href = this.getPage(fallback);
+            return { success: false, reason };
+        }
+
+        if (this.context.state !== state && !GameStateManager.TRANSITIONS[this.context.state].includes(state)) {
+            console.log(`🧭 Resyncing state ${this.context.state} → ${state} (navigation)`);
+        }
+
+        this.context = { ...next, ...GameStateManager.onEnter(state), state };
+        this.saveContext();
+        return { success: true };
+    }
+
+    getFallback(state) {
+        if (state === 'gameplay' || state === 'results') {
+            if (this.context.mode === 'multiplayer') {
+                return this.context.match ? 'character_select' : 'lobby';
+            }
+            return this.context.mode ? 'character_select' : 'mode_select';
+        }
+        if (state === 'character_select' && this.context.mode === 'multiplayer') {
+            return 'lobby';
+        }
+        return state === 'menu' ? 'menu' : 'mode_select';
+    }
+
+    /**
+     * Page for a state in the current mode
+     */
+    getPage(state) {
+        const multiplayer = this.context.mode === 'multiplayer';
+        switch (state) {
+            case 'menu': return 'main-menu.html';
+            case 'mode_select': return 'mode-selection.html';
+            case 'lobby': return 'multiplayer-selection.html';
+            case 'character_select':
+                return multiplayer ? 'character-selection-multiplayer.html' : 'character-selection-responsive.html';
+            case 'gameplay':
+            case 'results':
+                return multiplayer ? 'gameplay-multiplayer.html' : 'gameplay.html';
+            default: return 'main-menu.html';
+        }
+    }
+
+    /**
+     * AI difficulty is a preference, so it lives in localStorage across sessions
+     */
+    getAIDifficulty() {
+        const saved = localStorage.getItem(GameStateManager.AI_DIFFICULTY_KEY);
+        if (saved === 'adaptive' || (saved && CONFIG.AI_PROFILES[saved])) {
+            return saved;
+        }
+        return CONFIG.AI_DIFFICULTY;
+    }
+
+    setAIDifficulty(difficulty) {
+        localStorage.setItem(GameStateManager.AI_DIFFICULTY_KEY, difficulty);
+    }
+
+    /**
+     * Stadium for games against the AI (pages that call this load shared/stadiums.js)
+     */
+    getStadium() {
+        const saved = localStorage.getItem(GameStateManager.STADIUM_KEY);
+        if (saved && Stadiums.has(saved)) {
+            return saved;
+        }
+        return CONFIG.STADIUM;
+    }
+
+    setStadium(stadium) {
+        localStorage.setItem(GameStateManager.STADIUM_KEY, stadium);
+    }
+
+    /**
+     * Ask the main menu to show the login modal on its next load
+     */
+    requireAuth() {
+        this.update({ authRequired: true });
+    }
+
+    consumeAuthRequired() {
+        const required = this.context.authRequired;
+        if (required) {
+            this.update({ authRequired: false });
+        }
+        return required;
+    }
+
+    static createContext() {
+        return {
+            state: 'menu',
+            mode: null,              // 'single' or 'multiplayer'
+            match: null,             // { matchId, player1Id, player2Id, player1Name, player2Name, isPlayer1 }
+            selections: null,        // { player1Head, player2Head, player1Cleat, player2Cleat }
+            selectionConfirmed: false,
+            result: null,            // { winner, score, decidedBy, penalties } from the last match
+            authRequired: false
+        };
+    }
+
+    // Context resets applied when a state is entered
+    static onEnter(state) {
+        switch (state) {
+            case 'menu':
+                return { mode: null, match: null, selections: null, selectionConfirmed: false, result: null };
+            case 'mode_select':
+                return { match: null, selectionConfirmed: false, result: null };
+            case 'lobby':
+                return { mode: 'multiplayer', selectionConfirmed: false, result: null };
+            case 'character_select':
+                return { selectionConfirmed: false, result: null };
+            case 'gameplay':
+                return { result: null };
+            default:
+                return {};
+        }
     }
 }
 
+GameStateManager.STORAGE_KEY = 'headSoccerState';
+GameStateManager.AI_DIFFICULTY_KEY = 'headSoccerAIDifficulty';
+GameStateManager.STADIUM_KEY = 'headSoccerStadium';
+
+// Allowed transitions (entering the current state again is always allowed)
+GameStateManager.TRANSITIONS = {
+    menu: ['mode_select', 'lobby'],
+    mode_select: ['menu', 'character_select', 'lobby'],
+    lobby: ['menu', 'mode_select', 'character_select'],
+    character_select: ['menu', 'mode_select', 'lobby', 'gameplay'],
+    gameplay: ['menu', 'lobby', 'character_select', 'results'],
+    results: ['menu', 'lobby', 'character_select', 'gameplay']
+};
+
+// Guards return a reason when a state can't be entered, or null
+GameStateManager.GUARDS = {
+    character_select: (context) => {
+        if (!context.mode) return 'No game mode selected';
+        if (context.mode === 'multiplayer' && !(context.match && context.match.matchId)) {
+            return 'No multiplayer match';
+        }
+        return null;
+    },
+    gameplay: (context) => {
+        const selections = context.selections;
+        if (!context.mode) return 'No game mode selected';
+        if (!context.selectionConfirmed || !selections || !selections.player1Head || !selections.player2Head) {
+            return 'Character selection not confirmed';
+        }
+        if (context.mode === 'multiplayer' && !(context.match && context.match.matchId)) {
+            return 'No multiplayer match';
+        }
+        return null;
+    },
+    results: (context) => context.result ? null : 'No match result'
+};
+
 // Global instance
-let gameStateManager = new GameStateManager();
\ No newline at end of file
+window.gameStateManager = new GameStateManager();
@@ -0,0 +1,231 @@
+/**
+ * Gamepad Input - Browser Gamepad API support for local play
+ * Polls navigator.getGamepads() once per frame, applies a dead-zone to the left
+ * stick and maps the standard-layout buttons onto the same named actions as
+ * InputHandler. Each player can be assigned one pad; assignments are saved to
+ * localStorage and survive unplugging and plugging the pad back in.
+ * New pads go to Player 2 first (the human side against the AI and the online
+ * layout), then Player 1.
+ */
+
+class GamepadInput {
+    constructor() {
+        this.assignments = GamepadInput.loadAssignments(); // { player1: padIndex|null, player2: padIndex|null }
+        this.pads = {};            // Connected Gamepad snapshots by index
+        this.buttons = {};         // Pressed state per pad this frame
+        this.previousButtons = {}; // Pressed state per pad last frame
+        this.listeners = [];
+
+        this.supported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+        if (!this.supported) return;
+
+        window.addEventListener('gamepadconnected', (event) => this.handleConnected(event.gamepad));
+        window.addEventListener('gamepaddisconnected', (event) => this.handleDisconnected(event.gamepad));
+
+        // Pads that were connected before this page loaded
+        this.poll();
+    }
+
+    // Called when a pad is connected, disconnected or reassigned
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(callback => callback(this));
+    }
+
+    // Refresh pad snapshots; call once per frame before reading input
+    poll() {
+        if (!this.supported) return;
+
+        this.previousButtons = this.buttons;
+        this.buttons = {};
+
+        const seen = new Set();
+        Array.from(navigator.getGamepads()).forEach(gamepad => {
+            if (!gamepad || !gamepad.connected) return;
+
+            seen.add(gamepad.index);
+            if (!this.pads[gamepad.index]) {
+                this.handleConnected(gamepad);
+            }
+            this.pads[gamepad.index] = gamepad;
+            this.buttons[gamepad.index] = gamepad.buttons.map(button => button.pressed);
+        });
+
+        Object.keys(this.pads).forEach(index => {
+            if (!seen.has(Number(index))) {
+                this.handleDisconnected(this.pads[index]);
+            }
+        });
+    }
+
+    handleConnected(gamepad) {
+        if (this.pads[gamepad.index]) return;
+        this.pads[gamepad.index] = gamepad;
+        console.log(`🎮 Gamepad ${gamepad.index + 1} connected: ${gamepad.id}`);
+
+        if (!this.getPlayerForPad(gamepad.index)) {
+            const freePlayer = GamepadInput.AUTO_ASSIGN_ORDER.find(playerKey => !this.getPad(playerKey));
+            if (freePlayer) {
+                this.assignments[freePlayer] = gamepad.index;
+                this.saveAssignments();
+            }
+        }
+
+        this.notifyChange();
+    }
+
+    // The assignment is kept so the pad picks up where it left off when it comes back
+    handleDisconnected(gamepad) {
+        if (!this.pads[gamepad.index]) return;
+        delete this.pads[gamepad.index];
+        delete this.buttons[gamepad.index];
+        console.log(`🎮 Gamepad ${gamepad.index + 1} disconnected`);
+        this.notifyChange();
+    }
+
+    // Connected pad assigned to a player, or null
+    getPad(playerKey) {
+        const index = this.assignments[playerKey];
+        return index !== null && index !== undefined ? this.pads[index] || null : null;
+    }
+
+    getPlayerForPad(index) {
+        return Object.keys(this.assignments).find(playerKey =>
+            this.assignments[playerKey] === index && this.pads[index]) || null;
+    }
+
+    getConnectedIndexes() {
+        return Object.keys(this.pads).map(Number).sort((a, b) => a - b);
+    }
+
+    // Give a pad to a player; a pad already used by the other player is swapped
+    assign(playerKey, index) {
+        const otherPlayer = Object.keys(this.assignments).find(key =>
+            key !== playerKey && this.assignments[key] === index);
+
+        if (otherPlayer) {
+            this.assignments[otherPlayer] = this.assignments[playerKey];
+        }
+        this.assignments[playerKey] = index;
+
+        this.saveAssignments();
+        this.notifyChange();
+    }
+
+    // Move a player to the next connected pad, wrapping round to no pad
+    cycleAssignment(playerKey) {
+        const indexes = this.getConnectedIndexes();
+        const current = indexes.indexOf(this.assignments[playerKey]);
+        const next = current + 1 < indexes.length ? indexes[current + 1] : null;
+
+        if (next === null) {
+            this.assignments[playerKey] = null;
+            this.saveAssignments();
+            this.notifyChange();
+        } else {
+            this.assign(playerKey, next);
+        }
+    }
+
+    // Swap which player each pad controls
+    swapAssignments() {
+        const { player1, player2 } = this.assignments;
+        this.assignments.player1 = player2;
+        this.assignments.player2 = player1;
+        this.saveAssignments();
+        this.notifyChange();
+    }
+
+    isButtonDown(index, button) {
+        return !!(this.buttons[index] && this.buttons[index][button]);
+    }
+
+    isButtonJustDown(index, button) {
+        return this.isButtonDown(index, button) &&
+            !(this.previousButtons[index] && this.previousButtons[index][button]);
+    }
+
+    // Is the player's pad holding an action (left, right, jump, kick, lob, block, power)
+    isDown(playerKey, action) {
+        const pad = this.getPad(playerKey);
+        if (!pad) return false;
+
+        const stickX = GamepadInput.applyDeadZone(pad.axes[0] || 0);
+        if (action === 'left' && stickX < 0) return true;
+        if (action === 'right' && stickX > 0) return true;
+
+        const buttons = GamepadInput.BUTTONS[action] || [];
+        return buttons.some(button => this.isButtonDown(pad.index, button));
+    }
+
+    // Button pressed this frame; general actions (pause) answer to any pad
+    justDown(group, action) {
+        const buttons = GamepadInput.BUTTONS[action] || [];
+        const pad = this.getPad(group);
+        const indexes = group === 'general' ? this.getConnectedIndexes() : pad ? [pad.index] : [];
+
+        return indexes.some(index => buttons.some(button => this.isButtonJustDown(index, button)));
+    }
+
+    // Short label for the pad bound to a player, e.g. "Pad 1: Xbox Wireless Controller"
+    getPadLabel(playerKey) {
+        const pad = this.getPad(playerKey);
+        if (!pad) return null;
+        const name = pad.id.split(' (')[0].trim() || 'Gamepad';
+        return `Pad ${pad.index + 1}: ${name}`;
+    }
+
+    saveAssignments() {
+        try {
+            localStorage.setItem(GamepadInput.STORAGE_KEY, JSON.stringify(this.assignments));
+        } catch (error) {
+            console.warn('⚠️ Could not save gamepad assignments:', error);
+        }
+    }
+
+    static loadAssignments() {
+        const assignments = { player1: null, player2: null };
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(GamepadInput.STORAGE_KEY) || 'null');
+            if (saved) {
+                Object.keys(assignments).forEach(playerKey => {
+                    if (Number.isInteger(saved[playerKey])) {
+                        assignments[playerKey] = saved[playerKey];
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load gamepad assignments:', error);
+        }
+
+        return assignments;
+    }
+
+    // Stick value with the dead-zone removed and the rest rescaled to 0..1
+    static applyDeadZone(value, deadZone = GamepadInput.DEAD_ZONE) {
+        const magnitude = Math.abs(value);
+        if (magnitude < deadZone) return 0;
+        return Math.sign(value) * Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+    }
+}
+
+GamepadInput.STORAGE_KEY = 'headSoccerGamepads';
+GamepadInput.DEAD_ZONE = 0.25;
+GamepadInput.AUTO_ASSIGN_ORDER = ['player2', 'player1'];
+
+// Standard mapping button indexes (https://w3c.github.io/gamepad/#remapping)
+GamepadInput.BUTTONS = {
+    left: [14],      // D-pad left
+    right: [15],     // D-pad right
+    jump: [0, 12],   // A / Cross, D-pad up
+    kick: [2, 13],   // X / Square, D-pad down
+    lob: [1, 4],     // B / Circle, left bumper
+    power: [3, 5],   // Y / Triangle, right bumper
+    block: [6, 7],   // Left / right trigger
+    pause: [9],      // Start / Options
+    swap: [8]        // Back / Share - swap pads on the character selection screen
+};
@@ -1,11 +1,243 @@
-// Input Handler - Placeholder for testing
-// This will be implemented fully later
+/**
+ * Input Handler - Named actions on top of rebindable keyboard bindings
+ * Each player has their own set of action -> key bindings (Phaser key names
+ * such as 'A', 'LEFT' or 'SPACE'), plus a general set for pause/reset. Bindings
+ * are saved to localStorage and no key can be bound to two actions at once.
+ * Online matches use the Player 2 layout for whichever side the local player is on.
+ * Gamepads assigned to a player (see js/gamepadInput.js) and the on-screen
+ * touch controls (js/touchControls.js) feed the same actions.
+ */
 
 class InputHandler {
     constructor() {
-        console.log('InputHandler placeholder loaded');
+        this.bindings = InputHandler.loadBindings();
+        this.scene = null;
+        this.keys = {};          // Phaser key objects by key name
+        this.isRebinding = false; // True while the controls screen waits for a key
+        this.gamepads = new GamepadInput();
+        this.touch = new TouchControls();
+    }
+
+    // Register Phaser key objects for every bound key
+    attach(scene) {
+        this.scene = scene;
+        this.keys = {};
+        this.registerKeys();
+    }
+
+    registerKeys() {
+        if (!this.scene) return;
+
+        InputHandler.forEachBinding(this.bindings, (group, action, keyName) => {
+            if (!this.keys[keyName]) {
+                this.keys[keyName] = this.scene.input.keyboard.addKey(keyName);
+            }
+        });
+    }
+
+    // Read fresh gamepad state; call once per frame before checking actions
+    poll() {
+        this.gamepads.poll();
+    }
+
+    getKey(group, action) {
+        const keyName = this.bindings[group] && this.bindings[group][action];
+        return keyName ? this.keys[keyName] : null;
+    }
+
+    isDown(group, action) {
+        if (this.isRebinding) return false;
+        const key = this.getKey(group, action);
+        return !!(key && key.isDown) || this.gamepads.isDown(group, action) || this.touch.isDown(group, action);
+    }
+
+    justDown(group, action) {
+        if (this.isRebinding) return false;
+        const key = this.getKey(group, action);
+        const keyJustDown = !!(key && Phaser.Input.Keyboard.JustDown(key));
+        return keyJustDown || this.gamepads.justDown(group, action);
+    }
+
+    // Movement input for a player in the same shape AIController.getInput returns
+    getInput(playerKey) {
+        return {
+            moveLeft: this.isDown(playerKey, 'left'),
+            moveRight: this.isDown(playerKey, 'right'),
+            jump: this.isDown(playerKey, 'jump'),
+            kick: this.isDown(playerKey, 'kick'),
+            lob: this.isDown(playerKey, 'lob'),
+            block: this.isDown(playerKey, 'block'),
+            power: this.isDown(playerKey, 'power')
+        };
+    }
+
+    getBinding(group, action) {
+        return this.bindings[group][action];
+    }
+
+    // Returns { group, action } already using keyName, or null
+    findConflict(keyName, ignoreGroup, ignoreAction) {
+        let conflict = null;
+        InputHandler.forEachBinding(this.bindings, (group, action, boundKey) => {
+            if (conflict || boundKey !== keyName) return;
+            if (group === ignoreGroup && action === ignoreAction) return;
+            conflict = { group, action };
+        });
+        return conflict;
+    }
+
+    // Bind a key to an action. A key that is already in use is swapped with
+    // this action's old key so the two actions never end up sharing one.
+    setBinding(group, action, keyName) {
+        if (!this.bindings[group] || !(action in this.bindings[group])) {
+            return { success: false, reason: 'Unknown action' };
+        }
+        if (InputHandler.RESERVED_KEYS.includes(keyName)) {
+            return { success: false, reason: `${InputHandler.keyLabel(keyName)} is reserved` };
+        }
+
+        const previousKey = this.bindings[group][action];
+        const conflict = this.findConflict(keyName, group, action);
+
+        if (conflict) {
+            this.bindings[conflict.group][conflict.action] = previousKey;
+        }
+        this.bindings[group][action] = keyName;
+
+        this.registerKeys();
+        this.saveBindings();
+
+        return { success: true, swapped: conflict };
+    }
+
+    resetBindings() {
+        this.bindings = InputHandler.cloneDefaults();
+        this.registerKeys();
+        this.saveBindings();
+    }
+
+    saveBindings() {
+        try {
+            localStorage.setItem(InputHandler.STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('⚠️ Could not save key bindings:', error);
+        }
+    }
+
+    // Saved bindings over the defaults; anything unknown or duplicated falls back to defaults
+    static loadBindings() {
+        const bindings = InputHandler.cloneDefaults();
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(InputHandler.STORAGE_KEY) || 'null');
+            if (!saved) return bindings;
+
+            const used = new Set();
+            InputHandler.forEachBinding(bindings, (group, action) => {
+                const keyName = saved[group] && saved[group][action];
+                if (keyName in Phaser.Input.Keyboard.KeyCodes && !used.has(keyName)) {
+                    bindings[group][action] = keyName;
+                    used.add(keyName);
+                }
+            });
+
+            if (InputHandler.findDuplicates(bindings).length > 0) {
+                console.warn('⚠️ Saved key bindings conflict, using defaults');
+                return InputHandler.cloneDefaults();
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load key bindings:', error);
+        }
+
+        return bindings;
+    }
+
+    // Key names bound to more than one action
+    static findDuplicates(bindings) {
+        const seen = new Set();
+        const duplicates = new Set();
+        InputHandler.forEachBinding(bindings, (group, action, keyName) => {
+            if (seen.has(keyName)) duplicates.add(keyName);
+            seen.add(keyName);
+        });
+        return [...duplicates];
+    }
+
+    static forEachBinding(bindings, callback) {
+        Object.keys(InputHandler.DEFAULT_BINDINGS).forEach(group => {
+            Object.keys(InputHandler.DEFAULT_BINDINGS[group]).forEach(action => {
+                callback(group, action, bindings[group][action]);
+            });
+        });
+    }
+
+    static cloneDefaults() {
+        return JSON.parse(JSON.stringify(InputHandler.DEFAULT_BINDINGS));
+    }
+
+    // Phaser key name for a DOM keyboard event, or null if Phaser has no name for it
+    static keyNameFromEvent(event) {
+        const codes = Phaser.Input.Keyboard.KeyCodes;
+        return Object.keys(codes).find(name => codes[name] === event.keyCode) || null;
+    }
+
+    static keyLabel(keyName) {
+        return InputHandler.KEY_LABELS[keyName] || keyName;
+    }
+
+    // Fill every [data-binding="group.action"] element under container with its current key
+    static fillKeyLabels(container) {
+        const bindings = window.gameScene && window.gameScene.inputHandler
+            ? window.gameScene.inputHandler.bindings
+            : InputHandler.loadBindings();
+
+        container.querySelectorAll('[data-binding]').forEach(element => {
+            const [group, action] = element.dataset.binding.split('.');
+            element.textContent = InputHandler.keyLabel(bindings[group][action]);
+        });
     }
 }
 
-// Global instance
-let inputHandler = new InputHandler();
\ No newline at end of file
+InputHandler.STORAGE_KEY = 'headSoccerBindings';
+
+InputHandler.ACTION_LABELS = {
+    left: 'Move Left',
+    right: 'Move Right',
+    jump: 'Jump',
+    kick: 'Kick Ball (hold to charge)',
+    lob: 'Lob (hold while kicking)',
+    block: 'Block (stand your ground)',
+    power: 'Use Character Power',
+    pause: 'Pause/Resume Game',
+    reset: 'Restart Game'
+};
+
+InputHandler.GROUP_LABELS = {
+    player1: 'Player 1',
+    player2: 'Player 2',
+    general: 'General'
+};
+
+InputHandler.DEFAULT_BINDINGS = {
+    player1: { left: 'A', right: 'D', jump: 'W', kick: 'S', lob: 'Q', block: 'F', power: 'E' },
+    player2: { left: 'LEFT', right: 'RIGHT', jump: 'UP', kick: 'DOWN', lob: 'SHIFT', block: 'CTRL', power: 'SPACE' },
+    general: { pause: 'P', reset: 'R' }
+};
+
+// Escape closes overlays and can't be bound
+InputHandler.RESERVED_KEYS = ['ESC'];
+
+InputHandler.KEY_LABELS = {
+    LEFT: '←',
+    RIGHT: '→',
+    UP: '↑',
+    DOWN: '↓',
+    SPACE: 'Space',
+    ENTER: 'Enter',
+    SHIFT: 'Shift',
+    CTRL: 'Ctrl',
+    ALT: 'Alt',
+    TAB: 'Tab',
+    BACKSPACE: 'Backspace',
+    ESC: 'Esc'
+};
@@ -0,0 +1,216 @@
+/**
+ * Replay Recorder - Captures a whole match as a compact input/state timeline
+ * Header (seed, field, characters, initial positions), per-tick inputs stored
+ * only when they change, position keyframes every few ticks, and match events
+ * (goals, pauses, powers). Replays are plain JSON files that ReplayScene plays.
+ */
+
+class ReplayRecorder {
+    constructor(options = {}) {
+        this.keyframeInterval = options.keyframeInterval || ReplayRecorder.KEYFRAME_INTERVAL;
+        this.replay = null;
+        this.recording = false;
+        this.lastInputMasks = [0, 0];
+    }
+
+    // Begin a new recording from the scene's current state
+    start(scene) {
+        const field = scene.physicsField;
+
+        this.replay = {
+            version: ReplayRecorder.VERSION,
+            createdAt: new Date().toISOString(),
+            mode: scene.isMultiplayer ? 'multiplayer' : 'single',
+            seed: scene.physicsSeed,
+            tickRate: PhysicsCore.TICK_RATE,
+            keyframeInterval: this.keyframeInterval,
+            field: {
+                width: field.width,
+                height: field.height,
+                bottomGap: field.bottomGap,
+                stadium: scene.stadium ? scene.stadium.id : Stadiums.DEFAULT_STADIUM
+            },
+            players: ReplayRecorder.describePlayers(scene),
+            initial: ReplayRecorder.captureFrame(scene, 0),
+            inputs: [],  // [tick, player1Mask, player2Mask] - only when a mask changes
+            frames: [],  // [tick, p1x, p1y, p2x, p2y, ballX, ballY, ballAngle, flags]
+            events: [],  // { tick, type, ... }
+            duration: 0,
+            result: null
+        };
+
+        this.lastInputMasks = [0, 0];
+        this.recording = true;
+        this.replay.frames.push(this.replay.initial);
+
+        console.log('🎥 Replay recording started (seed ' + this.replay.seed + ')');
+    }
+
+    // Called once per physics tick after the world has stepped
+    recordTick(scene, inputs) {
+        if (!this.recording) return;
+
+        const tick = scene.frameCount;
+        const masks = [
+            ReplayRecorder.encodeInput(inputs.player1),
+            ReplayRecorder.encodeInput(inputs.player2)
+        ];
+
+        if (masks[0] !== this.lastInputMasks[0] || masks[1] !== this.lastInputMasks[1]) {
+            this.replay.inputs.push([tick, masks[0], masks[1]]);
+            this.lastInputMasks = masks;
+        }
+
+        if (tick % this.keyframeInterval === 0) {
+            this.replay.frames.push(ReplayRecorder.captureFrame(scene, tick));
+        }
+
+        this.replay.duration = tick;
+    }
+
+    recordEvent(tick, type, data = {}) {
+        if (!this.recording) return;
+        this.replay.events.push({ tick, type, ...data });
+    }
+
+    // Finish the recording; character names/heads are refreshed because
+    // multiplayer sets them after the scene has been created
+    stop(scene, result) {
+        if (!this.replay) return null;
+
+        if (this.recording) {
+            this.replay.frames.push(ReplayRecorder.captureFrame(scene, scene.frameCount));
+            this.replay.duration = scene.frameCount;
+        }
+
+        this.replay.players = ReplayRecorder.describePlayers(scene);
+        this.replay.result = result || null;
+        this.replay.finalScore = scene.score ? { ...scene.score } : null;
+        this.recording = false;
+
+        console.log(`🎥 Replay recording stopped: ${this.replay.duration} ticks, ${this.replay.events.length} events`);
+        return this.replay;
+    }
+
+    getReplay() {
+        return this.replay;
+    }
+
+    // ===== FORMAT HELPERS =====
+
+    static describePlayers(scene) {
+        const names = scene.isMultiplayer && scene.multiplayerGame ? scene.multiplayerGame.matchData : {};
+        return {
+            player1: { head: scene.player1Head, cleat: scene.player1Cleat, name: names.player1Name || 'Player 1' },
+            player2: { head: scene.player2Head, cleat: scene.player2Cleat, name: names.player2Name || 'Player 2' }
+        };
+    }
+
+    static captureFrame(scene, tick) {
+        const round = (value) => Math.round(value * 10) / 10;
+        let flags = 0;
+        if (scene.player1KickAnimation && scene.player1KickAnimation.active) flags |= 1;
+        if (scene.player2KickAnimation && scene.player2KickAnimation.active) flags |= 2;
+        if (scene.isPlayerFrozen && scene.isPlayerFrozen('player1')) flags |= 4;
+        if (scene.isPlayerFrozen && scene.isPlayerFrozen('player2')) flags |= 8;
+
+        return [
+            tick,
+            round(scene.player1.x), round(scene.player1.y),
+            round(scene.player2.x), round(scene.player2.y),
+            round(scene.ball.x), round(scene.ball.y),
+            Math.round(scene.ball.angle || 0),
+            flags
+        ];
+    }
+
+    static encodeInput(input) {
+        if (!input) return 0;
+        return (input.moveLeft ? 1 : 0) |
+            (input.moveRight ? 2 : 0) |
+            (input.jump ? 4 : 0) |
+            (input.kick ? 8 : 0) |
+            (input.power ? 16 : 0) |
+            (input.lob ? 32 : 0) |
+            (input.block ? 64 : 0);
+    }
+
+    static decodeInput(mask) {
+        return {
+            moveLeft: !!(mask & 1),
+            moveRight: !!(mask & 2),
+            jump: !!(mask & 4),
+            kick: !!(mask & 8),
+            power: !!(mask & 16),
+            lob: !!(mask & 32),
+            block: !!(mask & 64)
+        };
+    }
+
+    // ===== SAVE / LOAD =====
+
+    static parse(text) {
+        const replay = typeof text === 'string' ? JSON.parse(text) : text;
+        if (!replay || replay.version !== ReplayRecorder.VERSION) {
+            throw new Error('Unsupported replay version');
+        }
+        if (!Array.isArray(replay.frames) || replay.frames.length === 0) {
+            throw new Error('Replay has no frames');
+        }
+        return replay;
+    }
+
+    static download(replay) {
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        const stamp = (replay.createdAt || new Date().toISOString()).replace(/[:.]/g, '-');
+        link.href = url;
+        link.download = `head-soccer-replay-${stamp}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    static loadFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    resolve(ReplayRecorder.parse(reader.result));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+
+    // Hand the last match to replay.html
+    static storeLast(replay) {
+        try {
+            sessionStorage.setItem(ReplayRecorder.STORAGE_KEY, JSON.stringify(replay));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not store replay:', error);
+            return false;
+        }
+    }
+
+    static loadLast() {
+        const saved = sessionStorage.getItem(ReplayRecorder.STORAGE_KEY);
+        if (!saved) return null;
+        try {
+            return ReplayRecorder.parse(saved);
+        } catch (error) {
+            console.warn('⚠️ Stored replay is invalid:', error);
+            return null;
+        }
+    }
+}
+
+ReplayRecorder.VERSION = 1;
+ReplayRecorder.KEYFRAME_INTERVAL = 2; // Ticks between position keyframes (30 per second)
+ReplayRecorder.STORAGE_KEY = 'headSoccerReplay';
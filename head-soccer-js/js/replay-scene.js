@@ -0,0 +1,373 @@
+/**
+ * Replay Scene - Plays back matches captured by ReplayRecorder
+ * Interpolates between recorded keyframes, so seeking and speed changes are instant.
+ * Controls: Space play/pause, Left/Right seek 5s, [ ] speed,
+ * WASD or mouse drag to pan, wheel to zoom, F follow ball, C reset camera
+ */
+
+class ReplayScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'ReplayScene' });
+
+        this.replay = null;
+        this.playhead = 0; // Current tick (fractional while playing)
+        this.playing = false;
+        this.speed = 1;
+        this.followBall = false;
+
+        // Playback speeds available from the speed buttons / [ ] keys
+        this.speeds = [0.25, 0.5, 1, 2, 4];
+
+        // Called with the playback status every frame (replay.html timeline)
+        this.onStatusChange = null;
+
+        // Same fixed canvas as GameScene
+        this.gameWidth = PHYSICS_CONSTANTS.FIELD.WIDTH;
+        this.gameHeight = PHYSICS_CONSTANTS.FIELD.HEIGHT;
+        this.bottomGap = 40;
+    }
+
+    preload() {
+        this.load.image('ball', 'assets/Ball 01.png');
+        this.load.image('goalSide', 'assets/Goal - Side.png');
+        this.load.image('NuwanHead', 'assets/Nuwan_Head.png');
+        this.load.image('MihirHead', 'assets/Mihir_Head.png');
+        this.load.image('DadHead', 'assets/Dad_Head.png');
+
+        for (let i = 1; i <= 9; i++) {
+            this.load.image(`cleat${i}`, `assets/Cleat ${i}.png`);
+        }
+
+        this.load.on('loaderror', (file) => {
+            console.warn('Failed to load asset:', file.src);
+        });
+    }
+
+    create() {
+        this.keys = this.input.keyboard.addKeys({
+            'W': Phaser.Input.Keyboard.KeyCodes.W,
+            'A': Phaser.Input.Keyboard.KeyCodes.A,
+            'S': Phaser.Input.Keyboard.KeyCodes.S,
+            'D': Phaser.Input.Keyboard.KeyCodes.D,
+            'F': Phaser.Input.Keyboard.KeyCodes.F,
+            'C': Phaser.Input.Keyboard.KeyCodes.C,
+            'LEFT': Phaser.Input.Keyboard.KeyCodes.LEFT,
+            'RIGHT': Phaser.Input.Keyboard.KeyCodes.RIGHT,
+            'SPACE': Phaser.Input.Keyboard.KeyCodes.SPACE,
+            'SLOWER': Phaser.Input.Keyboard.KeyCodes.OPEN_BRACKET,
+            'FASTER': Phaser.Input.Keyboard.KeyCodes.CLOSED_BRACKET
+        });
+
+        this.setupFreeCamera();
+
+        // Make this scene reachable from the replay.html controls
+        window.replayScene = this;
+
+        const replay = ReplayRecorder.loadLast();
+        if (replay) {
+            this.loadReplay(replay);
+        }
+    }
+
+    // ===== LOADING =====
+
+    loadReplay(replay) {
+        // Tear down a previously loaded replay
+        this.children.removeAll(true);
+
+        this.replay = replay;
+        this.gameWidth = replay.field.width;
+        this.gameHeight = replay.field.height;
+        this.bottomGap = replay.field.bottomGap;
+        this.stadium = Stadiums.get(replay.field.stadium); // Older replays: classic
+        this.physicsField = PhysicsCore.createField({ ...Stadiums.toFieldOptions(this.stadium), ...replay.field });
+        this.goalEvents = replay.events.filter(event => event.type === 'goal');
+
+        // Same stadium as the match
+        GameScene.prototype.createFieldVisuals.call(this);
+        this.createReplaySprites();
+        this.createOverlayText();
+
+        this.playhead = 0;
+        this.lastRenderedTick = 0;
+        this.playing = true;
+        this.resetCamera();
+        this.renderAt(0);
+
+        console.log(`🎬 Replay loaded: ${replay.duration} ticks, ${this.goalEvents.length} goals`);
+    }
+
+    createReplaySprites() {
+        const players = this.replay.players;
+        const playerSize = { width: PHYSICS_CONSTANTS.PLAYER.WIDTH, height: PHYSICS_CONSTANTS.PLAYER.HEIGHT };
+        const headScales = {
+            'Nuwan': [1, 1],
+            'Mihir': [1.05, 1.12],
+            'Dad': [0.97, 1]
+        };
+
+        this.playerViews = ['player1', 'player2'].map((playerKey, index) => {
+            const info = players[playerKey];
+            const headKey = info.head + 'Head';
+            let head;
+
+            if (this.textures.exists(headKey)) {
+                head = this.add.image(0, 0, headKey);
+                const scale = headScales[info.head] || [1, 1];
+                const headSize = 80;
+                head.setScale((headSize / head.width) * scale[0], (headSize / head.height) * scale[1]);
+            } else {
+                head = this.add.circle(0, 0, 25, index === 0 ? 0x0088ff : 0xff4444);
+            }
+            head.setDepth(10);
+
+            const cleatKey = `cleat${info.cleat}`;
+            let cleat;
+            if (this.textures.exists(cleatKey)) {
+                cleat = this.add.image(0, 0, cleatKey);
+                cleat.setScale(40 / cleat.width);
+            } else {
+                cleat = this.add.rectangle(0, 0, 30, 15, 0x000000);
+            }
+            cleat.setDepth(8);
+
+            return { head, cleat, side: index === 0 ? 'left' : 'right', ...playerSize };
+        });
+
+        this.ballSprite = this.add.image(0, 0, 'ball');
+        this.ballSprite.setScale(0.25);
+        this.ballSprite.setDepth(10);
+    }
+
+    createOverlayText() {
+        // Fixed to the screen, not the world, so the free camera doesn't move them
+        this.scoreText = this.add.text(this.scale.width / 2, 20, '', {
+            font: 'bold 32px Arial',
+            fill: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0.5, 0).setScrollFactor(0).setDepth(100);
+
+        this.goalText = this.add.text(this.scale.width / 2, this.scale.height / 2, 'GOAL!', {
+            font: 'bold 96px Arial',
+            fill: '#ffdd00',
+            stroke: '#000000',
+            strokeThickness: 8
+        }).setOrigin(0.5).setScrollFactor(0).setDepth(100).setVisible(false);
+    }
+
+    // ===== FREE CAMERA =====
+
+    setupFreeCamera() {
+        const camera = this.cameras.main;
+
+        this.input.on('wheel', (pointer, gameObjects, deltaX, deltaY) => {
+            const zoom = Phaser.Math.Clamp(camera.zoom * (deltaY > 0 ? 0.9 : 1.1), 0.5, 3);
+            camera.setZoom(zoom);
+        });
+
+        this.input.on('pointermove', (pointer) => {
+            if (!pointer.isDown || this.followBall) return;
+            camera.scrollX -= (pointer.x - pointer.prevPosition.x) / camera.zoom;
+            camera.scrollY -= (pointer.y - pointer.prevPosition.y) / camera.zoom;
+        });
+    }
+
+    resetCamera() {
+        const camera = this.cameras.main;
+        camera.stopFollow();
+        camera.setZoom(1);
+        camera.centerOn(this.gameWidth / 2, this.gameHeight / 2);
+        this.followBall = false;
+    }
+
+    toggleFollowBall() {
+        this.followBall = !this.followBall;
+        if (this.followBall && this.ballSprite) {
+            this.cameras.main.startFollow(this.ballSprite, true, 0.1, 0.1);
+        } else {
+            this.cameras.main.stopFollow();
+        }
+    }
+
+    updateCameraKeys(delta) {
+        if (this.followBall) return;
+
+        const camera = this.cameras.main;
+        const panSpeed = 0.8 * delta / camera.zoom;
+        if (this.keys.A.isDown) camera.scrollX -= panSpeed;
+        if (this.keys.D.isDown) camera.scrollX += panSpeed;
+        if (this.keys.W.isDown) camera.scrollY -= panSpeed;
+        if (this.keys.S.isDown) camera.scrollY += panSpeed;
+    }
+
+    // ===== PLAYBACK CONTROLS =====
+
+    togglePlay() {
+        if (!this.replay) return;
+
+        // Restart from the beginning when pressing play at the end
+        if (!this.playing && this.playhead >= this.replay.duration) {
+            this.seek(0);
+        }
+        this.playing = !this.playing;
+    }
+
+    seek(tick) {
+        if (!this.replay) return;
+
+        this.playhead = Phaser.Math.Clamp(tick, 0, this.replay.duration);
+        this.lastRenderedTick = this.playhead; // Don't flash goals that were skipped over
+        this.goalText.setVisible(false);
+        this.renderAt(this.playhead);
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    changeSpeed(step) {
+        const index = this.speeds.indexOf(this.speed);
+        const next = Phaser.Math.Clamp((index === -1 ? 2 : index) + step, 0, this.speeds.length - 1);
+        this.setSpeed(this.speeds[next]);
+    }
+
+    update(time, delta) {
+        if (!this.replay) return;
+
+        this.handleShortcuts();
+        this.updateCameraKeys(delta);
+
+        if (this.playing) {
+            this.playhead += (delta / PhysicsCore.TICK_MS) * this.speed;
+            if (this.playhead >= this.replay.duration) {
+                this.playhead = this.replay.duration;
+                this.playing = false;
+            }
+            this.renderAt(this.playhead);
+            this.flashPassedGoals(this.lastRenderedTick, this.playhead);
+            this.lastRenderedTick = this.playhead;
+        }
+
+        if (this.onStatusChange) {
+            this.onStatusChange(this.getStatus());
+        }
+    }
+
+    handleShortcuts() {
+        const justDown = Phaser.Input.Keyboard.JustDown;
+        const seekStep = this.replay.tickRate * 5;
+
+        if (justDown(this.keys.SPACE)) this.togglePlay();
+        if (justDown(this.keys.LEFT)) this.seek(this.playhead - seekStep);
+        if (justDown(this.keys.RIGHT)) this.seek(this.playhead + seekStep);
+        if (justDown(this.keys.SLOWER)) this.changeSpeed(-1);
+        if (justDown(this.keys.FASTER)) this.changeSpeed(1);
+        if (justDown(this.keys.F)) this.toggleFollowBall();
+        if (justDown(this.keys.C)) this.resetCamera();
+    }
+
+    getStatus() {
+        return {
+            tick: this.playhead,
+            duration: this.replay.duration,
+            tickRate: this.replay.tickRate,
+            playing: this.playing,
+            speed: this.speed,
+            followBall: this.followBall
+        };
+    }
+
+    // ===== RENDERING =====
+
+    // Index of the last keyframe at or before tick (binary search)
+    findFrameIndex(tick) {
+        const frames = this.replay.frames;
+        let low = 0;
+        let high = frames.length - 1;
+
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (frames[mid][0] <= tick) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    sampleFrame(tick) {
+        const frames = this.replay.frames;
+        const index = this.findFrameIndex(tick);
+        const from = frames[index];
+        const to = frames[Math.min(index + 1, frames.length - 1)];
+        const span = to[0] - from[0];
+
+        // Goals teleport players back to kickoff - don't slide across the field
+        const teleported = Math.abs(to[5] - from[5]) > this.gameWidth / 4;
+        const t = span > 0 && !teleported ? Phaser.Math.Clamp((tick - from[0]) / span, 0, 1) : 0;
+        const lerp = (i) => from[i] + (to[i] - from[i]) * t;
+
+        return {
+            player1: { x: lerp(1), y: lerp(2) },
+            player2: { x: lerp(3), y: lerp(4) },
+            ball: { x: lerp(5), y: lerp(6), angle: from[7] },
+            flags: from[8]
+        };
+    }
+
+    renderAt(tick) {
+        const frame = this.sampleFrame(tick);
+        const radius = PHYSICS_CONSTANTS.BALL.RADIUS;
+
+        this.playerViews.forEach((view, index) => {
+            const player = index === 0 ? frame.player1 : frame.player2;
+            const kicking = (frame.flags & (index === 0 ? 1 : 2)) !== 0;
+            const frozen = (frame.flags & (index === 0 ? 4 : 8)) !== 0;
+            const forward = view.side === 'left' ? 1 : -1;
+
+            view.head.x = player.x + view.width / 2;
+            view.head.y = player.y + view.height / 4;
+            view.cleat.x = player.x + view.width / 2 + (kicking ? 14 * forward : 0);
+            view.cleat.y = player.y + view.height - 5 - (kicking ? 6 : 0);
+
+            if (view.head.setTint) {
+                if (frozen) {
+                    view.head.setTint(0x88ddff);
+                } else {
+                    view.head.clearTint();
+                }
+            }
+        });
+
+        this.ballSprite.x = frame.ball.x + radius;
+        this.ballSprite.y = frame.ball.y + radius;
+        this.ballSprite.angle = frame.ball.angle;
+
+        const score = this.getScoreAt(tick);
+        this.scoreText.setText(`${this.replay.players.player1.name}  ${score.player1} - ${score.player2}  ${this.replay.players.player2.name}`);
+    }
+
+    getScoreAt(tick) {
+        const score = { player1: 0, player2: 0 };
+        this.goalEvents.forEach(event => {
+            if (event.tick > tick) return;
+            if (event.score) {
+                score.player1 = event.score.player1;
+                score.player2 = event.score.player2;
+            } else {
+                score[event.scorer]++;
+            }
+        });
+        return score;
+    }
+
+    flashPassedGoals(fromTick, toTick) {
+        const passed = this.goalEvents.some(event => event.tick > fromTick && event.tick <= toTick);
+        if (!passed) return;
+
+        this.goalText.setVisible(true);
+        this.time.delayedCall(1500, () => this.goalText.setVisible(false));
+    }
+}
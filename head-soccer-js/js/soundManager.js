@@ -68,30 +68,31 @@ class SoundManager {
     }
     
     // Play goal sound with randomization (exact from Python lines 908-913)
-    async playGoalSound() {
+    // random: the match's seeded source (GameScene.effectsRandom), Math.random outside a match
+    async playGoalSound(random = Math.random) {
         const goalSound = `Goal ${goalSfx}.mp3`;
         const audio = await this.playSound(goalSound, CONFIG.SOUND_VOLUMES.GOAL);
         
         // Randomize next goal sound (exact Python logic)
         const lastGoalSfx = goalSfx;
         while (goalSfx === lastGoalSfx) {
-            goalSfx = Utils.randomInt(1, 5);
+            goalSfx = Utils.randomInt(1, 5, random);
         }
         
         return audio;
     }
     
     // Play cheer sound with randomization (exact from Python lines 901-906)
-    async playCheerSound() {
+    async playCheerSound(random = Math.random) {
         // Exact volume calculation from Python
-        const volume = Math.random() * CONFIG.SOUND_VOLUMES.CHEER_VARIATION + CONFIG.SOUND_VOLUMES.CHEER_BASE;
+        const volume = random() * CONFIG.SOUND_VOLUMES.CHEER_VARIATION + CONFIG.SOUND_VOLUMES.CHEER_BASE;
         const cheerSound = `Cheer ${cheerSfx}.wav`;
         const audio = await this.playSound(cheerSound, volume);
         
         // Randomize next cheer sound (exact Python logic)
         const lastCheerSfx = cheerSfx;
         while (cheerSfx === lastCheerSfx) {
-            cheerSfx = Utils.randomInt(1, 4);
+            cheerSfx = Utils.randomInt(1, 4, random);
         }
         
         return audio;
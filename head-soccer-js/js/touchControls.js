@@ -0,0 +1,148 @@
+/**
+ * Touch Controls - On-screen pads and buttons for phones and tablets
+ * Left/right pads on the left thumb, jump, kick, lob, block and power buttons on the right.
+ * Every finger is tracked, so moving and jumping at the same time works, and a
+ * finger can slide from one pad to the other. The buttons feed the same named
+ * actions as the keyboard through InputHandler, for the Player 2 layout (the
+ * human side against the AI and the online layout). Sizes are in vmin so the
+ * layer scales with the page.
+ */
+
+class TouchControls {
+    constructor(options = {}) {
+        this.playerKey = options.playerKey || 'player2';
+        this.container = options.container || document.getElementById('game-container');
+        this.active = new Set(); // Actions held by at least one finger
+        this.buttons = {};
+        this.root = null;
+
+        if (!this.container) return;
+
+        this.createLayer();
+        this.setVisible(TouchControls.isTouchDevice());
+
+        // Show the layer the first time someone touches a device we didn't detect
+        window.addEventListener('touchstart', () => this.setVisible(true), { once: true, passive: true });
+    }
+
+    createLayer() {
+        const root = document.createElement('div');
+        root.id = 'touch-controls';
+        root.style.position = 'absolute';
+        root.style.left = '0';
+        root.style.right = '0';
+        root.style.bottom = '0';
+        root.style.height = '45%';
+        root.style.zIndex = '20';
+        root.style.pointerEvents = 'none';
+        root.style.touchAction = 'none';
+        root.style.userSelect = 'none';
+        root.style.webkitUserSelect = 'none';
+
+        // Movement pads, bottom left
+        this.addButton(root, 'left', '◀', { left: '3vmin', bottom: '4vmin', size: 18 });
+        this.addButton(root, 'right', '▶', { left: '24vmin', bottom: '4vmin', size: 18 });
+
+        // Action buttons, bottom right
+        this.addButton(root, 'kick', 'KICK', { right: '24vmin', bottom: '4vmin', size: 17 });
+        this.addButton(root, 'lob', 'LOB', { right: '26vmin', bottom: '24vmin', size: 13 });
+        this.addButton(root, 'jump', 'JUMP', { right: '3vmin', bottom: '12vmin', size: 19 });
+        this.addButton(root, 'block', 'BLOCK', { right: '44vmin', bottom: '4vmin', size: 13 });
+        this.addButton(root, 'power', 'POWER', { right: '8vmin', bottom: '34vmin', size: 14 });
+
+        ['touchstart', 'touchmove', 'touchend', 'touchcancel'].forEach(type => {
+            root.addEventListener(type, (event) => this.handleTouches(event), { passive: false });
+        });
+
+        this.container.appendChild(root);
+        this.root = root;
+    }
+
+    addButton(root, action, text, layout) {
+        const button = document.createElement('div');
+        button.dataset.action = action;
+        button.textContent = text;
+        button.style.position = 'absolute';
+        button.style.width = `${layout.size}vmin`;
+        button.style.height = `${layout.size}vmin`;
+        button.style.borderRadius = '50%';
+        button.style.display = 'flex';
+        button.style.alignItems = 'center';
+        button.style.justifyContent = 'center';
+        button.style.fontFamily = 'Arial, sans-serif';
+        button.style.fontWeight = 'bold';
+        button.style.fontSize = `${Math.round(layout.size / 5)}vmin`;
+        button.style.color = 'white';
+        button.style.background = 'rgba(255, 255, 255, 0.15)';
+        button.style.border = '2px solid rgba(255, 255, 255, 0.4)';
+        button.style.pointerEvents = 'auto';
+        if (layout.left) button.style.left = layout.left;
+        if (layout.right) button.style.right = layout.right;
+        button.style.bottom = layout.bottom;
+
+        root.appendChild(button);
+        this.buttons[action] = button;
+    }
+
+    // Rebuild the held actions from every finger currently on the screen
+    handleTouches(event) {
+        event.preventDefault();
+
+        const active = new Set();
+        Array.from(event.touches).forEach(touch => {
+            const element = document.elementFromPoint(touch.clientX, touch.clientY);
+            const button = element && element.closest('[data-action]');
+            if (button && this.root.contains(button)) {
+                active.add(button.dataset.action);
+            }
+        });
+
+        this.active = active;
+        Object.keys(this.buttons).forEach(action => {
+            this.buttons[action].style.transform = active.has(action) ? 'scale(0.92)' : '';
+            this.buttons[action].style.borderColor = active.has(action) ? '#FFC107' : 'rgba(255, 255, 255, 0.4)';
+        });
+    }
+
+    isDown(group, action) {
+        return group === this.playerKey && this.active.has(action);
+    }
+
+    // Fill the power button like the on-field cooldown bar
+    showPowerCharge(powerState) {
+        const button = this.buttons.power;
+        if (!button || !this.isVisible()) return;
+
+        if (!powerState) {
+            button.style.opacity = '0.4';
+            return;
+        }
+
+        const progress = Math.min(powerState.charge / powerState.waitFrames, 1);
+        const ready = progress >= 1;
+        const fill = ready ? 'rgba(255, 193, 7, 0.6)' : 'rgba(255, 255, 255, 0.35)';
+        const degrees = Math.round(progress * 360);
+
+        button.style.opacity = '1';
+        button.style.background = `conic-gradient(${fill} ${degrees}deg, rgba(255, 255, 255, 0.1) ${degrees}deg)`;
+
+        const text = ready ? powerState.name.toUpperCase() : 'POWER';
+        if (button.textContent !== text) {
+            button.textContent = text;
+        }
+    }
+
+    setVisible(visible) {
+        if (!this.root) return;
+        this.root.style.display = visible ? 'block' : 'none';
+        if (!visible) this.active.clear();
+    }
+
+    isVisible() {
+        return !!this.root && this.root.style.display !== 'none';
+    }
+
+    static isTouchDevice() {
+        return 'ontouchstart' in window || (navigator.maxTouchPoints || 0) > 0;
+    }
+}
@@ -35,14 +35,14 @@ const Utils = {
         });
     },
     
-    // Random integer between min and max (inclusive)
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    // Random integer between min and max (inclusive), from random (e.g. a seeded source)
+    randomInt(min, max, random = Math.random) {
+        return Math.floor(random() * (max - min + 1)) + min;
     },
     
     // Random float between min and max
-    randomFloat(min, max) {
-        return Math.random() * (max - min) + min;
+    randomFloat(min, max, random = Math.random) {
+        return random() * (max - min) + min;
     },
     
     // Clamp value between min and max